@@ -0,0 +1,103 @@
+// Personal API keys
+// Users create keys for scripts and integrations. The plaintext key is shown
+// once at creation; only its SHA-256 is stored. Each key carries scopes that
+// limit what it can call, and requests made with it are billed to its owner.
+
+import crypto from 'crypto';
+import { getPrisma } from './db.js';
+
+export const API_KEY_PREFIX = 'vk_';
+export const API_KEY_SCOPES = ['query', 'conversations', 'billing:read'];
+export const MAX_ACTIVE_API_KEYS = parseInt(process.env.MAX_ACTIVE_API_KEYS, 10) || 10;
+
+// last_used_at is refreshed at most this often per key to avoid a write on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+export class ApiKeyLimitError extends Error {
+  constructor(limit) {
+    super(`A user may have at most ${limit} active API keys`);
+    this.name = 'ApiKeyLimitError';
+  }
+}
+
+export function isApiKey(value) {
+  return typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+}
+
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Create a key for the user; the returned `key` is the only time the
+ * plaintext is available
+ */
+export async function createApiKey(userId, { name, scopes, expiresAt = null }) {
+  const [{ count }] = await getPrisma().$queryRaw`
+    SELECT COUNT(*)::int AS count FROM api_keys
+    WHERE user_id = ${userId}::uuid AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+  `;
+  if (count >= MAX_ACTIVE_API_KEYS) {
+    throw new ApiKeyLimitError(MAX_ACTIVE_API_KEYS);
+  }
+
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const rows = await getPrisma().$queryRaw`
+    INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, expires_at)
+    VALUES (${userId}::uuid, ${name}, ${key.slice(0, 10)}, ${hashApiKey(key)}, ${scopes}::text[], ${expiresAt})
+    RETURNING id, name, key_prefix, scopes, expires_at, created_at
+  `;
+  return { ...rows[0], key };
+}
+
+export async function listApiKeys(userId) {
+  return getPrisma().$queryRaw`
+    SELECT id, name, key_prefix, scopes, last_used_at, expires_at, revoked_at, created_at
+    FROM api_keys
+    WHERE user_id = ${userId}::uuid
+    ORDER BY created_at DESC
+  `;
+}
+
+/**
+ * Revoke one of the user's keys; false when it does not exist, belongs to
+ * someone else or is already revoked
+ */
+export async function revokeApiKey(keyId, userId) {
+  const revoked = await getPrisma().$executeRaw`
+    UPDATE api_keys SET revoked_at = NOW()
+    WHERE id = ${keyId}::uuid AND user_id = ${userId}::uuid AND revoked_at IS NULL
+  `;
+  return revoked > 0;
+}
+
+/**
+ * Owner and scopes for a presented key; null when the key is unknown, revoked
+ * or expired
+ */
+export async function authenticateApiKey(key) {
+  const rows = await getPrisma().$queryRaw`
+    SELECT k.id, k.user_id, k.scopes, k.last_used_at, k.expires_at, k.revoked_at,
+           u.email, u.subscription_tier
+    FROM api_keys k
+    JOIN users u ON u.id = k.user_id
+    WHERE k.key_hash = ${hashApiKey(key)}
+  `;
+  const apiKey = rows[0];
+  const now = Date.now();
+  if (!apiKey || apiKey.revoked_at || (apiKey.expires_at && new Date(apiKey.expires_at).getTime() <= now)) {
+    return null;
+  }
+
+  if (!apiKey.last_used_at || now - new Date(apiKey.last_used_at).getTime() >= LAST_USED_RESOLUTION_MS) {
+    await getPrisma().$executeRaw`UPDATE api_keys SET last_used_at = NOW() WHERE id = ${apiKey.id}::uuid`;
+  }
+
+  return {
+    id: apiKey.id,
+    user_id: apiKey.user_id,
+    email: apiKey.email,
+    subscription_tier: apiKey.subscription_tier,
+    scopes: apiKey.scopes
+  };
+}
@@ -0,0 +1,40 @@
+// Career profiles
+// One row per user holding a headline, a skill list and their current resume
+// text, so features such as job matching work without re-uploading a resume.
+
+import { getPrisma } from './db.js';
+
+export async function getCareerProfile(userId) {
+  const rows = await getPrisma().$queryRaw`
+    SELECT headline, skills, resume_text, resume_format, resume_updated_at, updated_at
+    FROM career_profiles
+    WHERE user_id = ${userId}::uuid
+  `;
+  return rows[0] || null;
+}
+
+/**
+ * Create or update the profile; fields left undefined keep their stored value
+ */
+export async function saveCareerProfile(userId, { headline, skills, resumeText, resumeFormat } = {}) {
+  const hasResume = resumeText !== undefined;
+  const rows = await getPrisma().$queryRaw`
+    INSERT INTO career_profiles (user_id, headline, skills, resume_text, resume_format, resume_updated_at)
+    VALUES (
+      ${userId}::uuid,
+      ${headline ?? null},
+      ${skills ?? []}::text[],
+      ${resumeText ?? null},
+      ${resumeText ? resumeFormat || 'text' : null},
+      ${hasResume ? new Date() : null}
+    )
+    ON CONFLICT (user_id) DO UPDATE SET
+      headline = CASE WHEN ${headline !== undefined} THEN EXCLUDED.headline ELSE career_profiles.headline END,
+      skills = CASE WHEN ${skills !== undefined} THEN EXCLUDED.skills ELSE career_profiles.skills END,
+      resume_text = CASE WHEN ${hasResume} THEN EXCLUDED.resume_text ELSE career_profiles.resume_text END,
+      resume_format = CASE WHEN ${hasResume} THEN EXCLUDED.resume_format ELSE career_profiles.resume_format END,
+      resume_updated_at = CASE WHEN ${hasResume} THEN EXCLUDED.resume_updated_at ELSE career_profiles.resume_updated_at END
+    RETURNING headline, skills, resume_text, resume_format, resume_updated_at, updated_at
+  `;
+  return rows[0];
+}
@@ -1,12 +1,21 @@
 import type { VercelRequest, VercelResponse } from '@vercel/node';
-import Anthropic from '@anthropic-ai/sdk';
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { callLLMProvider } from './llm-providers.js';
+import { getProvider } from './providers/index.js';
 
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
+// Model used for career chat per provider; other providers use their adapter default
+const CHAT_MODELS: Record<string, string> = {
+  claude: 'claude-3-sonnet-20240229',
+  gemini: 'gemini-1.5-flash',
+};
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY!);
+const buildCareerPrompt = (message: string) => `As an expert career advisor, provide comprehensive guidance on: ${message}
+
+Please structure your response with:
+1. Key insights and analysis
+2. Actionable recommendations
+3. Next steps or follow-up suggestions
+
+Be professional, encouraging, and specific in your advice.`;
 
 export default async function handler(req: VercelRequest, res: VercelResponse) {
   if (req.method !== 'POST') {
@@ -28,40 +37,18 @@ export default async function handler(req: VercelRequest, res: VercelResponse) {
       return res.status(400).json({ error: 'Message is required' });
     }
 
-    let response = '';
-
-    if (model === 'claude') {
-      const result = await anthropic.messages.create({
-        model: 'claude-3-sonnet-20240229',
-        max_tokens: 1024,
-        messages: [{
-          role: 'user',
-          content: `As an expert career advisor, provide comprehensive guidance on: ${message}
-
-Please structure your response with:
-1. Key insights and analysis
-2. Actionable recommendations
-3. Next steps or follow-up suggestions
-
-Be professional, encouraging, and specific in your advice.`
-        }],
-      });
-
-      response = result.content[0].type === 'text' ? result.content[0].text : 'Error processing response';
-    } else if (model === 'gemini') {
-      const geminiModel = genAI.getGenerativeModel({ model: 'gemini-pro' });
-      const result = await geminiModel.generateContent(`As an expert career advisor, provide comprehensive guidance on: ${message}
-
-Please structure your response with:
-1. Key insights and analysis
-2. Actionable recommendations
-3. Next steps or follow-up suggestions
-
-Be professional, encouraging, and specific in your advice.`);
-      
-      response = result.response.text();
+    const adapter = getProvider(model);
+    if (!adapter) {
+      return res.status(400).json({ error: `Unknown model provider: ${model}` });
     }
 
+    const result = await callLLMProvider({
+      model: CHAT_MODELS[model] || adapter.defaultModel,
+      max_tokens: 1024,
+      messages: [{ role: 'user', content: buildCareerPrompt(message) }],
+    });
+    const response = result.choices[0].message.content;
+
     return res.json({
       content: response,
       model,
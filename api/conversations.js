@@ -0,0 +1,234 @@
+// Persistent conversation threads
+// Messages are stored per conversation in Postgres. Before each LLM call the
+// thread is fitted into the model's context window: the newest messages are
+// kept and older ones are folded into a running summary (or dropped when
+// summaries are disabled or the summary model fails). Summaries are free to
+// the user: their tokens are a platform cost, counted only in the provider
+// metrics.
+
+import { getPrisma } from './db.js';
+import { findProviderForModel } from './providers/index.js';
+import { callLLMWithFailover } from './llm-failover.js';
+import { countTokens, TOKENS_PER_MESSAGE } from './tokenizer.js';
+
+export const CONVERSATION_SUMMARY_MODEL = process.env.CONVERSATION_SUMMARY_MODEL || 'claude-3-haiku-20240307';
+
+// Room left for the provider's message framing and the system prompt
+const CONTEXT_RESERVE_RATIO = 0.05;
+const SUMMARY_MAX_TOKENS = 400;
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+/**
+ * Tokens a message takes in the model's prompt, per-message framing included
+ */
+export function countConversationTokens(message, model) {
+  return countTokens(message.content, model) + TOKENS_PER_MESSAGE;
+}
+
+/**
+ * Tokens available for the prompt once the completion is reserved
+ */
+export function getContextBudget(model, maxTokens) {
+  const contextWindow = findProviderForModel(model)?.models[model].context_window || DEFAULT_CONTEXT_WINDOW;
+  return Math.floor(contextWindow * (1 - CONTEXT_RESERVE_RATIO)) - maxTokens;
+}
+
+export async function createConversation(userId, { title = null, model = null } = {}) {
+  const rows = await getPrisma().$queryRaw`
+    INSERT INTO conversations (user_id, title, model)
+    VALUES (${userId}::uuid, ${title}, ${model})
+    RETURNING id, title, model, message_count, created_at, updated_at
+  `;
+  return rows[0];
+}
+
+export async function listConversations(userId, { limit = 20, offset = 0 } = {}) {
+  return getPrisma().$queryRaw`
+    SELECT id, title, model, message_count, created_at, updated_at
+    FROM conversations
+    WHERE user_id = ${userId}::uuid
+    ORDER BY updated_at DESC
+    LIMIT ${limit} OFFSET ${offset}
+  `;
+}
+
+/**
+ * Load a conversation owned by the user; null when missing or owned by someone else
+ */
+export async function getConversation(conversationId, userId) {
+  const rows = await getPrisma().$queryRaw`
+    SELECT * FROM conversations
+    WHERE id = ${conversationId}::uuid AND user_id = ${userId}::uuid
+  `;
+  return rows[0] || null;
+}
+
+export async function getConversationMessages(conversationId) {
+  return getPrisma().$queryRaw`
+    SELECT id, position, role, content, model, provider, tokens, created_at
+    FROM conversation_messages
+    WHERE conversation_id = ${conversationId}::uuid
+    ORDER BY position
+  `;
+}
+
+/**
+ * Append user/assistant messages, counting tokens for `model` where a message
+ * does not carry its own count; the first user message becomes the title of an
+ * untitled thread
+ */
+export async function appendMessages(conversationId, messages, model = null) {
+  const stored = messages
+    .filter(message => message.role === 'user' || message.role === 'assistant')
+    .map(message => ({
+      role: message.role,
+      content: message.content,
+      model: message.model || null,
+      provider: message.provider || null,
+      tokens: message.tokens ?? countConversationTokens(message, message.model || model)
+    }));
+  if (stored.length === 0) {
+    return [];
+  }
+
+  const title = stored.find(message => message.role === 'user')?.content.slice(0, 100) || null;
+
+  return getPrisma().$queryRaw`
+    WITH bumped AS (
+      UPDATE conversations
+      SET message_count = message_count + ${stored.length}, title = COALESCE(title, ${title})
+      WHERE id = ${conversationId}::uuid
+      RETURNING message_count - ${stored.length} AS start
+    )
+    INSERT INTO conversation_messages (conversation_id, position, role, content, model, provider, tokens)
+    SELECT ${conversationId}::uuid, bumped.start + m.ord - 1, m.role, m.content, m.model, m.provider, m.tokens
+    FROM bumped, jsonb_to_recordset(${JSON.stringify(stored)}::jsonb) WITH ORDINALITY
+      AS m(role TEXT, content TEXT, model TEXT, provider TEXT, tokens INTEGER, ord BIGINT)
+    RETURNING id, position, role, content, created_at
+  `;
+}
+
+async function saveSummary(conversationId, summary, summarizedCount) {
+  await getPrisma().$executeRaw`
+    UPDATE conversations
+    SET summary = ${summary}, summarized_count = ${summarizedCount}
+    WHERE id = ${conversationId}::uuid
+  `;
+}
+
+/**
+ * Fold messages that no longer fit into the running summary
+ */
+export async function summarizeMessages(previousSummary, messages) {
+  const transcript = messages.map(message => `${message.role}: ${message.content}`).join('\n\n');
+  const result = await callLLMWithFailover({
+    model: CONVERSATION_SUMMARY_MODEL,
+    max_tokens: SUMMARY_MAX_TOKENS,
+    temperature: 0,
+    messages: [{
+      role: 'user',
+      content: `Summarize this career coaching conversation so it can be continued later. Keep the user's goals, background, constraints and any advice or decisions already given. Write at most 250 words.
+
+${previousSummary ? `Earlier summary:\n${previousSummary}\n\n` : ''}Conversation:\n${transcript}`
+    }]
+  });
+  return result.choices[0].message.content.trim();
+}
+
+/**
+ * Keep the newest history that fits the budget, oldest first. The kept
+ * history always opens with a user turn, which the Messages API requires
+ * after the system messages.
+ */
+export function selectRecentMessages(history, budget, model) {
+  const kept = [];
+  let used = 0;
+
+  for (let i = history.length - 1; i >= 0; i--) {
+    const tokens = countConversationTokens(history[i], model);
+    if (used + tokens > budget) {
+      break;
+    }
+    kept.unshift(history[i]);
+    used += tokens;
+  }
+
+  while (kept.length > 0 && kept[0].role === 'assistant') {
+    kept.shift();
+  }
+
+  return kept;
+}
+
+/**
+ * Build the prompt for a new turn: request system messages, the thread summary,
+ * as much recent history as fits, then the new messages.
+ * Resolves to { messages, truncated_count, summarized }.
+ */
+export async function buildConversationContext(conversation, history, newMessages, {
+  model,
+  maxTokens,
+  summarize = process.env.CONVERSATION_SUMMARIES !== 'false'
+}) {
+  const systemMessages = newMessages.filter(message => message.role === 'system');
+  const turnMessages = newMessages.filter(message => message.role !== 'system');
+  const pinnedTokens = newMessages.reduce((sum, message) => sum + countConversationTokens(message, model), 0);
+  const budget = getContextBudget(model, maxTokens) - pinnedTokens;
+
+  let summary = conversation.summary || null;
+  let summarizedCount = conversation.summarized_count || 0;
+  const unsummarized = history.slice(summarizedCount).map(({ role, content }) => ({ role, content }));
+
+  const summaryMessage = () => (summary
+    ? [{ role: 'system', content: `Summary of the earlier conversation:\n${summary}` }]
+    : []);
+
+  const summaryTokens = summary ? countConversationTokens(summaryMessage()[0], model) : 0;
+  const historyTokens = unsummarized.reduce((sum, message) => sum + countConversationTokens(message, model), 0);
+
+  if (summaryTokens + historyTokens <= budget) {
+    return {
+      messages: [...systemMessages, ...summaryMessage(), ...unsummarized, ...turnMessages],
+      truncated_count: 0,
+      summarized: false
+    };
+  }
+
+  // Leave room for a summary of whatever has to be dropped
+  const kept = selectRecentMessages(unsummarized, Math.max(0, budget - SUMMARY_MAX_TOKENS - 20), model);
+  const dropped = unsummarized.slice(0, unsummarized.length - kept.length);
+  let summarized = false;
+
+  if (summarize && dropped.length > 0) {
+    try {
+      summary = await summarizeMessages(summary, dropped);
+      summarizedCount += dropped.length;
+      await saveSummary(conversation.id, summary, summarizedCount);
+      summarized = true;
+    } catch (error) {
+      console.error('Conversation summary failed, truncating instead:', error.message);
+    }
+  }
+
+  return {
+    messages: [...systemMessages, ...summaryMessage(), ...kept, ...turnMessages],
+    truncated_count: dropped.length,
+    summarized
+  };
+}
+
+/**
+ * Store a completed turn: the request's new messages and the model's reply
+ */
+export async function saveConversationTurn(conversationId, newMessages, reply) {
+  return appendMessages(conversationId, [
+    ...newMessages,
+    {
+      role: 'assistant',
+      content: reply.content,
+      model: reply.model,
+      provider: reply.provider,
+      tokens: reply.completion_tokens
+    }
+  ], reply.model);
+}
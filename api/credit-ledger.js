@@ -0,0 +1,85 @@
+// Two-phase credit ledger
+// Credits are reserved (held) before an LLM call, then captured with the actual
+// amount or released if the call fails. Holds that are never resolved expire
+// after their TTL (see expire_stale_credit_holds in database/functions.sql):
+// lazily on the owner's next request and on a periodic sweep by the server.
+
+import { getPrisma } from './db.js';
+
+export const CREDIT_HOLD_TTL_SECONDS = parseInt(process.env.CREDIT_HOLD_TTL_SECONDS, 10) || 300;
+export const CREDIT_HOLD_SWEEP_INTERVAL_SECONDS = parseInt(process.env.CREDIT_HOLD_SWEEP_INTERVAL_SECONDS, 10) || 60;
+
+/**
+ * Reserve credits for a request. Resolves to { success, hold_id, expires_at, ... }
+ * or { success: false, error, required, available } when the balance is too low.
+ */
+export async function holdCredits(userId, amount, description, metadata = null, ttlSeconds = CREDIT_HOLD_TTL_SECONDS) {
+  const result = await getPrisma().$queryRaw`
+    SELECT hold_credits(
+      ${userId}::uuid,
+      ${amount}::decimal,
+      ${description}::text,
+      ${JSON.stringify(metadata)}::jsonb,
+      ${ttlSeconds}::integer
+    ) as hold_result
+  `;
+  return JSON.parse(result[0].hold_result);
+}
+
+/**
+ * Charge the actual amount against a hold and record LLM usage
+ */
+export async function captureCreditHold(holdId, amount, description, usageData) {
+  const result = await getPrisma().$queryRaw`
+    SELECT capture_credit_hold(
+      ${holdId}::uuid,
+      ${amount}::decimal,
+      ${description}::text,
+      ${JSON.stringify(usageData)}::jsonb
+    ) as capture_result
+  `;
+  return JSON.parse(result[0].capture_result);
+}
+
+/**
+ * Return held credits to the spendable balance
+ */
+export async function releaseCreditHold(holdId, reason = 'released') {
+  const result = await getPrisma().$queryRaw`
+    SELECT release_credit_hold(${holdId}::uuid, ${reason}::text) as release_result
+  `;
+  return JSON.parse(result[0].release_result);
+}
+
+/**
+ * Expire every hold past its TTL; returns how many were expired
+ */
+export async function expireStaleCreditHolds() {
+  const result = await getPrisma().$queryRaw`
+    SELECT expire_stale_credit_holds() as expired_count
+  `;
+  return Number(result[0].expired_count);
+}
+
+/**
+ * Run expireStaleCreditHolds every `intervalSeconds` so credits locked by an
+ * abandoned request come back even if its owner never returns. The timer does
+ * not keep the process alive; clear it on shutdown.
+ */
+export function scheduleCreditHoldExpiry(intervalSeconds = CREDIT_HOLD_SWEEP_INTERVAL_SECONDS) {
+  const timer = setInterval(() => {
+    expireStaleCreditHolds().catch(error => console.error('Failed to expire credit holds:', error));
+  }, intervalSeconds * 1000);
+  timer.unref();
+  return timer;
+}
+
+/**
+ * Balance, holds and remaining daily free credits from get_user_credit_balance
+ */
+export async function getCreditBalance(userId) {
+  const result = await getPrisma().$queryRaw`
+    SELECT get_user_credit_balance(${userId}::uuid) as balance_result
+  `;
+  return JSON.parse(result[0].balance_result);
+}
@@ -0,0 +1,117 @@
+// Credit package catalogue
+// The credit_packages table is the only source of package definitions. Admins
+// add or retire packages there; retired packages stay in the table so that
+// purchases of their Stripe prices can still be credited.
+
+import { getPrisma } from './db.js';
+
+/**
+ * Shape a credit_packages row for API responses
+ */
+function formatPackage(row) {
+  const credits = Number(row.credits);
+  const price = Number(row.price_usd);
+
+  return {
+    id: row.id,
+    name: row.name,
+    credits,
+    price,
+    price_per_credit: Math.round((price / credits) * 1000) / 1000,
+    stripe_price_id: row.stripe_price_id,
+    description: row.description,
+    features: row.features || [],
+    popular: !!row.is_popular,
+    is_active: row.is_active,
+    sort_order: row.sort_order
+  };
+}
+
+/**
+ * List packages available for purchase, cheapest per credit marked bestValue
+ */
+export async function getCreditPackages() {
+  const rows = await getPrisma().$queryRaw`
+    SELECT * FROM credit_packages
+    WHERE is_active = true
+    ORDER BY sort_order, price_usd
+  `;
+  const packages = rows.map(formatPackage);
+
+  const bestValue = packages.reduce(
+    (best, pkg) => (!best || pkg.price_per_credit < best.price_per_credit ? pkg : best),
+    null
+  );
+  return packages.map(pkg => ({ ...pkg, bestValue: packages.length > 1 && pkg === bestValue }));
+}
+
+/**
+ * List every package, including retired ones (admin view)
+ */
+export async function getAllCreditPackages() {
+  const rows = await getPrisma().$queryRaw`
+    SELECT * FROM credit_packages ORDER BY is_active DESC, sort_order, price_usd
+  `;
+  return rows.map(formatPackage);
+}
+
+/**
+ * Look up a purchasable package by ID
+ */
+export async function getCreditPackage(packageId) {
+  const rows = await getPrisma().$queryRaw`
+    SELECT * FROM credit_packages
+    WHERE id::text = ${packageId} AND is_active = true
+    LIMIT 1
+  `;
+  return rows[0] ? formatPackage(rows[0]) : null;
+}
+
+/**
+ * Map Stripe price IDs to packages, including retired packages
+ */
+export async function getCreditPackagesByPriceIds(priceIds) {
+  if (priceIds.length === 0) {
+    return new Map();
+  }
+
+  const rows = await getPrisma().$queryRaw`
+    SELECT * FROM credit_packages WHERE stripe_price_id = ANY(${priceIds})
+  `;
+  return new Map(rows.map(row => [row.stripe_price_id, formatPackage(row)]));
+}
+
+/**
+ * Add a package
+ */
+export async function createCreditPackage(data) {
+  const rows = await getPrisma().$queryRaw`
+    INSERT INTO credit_packages (
+      name, credits, price_usd, stripe_price_id, sort_order, description, features, is_popular
+    ) VALUES (
+      ${data.name},
+      ${data.credits}::decimal,
+      ${data.price_usd}::decimal,
+      ${data.stripe_price_id},
+      ${data.sort_order ?? 0}::integer,
+      ${data.description ?? null},
+      ${JSON.stringify(data.features ?? [])}::jsonb,
+      ${!!data.popular}
+    )
+    RETURNING *
+  `;
+  return formatPackage(rows[0]);
+}
+
+/**
+ * Retire a package so it can no longer be bought; returns null if not found
+ */
+export async function retireCreditPackage(packageId) {
+  const rows = await getPrisma().$queryRaw`
+    UPDATE credit_packages
+    SET is_active = false, retired_at = COALESCE(retired_at, NOW())
+    WHERE id::text = ${packageId}
+    RETURNING *
+  `;
+  return rows[0] ? formatPackage(rows[0]) : null;
+}
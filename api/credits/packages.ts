@@ -1,11 +1,12 @@
 import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { getCreditPackages } from '../credit-packages.js';
 
 export default async function handler(req: VercelRequest, res: VercelResponse) {
-  // Placeholder: return mock credit packages
-  const packages = [
-    { id: '1', name: 'Starter', credits_amount: 10, price_cents: 1000, is_active: true },
-    { id: '2', name: 'Professional', credits_amount: 30, price_cents: 2500, is_active: true },
-    { id: '3', name: 'Expert', credits_amount: 100, price_cents: 7500, is_active: true },
-  ];
-  res.status(200).json(packages);
-} 
\ No newline at end of file
+  try {
+    const packages = await getCreditPackages();
+    res.status(200).json(packages);
+  } catch (error) {
+    console.error('Error fetching credit packages:', error);
+    res.status(500).json({ error: 'Failed to fetch credit packages' });
+  }
+}
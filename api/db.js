@@ -0,0 +1,43 @@
+// Shared Prisma client
+// Created on first use so modules that only import helpers do not open a
+// database connection (and tests can run without a generated client).
+
+import { PrismaClient } from '@prisma/client';
+import { isTracingEnabled, withSpan } from '../src/utils/tracing.js';
+
+// Database function called by a raw query (SELECT hold_credits(...)), used as the span name
+const SQL_FUNCTION_PATTERN = /^\s*SELECT\s+(\w+)\s*\(/i;
+
+let prisma = null;
+
+/**
+ * Wrap raw queries that call a database function in a tracing span
+ */
+function traceDatabaseFunctions(client) {
+  return new Proxy(client, {
+    get(target, property) {
+      const value = Reflect.get(target, property);
+      if (property !== '$queryRaw') {
+        return typeof value === 'function' ? value.bind(target) : value;
+      }
+
+      return (strings, ...values) => {
+        const sqlFunction = strings[0]?.match(SQL_FUNCTION_PATTERN)?.[1];
+        if (!sqlFunction) {
+          return value.call(target, strings, ...values);
+        }
+        return withSpan(`db ${sqlFunction}`, {
+          'db.system': 'postgresql',
+          'db.operation.name': sqlFunction
+        }, () => value.call(target, strings, ...values));
+      };
+    }
+  });
+}
+
+export function getPrisma() {
+  if (!prisma) {
+    prisma = isTracingEnabled() ? traceDatabaseFunctions(new PrismaClient()) : new PrismaClient();
+  }
+  return prisma;
+}
@@ -1,4 +1,157 @@
-export default function handler(req, res) {
+// Health checks
+// Liveness only says the process is serving requests. Readiness checks what
+// requests depend on: the database and the SQL functions the credit paths
+// call, the rate limit store, LLM provider keys, and Stripe. A failing required check
+// makes the instance not ready (503); failing optional ones mark it degraded.
+
+import { getPrisma } from './db.js';
+import { getAvailableProviders } from './llm-providers.js';
+import { isStripeConfigured } from './stripe-service.js';
+import { getRateLimiter, getRateLimitStoreType } from './rate-limiter.js';
+
+export const REQUIRED_SQL_FUNCTIONS = ['consume_credits', 'hold_credits'];
+
+// A hung dependency fails its check rather than the probe timing out
+const HEALTH_CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 2000;
+
+const startedAt = Date.now();
+
+class HealthCheckError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'HealthCheckError';
+    this.details = details;
+  }
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new HealthCheckError(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Time a check; fn returns extra details for the report and throws on failure
+ */
+async function runCheck(fn, { required }) {
+  const start = Date.now();
+  try {
+    const details = await withTimeout(Promise.resolve().then(fn), HEALTH_CHECK_TIMEOUT_MS);
+    return { status: 'ok', required, latency_ms: Date.now() - start, ...details };
+  } catch (error) {
+    return {
+      status: 'fail',
+      required,
+      latency_ms: Date.now() - start,
+      error: error.message,
+      ...error.details
+    };
+  }
+}
+
+async function checkDatabase() {
+  await getPrisma().$queryRaw`SELECT 1`;
+  return {};
+}
+
+async function checkSqlFunctions() {
+  const rows = await getPrisma().$queryRaw`
+    SELECT DISTINCT proname::text AS name
+    FROM pg_proc
+    WHERE proname::text = ANY(${REQUIRED_SQL_FUNCTIONS})
+  `;
+  const present = new Set(rows.map(row => row.name));
+  const missing = REQUIRED_SQL_FUNCTIONS.filter(name => !present.has(name));
+
+  if (missing.length > 0) {
+    throw new HealthCheckError(`Missing SQL functions: ${missing.join(', ')}`, { missing });
+  }
+  return { functions: REQUIRED_SQL_FUNCTIONS };
+}
+
+// Reads a probe key through the shared limiter, so the configured store
+// (Postgres table, Redis or memory) has to answer
+async function checkRateLimitStore() {
+  const store = getRateLimitStoreType();
+  try {
+    await getRateLimiter().check('health:ready', 'anonymous');
+  } catch (error) {
+    throw new HealthCheckError(error.message, { store });
+  }
+  return { store };
+}
+
+// Ready as long as one provider can serve queries; failover covers the rest
+function checkProviders() {
+  const providers = Object.fromEntries(
+    getAvailableProviders().map(provider => [provider.id, provider.status])
+  );
+
+  if (!Object.values(providers).includes('available')) {
+    throw new HealthCheckError('No LLM provider has an API key configured', { providers });
+  }
+  return { providers };
+}
+
+function checkStripe() {
+  if (!isStripeConfigured()) {
+    throw new HealthCheckError('Stripe keys are not configured');
+  }
+  return {};
+}
+
+function checkStripeWebhook() {
+  if (!process.env.STRIPE_WEBHOOK_SECRET) {
+    throw new HealthCheckError('STRIPE_WEBHOOK_SECRET is not set');
+  }
+  return {};
+}
+
+export function checkLiveness() {
+  return {
+    status: 'ok',
+    uptime_seconds: Math.round((Date.now() - startedAt) / 1000),
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Run every readiness check. status is 'ok', 'degraded' (an optional check
+ * failed) or 'fail' (a required check failed, ready: false)
+ */
+export async function checkReadiness() {
+  const [database, sqlFunctions, rateLimitStore, providers, stripe, stripeWebhook] = await Promise.all([
+    runCheck(checkDatabase, { required: true }),
+    runCheck(checkSqlFunctions, { required: true }),
+    runCheck(checkRateLimitStore, { required: true }),
+    runCheck(checkProviders, { required: true }),
+    runCheck(checkStripe, { required: false }),
+    runCheck(checkStripeWebhook, { required: false })
+  ]);
+  const checks = {
+    database,
+    sql_functions: sqlFunctions,
+    rate_limit_store: rateLimitStore,
+    providers,
+    stripe,
+    stripe_webhook: stripeWebhook
+  };
+
+  const failed = Object.values(checks).filter(check => check.status === 'fail');
+  const ready = !failed.some(check => check.required);
+
+  return {
+    status: !ready ? 'fail' : failed.length > 0 ? 'degraded' : 'ok',
+    ready,
+    checks,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// GET /api/health runs the readiness checks; ?probe=live only answers liveness
+export default async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
@@ -10,12 +163,17 @@ export default function handler(req, res) {
     return;
   }
 
-  // Health check response
-  res.status(200).json({
-    status: 'OK',
-    timestamp: new Date().toISOString(),
+  const service = {
     environment: process.env.NODE_ENV || 'production',
     service: 'LLM Credit System API',
     version: '1.0.0'
-  });
-} 
\ No newline at end of file
+  };
+
+  if (req.query?.probe === 'live') {
+    res.status(200).json({ ...checkLiveness(), ...service });
+    return;
+  }
+
+  const readiness = await checkReadiness();
+  res.status(readiness.ready ? 200 : 503).json({ ...readiness, ...service });
+}
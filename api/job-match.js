@@ -0,0 +1,226 @@
+// Job description vs. resume matching
+// The match score and the matched/missing requirements are computed locally
+// from skill and keyword overlap, so they are repeatable and cost nothing to
+// explain. The model only writes the narrative (strengths, gaps) and a cover
+// letter draft, given the local results. Billed at the flat job_match cost.
+
+import { routeQuery } from './query-classifier.js';
+import { runPricedQuery } from './priced-queries.js';
+
+export const JOB_MATCH_QUERY_TYPE = 'job_match';
+
+// Skills recognised in job descriptions, with the spellings that count as each
+export const SKILL_ALIASES = {
+  python: ['python'],
+  sql: ['sql'],
+  java: ['java'],
+  javascript: ['javascript'],
+  typescript: ['typescript'],
+  'c++': ['c++'],
+  'c#': ['c#', '.net'],
+  go: ['golang'],
+  react: ['react', 'react.js', 'reactjs'],
+  'node.js': ['node.js', 'nodejs'],
+  'rest apis': ['rest', 'restful', 'rest api', 'rest apis'],
+  graphql: ['graphql'],
+  postgresql: ['postgresql', 'postgres'],
+  mongodb: ['mongodb'],
+  redis: ['redis'],
+  aws: ['aws', 'amazon web services'],
+  azure: ['azure'],
+  gcp: ['gcp', 'google cloud'],
+  docker: ['docker'],
+  kubernetes: ['kubernetes', 'k8s'],
+  terraform: ['terraform'],
+  linux: ['linux'],
+  git: ['git'],
+  'ci/cd': ['ci/cd', 'continuous integration', 'continuous delivery'],
+  'machine learning': ['machine learning', 'ml'],
+  'deep learning': ['deep learning'],
+  nlp: ['nlp', 'natural language processing'],
+  statistics: ['statistics', 'statistical'],
+  pandas: ['pandas'],
+  spark: ['spark', 'pyspark'],
+  airflow: ['airflow'],
+  dbt: ['dbt'],
+  snowflake: ['snowflake'],
+  tensorflow: ['tensorflow'],
+  pytorch: ['pytorch'],
+  tableau: ['tableau'],
+  'power bi': ['power bi', 'powerbi'],
+  excel: ['excel'],
+  'data analysis': ['data analysis', 'data analytics'],
+  'data visualization': ['data visualization', 'data visualisation'],
+  'a/b testing': ['a/b testing', 'experimentation'],
+  figma: ['figma'],
+  'user research': ['user research', 'ux research'],
+  seo: ['seo'],
+  salesforce: ['salesforce'],
+  'financial modeling': ['financial modeling', 'financial modelling'],
+  agile: ['agile'],
+  scrum: ['scrum'],
+  'project management': ['project management'],
+  'product management': ['product management', 'product manager'],
+  'stakeholder management': ['stakeholder management', 'stakeholders'],
+  leadership: ['leadership', 'people management'],
+  communication: ['communication', 'communicator']
+};
+
+// Words too common in job postings to say anything about fit
+const STOPWORDS = new Set(`
+  a about above across after all also an and any are as at be been being both but by can could
+  do does each etc for from has have having how if in into is it its may more most must new no
+  not of on or other our out over per plus such than that the their them then there these they
+  this those through to under up us via was we well were what when where which while who will
+  with within would you your yours
+  ability able apply applicant applicants based benefits best candidate candidates company
+  competitive environment equal excellent experience experiences familiarity good great help
+  ideal including job join knowledge looking nice opportunity plus preferred qualifications
+  related required requirement requirements responsibilities responsible role skills strong
+  team teams understanding using work working year years
+`.trim().split(/\s+/));
+
+// Distinct terms that decide the keyword part of the score
+const MAX_KEYWORDS = 20;
+
+// Share of the score from required skills when the posting names any
+const SKILL_WEIGHT = 0.7;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+// Whole-term match that also works for terms ending in symbols (c++, c#, .net)
+const termPattern = (term) => new RegExp(`(?<![\\w+#.])${escapeRegExp(term)}(?![\\w+#])`, 'i');
+
+const SKILL_PATTERNS = Object.entries(SKILL_ALIASES).map(([skill, aliases]) => [
+  skill,
+  aliases.map(termPattern)
+]);
+
+/**
+ * Known skills mentioned in a text, in SKILL_ALIASES order
+ */
+export function extractSkills(text) {
+  return SKILL_PATTERNS
+    .filter(([, patterns]) => patterns.some(pattern => pattern.test(text)))
+    .map(([skill]) => skill);
+}
+
+const stem = (word) => (word.length > 4 && word.endsWith('s') ? word.slice(0, -1) : word);
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z][a-z0-9+#-]*[a-z0-9+#]|[a-z]/g) || [])
+    .filter(word => word.length > 2 && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * The posting's most frequent meaningful terms (ties keep their first position)
+ */
+export function extractKeywords(text, limit = MAX_KEYWORDS) {
+  const counts = new Map();
+  for (const word of tokenize(text)) {
+    counts.set(word, (counts.get(word) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([word]) => word);
+}
+
+/**
+ * Deterministic part of the match: skill requirements and keyword coverage.
+ * Skills listed on the user's profile count as present even when the resume
+ * does not mention them.
+ */
+export function scoreJobMatch({ jobDescription, resumeText = '', profileSkills = [] }) {
+  const required = extractSkills(jobDescription);
+  const candidateSkills = new Set([
+    ...extractSkills(resumeText),
+    ...extractSkills(profileSkills.join(', '))
+  ]);
+  const matched = required.filter(skill => candidateSkills.has(skill));
+  const missing = required.filter(skill => !candidateSkills.has(skill));
+
+  const keywords = extractKeywords(jobDescription);
+  const candidateTerms = new Set(tokenize(`${resumeText} ${profileSkills.join(' ')}`));
+  const matchedKeywords = keywords.filter(word => candidateTerms.has(word));
+  const keywordCoverage = keywords.length > 0 ? matchedKeywords.length / keywords.length : 0;
+
+  const score = required.length > 0
+    ? SKILL_WEIGHT * (matched.length / required.length) + (1 - SKILL_WEIGHT) * keywordCoverage
+    : keywordCoverage;
+
+  return {
+    score: Math.round(score * 100),
+    requirements: { matched, missing },
+    keywords: {
+      matched: matchedKeywords,
+      missing: keywords.filter(word => !candidateTerms.has(word)),
+      coverage_percent: Math.round(keywordCoverage * 100)
+    }
+  };
+}
+
+// The answer's shape comes from the job_match output schema
+const NARRATIVE_INSTRUCTIONS = `You are an expert career coach helping a candidate apply for a job.
+You are given the job description, the candidate's resume and a computed skill match. Do not recompute the score.
+Explain the fit, the strengths and the gaps, and draft a tailored cover letter.`;
+
+export function buildJobMatchMessages({ jobDescription, jobTitle, resumeText, profileSkills, match }) {
+  const profile = profileSkills.length > 0 ? `\n\nSkills listed on the candidate's profile: ${profileSkills.join(', ')}` : '';
+
+  return [
+    { role: 'system', content: NARRATIVE_INSTRUCTIONS },
+    {
+      role: 'user',
+      content: `Job${jobTitle ? `: ${jobTitle}` : ''}\n"""${jobDescription}"""\n\n` +
+        `Resume:\n"""${resumeText || 'No resume on file.'}"""${profile}\n\n` +
+        `Computed match: ${match.score}/100. Matched requirements: ${match.requirements.matched.join(', ') || 'none'}. ` +
+        `Missing requirements: ${match.requirements.missing.join(', ') || 'none'}.`
+    }
+  ];
+}
+
+/**
+ * Score the user's resume/profile against a job description and have the
+ * model write the narrative and cover letter. Resolves to { success: true,
+ * score, requirements, keywords, narrative, cover_letter, usage, ... } or
+ * { success: false, error, status }.
+ */
+export async function matchJob({
+  userId,
+  apiKeyId = null,
+  jobDescription,
+  jobTitle = null,
+  resumeText = '',
+  profileSkills = [],
+  model = null
+}) {
+  const match = scoreJobMatch({ jobDescription, resumeText, profileSkills });
+
+  const result = await runPricedQuery({
+    userId,
+    apiKeyId,
+    queryType: JOB_MATCH_QUERY_TYPE,
+    description: `Job match${jobTitle ? ` for ${jobTitle}` : ''}`.slice(0, 200),
+    request: {
+      model: model || routeQuery(JOB_MATCH_QUERY_TYPE),
+      messages: buildJobMatchMessages({ jobDescription, jobTitle, resumeText, profileSkills, match }),
+      max_tokens: 2000,
+      temperature: 0.4
+    }
+  });
+  if (!result.success) {
+    return result;
+  }
+
+  const { output, ...details } = result;
+  const { cover_letter: coverLetter, ...narrative } = output;
+  return {
+    ...details,
+    job_title: jobTitle,
+    ...match,
+    narrative,
+    cover_letter: coverLetter
+  };
+}
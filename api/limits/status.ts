@@ -1,10 +1,36 @@
 import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { getLimitStatus } from '../rate-limiter.js';
+import { getRequestUser, hasScope } from '../../src/middleware/auth.js';
 
 export default async function handler(req: VercelRequest, res: VercelResponse) {
-  // Placeholder: return mock rate limit status
-  const status = {
-    remaining: { hourly: 5, daily: 10 },
-    resetTime: new Date(Date.now() + 60 * 60 * 1000),
-  };
-  res.status(200).json(status);
-} 
\ No newline at end of file
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Same key the limiter uses: the signed-in user, otherwise the client IP
+  let user;
+  try {
+    user = await getRequestUser(req);
+  } catch (error) {
+    return res.status(401).json({ error: (error as Error).message });
+  }
+  if (!hasScope(user, 'billing:read')) {
+    return res.status(403).json({ error: 'API key lacks the billing:read scope' });
+  }
+  const forwardedFor = req.headers['x-forwarded-for'];
+  const ip = (Array.isArray(forwardedFor) ? forwardedFor[0] : forwardedFor)?.split(',')[0].trim()
+    || req.socket.remoteAddress
+    || '127.0.0.1';
+
+  try {
+    const status = await getLimitStatus({
+      userId: user?.id,
+      subscriptionTier: user?.subscription_tier,
+      ip,
+    });
+    res.status(200).json(status);
+  } catch (error) {
+    console.error('Error fetching rate limit status:', error);
+    res.status(500).json({ error: 'Failed to fetch rate limit status' });
+  }
+}
@@ -0,0 +1,197 @@
+// LLM provider failover
+// Walks a per-model fallback chain (e.g. claude-3-sonnet → gpt-4 → sonar-large),
+// retrying retryable provider errors with jittered exponential backoff and
+// skipping providers whose circuit breaker is open.
+
+import { callLLMProvider, streamLLMProvider } from './llm-providers.js';
+import {
+  findProviderForModel,
+  isProviderConfigured,
+  getCircuitBreaker,
+  ProviderError,
+  PROVIDER_ERROR_CODES
+} from './providers/index.js';
+
+// Models tried, in order, after the requested model fails.
+// Override or extend with LLM_FALLBACK_CHAINS='{"model": ["fallback-1", "fallback-2"]}'
+export const DEFAULT_FALLBACK_CHAINS = {
+  'claude-3-sonnet-20240229': ['gpt-4', 'llama-3.1-sonar-large-128k-online'],
+  'claude-3-haiku-20240307': ['gpt-3.5-turbo', 'llama-3.1-sonar-small-128k-online'],
+  'gpt-4': ['claude-3-sonnet-20240229', 'llama-3.1-sonar-large-128k-online'],
+  'gpt-3.5-turbo': ['claude-3-haiku-20240307', 'llama-3.1-sonar-small-128k-online'],
+  'llama-3.1-sonar-large-128k-online': ['gpt-4', 'claude-3-sonnet-20240229'],
+  'llama-3.1-sonar-small-128k-online': ['gpt-3.5-turbo', 'claude-3-haiku-20240307'],
+  'gemini-1.5-pro': ['claude-3-sonnet-20240229', 'gpt-4'],
+  'gemini-1.5-flash': ['claude-3-haiku-20240307', 'gpt-3.5-turbo']
+};
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+export const RETRY_DEFAULTS = {
+  maxRetries: envInt('LLM_MAX_RETRIES', 2),
+  baseDelayMs: envInt('LLM_RETRY_BASE_DELAY_MS', 250),
+  maxDelayMs: envInt('LLM_RETRY_MAX_DELAY_MS', 4000)
+};
+
+function loadFallbackChains() {
+  const chains = { ...DEFAULT_FALLBACK_CHAINS };
+  if (!process.env.LLM_FALLBACK_CHAINS) {
+    return chains;
+  }
+
+  try {
+    return { ...chains, ...JSON.parse(process.env.LLM_FALLBACK_CHAINS) };
+  } catch (error) {
+    console.error('Invalid LLM_FALLBACK_CHAINS, using defaults:', error.message);
+    return chains;
+  }
+}
+
+const fallbackChains = loadFallbackChains();
+
+/**
+ * Replace the fallback models for a model (an empty list disables failover)
+ */
+export function setFallbackChain(model, fallbacks) {
+  fallbackChains[model] = [...fallbacks];
+}
+
+/**
+ * Full list of models to try for a request, starting with the requested one
+ */
+export function getFallbackChain(model) {
+  return [...new Set([model, ...(fallbackChains[model] || [])])];
+}
+
+/**
+ * Full-jitter exponential backoff, never shorter than the provider's Retry-After
+ */
+export function computeBackoffDelay(attempt, error, { baseDelayMs, maxDelayMs, random = Math.random }) {
+  const jittered = random() * baseDelayMs * 2 ** attempt;
+  return Math.min(maxDelayMs, Math.max(error?.retryAfterMs || 0, jittered));
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function describeFailure(adapter, model, error) {
+  return {
+    provider: adapter?.id || null,
+    model,
+    code: error.code || PROVIDER_ERROR_CODES.UNKNOWN,
+    message: error.message
+  };
+}
+
+// Try each model in the chain until one attempt succeeds.
+// `attemptFn(request)` performs a single provider call for the given model.
+async function runWithFailover(request, attemptFn, options = {}) {
+  const {
+    chain = getFallbackChain(request.model),
+    maxRetries = RETRY_DEFAULTS.maxRetries,
+    baseDelayMs = RETRY_DEFAULTS.baseDelayMs,
+    maxDelayMs = RETRY_DEFAULTS.maxDelayMs,
+    random = Math.random,
+    wait = sleep
+  } = options;
+  const failures = [];
+
+  for (const model of chain) {
+    const adapter = findProviderForModel(model);
+    if (!adapter) {
+      failures.push(describeFailure(null, model, { code: PROVIDER_ERROR_CODES.INVALID_REQUEST, message: `Model ${model} not found` }));
+      continue;
+    }
+    if (!isProviderConfigured(adapter)) {
+      failures.push(describeFailure(adapter, model, { code: PROVIDER_ERROR_CODES.NOT_CONFIGURED, message: `${adapter.label} API key not configured` }));
+      continue;
+    }
+
+    const breaker = getCircuitBreaker(adapter.id);
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      if (!breaker.canRequest()) {
+        failures.push(describeFailure(adapter, model, { code: PROVIDER_ERROR_CODES.CIRCUIT_OPEN, message: `${adapter.label} circuit is open` }));
+        break;
+      }
+
+      try {
+        const outcome = await attemptFn({ ...request, model });
+        breaker.recordSuccess();
+        return { outcome, failures };
+      } catch (error) {
+        if (!(error instanceof ProviderError) || request.signal?.aborted) {
+          breaker.release();
+          throw error;
+        }
+
+        failures.push(describeFailure(adapter, model, error));
+
+        // The provider answered; the request itself is the problem, so no other
+        // provider will do better with it
+        if (error.code === PROVIDER_ERROR_CODES.INVALID_REQUEST) {
+          breaker.recordSuccess();
+          throw error;
+        }
+
+        breaker.recordFailure();
+        if (!error.retryable || attempt === maxRetries) {
+          break;
+        }
+
+        const delay = computeBackoffDelay(attempt, error, { baseDelayMs, maxDelayMs, random });
+        if (delay > 0) {
+          await wait(delay);
+        }
+      }
+    }
+  }
+
+  const exhausted = new ProviderError(`All providers failed for ${request.model}`, {
+    code: PROVIDER_ERROR_CODES.FAILOVER_EXHAUSTED
+  });
+  exhausted.attempts = failures;
+  throw exhausted;
+}
+
+function failoverInfo(request, servedModel, failures) {
+  return {
+    requested_model: request.model,
+    fallback_used: servedModel !== request.model,
+    failed_attempts: failures
+  };
+}
+
+/**
+ * Non-streaming call with retries and failover. The result's `provider` and
+ * `model` are the ones that actually served the request.
+ */
+export async function callLLMWithFailover(request, options) {
+  const { outcome, failures } = await runWithFailover(request, callLLMProvider, options);
+  return { ...outcome, ...failoverInfo(request, outcome.model, failures) };
+}
+
+/**
+ * Streaming call with retries and failover. Failover only happens before the
+ * first event; once tokens have been sent a mid-stream error is rethrown.
+ */
+export async function* streamLLMWithFailover(request, options) {
+  const { outcome, failures } = await runWithFailover(request, async (attemptRequest) => {
+    const iterator = streamLLMProvider(attemptRequest);
+    const first = await iterator.next();
+    return { iterator, first: first.value };
+  }, options);
+  const { iterator, first } = outcome;
+
+  yield { ...first, ...failoverInfo(request, first.model, failures) };
+
+  try {
+    yield* iterator;
+  } catch (error) {
+    if (error instanceof ProviderError && error.retryable) {
+      getCircuitBreaker(first.provider).recordFailure();
+    }
+    throw error;
+  }
+}
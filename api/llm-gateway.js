@@ -1,35 +1,20 @@
 // Vega Career AI - LLM Gateway API
 // Handles credit consumption and routes requests to AI providers
 
-import { PrismaClient } from '@prisma/client';
+import { getPrisma } from './db.js';
+import { getModelConfig } from './llm-providers.js';
+import { callLLMWithFailover } from './llm-failover.js';
+import { callStructuredLLM, getOutputSchema, StructuredOutputError } from './structured-outputs.js';
+import { estimateUsage } from './usage-estimates.js';
+import { getResponseCache, isCacheBypassed } from './response-cache.js';
+import { holdCredits, captureCreditHold, releaseCreditHold } from './credit-ledger.js';
+import { getRateLimiter, identifyCaller, setRateLimitHeaders } from './rate-limiter.js';
+import { getRequestUser, hasScope, UnauthorizedError } from '../src/middleware/auth.js';
+import { resolveRequestId, runWithRequestContext, getRequestId } from '../src/utils/requestContext.js';
+import { creditsConsumedTotal, rateLimitRejectionsTotal } from '../src/utils/metrics.js';
 
-const prisma = new PrismaClient();
-
-// LLM Provider Configurations
-const PROVIDERS = {
-  claude: {
-    baseURL: 'https://api.anthropic.com/v1/messages',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': process.env.ANTHROPIC_API_KEY,
-      'anthropic-version': '2023-06-01'
-    }
-  },
-  perplexity: {
-    baseURL: 'https://api.perplexity.ai/chat/completions',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${process.env.PERPLEXITY_API_KEY}`
-    }
-  },
-  openai: {
-    baseURL: 'https://api.openai.com/v1/chat/completions',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
-    }
-  }
-};
+// Abort provider calls that outlive this, releasing their credit hold
+const LLM_REQUEST_TIMEOUT_MS = parseInt(process.env.LLM_REQUEST_TIMEOUT_MS, 10) || 60000;
 
 // Credit calculation utility
 function calculateCreditsRequired(tokens, config) {
@@ -44,34 +29,36 @@ function calculateCreditsRequired(tokens, config) {
   return Math.ceil((weightedTokens / 1000) * config.credits_per_1k_tokens * 100) / 100;
 }
 
-// Rate limiting check
-async function checkRateLimit(userId, ipAddress) {
-  try {
-    const result = await prisma.$queryRaw`
-      SELECT check_rate_limit(${userId}::uuid, ${ipAddress}::inet) as rate_limit_result
-    `;
-    return JSON.parse(result[0].rate_limit_result);
-  } catch (error) {
-    console.error('Rate limit check failed:', error);
-    return { allowed: false, error: 'Rate limit check failed' };
-  }
+// What the provider bills for the tokens, in USD
+function calculateProviderCost(tokens, config) {
+  const cost =
+    (tokens.prompt_tokens * Number(config.input_cost_per_1m_tokens) +
+     tokens.completion_tokens * Number(config.output_cost_per_1m_tokens)) / 1000000;
+  
+  return Math.round(cost * 1000000) / 1000000;
 }
 
-// Record rate limit usage
-async function recordRateLimitUsage(userId, ipAddress) {
+// Count the request against the caller's tier in the sliding-window limiter;
+// null when the limiter store is unreachable, in which case the request is let
+// through as in the tieredRateLimit middleware
+async function consumeRateLimit(user, ipAddress) {
   try {
-    await prisma.$queryRaw`
-      SELECT record_rate_limit_usage(${userId}::uuid, ${ipAddress}::inet)
-    `;
+    const { key, tier } = await identifyCaller({
+      userId: user?.id,
+      subscriptionTier: user?.subscription_tier,
+      ip: ipAddress
+    });
+    return await getRateLimiter().consume(key, tier);
   } catch (error) {
-    console.error('Failed to record rate limit usage:', error);
+    console.error('Rate limit check failed:', error);
+    return null;
   }
 }
 
 // Get user credit balance
 async function getUserCreditBalance(userId) {
   try {
-    const result = await prisma.$queryRaw`
+    const result = await getPrisma().$queryRaw`
       SELECT get_user_credit_balance(${userId}::uuid) as balance_result
     `;
     return JSON.parse(result[0].balance_result);
@@ -84,7 +71,7 @@ async function getUserCreditBalance(userId) {
 // Get provider configuration
 async function getProviderConfig(provider, model) {
   try {
-    const config = await prisma.llm_provider_configs.findFirst({
+    const config = await getPrisma().llm_provider_configs.findFirst({
       where: {
         provider: provider,
         model: model,
@@ -103,157 +90,49 @@ async function getProviderConfig(provider, model) {
   }
 }
 
-// Estimate token usage (simplified)
-function estimateTokens(messages, maxTokens = 1000) {
-  const promptText = messages.map(m => m.content).join(' ');
-  const promptTokens = Math.ceil(promptText.length / 4); // Rough estimate: 4 chars per token
-  const completionTokens = Math.min(maxTokens, Math.ceil(promptTokens * 0.5)); // Estimate response length
-  
-  return {
-    prompt_tokens: promptTokens,
-    completion_tokens: completionTokens,
-    total_tokens: promptTokens + completionTokens
-  };
-}
-
-// Call Claude API
-async function callClaude(request) {
-  const startTime = Date.now();
-  
-  try {
-    const response = await fetch(PROVIDERS.claude.baseURL, {
-      method: 'POST',
-      headers: PROVIDERS.claude.headers,
-      body: JSON.stringify({
-        model: request.model,
-        max_tokens: request.max_tokens || 1000,
-        messages: request.messages,
-        temperature: request.temperature || 0.7
-      })
-    });
-    
-    if (!response.ok) {
-      const errorData = await response.text();
-      throw new Error(`Claude API error: ${response.status} - ${errorData}`);
-    }
-    
-    const data = await response.json();
-    const responseTime = Date.now() - startTime;
-    
-    return {
-      choices: [{
-        message: {
-          role: 'assistant',
-          content: data.content[0].text
-        }
-      }],
-      usage: {
-        prompt_tokens: data.usage.input_tokens,
-        completion_tokens: data.usage.output_tokens,
-        total_tokens: data.usage.input_tokens + data.usage.output_tokens
-      },
-      model: request.model,
-      response_time_ms: responseTime,
-      request_id: data.id
-    };
-  } catch (error) {
-    console.error('Claude API call failed:', error);
-    throw error;
+// Pricing for the model that answered after a failover. The provider has
+// already been paid, so a model without a config row is priced from the
+// adapter registry instead of failing the request.
+async function getServedProviderConfig(provider, model) {
+  const config = await getPrisma().llm_provider_configs.findFirst({
+    where: { provider, model, is_active: true }
+  });
+  if (config) {
+    return config;
   }
-}
 
-// Call Perplexity API
-async function callPerplexity(request) {
-  const startTime = Date.now();
-  
-  try {
-    const response = await fetch(PROVIDERS.perplexity.baseURL, {
-      method: 'POST',
-      headers: PROVIDERS.perplexity.headers,
-      body: JSON.stringify({
-        model: request.model,
-        max_tokens: request.max_tokens || 1000,
-        messages: request.messages,
-        temperature: request.temperature || 0.7
-      })
-    });
-    
-    if (!response.ok) {
-      const errorData = await response.text();
-      throw new Error(`Perplexity API error: ${response.status} - ${errorData}`);
-    }
-    
-    const data = await response.json();
-    const responseTime = Date.now() - startTime;
-    
-    return {
-      choices: data.choices,
-      usage: data.usage,
-      model: request.model,
-      response_time_ms: responseTime,
-      request_id: data.id
-    };
-  } catch (error) {
-    console.error('Perplexity API call failed:', error);
-    throw error;
-  }
+  const modelConfig = getModelConfig(model);
+  return {
+    credits_per_1k_tokens: modelConfig.credits_per_1k_tokens,
+    input_cost_per_1m_tokens: modelConfig.input_cost_per_1m,
+    output_cost_per_1m_tokens: modelConfig.output_cost_per_1m
+  };
 }
 
-// Call OpenAI API
-async function callOpenAI(request) {
-  const startTime = Date.now();
+// Credit quote for a request: what the gateway would hold before calling the model
+async function quoteRequest({ model, messages, max_tokens = 1000, query_type = 'general' }) {
+  const modelConfig = getModelConfig(model);
+  const config = await getProviderConfig(modelConfig.provider, model);
+  const estimatedTokens = await estimateUsage({ messages, model, maxTokens: max_tokens, queryType: query_type });
   
-  try {
-    const response = await fetch(PROVIDERS.openai.baseURL, {
-      method: 'POST',
-      headers: PROVIDERS.openai.headers,
-      body: JSON.stringify({
-        model: request.model,
-        max_tokens: request.max_tokens || 1000,
-        messages: request.messages,
-        temperature: request.temperature || 0.7
-      })
-    });
-    
-    if (!response.ok) {
-      const errorData = await response.text();
-      throw new Error(`OpenAI API error: ${response.status} - ${errorData}`);
-    }
-    
-    const data = await response.json();
-    const responseTime = Date.now() - startTime;
-    
-    return {
-      choices: data.choices,
-      usage: data.usage,
-      model: request.model,
-      response_time_ms: responseTime,
-      request_id: data.id
-    };
-  } catch (error) {
-    console.error('OpenAI API call failed:', error);
-    throw error;
-  }
-}
-
-// Route request to appropriate provider
-async function callLLMProvider(request) {
-  switch (request.provider) {
-    case 'claude':
-      return await callClaude(request);
-    case 'perplexity':
-      return await callPerplexity(request);
-    case 'openai':
-      return await callOpenAI(request);
-    default:
-      throw new Error(`Unsupported provider: ${request.provider}`);
-  }
+  return {
+    provider: modelConfig.provider,
+    model,
+    query_type,
+    usage: estimatedTokens,
+    credits_estimated: calculateCreditsRequired(estimatedTokens, config),
+    // Ceiling if the model uses all of max_tokens
+    credits_max: calculateCreditsRequired({
+      prompt_tokens: estimatedTokens.prompt_tokens,
+      completion_tokens: max_tokens
+    }, config)
+  };
 }
 
 // Consume credits
 async function consumeCredits(userId, amount, description, usageData) {
   try {
-    const result = await prisma.$queryRaw`
+    const result = await getPrisma().$queryRaw`
       SELECT consume_credits(
         ${userId}::uuid,
         ${amount}::decimal,
@@ -269,14 +148,90 @@ async function consumeCredits(userId, amount, description, usageData) {
   }
 }
 
+// Answer a repeat question from the response cache at the cache credit rate
+async function serveCachedResponse(res, cached, { credits, user_id, api_key_id, query_type }) {
+  let consumptionResult = null;
+  if (user_id && credits > 0) {
+    // No tokens reach the provider, so the usage row carries only the credits
+    consumptionResult = await consumeCredits(user_id, credits, `${cached.provider} ${cached.model} cached response`, {
+      provider: cached.provider,
+      model: cached.model,
+      prompt_tokens: 0,
+      completion_tokens: 0,
+      total_tokens: 0,
+      provider_cost_usd: 0,
+      request_id: getRequestId(),
+      provider_request_id: cached.provider_request_id,
+      status: 'completed',
+      query_type,
+      api_key_id
+    });
+    if (!consumptionResult.success) {
+      return res.status(402).json({
+        error: 'Credit consumption failed',
+        details: consumptionResult.error
+      });
+    }
+    creditsConsumedTotal.inc({ query_type, cached: 'true' }, credits);
+  }
+  
+  const response = {
+    choices: cached.choices,
+    ...(cached.structured_output && { structured_output: cached.structured_output }),
+    usage: {
+      ...cached.usage,
+      credits_consumed: credits,
+      credits_estimated: credits
+    },
+    model: cached.model,
+    request_id: getRequestId(),
+    provider_request_id: cached.provider_request_id,
+    provider: cached.provider,
+    fallback_used: cached.fallback_used,
+    cached: true,
+    cached_at: cached.cached_at
+  };
+  if (consumptionResult) {
+    response.credit_info = {
+      new_balance: consumptionResult.new_balance,
+      used_free_credit: consumptionResult.used_free_credit,
+      daily_free_remaining: consumptionResult.daily_free_remaining
+    };
+  }
+  
+  return res.status(200).json(response);
+}
+
 // Main LLM Gateway Handler
+// Every request runs with a correlation ID (the caller's X-Request-Id or a new
+// one) that is echoed back and stored on its llm_usage row
 export default async function handler(req, res) {
+  const requestId = resolveRequestId(req.headers['x-request-id']);
+  res.setHeader('X-Request-Id', requestId);
+  return runWithRequestContext({ request_id: requestId }, () => handleGatewayRequest(req, res));
+}
+
+async function handleGatewayRequest(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
   
+  // The caller is the subject of the verified access token (or the owner of the
+  // API key), never a body field
+  let user = null;
+  try {
+    user = await getRequestUser(req);
+  } catch (error) {
+    return res.status(error instanceof UnauthorizedError ? 401 : 503).json({ error: error.message });
+  }
+  if (!hasScope(user, 'query')) {
+    return res.status(403).json({ error: 'API key lacks the query scope' });
+  }
+  const user_id = user?.id ?? null;
+  const api_key_id = user?.api_key_id ?? null;
+  
   try {
-    const { provider, model, messages, max_tokens, temperature, user_id, query_type } = req.body;
+    const { provider, model, messages, max_tokens, temperature, query_type, structured } = req.body;
     
     // Validate required fields
     if (!provider || !model || !messages) {
@@ -291,75 +246,169 @@ export default async function handler(req, res) {
                     req.connection.remoteAddress || 
                     '127.0.0.1';
     
-    // Check rate limits
-    const rateLimitResult = await checkRateLimit(user_id, clientIP);
-    if (!rateLimitResult.allowed) {
-      return res.status(429).json({
-        error: 'Rate limit exceeded',
-        rate_limit: rateLimitResult
+    // Check rate limits against the caller's tier
+    const rateLimitResult = process.env.ENABLE_RATE_LIMITING === 'false' ? null : await consumeRateLimit(user, clientIP);
+    if (rateLimitResult) {
+      setRateLimitHeaders(res, rateLimitResult);
+      if (!rateLimitResult.allowed) {
+        rateLimitRejectionsTotal.inc({ limiter: 'gateway' });
+        return res.status(429).json({
+          error: 'Rate limit exceeded',
+          tier: rateLimitResult.tier,
+          retry_after: rateLimitResult.retry_after
+        });
+      }
+    }
+    
+    // The adapter registry decides which provider serves a model
+    let modelConfig;
+    try {
+      modelConfig = getModelConfig(model);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (modelConfig.provider !== provider) {
+      return res.status(400).json({
+        error: `Model ${model} is served by ${modelConfig.provider}, not ${provider}`
       });
     }
     
+    // Query types with an output schema are answered as validated JSON unless
+    // the caller asks for free text with structured: false
+    const outputSchema = structured !== false && getOutputSchema(query_type) ? query_type : null;
+    
+    // Serve repeat questions from the response cache unless the caller bypasses it
+    const responseCache = isCacheBypassed(req) ? null : getResponseCache();
+    const cacheRequest = {
+      messages,
+      model,
+      temperature,
+      max_tokens,
+      query_type: query_type || 'general',
+      user_id,
+      output_schema: outputSchema
+    };
+    if (responseCache) {
+      const cached = await responseCache.get(cacheRequest).catch(error => {
+        console.error('Response cache lookup failed:', error);
+        return null;
+      });
+      if (cached) {
+        return await serveCachedResponse(res, cached, {
+          credits: responseCache.creditsFor(cached.credits),
+          user_id,
+          api_key_id,
+          query_type: cacheRequest.query_type
+        });
+      }
+    }
+    
     // Get provider configuration
     const config = await getProviderConfig(provider, model);
     
     // Estimate credits needed
-    const estimatedTokens = estimateTokens(messages, max_tokens);
+    const estimatedTokens = await estimateUsage({
+      messages,
+      model,
+      maxTokens: max_tokens,
+      queryType: query_type || 'general'
+    });
     const estimatedCredits = calculateCreditsRequired(estimatedTokens, config);
     
-    // Check if user has sufficient credits (for paid queries)
+    // Reserve the estimated credits so concurrent requests cannot overspend
+    let hold = null;
     if (user_id && estimatedCredits > 0) {
-      const balanceResult = await getUserCreditBalance(user_id);
-      if (!balanceResult.success) {
-        return res.status(400).json({ error: balanceResult.error });
-      }
-      
-      const totalAvailable = balanceResult.balance + balanceResult.daily_free_credits_remaining;
-      if (totalAvailable < estimatedCredits) {
+      hold = await holdCredits(user_id, estimatedCredits, `${provider} ${model} request`, {
+        provider,
+        model,
+        query_type: query_type || 'general',
+        api_key_id
+      });
+      if (!hold.success) {
         return res.status(402).json({
-          error: 'Insufficient credits',
-          required: estimatedCredits,
-          available: balanceResult.balance,
-          daily_free_remaining: balanceResult.daily_free_credits_remaining
+          error: hold.error,
+          required: hold.required ?? estimatedCredits,
+          available: hold.available,
+          daily_free_remaining: hold.daily_free_remaining,
+          // Organization members are also limited by their monthly cap on the pool
+          ...(hold.monthly_credit_cap !== undefined && {
+            monthly_credit_cap: hold.monthly_credit_cap,
+            monthly_used: hold.monthly_used
+          })
         });
       }
     }
     
     // Make LLM API call
+    const abortController = new AbortController();
+    const timeout = setTimeout(() => abortController.abort(), LLM_REQUEST_TIMEOUT_MS);
     const llmRequest = {
-      provider,
       model,
       messages,
       max_tokens,
-      temperature
+      temperature,
+      signal: abortController.signal
     };
     
-    const llmResponse = await callLLMProvider(llmRequest);
+    let llmResponse;
+    try {
+      llmResponse = outputSchema
+        ? await callStructuredLLM(llmRequest, outputSchema)
+        : await callLLMWithFailover(llmRequest);
+    } catch (error) {
+      if (hold) {
+        await releaseCreditHold(hold.hold_id, abortController.signal.aborted ? 'timeout' : 'failed')
+          .catch(releaseError => console.error('Failed to release credit hold:', releaseError));
+      }
+      if (abortController.signal.aborted) {
+        return res.status(504).json({ error: 'LLM request timed out' });
+      }
+      if (error instanceof StructuredOutputError) {
+        return res.status(502).json({
+          error: 'The model did not return a valid structured answer',
+          details: error.errors
+        });
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeout);
+    }
     
-    // Calculate actual credits consumed
-    const actualCredits = calculateCreditsRequired(llmResponse.usage, config);
+    // Calculate actual credits consumed at the rate of the model that served it
+    const servedConfig = llmResponse.fallback_used
+      ? await getServedProviderConfig(llmResponse.provider, llmResponse.model)
+      : config;
+    const actualCredits = calculateCreditsRequired(llmResponse.usage, servedConfig);
+    const providerCost = calculateProviderCost(llmResponse.usage, servedConfig);
     
-    // Consume credits and log usage
+    // Capture the hold (or charge directly when nothing was held) and log usage
     let consumptionResult = null;
     if (user_id) {
       const usageData = {
-        provider,
-        model,
+        provider: llmResponse.provider,
+        model: llmResponse.model,
         prompt_tokens: llmResponse.usage.prompt_tokens,
         completion_tokens: llmResponse.usage.completion_tokens,
         total_tokens: llmResponse.usage.total_tokens,
-        request_id: llmResponse.request_id,
+        provider_cost_usd: providerCost,
+        request_id: getRequestId(),
+        provider_request_id: llmResponse.request_id,
         response_time_ms: llmResponse.response_time_ms,
         status: 'completed',
-        query_type: query_type || 'general'
+        query_type: query_type || 'general',
+        api_key_id
       };
+      const description = `${llmResponse.provider} ${llmResponse.model} request`;
       
-      consumptionResult = await consumeCredits(
-        user_id,
-        actualCredits,
-        `${provider} ${model} request`,
-        usageData
-      );
+      if (hold) {
+        consumptionResult = await captureCreditHold(hold.hold_id, actualCredits, description, usageData);
+        // The hold expired while the provider was answering; charge without it
+        if (!consumptionResult.success && consumptionResult.status === 'expired') {
+          consumptionResult = await consumeCredits(user_id, actualCredits, description, usageData);
+        }
+      } else {
+        consumptionResult = await consumeCredits(user_id, actualCredits, description, usageData);
+      }
       
       if (!consumptionResult.success) {
         return res.status(402).json({
@@ -367,22 +416,43 @@ export default async function handler(req, res) {
           details: consumptionResult.error
         });
       }
+      creditsConsumedTotal.inc(
+        { query_type: usageData.query_type, cached: 'false' },
+        consumptionResult.credits_captured ?? actualCredits
+      );
     }
     
-    // Record rate limit usage
-    await recordRateLimitUsage(user_id, clientIP);
+    if (responseCache) {
+      await responseCache.set(cacheRequest, {
+        choices: llmResponse.choices,
+        structured_output: llmResponse.structured_output,
+        usage: llmResponse.usage,
+        model: llmResponse.model,
+        provider_request_id: llmResponse.request_id,
+        provider: llmResponse.provider,
+        fallback_used: llmResponse.fallback_used,
+        credits: consumptionResult?.credits_captured ?? actualCredits
+      }).catch(error => console.error('Failed to cache response:', error));
+    }
     
     // Return response with credit information
     const response = {
       choices: llmResponse.choices,
+      ...(outputSchema && {
+        structured_output: llmResponse.structured_output,
+        structured_repairs: llmResponse.structured_repairs
+      }),
       usage: {
         ...llmResponse.usage,
-        credits_consumed: actualCredits,
+        credits_consumed: consumptionResult?.credits_captured ?? actualCredits,
         credits_estimated: estimatedCredits
       },
       model: llmResponse.model,
-      request_id: llmResponse.request_id,
-      provider: provider
+      request_id: getRequestId(),
+      provider_request_id: llmResponse.request_id,
+      provider: llmResponse.provider,
+      fallback_used: llmResponse.fallback_used,
+      cached: false
     };
     
     // Add credit balance info for authenticated users
@@ -400,7 +470,7 @@ export default async function handler(req, res) {
     console.error('LLM Gateway error:', error);
     
     // Log failed usage if we have user_id
-    if (req.body.user_id && req.body.provider && req.body.model) {
+    if (user_id && req.body.provider && req.body.model) {
       try {
         const usageData = {
           provider: req.body.provider,
@@ -413,18 +483,21 @@ export default async function handler(req, res) {
           query_type: req.body.query_type || 'general'
         };
         
-        await prisma.llm_usage.create({
+        await getPrisma().llm_usage.create({
           data: {
-            user_id: req.body.user_id,
+            user_id,
             provider: req.body.provider,
             model: req.body.model,
             prompt_tokens: 0,
             completion_tokens: 0,
             total_tokens: 0,
             credits_consumed: 0,
+            provider_cost_usd: 0,
+            request_id: getRequestId(),
             status: 'failed',
             error_message: error.message,
-            query_type: req.body.query_type || 'general'
+            query_type: req.body.query_type || 'general',
+            api_key_id
           }
         });
       } catch (logError) {
@@ -442,8 +515,8 @@ export default async function handler(req, res) {
 // Export utility functions for testing
 export {
   calculateCreditsRequired,
-  estimateTokens,
-  checkRateLimit,
+  calculateProviderCost,
+  quoteRequest,
   getUserCreditBalance,
   getProviderConfig
 }; 
\ No newline at end of file
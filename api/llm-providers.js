@@ -1,75 +1,27 @@
 // Real LLM Provider Integrations
-// Handles actual API calls to Claude, OpenAI, and Perplexity
+// Executes requests against any adapter registered in ./providers (Claude, OpenAI,
+// Perplexity, Gemini, ...) and normalizes responses, streams and errors.
 
 import dotenv from 'dotenv';
 dotenv.config();
 
-// Provider configurations with real endpoints and pricing
-export const PROVIDER_CONFIGS = {
-  claude: {
-    baseURL: 'https://api.anthropic.com/v1/messages',
-    models: {
-      'claude-3-sonnet-20240229': {
-        name: 'Claude 3 Sonnet',
-        input_cost_per_1m: 3.00,    // $3 per 1M input tokens
-        output_cost_per_1m: 15.00,  // $15 per 1M output tokens
-        credits_per_1k_tokens: 1.0, // Base rate: 1 credit per 1k tokens
-        max_tokens: 4096,
-        context_window: 200000
-      },
-      'claude-3-haiku-20240307': {
-        name: 'Claude 3 Haiku',
-        input_cost_per_1m: 0.25,    // $0.25 per 1M input tokens
-        output_cost_per_1m: 1.25,   // $1.25 per 1M output tokens
-        credits_per_1k_tokens: 0.5, // Cheaper model: 0.5 credits per 1k tokens
-        max_tokens: 4096,
-        context_window: 200000
-      }
-    }
-  },
-  openai: {
-    baseURL: 'https://api.openai.com/v1/chat/completions',
-    models: {
-      'gpt-4': {
-        name: 'GPT-4',
-        input_cost_per_1m: 30.00,   // $30 per 1M input tokens
-        output_cost_per_1m: 60.00,  // $60 per 1M output tokens
-        credits_per_1k_tokens: 3.0, // Premium model: 3x multiplier
-        max_tokens: 4096,
-        context_window: 8192
-      },
-      'gpt-3.5-turbo': {
-        name: 'GPT-3.5 Turbo',
-        input_cost_per_1m: 0.50,    // $0.50 per 1M input tokens
-        output_cost_per_1m: 1.50,   // $1.50 per 1M output tokens
-        credits_per_1k_tokens: 0.5, // Cheaper model: 0.5 credits per 1k tokens
-        max_tokens: 4096,
-        context_window: 16385
-      }
-    }
-  },
-  perplexity: {
-    baseURL: 'https://api.perplexity.ai/chat/completions',
-    models: {
-      'llama-3.1-sonar-small-128k-online': {
-        name: 'Llama 3.1 Sonar Small',
-        input_cost_per_1m: 0.20,    // $0.20 per 1M input tokens
-        output_cost_per_1m: 0.20,   // $0.20 per 1M output tokens
-        credits_per_1k_tokens: 0.5, // Research model: 0.5x multiplier
-        max_tokens: 4096,
-        context_window: 127072
-      },
-      'llama-3.1-sonar-large-128k-online': {
-        name: 'Llama 3.1 Sonar Large',
-        input_cost_per_1m: 1.00,    // $1 per 1M input tokens
-        output_cost_per_1m: 1.00,   // $1 per 1M output tokens
-        credits_per_1k_tokens: 1.0, // Standard rate
-        max_tokens: 4096,
-        context_window: 127072
-      }
-    }
-  }
-};
+import {
+  getProviders,
+  findProviderForModel,
+  isProviderConfigured,
+  ProviderError,
+  PROVIDER_ERROR_CODES
+} from './providers/index.js';
+import { classifyNetworkError } from './providers/provider-error.js';
+import { countTokens, countMessageTokens } from './tokenizer.js';
+import { getRequestId } from '../src/utils/requestContext.js';
+import { withSpan } from '../src/utils/tracing.js';
+import { recordProviderCall, recordProviderError } from '../src/utils/metrics.js';
+
+// Provider configurations with real endpoints and pricing, derived from the adapter registry
+export const PROVIDER_CONFIGS = Object.fromEntries(
+  getProviders().map(adapter => [adapter.id, { baseURL: adapter.baseURL, models: adapter.models }])
+);
 
 // Calculate credits required based on actual token usage and model pricing
 export function calculateCreditsRequired(tokens, modelConfig) {
@@ -89,235 +41,212 @@ export function calculateCreditsRequired(tokens, modelConfig) {
 
 // Get model configuration
 export function getModelConfig(model) {
-  for (const [provider, config] of Object.entries(PROVIDER_CONFIGS)) {
-    if (config.models[model]) {
-      return {
-        provider,
-        ...config.models[model],
-        api_key_configured: isApiKeyConfigured(provider)
-      };
-    }
+  const adapter = findProviderForModel(model);
+  if (!adapter) {
+    throw new Error(`Model ${model} not found`);
   }
-  throw new Error(`Model ${model} not found`);
+  return {
+    provider: adapter.id,
+    ...adapter.models[model],
+    api_key_configured: isProviderConfigured(adapter)
+  };
 }
 
-// Check if API key is configured for provider
-function isApiKeyConfigured(provider) {
-  const keyMap = {
-    claude: process.env.ANTHROPIC_API_KEY,
-    openai: process.env.OPENAI_API_KEY,
-    perplexity: process.env.PERPLEXITY_API_KEY
-  };
-  
-  const key = keyMap[provider];
-  return key && key !== `your-${provider === 'claude' ? 'anthropic' : provider}-api-key-here`;
+// Parse a Server-Sent Events body into { event, data } records
+export async function* parseEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+      let event = 'message';
+      const dataLines = [];
+      for (const line of rawEvent.split(/\r?\n/)) {
+        if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          dataLines.push(line.slice(5).trimStart());
+        }
+      }
+
+      if (dataLines.length > 0) {
+        yield { event, data: dataLines.join('\n') };
+      }
+    }
+  }
 }
 
-// Claude API Integration
-export async function callClaude(request) {
-  const startTime = Date.now();
-  
-  if (!isApiKeyConfigured('claude')) {
-    throw new Error('Anthropic API key not configured');
+// Resolve the adapter for a request and make sure it can be called
+function resolveAdapter(request) {
+  const adapter = findProviderForModel(request.model);
+  if (!adapter) {
+    throw new Error(`Model ${request.model} not found`);
   }
-  
-  try {
-    const response = await fetch(PROVIDER_CONFIGS.claude.baseURL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': process.env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: request.model,
-        max_tokens: request.max_tokens || 1000,
-        messages: request.messages,
-        temperature: request.temperature || 0.7
-      })
+  if (!isProviderConfigured(adapter)) {
+    throw new ProviderError(`${adapter.label} API key not configured`, {
+      provider: adapter.id,
+      code: PROVIDER_ERROR_CODES.NOT_CONFIGURED
     });
-    
+  }
+  return adapter;
+}
+
+// Send a provider request, translating failures into ProviderError
+async function sendProviderRequest(adapter, request, { stream = false } = {}) {
+  const { url, headers, body } = adapter.buildRequest(request, { stream });
+  // Pass the correlation ID on so provider-side logs can be matched to ours
+  const requestId = getRequestId();
+  const labels = { provider: adapter.id, model: request.model };
+
+  return withSpan(`llm ${adapter.id}`, {
+    'llm.provider': adapter.id,
+    'llm.model': request.model,
+    'llm.stream': stream
+  }, async (span) => {
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: requestId ? { ...headers, 'X-Request-Id': requestId } : headers,
+        body: JSON.stringify(body),
+        signal: request.signal
+      });
+    } catch (error) {
+      throw recordProviderError(labels, classifyNetworkError(adapter.id, adapter.label, error));
+    }
+    span.setAttribute('http.response.status_code', response.status);
+
     if (!response.ok) {
       const errorData = await response.text();
-      throw new Error(`Claude API error: ${response.status} - ${errorData}`);
+      throw recordProviderError(labels, adapter.classifyError(response.status, errorData, response.headers));
     }
-    
-    const data = await response.json();
-    const responseTime = Date.now() - startTime;
-    
+
+    return response;
+  });
+}
+
+// Attach credit and pricing information to normalized usage
+function withCredits(usage, modelConfig) {
+  return {
+    prompt_tokens: usage.prompt_tokens,
+    completion_tokens: usage.completion_tokens,
+    total_tokens: usage.prompt_tokens + usage.completion_tokens,
+    credits_consumed: calculateCreditsRequired(usage, modelConfig),
+    model_config: {
+      name: modelConfig.name,
+      credits_per_1k_tokens: modelConfig.credits_per_1k_tokens,
+      input_cost_per_1m: modelConfig.input_cost_per_1m,
+      output_cost_per_1m: modelConfig.output_cost_per_1m
+    }
+  };
+}
+
+// Main LLM caller - routes to the adapter that serves the requested model
+export async function callLLMProvider(request) {
+  const startTime = Date.now();
+  const adapter = resolveAdapter(request);
+  const modelConfig = adapter.models[request.model];
+
+  try {
+    const response = await sendProviderRequest(adapter, request);
+    const parsed = adapter.parseResponse(await response.json(), request);
+    const responseTimeMs = Date.now() - startTime;
+    recordProviderCall({ provider: adapter.id, model: request.model, usage: parsed.usage, durationMs: responseTimeMs });
+
     return {
       choices: [{
         message: {
           role: 'assistant',
-          content: data.content[0].text
-        }
+          content: parsed.content
+        },
+        finish_reason: parsed.finish_reason
       }],
-      usage: {
-        prompt_tokens: data.usage.input_tokens,
-        completion_tokens: data.usage.output_tokens,
-        total_tokens: data.usage.input_tokens + data.usage.output_tokens
-      },
+      usage: withCredits(parsed.usage, modelConfig),
       model: request.model,
-      response_time_ms: responseTime,
-      request_id: data.id,
-      provider: 'claude'
+      response_time_ms: responseTimeMs,
+      request_id: parsed.request_id,
+      provider: adapter.id
     };
   } catch (error) {
-    console.error('Claude API call failed:', error);
+    console.error(`${adapter.label} API call failed:`, error);
     throw error;
   }
 }
 
-// OpenAI API Integration
-export async function callOpenAI(request) {
+// Streaming LLM caller - yields normalized events for every provider:
+//   { type: 'start', model, provider }
+//   { type: 'token', content }
+//   { type: 'done', usage, model, provider, request_id, finish_reason, response_time_ms }
+export async function* streamLLMProvider(request) {
   const startTime = Date.now();
-  
-  if (!isApiKeyConfigured('openai')) {
-    throw new Error('OpenAI API key not configured');
-  }
-  
-  try {
-    const response = await fetch(PROVIDER_CONFIGS.openai.baseURL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
-      },
-      body: JSON.stringify({
-        model: request.model,
-        max_tokens: request.max_tokens || 1000,
-        messages: request.messages,
-        temperature: request.temperature || 0.7
-      })
-    });
-    
-    if (!response.ok) {
-      const errorData = await response.text();
-      throw new Error(`OpenAI API error: ${response.status} - ${errorData}`);
-    }
-    
-    const data = await response.json();
-    const responseTime = Date.now() - startTime;
-    
-    return {
-      choices: data.choices,
-      usage: data.usage,
-      model: request.model,
-      response_time_ms: responseTime,
-      request_id: data.id,
-      provider: 'openai'
-    };
-  } catch (error) {
-    console.error('OpenAI API call failed:', error);
-    throw error;
-  }
-}
+  const adapter = resolveAdapter(request);
+  const modelConfig = adapter.models[request.model];
 
-// Perplexity API Integration
-export async function callPerplexity(request) {
-  const startTime = Date.now();
-  
-  if (!isApiKeyConfigured('perplexity')) {
-    throw new Error('Perplexity API key not configured');
-  }
-  
+  const response = await sendProviderRequest(adapter, request, { stream: true });
+
+  yield { type: 'start', model: request.model, provider: adapter.id };
+
+  const state = { usage: null, request_id: null, finish_reason: null };
+  let content = '';
   try {
-    const response = await fetch(PROVIDER_CONFIGS.perplexity.baseURL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.PERPLEXITY_API_KEY}`
-      },
-      body: JSON.stringify({
-        model: request.model,
-        max_tokens: request.max_tokens || 1000,
-        messages: request.messages,
-        temperature: request.temperature || 0.7
-      })
-    });
-    
-    if (!response.ok) {
-      const errorData = await response.text();
-      throw new Error(`Perplexity API error: ${response.status} - ${errorData}`);
+    for await (const event of parseEventStream(response.body)) {
+      for (const token of adapter.parseStreamEvent(event, state)) {
+        content += token.content;
+        yield token;
+      }
     }
-    
-    const data = await response.json();
-    const responseTime = Date.now() - startTime;
-    
-    return {
-      choices: data.choices,
-      usage: data.usage,
-      model: request.model,
-      response_time_ms: responseTime,
-      request_id: data.id,
-      provider: 'perplexity'
-    };
   } catch (error) {
-    console.error('Perplexity API call failed:', error);
-    throw error;
+    throw recordProviderError(
+      { provider: adapter.id, model: request.model },
+      classifyNetworkError(adapter.id, adapter.label, error)
+    );
   }
-}
 
-// Main LLM caller - routes to appropriate provider
-export async function callLLMProvider(request) {
-  const modelConfig = getModelConfig(request.model);
-  
-  // Route to appropriate provider
-  let response;
-  switch (modelConfig.provider) {
-    case 'claude':
-      response = await callClaude(request);
-      break;
-    case 'openai':
-      response = await callOpenAI(request);
-      break;
-    case 'perplexity':
-      response = await callPerplexity(request);
-      break;
-    default:
-      throw new Error(`Unknown provider: ${modelConfig.provider}`);
-  }
-  
-  // Calculate credits consumed
-  const creditsConsumed = calculateCreditsRequired(response.usage, modelConfig);
-  
-  return {
-    ...response,
-    usage: {
-      ...response.usage,
-      credits_consumed: creditsConsumed,
-      model_config: {
-        name: modelConfig.name,
-        credits_per_1k_tokens: modelConfig.credits_per_1k_tokens,
-        input_cost_per_1m: modelConfig.input_cost_per_1m,
-        output_cost_per_1m: modelConfig.output_cost_per_1m
-      }
-    }
+  // Count locally with the model's tokenizer if the provider omitted usage
+  const usage = state.usage || {
+    prompt_tokens: countMessageTokens(request.messages, request.model),
+    completion_tokens: countTokens(content, request.model)
+  };
+  const { prompt_tokens, completion_tokens, total_tokens, credits_consumed } = withCredits(usage, modelConfig);
+  const responseTimeMs = Date.now() - startTime;
+  recordProviderCall({ provider: adapter.id, model: request.model, usage, durationMs: responseTimeMs });
+
+  yield {
+    type: 'done',
+    usage: { prompt_tokens, completion_tokens, total_tokens, credits_consumed },
+    model: request.model,
+    provider: adapter.id,
+    request_id: state.request_id,
+    finish_reason: state.finish_reason,
+    response_time_ms: responseTimeMs
   };
 }
 
 // Get all available providers and their status
 export function getAvailableProviders() {
-  const providers = [];
-  
-  for (const [providerName, config] of Object.entries(PROVIDER_CONFIGS)) {
-    const models = Object.keys(config.models).map(modelId => ({
-      id: modelId,
-      name: config.models[modelId].name,
-      credits_per_1k_tokens: config.models[modelId].credits_per_1k_tokens,
-      max_tokens: config.models[modelId].max_tokens,
-      context_window: config.models[modelId].context_window
-    }));
-    
-    providers.push({
-      name: providerName,
-      models: models,
-      status: isApiKeyConfigured(providerName) ? 'available' : 'not_configured',
-      api_key_configured: isApiKeyConfigured(providerName)
-    });
-  }
-  
-  return providers;
+  return getProviders().map(adapter => {
+    const configured = isProviderConfigured(adapter);
+    return {
+      id: adapter.id,
+      name: adapter.name,
+      models: Object.entries(adapter.models).map(([modelId, config]) => ({
+        id: modelId,
+        name: config.name,
+        credits_per_1k_tokens: config.credits_per_1k_tokens,
+        max_tokens: config.max_tokens,
+        context_window: config.context_window
+      })),
+      default_model: adapter.defaultModel,
+      status: configured ? 'available' : 'not_configured',
+      api_key_configured: configured
+    };
+  });
 }
 
 // Mock LLM call for testing when no API keys are configured
@@ -329,26 +258,25 @@ export async function mockLLMCall(request) {
   
   const responseTime = Date.now() - startTime;
   
-  // Estimate token usage
-  const promptText = request.messages.map(m => m.content).join(' ');
-  const promptTokens = Math.ceil(promptText.length / 4);
-  const completionTokens = Math.min(request.max_tokens || 1000, Math.ceil(promptTokens * 0.5));
+  // Get model config for credit calculation
+  const modelConfig = getModelConfig(request.model);
+  const content = `🤖 **MOCK RESPONSE** from ${modelConfig.name}\n\nYour question: "${request.messages[request.messages.length - 1].content}"\n\nThis is a simulated response for testing the credit system. The real API integration is ready - just add your API keys!\n\n**Model Info:**\n- Credits per 1k tokens: ${modelConfig.credits_per_1k_tokens}\n- Input cost: $${modelConfig.input_cost_per_1m}/1M tokens\n- Output cost: $${modelConfig.output_cost_per_1m}/1M tokens\n\n*Add your API keys to .env to get real responses!*`;
   
+  // Count tokens the way the provider would bill them
+  const promptTokens = countMessageTokens(request.messages, request.model);
+  const completionTokens = countTokens(content, request.model);
   const usage = {
     prompt_tokens: promptTokens,
     completion_tokens: completionTokens,
     total_tokens: promptTokens + completionTokens
   };
-  
-  // Get model config for credit calculation
-  const modelConfig = getModelConfig(request.model);
   const creditsConsumed = calculateCreditsRequired(usage, modelConfig);
   
   return {
     choices: [{
       message: {
         role: 'assistant',
-        content: `🤖 **MOCK RESPONSE** from ${modelConfig.name}\n\nYour question: "${request.messages[request.messages.length - 1].content}"\n\nThis is a simulated response for testing the credit system. The real API integration is ready - just add your API keys!\n\n**Model Info:**\n- Credits per 1k tokens: ${modelConfig.credits_per_1k_tokens}\n- Input cost: $${modelConfig.input_cost_per_1m}/1M tokens\n- Output cost: $${modelConfig.output_cost_per_1m}/1M tokens\n\n*Add your API keys to .env to get real responses!*`
+        content
       }
     }],
     usage: {
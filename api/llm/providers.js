@@ -1,3 +1,5 @@
+import { getAvailableProviders } from '../llm-providers.js';
+
 export default async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -16,27 +18,7 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Define available providers directly
-    const providers = [
-      {
-        id: 'claude',
-        name: 'Claude (Anthropic)',
-        models: ['claude-3-haiku-20240307', 'claude-3-sonnet-20240229'],
-        available: !!process.env.ANTHROPIC_API_KEY
-      },
-      {
-        id: 'perplexity',
-        name: 'Perplexity',
-        models: ['llama-3.1-sonar-small-128k-online', 'llama-3.1-sonar-large-128k-online'],
-        available: !!process.env.PERPLEXITY_API_KEY
-      },
-      {
-        id: 'openai',
-        name: 'OpenAI GPT',
-        models: ['gpt-4o-mini', 'gpt-4o'],
-        available: !!process.env.OPENAI_API_KEY
-      }
-    ];
+    const providers = getAvailableProviders();
 
     res.status(200).json({
       success: true,
@@ -1,3 +1,6 @@
+import { callLLMWithFailover } from '../llm-failover.js';
+import { getProvider, PROVIDER_ERROR_CODES } from '../providers/index.js';
+
 export default async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -16,7 +19,7 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { query, provider = 'claude', model, max_tokens = 1000, temperature = 0.7 } = req.body;
+    const { query, provider = 'claude', model, max_tokens = 1000, temperature = 0.7, mock = false } = req.body;
 
     if (!query || !query.trim()) {
       return res.status(400).json({
@@ -25,93 +28,72 @@ export default async function handler(req, res) {
       });
     }
 
-    // Mock response for now (we'll implement real API calls later)
-    const mockResponse = {
-      success: true,
-      provider: provider,
-      model: model || 'default',
-      response: `Mock response for: "${query}". This is a simulated AI response from ${provider}. In production, this would be a real API call to ${provider}.`,
-      usage: {
-        prompt_tokens: query.length,
-        completion_tokens: 50,
-        total_tokens: query.length + 50
-      },
-      cost_usd: 0.001,
-      credits_used: 1
-    };
-
-    // Try real API call if keys are available
-    if (provider === 'claude' && process.env.ANTHROPIC_API_KEY) {
-      try {
-        const response = await fetch('https://api.anthropic.com/v1/messages', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': process.env.ANTHROPIC_API_KEY,
-            'anthropic-version': '2023-06-01'
-          },
-          body: JSON.stringify({
-            model: model || 'claude-3-haiku-20240307',
-            max_tokens: max_tokens,
-            messages: [{ role: 'user', content: query }]
-          })
-        });
-
-        if (response.ok) {
-          const data = await response.json();
-          return res.status(200).json({
-            success: true,
-            provider: 'claude',
-            model: model || 'claude-3-haiku-20240307',
-            response: data.content[0].text,
-            usage: data.usage,
-            cost_usd: 0.001,
-            credits_used: 1
-          });
-        }
-      } catch (error) {
-        console.error('Claude API error:', error);
-      }
+    const adapter = getProvider(provider);
+    if (!adapter) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown provider: ${provider}`
+      });
     }
 
-    if (provider === 'perplexity' && process.env.PERPLEXITY_API_KEY) {
-      try {
-        const response = await fetch('https://api.perplexity.ai/chat/completions', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${process.env.PERPLEXITY_API_KEY}`
-          },
-          body: JSON.stringify({
-            model: model || 'llama-3.1-sonar-small-128k-online',
-            messages: [{ role: 'user', content: query }],
-            max_tokens: max_tokens,
-            temperature: temperature
-          })
-        });
+    const selectedModel = model || adapter.defaultModel;
+    if (!adapter.models[selectedModel]) {
+      return res.status(400).json({
+        success: false,
+        error: `Model ${selectedModel} is not available from ${provider}`
+      });
+    }
 
-        if (response.ok) {
-          const data = await response.json();
-          return res.status(200).json({
-            success: true,
-            provider: 'perplexity',
-            model: model || 'llama-3.1-sonar-small-128k-online',
-            response: data.choices[0].message.content,
-            usage: data.usage,
-            cost_usd: 0.001,
-            credits_used: 1
-          });
-        }
-      } catch (error) {
-        console.error('Perplexity API error:', error);
-      }
+    // Mock response only when explicitly requested
+    if (mock) {
+      return res.status(200).json({
+        success: true,
+        provider: 'mock',
+        model: selectedModel,
+        response: `Mock response for: "${query}". This is a simulated AI response standing in for ${provider}.`,
+        usage: {
+          prompt_tokens: query.length,
+          completion_tokens: 50,
+          total_tokens: query.length + 50
+        },
+        cost_usd: 0.001,
+        credits_used: 1
+      });
     }
 
-    // Return mock response if real API fails or no keys
-    res.status(200).json(mockResponse);
+    // Real API call, failing over along the model's fallback chain
+    const result = await callLLMWithFailover({
+      model: selectedModel,
+      messages: [{ role: 'user', content: query }],
+      max_tokens,
+      temperature
+    });
+    const pricing = result.usage.model_config;
+
+    return res.status(200).json({
+      success: true,
+      provider: result.provider,
+      model: result.model,
+      fallback_used: result.fallback_used,
+      response: result.choices[0].message.content,
+      usage: {
+        prompt_tokens: result.usage.prompt_tokens,
+        completion_tokens: result.usage.completion_tokens,
+        total_tokens: result.usage.total_tokens
+      },
+      cost_usd: (result.usage.prompt_tokens * pricing.input_cost_per_1m +
+        result.usage.completion_tokens * pricing.output_cost_per_1m) / 1000000,
+      credits_used: result.usage.credits_consumed
+    });
 
   } catch (error) {
     console.error('Error processing query:', error);
+    if (error.code === PROVIDER_ERROR_CODES.FAILOVER_EXHAUSTED) {
+      return res.status(503).json({
+        success: false,
+        error: 'All LLM providers are currently unavailable'
+      });
+    }
     res.status(500).json({
       success: false,
       error: 'Failed to process query'
@@ -0,0 +1,171 @@
+// Provider cost vs. revenue margins
+// Every llm_usage row records provider_cost_usd next to credits_consumed. This
+// report prices the paid credits at each active credit package's price per
+// credit (the package price tiers) and compares that revenue with what the
+// providers billed, per model and per query type. It also checks each model's
+// credits_per_1k_tokens in llm_provider_configs against the cheapest tier and
+// flags the models that undercharge.
+
+import { getPrisma } from './db.js';
+import { DEFAULT_ANALYTICS_DAYS } from './usage-analytics.js';
+
+// Models whose margin at the cheapest tier falls below this are flagged (0 = selling at a loss)
+export const MIN_GROSS_MARGIN = parseFloat(process.env.MIN_GROSS_MARGIN) || 0;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateString = (date) => new Date(date).toISOString().slice(0, 10);
+
+const roundUsd = (value) => Math.round(value * 1000000) / 1000000;
+const roundRatio = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Revenue and margin of a usage group at every price tier
+ */
+function priceGroup(group, tiers) {
+  const creditsConsumed = Number(group.credits_consumed);
+  const freeCredits = Number(group.free_credits);
+  const paidCredits = creditsConsumed - freeCredits;
+  const providerCost = Number(group.provider_cost_usd);
+
+  const margins = tiers.map(tier => {
+    const revenue = paidCredits * tier.price_per_credit;
+    return {
+      package_id: tier.package_id,
+      name: tier.name,
+      price_per_credit: tier.price_per_credit,
+      revenue_usd: roundUsd(revenue),
+      margin_usd: roundUsd(revenue - providerCost),
+      margin_pct: revenue > 0 ? roundRatio((revenue - providerCost) / revenue) : null
+    };
+  });
+  // Tiers are sorted by price per credit, so the last one is the cheapest
+  const cheapest = margins[margins.length - 1];
+
+  return {
+    ...group,
+    credits_consumed: creditsConsumed,
+    free_credits: freeCredits,
+    paid_credits: paidCredits,
+    provider_cost_usd: roundUsd(providerCost),
+    cost_per_credit_usd: creditsConsumed > 0 ? roundUsd(providerCost / creditsConsumed) : null,
+    tiers: margins,
+    undercharged: cheapest?.margin_pct != null && cheapest.margin_pct < MIN_GROSS_MARGIN
+  };
+}
+
+/**
+ * Check a model's configured rate against the cheapest tier. The gateway
+ * weights tokens by their relative cost, so one credit buys the same provider
+ * spend, (input + output cost per 1M) / (1000 * credits_per_1k_tokens),
+ * whatever the prompt/completion mix.
+ */
+function priceModel(config, cheapestPrice) {
+  const creditsPer1k = Number(config.credits_per_1k_tokens);
+  const inputCost = Number(config.input_cost_per_1m_tokens);
+  const outputCost = Number(config.output_cost_per_1m_tokens);
+  const costPerCredit = (inputCost + outputCost) / (1000 * creditsPer1k);
+
+  const model = {
+    provider: config.provider,
+    model: config.model,
+    credits_per_1k_tokens: creditsPer1k,
+    input_cost_per_1m_tokens: inputCost,
+    output_cost_per_1m_tokens: outputCost,
+    cost_per_credit_usd: roundUsd(costPerCredit),
+    margin_pct: null,
+    undercharged: false,
+    min_credits_per_1k_tokens: null
+  };
+  if (cheapestPrice === null) {
+    return model;
+  }
+
+  const marginPct = (cheapestPrice - costPerCredit) / cheapestPrice;
+  return {
+    ...model,
+    margin_pct: roundRatio(marginPct),
+    undercharged: marginPct < MIN_GROSS_MARGIN,
+    // Lowest rate (credits_per_1k_tokens is DECIMAL(6,4)) that meets MIN_GROSS_MARGIN at the cheapest tier
+    min_credits_per_1k_tokens:
+      Math.ceil(((inputCost + outputCost) / (1000 * cheapestPrice * (1 - MIN_GROSS_MARGIN))) * 10000) / 10000
+  };
+}
+
+/**
+ * Margin report for [startDate, endDate] (inclusive, UTC days), defaulting to
+ * the last DEFAULT_ANALYTICS_DAYS days
+ */
+export async function getMarginReport({ startDate, endDate } = {}) {
+  const end = toDateString(endDate || Date.now());
+  const start = toDateString(startDate || new Date(end).getTime() - DEFAULT_ANALYTICS_DAYS * DAY_MS);
+  const prisma = getPrisma();
+
+  const packages = await prisma.$queryRaw`
+    SELECT id, name, credits, price_usd FROM credit_packages
+    WHERE is_active = true
+  `;
+  const tiers = packages
+    .map(pkg => ({
+      package_id: pkg.id,
+      name: pkg.name,
+      price_per_credit: roundUsd(Number(pkg.price_usd) / Number(pkg.credits))
+    }))
+    .sort((a, b) => b.price_per_credit - a.price_per_credit);
+  const cheapestPrice = tiers.length > 0 ? tiers[tiers.length - 1].price_per_credit : null;
+
+  const configs = await prisma.$queryRaw`
+    SELECT provider, model, credits_per_1k_tokens, input_cost_per_1m_tokens, output_cost_per_1m_tokens
+    FROM llm_provider_configs
+    WHERE is_active = true
+    ORDER BY provider, model
+  `;
+
+  // Rows logged before provider costs were recorded are counted but left out
+  // of the credit totals, so margins compare like with like. Credits paid from
+  // the daily free allowance bring in no revenue.
+  const byModel = await prisma.$queryRaw`
+    SELECT u.provider, u.model,
+           COUNT(*)::int AS requests,
+           COUNT(*) FILTER (WHERE u.provider_cost_usd IS NULL)::int AS unpriced_requests,
+           COALESCE(SUM(u.credits_consumed) FILTER (WHERE u.provider_cost_usd IS NOT NULL), 0) AS credits_consumed,
+           COALESCE(SUM(u.credits_consumed) FILTER (WHERE u.provider_cost_usd IS NOT NULL AND t.transaction_type = 'daily_free'), 0) AS free_credits,
+           COALESCE(SUM(u.provider_cost_usd), 0) AS provider_cost_usd
+    FROM llm_usage u
+    LEFT JOIN credit_transactions t ON t.id = u.transaction_id
+    WHERE u.created_at >= ${start}::date AND u.created_at < ${end}::date + 1
+    GROUP BY u.provider, u.model
+    ORDER BY provider_cost_usd DESC
+  `;
+  const byQueryType = await prisma.$queryRaw`
+    SELECT COALESCE(u.query_type, 'general') AS query_type,
+           COUNT(*)::int AS requests,
+           COUNT(*) FILTER (WHERE u.provider_cost_usd IS NULL)::int AS unpriced_requests,
+           COALESCE(SUM(u.credits_consumed) FILTER (WHERE u.provider_cost_usd IS NOT NULL), 0) AS credits_consumed,
+           COALESCE(SUM(u.credits_consumed) FILTER (WHERE u.provider_cost_usd IS NOT NULL AND t.transaction_type = 'daily_free'), 0) AS free_credits,
+           COALESCE(SUM(u.provider_cost_usd), 0) AS provider_cost_usd
+    FROM llm_usage u
+    LEFT JOIN credit_transactions t ON t.id = u.transaction_id
+    WHERE u.created_at >= ${start}::date AND u.created_at < ${end}::date + 1
+    GROUP BY COALESCE(u.query_type, 'general')
+    ORDER BY provider_cost_usd DESC
+  `;
+
+  const models = configs.map(config => priceModel(config, cheapestPrice));
+  return {
+    period: { start_date: start, end_date: end },
+    min_gross_margin: MIN_GROSS_MARGIN,
+    price_tiers: tiers,
+    totals: priceGroup({
+      requests: byModel.reduce((sum, group) => sum + group.requests, 0),
+      unpriced_requests: byModel.reduce((sum, group) => sum + group.unpriced_requests, 0),
+      credits_consumed: byModel.reduce((sum, group) => sum + Number(group.credits_consumed), 0),
+      free_credits: byModel.reduce((sum, group) => sum + Number(group.free_credits), 0),
+      provider_cost_usd: byModel.reduce((sum, group) => sum + Number(group.provider_cost_usd), 0)
+    }, tiers),
+    by_model: byModel.map(group => priceGroup(group, tiers)),
+    by_query_type: byQueryType.map(group => priceGroup(group, tiers)),
+    models,
+    undercharged_models: models.filter(model => model.undercharged).map(model => model.model)
+  };
+}
@@ -0,0 +1,172 @@
+// Organization accounts
+// An organization owns a pooled credit account. Members spend from the pool
+// (consume_credits / hold_credits route their usage there) within an optional
+// monthly cap, while llm_usage stays attributed to the member. Purchases and
+// grants still land on a member's personal account, which is spent when the
+// pool is short or the cap is reached. Owners and admins invite people by email
+// address, set roles and caps, and fund the pool from their own balance.
+// No invite email is sent: the inviter shares the returned invite link.
+
+import crypto from 'crypto';
+import { getPrisma } from './db.js';
+
+export const ORGANIZATION_ROLES = ['owner', 'admin', 'member'];
+export const ORGANIZATION_INVITE_TTL_DAYS = parseInt(process.env.ORGANIZATION_INVITE_TTL_DAYS, 10) || 7;
+
+const MANAGER_ROLES = ['owner', 'admin'];
+
+const parseResult = (rows, column) => JSON.parse(rows[0][column]);
+
+export const hashInviteToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+export function canManageMembers(membership) {
+  return MANAGER_ROLES.includes(membership?.role);
+}
+
+export async function createOrganization(userId, name) {
+  const rows = await getPrisma().$queryRaw`
+    SELECT create_organization(${userId}::uuid, ${name}) as result
+  `;
+  return parseResult(rows, 'result');
+}
+
+/**
+ * The user's membership (one organization per user); null when they have none
+ */
+export async function getMembership(userId) {
+  const rows = await getPrisma().$queryRaw`
+    SELECT m.organization_id, m.user_id, m.role, m.monthly_credit_cap, o.name
+    FROM organization_members m
+    JOIN organizations o ON o.id = m.organization_id
+    WHERE m.user_id = ${userId}::uuid
+  `;
+  return rows[0] || null;
+}
+
+/**
+ * Organization with its pool balance and each member's spend this month
+ */
+export async function getOrganization(organizationId) {
+  const [organization] = await getPrisma().$queryRaw`
+    SELECT o.id, o.name, o.created_at,
+           a.balance, GREATEST(0, a.balance - a.held_balance - a.frozen_balance) AS available
+    FROM organizations o
+    JOIN credit_accounts a ON a.organization_id = o.id
+    WHERE o.id = ${organizationId}::uuid
+  `;
+  if (!organization) {
+    return null;
+  }
+
+  const members = await getPrisma().$queryRaw`
+    SELECT m.user_id, u.email, u.full_name, m.role, m.monthly_credit_cap,
+           get_member_credit_usage(m.organization_id, m.user_id) AS monthly_used,
+           m.created_at AS joined_at
+    FROM organization_members m
+    JOIN users u ON u.id = m.user_id
+    WHERE m.organization_id = ${organizationId}::uuid
+    ORDER BY m.created_at
+  `;
+  return {
+    ...organization,
+    balance: Number(organization.balance),
+    available: Number(organization.available),
+    members: members.map(member => ({
+      ...member,
+      monthly_credit_cap: member.monthly_credit_cap === null ? null : Number(member.monthly_credit_cap),
+      monthly_used: Number(member.monthly_used)
+    }))
+  };
+}
+
+/**
+ * Invite an email address; the plaintext token is returned once for the
+ * inviter to share with the invitee, and only its hash is stored
+ */
+export async function createInvite(organizationId, invitedBy, { email, role = 'member', monthlyCreditCap = null }) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  const expiresAt = new Date(Date.now() + ORGANIZATION_INVITE_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const rows = await getPrisma().$queryRaw`
+    INSERT INTO organization_invites (organization_id, email, role, monthly_credit_cap, token_hash, invited_by, expires_at)
+    VALUES (${organizationId}::uuid, ${email.toLowerCase()}, ${role}, ${monthlyCreditCap},
+            ${hashInviteToken(token)}, ${invitedBy}::uuid, ${expiresAt})
+    ON CONFLICT DO NOTHING
+    RETURNING id, email, role, monthly_credit_cap, expires_at
+  `;
+  if (rows.length === 0) {
+    return { success: false, error: 'An invite is already pending for this email' };
+  }
+  return { success: true, invite: rows[0], token };
+}
+
+export async function acceptInvite(userId, token) {
+  const rows = await getPrisma().$queryRaw`
+    SELECT accept_organization_invite(${userId}::uuid, ${hashInviteToken(token)}) as result
+  `;
+  return parseResult(rows, 'result');
+}
+
+/**
+ * Change a member's role or monthly cap. The owner cannot be changed, and
+ * only the owner grants or revokes admin.
+ */
+export async function updateMember(organizationId, actor, memberId, { role, monthlyCreditCap }) {
+  const [member] = await getPrisma().$queryRaw`
+    SELECT user_id, role FROM organization_members
+    WHERE organization_id = ${organizationId}::uuid AND user_id = ${memberId}::uuid
+  `;
+  if (!member) {
+    return { success: false, error: 'Member not found', status: 404 };
+  }
+  if (member.role === 'owner' && role !== undefined && role !== 'owner') {
+    return { success: false, error: 'The owner role cannot be changed', status: 403 };
+  }
+  const changesAdmin = role !== undefined && (role === 'admin' || member.role === 'admin');
+  if (changesAdmin && actor.role !== 'owner') {
+    return { success: false, error: 'Only the owner can grant or revoke admin', status: 403 };
+  }
+
+  const rows = await getPrisma().$queryRaw`
+    UPDATE organization_members
+    SET role = COALESCE(${role ?? null}, role),
+        monthly_credit_cap = CASE WHEN ${monthlyCreditCap !== undefined} THEN ${monthlyCreditCap ?? null}::decimal ELSE monthly_credit_cap END
+    WHERE organization_id = ${organizationId}::uuid AND user_id = ${memberId}::uuid
+    RETURNING user_id, role, monthly_credit_cap
+  `;
+  return { success: true, member: rows[0] };
+}
+
+/**
+ * Remove a member (or leave, when the actor removes themselves). The owner
+ * cannot be removed; admins cannot remove other admins.
+ */
+export async function removeMember(organizationId, actor, memberId) {
+  const [member] = await getPrisma().$queryRaw`
+    SELECT user_id, role FROM organization_members
+    WHERE organization_id = ${organizationId}::uuid AND user_id = ${memberId}::uuid
+  `;
+  if (!member) {
+    return { success: false, error: 'Member not found', status: 404 };
+  }
+  if (member.role === 'owner') {
+    return { success: false, error: 'The owner cannot be removed', status: 403 };
+  }
+  const leaving = actor.user_id === memberId;
+  if (!leaving && (!canManageMembers(actor) || (member.role === 'admin' && actor.role !== 'owner'))) {
+    return { success: false, error: 'Not allowed to remove this member', status: 403 };
+  }
+
+  await getPrisma().$executeRaw`
+    DELETE FROM organization_members
+    WHERE organization_id = ${organizationId}::uuid AND user_id = ${memberId}::uuid
+  `;
+  return { success: true };
+}
+
+export async function transferCreditsToOrganization(userId, organizationId, amount) {
+  const rows = await getPrisma().$queryRaw`
+    SELECT transfer_credits_to_organization(${userId}::uuid, ${organizationId}::uuid, ${amount}) as result
+  `;
+  return parseResult(rows, 'result');
+}
@@ -0,0 +1,192 @@
+// JSON Schemas for structured query answers
+// Query types listed here are answered as a single JSON object the UI renders
+// as cards; other types (basic_question, market_intelligence, ...) stay free
+// text. Property descriptions double as instructions to the model.
+
+const stringList = (description, extra = {}) => ({
+  type: 'array',
+  items: { type: 'string' },
+  description,
+  ...extra
+});
+
+export const QUERY_OUTPUT_SCHEMAS = {
+  skill_roadmap: {
+    type: 'object',
+    required: ['goal', 'total_duration_weeks', 'milestones'],
+    additionalProperties: false,
+    properties: {
+      goal: { type: 'string', description: 'The skill or role the roadmap leads to' },
+      summary: { type: 'string', description: 'Two or three sentences on the approach' },
+      total_duration_weeks: { type: 'integer', minimum: 1 },
+      milestones: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 12,
+        description: 'Milestones in the order they should be completed',
+        items: {
+          type: 'object',
+          required: ['title', 'duration_weeks', 'skills', 'resources'],
+          additionalProperties: false,
+          properties: {
+            title: { type: 'string' },
+            description: { type: 'string' },
+            duration_weeks: { type: 'integer', minimum: 1 },
+            skills: stringList('Skills gained in this milestone', { minItems: 1 }),
+            resources: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['title', 'type'],
+                additionalProperties: false,
+                properties: {
+                  title: { type: 'string' },
+                  type: { type: 'string', enum: ['course', 'book', 'documentation', 'project', 'video', 'certification', 'other'] },
+                  url: { type: 'string', description: 'Only well-known, stable URLs; omit when unsure' },
+                  free: { type: 'boolean' }
+                }
+              }
+            },
+            outcome: { type: 'string', description: 'How to tell the milestone is done' }
+          }
+        }
+      },
+      next_steps: stringList('What to do this week to get started', { default: [] })
+    }
+  },
+
+  salary_analysis: {
+    type: 'object',
+    required: ['role', 'currency', 'period', 'percentiles'],
+    additionalProperties: false,
+    properties: {
+      role: { type: 'string' },
+      location: { type: 'string' },
+      currency: { type: 'string', pattern: '^[A-Z]{3}$', description: 'ISO 4217 code, e.g. USD' },
+      period: { type: 'string', enum: ['year', 'month', 'hour'], default: 'year' },
+      percentiles: {
+        type: 'object',
+        required: ['p25', 'p50', 'p75'],
+        additionalProperties: false,
+        description: 'Base pay at each percentile of the market range',
+        properties: {
+          p10: { type: 'number', minimum: 0 },
+          p25: { type: 'number', minimum: 0 },
+          p50: { type: 'number', minimum: 0 },
+          p75: { type: 'number', minimum: 0 },
+          p90: { type: 'number', minimum: 0 }
+        }
+      },
+      total_compensation_note: { type: 'string', description: 'Bonus, equity and benefits typical for the role' },
+      factors: {
+        type: 'array',
+        description: 'What moves pay within the range',
+        items: {
+          type: 'object',
+          required: ['factor', 'impact'],
+          additionalProperties: false,
+          properties: {
+            factor: { type: 'string' },
+            impact: { type: 'string', enum: ['increases', 'decreases', 'varies'] },
+            detail: { type: 'string' }
+          }
+        }
+      },
+      negotiation_tips: stringList('Concrete negotiation advice', { default: [] }),
+      confidence: { type: 'string', enum: ['low', 'medium', 'high'], description: 'How reliable the figures are' }
+    }
+  },
+
+  career_transition_plan: {
+    type: 'object',
+    required: ['from_role', 'to_role', 'phases'],
+    additionalProperties: false,
+    properties: {
+      from_role: { type: 'string' },
+      to_role: { type: 'string' },
+      summary: { type: 'string' },
+      total_duration_months: { type: 'integer', minimum: 1 },
+      transferable_skills: stringList('Skills from the current role that carry over', { default: [] }),
+      skill_gaps: stringList('Skills the target role needs that must be built', { default: [] }),
+      phases: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 8,
+        items: {
+          type: 'object',
+          required: ['title', 'duration_months', 'actions'],
+          additionalProperties: false,
+          properties: {
+            title: { type: 'string' },
+            duration_months: { type: 'integer', minimum: 1 },
+            goals: stringList('What the phase achieves', { default: [] }),
+            actions: stringList('Concrete steps', { minItems: 1 })
+          }
+        }
+      },
+      risks: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['risk', 'mitigation'],
+          additionalProperties: false,
+          properties: {
+            risk: { type: 'string' },
+            mitigation: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+
+  resume_analysis: {
+    type: 'object',
+    required: ['summary', 'fit_score', 'skills_found', 'skills_missing', 'ats_keywords', 'bullet_rewrites'],
+    additionalProperties: false,
+    properties: {
+      summary: { type: 'string', description: 'Two or three sentences on overall fit' },
+      fit_score: { type: 'integer', minimum: 0, maximum: 100 },
+      skills_found: stringList('Skills the resume shows that matter for the role'),
+      skills_missing: stringList('Skills the role expects that the resume does not show'),
+      ats_keywords: {
+        type: 'object',
+        required: ['matched', 'missing', 'coverage_percent'],
+        additionalProperties: false,
+        properties: {
+          matched: stringList('Role keywords present in the resume'),
+          missing: stringList('Role keywords absent from the resume'),
+          coverage_percent: { type: 'integer', minimum: 0, maximum: 100 }
+        }
+      },
+      bullet_rewrites: {
+        type: 'array',
+        maxItems: 5,
+        items: {
+          type: 'object',
+          required: ['original', 'suggested', 'reason'],
+          additionalProperties: false,
+          properties: {
+            original: { type: 'string', description: 'A bullet quoted exactly from the resume' },
+            suggested: { type: 'string', description: 'A stronger, quantified rewrite' },
+            reason: { type: 'string', description: 'Why it is better for this role' }
+          }
+        }
+      }
+    }
+  },
+
+  job_match: {
+    type: 'object',
+    required: ['summary', 'strengths', 'gaps', 'cover_letter'],
+    additionalProperties: false,
+    properties: {
+      summary: { type: 'string', description: 'Two or three sentences on how well the candidate fits' },
+      strengths: stringList('Specific evidence from the resume that matches the job'),
+      gaps: stringList('Missing requirements and how to address or frame them'),
+      cover_letter: {
+        type: 'string',
+        description: 'A tailored cover letter draft of three to four short paragraphs, using only facts from the resume'
+      }
+    }
+  }
+};
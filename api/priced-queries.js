@@ -0,0 +1,98 @@
+// Flat-priced LLM queries
+// Some query types (resume analysis, job match) cost a fixed number of credits
+// from CreditsService instead of being billed per token. The cost is held
+// before the model call and captured once the answer validates against the
+// query type's output schema; if the call fails or no valid answer arrives the
+// hold is released, so the user pays nothing.
+
+import CreditsService from '../services/creditsService.js';
+import { callStructuredLLM, StructuredOutputError } from './structured-outputs.js';
+import { getModelConfig } from './llm-providers.js';
+import { calculateProviderCost } from './llm-gateway.js';
+import { holdCredits, captureCreditHold, releaseCreditHold } from './credit-ledger.js';
+import { getRequestId } from '../src/utils/requestContext.js';
+
+const creditsService = new CreditsService();
+
+export function getQueryCost(queryType) {
+  return creditsService.getQueryCost(queryType);
+}
+
+async function releaseHold(hold) {
+  await releaseCreditHold(hold.hold_id, 'failed')
+    .catch(error => console.error('Failed to release credit hold:', error));
+}
+
+/**
+ * Run an LLM request for a user at the flat cost of its query type, which must
+ * have an output schema. Resolves to { success: true, output, usage, model,
+ * provider, fallback_used } or { success: false, error, status }.
+ */
+export async function runPricedQuery({
+  userId,
+  apiKeyId = null,
+  queryType,
+  description,
+  request
+}) {
+  const credits = getQueryCost(queryType);
+
+  const hold = await holdCredits(userId, credits, description, { query_type: queryType });
+  if (!hold.success) {
+    return {
+      success: false,
+      error: hold.error || 'Insufficient credits',
+      status: 402,
+      required: credits,
+      available: hold.available
+    };
+  }
+
+  let result;
+  try {
+    result = await callStructuredLLM({ ...request, user_id: userId }, queryType);
+  } catch (error) {
+    await releaseHold(hold);
+    if (error instanceof StructuredOutputError) {
+      return { success: false, error: 'The model did not return a valid answer', status: 502 };
+    }
+    throw error;
+  }
+
+  const modelConfig = getModelConfig(result.model);
+  const capture = await captureCreditHold(hold.hold_id, credits, description, {
+    provider: result.provider,
+    model: result.model,
+    prompt_tokens: result.usage.prompt_tokens,
+    completion_tokens: result.usage.completion_tokens,
+    total_tokens: result.usage.total_tokens,
+    provider_cost_usd: calculateProviderCost(result.usage, {
+      input_cost_per_1m_tokens: modelConfig.input_cost_per_1m,
+      output_cost_per_1m_tokens: modelConfig.output_cost_per_1m
+    }),
+    request_id: getRequestId(),
+    provider_request_id: result.request_id,
+    response_time_ms: result.response_time_ms,
+    status: 'completed',
+    query_type: queryType,
+    api_key_id: apiKeyId
+  });
+  if (!capture.success) {
+    return { success: false, error: capture.error || 'Credit consumption failed', status: 402 };
+  }
+
+  return {
+    success: true,
+    output: result.structured_output,
+    usage: {
+      prompt_tokens: result.usage.prompt_tokens,
+      completion_tokens: result.usage.completion_tokens,
+      total_tokens: result.usage.total_tokens,
+      credits_consumed: capture.credits_captured ?? credits,
+      response_time_ms: result.response_time_ms
+    },
+    model: result.model,
+    provider: result.provider,
+    fallback_used: result.fallback_used
+  };
+}
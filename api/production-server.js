@@ -4,48 +4,114 @@ dotenv.config();
 import express from 'express';
 import cors from 'cors';
 import compression from 'compression';
+import multer from 'multer';
 import { createServer } from 'http';
-import { callLLMProvider } from './llm-providers.js';
+import { getAvailableProviders, mockLLMCall } from './llm-providers.js';
+import { callLLMWithFailover, streamLLMWithFailover } from './llm-failover.js';
+import { PROVIDER_ERROR_CODES, findProviderForModel } from './providers/index.js';
+import { quoteRequest } from './llm-gateway.js';
 import { 
   createPaymentIntent, 
+  createSubscriptionCheckout,
+  changeSubscriptionPlan,
   verifyPayment, 
-  handleWebhook,
-  getCreditPackages 
+  handleWebhook
 } from './stripe-service.js';
+import { 
+  getCreditPackages, 
+  getAllCreditPackages,
+  createCreditPackage,
+  retireCreditPackage
+} from './credit-packages.js';
+import { getSubscriptionPlans } from './subscription-service.js';
+import {
+  createConversation,
+  listConversations,
+  getConversation,
+  getConversationMessages,
+  appendMessages,
+  buildConversationContext,
+  saveConversationTurn
+} from './conversations.js';
+import { getLimitStatus } from './rate-limiter.js';
+import { scheduleCreditHoldExpiry } from './credit-ledger.js';
+import { createApiKey, listApiKeys, revokeApiKey, ApiKeyLimitError } from './api-keys.js';
+import {
+  createOrganization,
+  getMembership,
+  getOrganization,
+  canManageMembers,
+  createInvite,
+  acceptInvite,
+  updateMember,
+  removeMember,
+  transferCreditsToOrganization
+} from './organizations.js';
+import { getUsageAnalytics } from './usage-analytics.js';
+import { getMarginReport } from './margin-report.js';
+import { checkLiveness, checkReadiness } from './health.js';
+import {
+  analyzeResume,
+  extractResumeText,
+  normalizeResumeText,
+  ResumeParseError,
+  RESUME_MAX_FILE_BYTES
+} from './resume-analysis.js';
+import { matchJob } from './job-match.js';
+import { getCareerProfile, saveCareerProfile } from './career-profiles.js';
 
 // Import our utilities
 import { logInfo, logError, logWarning } from '../src/utils/logger.js';
 import { sendSuccess, sendError, errorHandler } from '../src/utils/apiResponse.js';
 import { validate, schemas, sanitize } from '../src/utils/validation.js';
+import { authenticate, hasScope, requireAuth, requireScope, requireSession } from '../src/middleware/auth.js';
+import { openEventStream, sendEvent } from '../src/utils/sse.js';
+import { initTracing } from '../src/utils/tracing.js';
+import { register as metricsRegister } from '../src/utils/metrics.js';
 import { 
   corsOptions, 
   rateLimiters, 
   helmetConfig,
+  adminIPWhitelist,
+  requestId,
   requestLogger,
+  requestMetrics,
   validateContentType,
   requestSizeLimit
 } from '../src/middleware/security.js';
 
+// Export spans to the OTLP collector when OTEL_EXPORTER_OTLP_ENDPOINT is set
+initTracing();
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Trust proxy for accurate IP addresses
 app.set('trust proxy', 1);
 
+// Correlation ID for logs, responses and usage records
+app.use(requestId);
+
 // Security middleware
 app.use(helmetConfig);
 app.use(cors(corsOptions));
 app.use(compression());
 app.use(requestLogger);
+app.use(requestMetrics);
 app.use(validateContentType);
 app.use(requestSizeLimit('10mb'));
 
-// Body parsing
-app.use(express.json({ limit: '10mb' }));
+// Body parsing (the Stripe webhook needs the raw body to verify its signature)
+const jsonParser = express.json({ limit: '10mb' });
+app.use((req, res, next) => (
+  req.originalUrl === '/api/stripe/webhook' ? next() : jsonParser(req, res, next)
+));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Supabase access tokens or personal API keys identify the caller (req.user) for rate limits and handlers
+app.use('/api', authenticate);
+
 // Rate limiting
-app.use('/api/llm', rateLimiters.llmQuery);
 app.use('/api/stripe', rateLimiters.payment);
 
 // Health check endpoint
@@ -59,6 +125,40 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Liveness probe: the process is up and serving requests
+app.get('/health/live', (req, res) => {
+  sendSuccess(res, checkLiveness());
+});
+
+// Readiness probe: database, SQL functions, providers and Stripe, each with
+// its status and latency; 503 when a required check fails
+app.get('/health/ready', async (req, res) => {
+  const readiness = await checkReadiness();
+  if (!readiness.ready) {
+    const failed = Object.entries(readiness.checks)
+      .filter(([, check]) => check.status === 'fail')
+      .map(([name, check]) => ({ check: name, ...check }));
+    logWarning('Readiness check failed', { failed: failed.map(check => check.check) });
+    return sendError(res, 'Service not ready', 503, failed);
+  }
+  sendSuccess(res, readiness, readiness.status === 'degraded' ? 'Ready with degraded checks' : 'Ready');
+});
+
+// Prometheus metrics (text exposition format)
+app.get('/metrics', adminIPWhitelist, async (req, res) => {
+  try {
+    const metrics = await metricsRegister.metrics();
+    res.set('Content-Type', metricsRegister.contentType);
+    res.end(metrics);
+  } catch (error) {
+    logError(error, {
+      endpoint: '/metrics',
+      ip: req.ip
+    });
+    sendError(res, 'Failed to collect metrics', 500);
+  }
+});
+
 // API test endpoint
 app.get('/api/test', (req, res) => {
   sendSuccess(res, {
@@ -69,44 +169,105 @@ app.get('/api/test', (req, res) => {
 
 // LLM Providers endpoint
 app.get('/api/llm/providers', (req, res) => {
-  const providers = [
-    {
-      id: 'claude',
-      name: 'Anthropic Claude',
-      models: [
-        { id: 'claude-3-haiku-20240307', name: 'Claude 3 Haiku', cost_per_1k_tokens: 0.25 },
-        { id: 'claude-3-sonnet-20240229', name: 'Claude 3 Sonnet', cost_per_1k_tokens: 3.0 },
-        { id: 'claude-3-opus-20240229', name: 'Claude 3 Opus', cost_per_1k_tokens: 15.0 }
-      ]
-    },
-    {
-      id: 'openai',
-      name: 'OpenAI',
-      models: [
-        { id: 'gpt-3.5-turbo', name: 'GPT-3.5 Turbo', cost_per_1k_tokens: 0.5 },
-        { id: 'gpt-4', name: 'GPT-4', cost_per_1k_tokens: 30.0 },
-        { id: 'gpt-4-turbo', name: 'GPT-4 Turbo', cost_per_1k_tokens: 10.0 }
-      ]
-    },
-    {
-      id: 'perplexity',
-      name: 'Perplexity',
-      models: [
-        { id: 'llama-3.1-sonar-small-128k-online', name: 'Llama 3.1 Sonar Small', cost_per_1k_tokens: 0.2 },
-        { id: 'llama-3.1-sonar-large-128k-online', name: 'Llama 3.1 Sonar Large', cost_per_1k_tokens: 1.0 }
-      ]
-    }
-  ];
-  
-  sendSuccess(res, providers);
+  sendSuccess(res, getAvailableProviders());
+});
+
+// Remaining LLM query quota and daily free credits for the caller
+app.get('/api/limits/status', requireScope('billing:read'), async (req, res) => {
+  try {
+    const status = await getLimitStatus({
+      userId: req.user?.id,
+      subscriptionTier: req.user?.subscription_tier,
+      ip: req.ip
+    });
+    sendSuccess(res, status);
+  } catch (error) {
+    logError(error, {
+      endpoint: '/api/limits/status',
+      user_id: req.user?.id,
+      ip: req.ip
+    });
+    sendError(res, 'Failed to load rate limit status', 500);
+  }
 });
 
+// Relay a provider stream to the client as Server-Sent Events.
+// onComplete(content, doneEvent) runs before the final event, e.g. to store a conversation turn.
+async function streamLLMQuery(res, llmRequest, onComplete = null) {
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      abortController.abort();
+    }
+  });
+
+  openEventStream(res);
+  let content = '';
+
+  try {
+    for await (const event of streamLLMWithFailover({ ...llmRequest, signal: abortController.signal })) {
+      if (event.type === 'start') {
+        sendEvent(res, 'start', {
+          model: event.model,
+          requested_model: event.requested_model,
+          provider: event.provider,
+          fallback_used: event.fallback_used
+        });
+      } else if (event.type === 'token') {
+        content += event.content;
+        sendEvent(res, 'token', { content: event.content });
+      } else if (event.type === 'done') {
+        if (onComplete) {
+          await onComplete(content, event);
+        }
+
+        logInfo('LLM Stream Success', {
+          user_id: llmRequest.user_id,
+          model: event.model,
+          tokens_used: event.usage.total_tokens,
+          response_time: event.response_time_ms
+        });
+
+        sendEvent(res, 'done', {
+          usage: { ...event.usage, response_time_ms: event.response_time_ms },
+          model: event.model,
+          provider: event.provider,
+          request_id: event.request_id,
+          finish_reason: event.finish_reason
+        });
+      }
+    }
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      logInfo('LLM Stream cancelled by client', { user_id: llmRequest.user_id, model: llmRequest.model });
+      return;
+    }
+
+    logError(error, {
+      endpoint: '/api/llm/query',
+      stream: true,
+      user_id: llmRequest.user_id,
+      model: llmRequest.model
+    });
+    sendEvent(res, 'error', {
+      message: error.code === PROVIDER_ERROR_CODES.FAILOVER_EXHAUSTED
+        ? 'All LLM providers are currently unavailable'
+        : 'LLM service failed while streaming the response'
+    });
+  }
+
+  res.end();
+}
+
 // LLM Query endpoint with validation
-app.post('/api/llm/query', 
+app.post('/api/llm/query',
+  requireScope('query'),
+  rateLimiters.llmQuery,
   validate(schemas.llmQuery),
   async (req, res) => {
     try {
-      const { messages, model, max_tokens, temperature, user_id } = req.body;
+      const { messages, model, max_tokens, temperature, stream, mock, conversation_id } = req.body;
+      const user_id = req.user?.id;
       
       // Sanitize input
       const sanitizedMessages = messages.map(msg => ({
@@ -116,108 +277,901 @@ app.post('/api/llm/query',
       
       logInfo('LLM Query Request', {
         user_id,
+        api_key_id: req.user?.api_key_id,
         model,
+        conversation_id,
         message_count: sanitizedMessages.length,
+        stream: !!stream,
         ip: req.ip
       });
 
-      // Try real LLM call first, fallback to mock if needed
-      try {
-        const result = await callLLMProvider({
-          messages: sanitizedMessages,
+      // Prepend the stored thread, fitted to the model's context window
+      let context = null;
+      if (conversation_id) {
+        if (!user_id) {
+          return sendError(res, 'Authentication required', 401);
+        }
+        // Reading and extending a stored thread needs the same scope as /api/conversations
+        if (!hasScope(req.user, 'conversations')) {
+          return sendError(res, 'API key lacks the conversations scope', 403);
+        }
+        const conversation = await getConversation(conversation_id, user_id);
+        if (!conversation) {
+          return sendError(res, 'Conversation not found', 404);
+        }
+        const history = await getConversationMessages(conversation_id);
+        context = await buildConversationContext(conversation, history, sanitizedMessages, {
           model,
-          max_tokens: max_tokens || 1000,
-          temperature: temperature || 0.7,
-          user_id
+          maxTokens: max_tokens || 1000
         });
-        
-        logInfo('LLM Query Success', {
+      }
+
+      const llmRequest = {
+        messages: context ? context.messages : sanitizedMessages,
+        model,
+        max_tokens: max_tokens || 1000,
+        temperature: temperature || 0.7,
+        user_id
+      };
+
+      if (stream && !mock) {
+        return await streamLLMQuery(res, llmRequest, conversation_id
+          ? (content, event) => saveConversationTurn(conversation_id, sanitizedMessages, {
+            content,
+            model: event.model,
+            provider: event.provider,
+            completion_tokens: event.usage.completion_tokens
+          })
+          : null);
+      }
+
+      // Mock responses are only served when the caller asks for one
+      const result = mock
+        ? { ...(await mockLLMCall(llmRequest)), provider: 'mock', requested_model: model, fallback_used: false }
+        : await callLLMWithFailover(llmRequest);
+
+      logInfo('LLM Query Success', {
+        user_id,
+        model: result.model,
+        requested_model: model,
+        provider: result.provider,
+        fallback_used: result.fallback_used,
+        tokens_used: result.usage.total_tokens,
+        response_time: result.response_time_ms
+      });
+
+      if (result.fallback_used) {
+        logWarning('LLM query served by fallback provider', {
           user_id,
-          model,
-          tokens_used: result.usage.total_tokens,
-          response_time: result.response_time_ms
+          requested_model: model,
+          served_model: result.model,
+          failed_attempts: result.failed_attempts
         });
-        
-        sendSuccess(res, {
-          response: result.choices[0].message.content,
-          usage: {
-            prompt_tokens: result.usage.prompt_tokens,
-            completion_tokens: result.usage.completion_tokens,
-            total_tokens: result.usage.total_tokens,
-            credits_consumed: result.credits_consumed,
-            response_time_ms: result.response_time_ms
-          },
+      }
+
+      if (conversation_id) {
+        await saveConversationTurn(conversation_id, sanitizedMessages, {
+          content: result.choices[0].message.content,
           model: result.model,
           provider: result.provider,
-          request_id: result.request_id,
-          is_real_response: true
-        });
-        
-      } catch (llmError) {
-        logWarning('LLM API failed, using mock response', {
-          error: llmError.message,
-          user_id,
-          model
-        });
-        
-        // Fallback to mock response
-        const mockResult = {
-          choices: [{
-            message: {
-              content: `This is a mock response for your query about: "${sanitizedMessages[sanitizedMessages.length - 1].content.substring(0, 50)}...". The real LLM service is currently unavailable, but your request has been processed successfully.`
-            }
-          }],
-          usage: {
-            prompt_tokens: Math.floor(Math.random() * 100) + 50,
-            completion_tokens: Math.floor(Math.random() * 200) + 100,
-            total_tokens: 0
-          },
-          model: model,
-          provider: 'mock',
-          request_id: `mock_${Date.now()}`,
-          response_time_ms: Math.floor(Math.random() * 1000) + 200
-        };
-        
-        mockResult.usage.total_tokens = mockResult.usage.prompt_tokens + mockResult.usage.completion_tokens;
-        
-        sendSuccess(res, {
-          response: mockResult.choices[0].message.content,
-          usage: {
-            ...mockResult.usage,
-            credits_consumed: Math.ceil(mockResult.usage.total_tokens / 1000),
-            response_time_ms: mockResult.response_time_ms
-          },
-          model: mockResult.model,
-          provider: mockResult.provider,
-          request_id: mockResult.request_id,
-          is_real_response: false,
-          fallback_reason: 'LLM service temporarily unavailable'
+          completion_tokens: result.usage.completion_tokens
         });
       }
+
+      sendSuccess(res, {
+        response: result.choices[0].message.content,
+        usage: {
+          prompt_tokens: result.usage.prompt_tokens,
+          completion_tokens: result.usage.completion_tokens,
+          total_tokens: result.usage.total_tokens,
+          credits_consumed: result.usage.credits_consumed,
+          response_time_ms: result.response_time_ms
+        },
+        model: result.model,
+        requested_model: result.requested_model,
+        provider: result.provider,
+        fallback_used: result.fallback_used,
+        request_id: result.request_id,
+        conversation: context && {
+          id: conversation_id,
+          truncated_messages: context.truncated_count,
+          summarized: context.summarized
+        },
+        is_real_response: !mock
+      });
       
     } catch (error) {
       logError(error, {
         endpoint: '/api/llm/query',
-        user_id: req.body.user_id,
+        user_id: req.user?.id,
         ip: req.ip
       });
+      if (error.code === PROVIDER_ERROR_CODES.FAILOVER_EXHAUSTED) {
+        return sendError(res, 'All LLM providers are currently unavailable', 503,
+          error.attempts.map(({ provider, model, code }) => ({ provider, model, code })));
+      }
+      if (error.code === PROVIDER_ERROR_CODES.INVALID_REQUEST) {
+        return sendError(res, 'The LLM provider rejected the request', 400);
+      }
       sendError(res, 'Failed to process LLM query', 500);
     }
   }
 );
 
+// Credit quote for a query without calling the model
+app.post('/api/llm/estimate',
+  requireScope('query'),
+  validate(schemas.llmEstimate),
+  async (req, res) => {
+    try {
+      const { messages, model, max_tokens, query_type } = req.body;
+      if (!findProviderForModel(model)) {
+        return sendError(res, `Model ${model} not found`, 400);
+      }
+
+      const quote = await quoteRequest({ messages, model, max_tokens, query_type });
+      sendSuccess(res, quote);
+    } catch (error) {
+      logError(error, {
+        endpoint: '/api/llm/estimate',
+        user_id: req.user?.id,
+        ip: req.ip
+      });
+      sendError(res, 'Failed to estimate credits', 500);
+    }
+  }
+);
+
+// Resume files are kept in memory; their text is extracted locally
+const resumeUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: RESUME_MAX_FILE_BYTES, files: 1 }
+}).single('resume');
+
+// Answer multer rejections (oversized file, unexpected field) as API errors
+const acceptResumeUpload = (req, res, next) => resumeUpload(req, res, (error) => {
+  if (error?.code === 'LIMIT_FILE_SIZE') {
+    return sendError(res, `Resume must be at most ${RESUME_MAX_FILE_BYTES / (1024 * 1024)}MB`, 413);
+  }
+  if (error) {
+    return sendError(res, error.message, 400);
+  }
+  next();
+});
+
+// Resume analysis against a target role: a PDF, DOCX or text file in the
+// "resume" field of a multipart form, or resume_text in a JSON body
+app.post('/api/resume/analyze',
+  requireAuth,
+  requireScope('query'),
+  rateLimiters.llmQuery,
+  acceptResumeUpload,
+  validate(schemas.resumeAnalysis),
+  async (req, res) => {
+    try {
+      const { target_role, job_description, resume_text, model, save_resume } = req.body;
+      if (model && !findProviderForModel(model)) {
+        return sendError(res, `Model ${model} not found`, 400);
+      }
+
+      let resume;
+      if (req.file) {
+        resume = await extractResumeText(req.file);
+      } else if (resume_text) {
+        resume = { ...normalizeResumeText(resume_text), format: 'text' };
+      } else {
+        return sendError(res, 'Upload a resume file or send resume_text', 400);
+      }
+
+      const result = await analyzeResume({
+        userId: req.user.id,
+        apiKeyId: req.user.api_key_id,
+        text: resume.text,
+        targetRole: sanitize.llmInput(target_role),
+        jobDescription: job_description ? sanitize.llmInput(job_description) : null,
+        model
+      });
+      if (!result.success) {
+        return sendError(res, result.error, result.status, result.status === 402
+          ? [{ required: result.required, available: result.available }]
+          : []);
+      }
+
+      logInfo('Resume Analysis Success', {
+        user_id: req.user.id,
+        format: resume.format,
+        characters: resume.text.length,
+        model: result.model,
+        credits_consumed: result.usage.credits_consumed
+      });
+
+      // The analysis is already paid for, so a failed save only loses the copy
+      let saved = false;
+      if (save_resume) {
+        try {
+          await saveCareerProfile(req.user.id, { resumeText: resume.text, resumeFormat: resume.format });
+          saved = true;
+        } catch (error) {
+          logError(error, {
+            endpoint: '/api/resume/analyze',
+            user_id: req.user.id,
+            ip: req.ip
+          });
+        }
+      }
+
+      sendSuccess(res, {
+        target_role: result.target_role,
+        analysis: result.analysis,
+        usage: result.usage,
+        model: result.model,
+        provider: result.provider,
+        fallback_used: result.fallback_used,
+        resume: {
+          format: resume.format,
+          characters: resume.text.length,
+          truncated: resume.truncated,
+          saved
+        }
+      });
+    } catch (error) {
+      if (error instanceof ResumeParseError) {
+        return sendError(res, error.message, error.status);
+      }
+      logError(error, {
+        endpoint: '/api/resume/analyze',
+        user_id: req.user?.id,
+        ip: req.ip
+      });
+      if (error.code === PROVIDER_ERROR_CODES.FAILOVER_EXHAUSTED) {
+        return sendError(res, 'All LLM providers are currently unavailable', 503);
+      }
+      sendError(res, 'Failed to analyze resume', 500);
+    }
+  }
+);
+
+// Job match: local skill/keyword overlap score plus an LLM narrative and cover
+// letter, against resume_text or the resume stored on the career profile
+app.post('/api/job-match',
+  requireAuth,
+  requireScope('query'),
+  rateLimiters.llmQuery,
+  validate(schemas.jobMatch),
+  async (req, res) => {
+    try {
+      const { job_description, job_title, resume_text, model } = req.body;
+      if (model && !findProviderForModel(model)) {
+        return sendError(res, `Model ${model} not found`, 400);
+      }
+
+      const profile = await getCareerProfile(req.user.id);
+      const resumeText = resume_text ? normalizeResumeText(resume_text).text : profile?.resume_text;
+      const profileSkills = profile?.skills || [];
+      if (!resumeText && profileSkills.length === 0) {
+        return sendError(res, 'No resume on file: send resume_text or save a resume to your profile', 400);
+      }
+
+      const result = await matchJob({
+        userId: req.user.id,
+        apiKeyId: req.user.api_key_id,
+        jobDescription: sanitize.llmInput(job_description),
+        jobTitle: job_title ? sanitize.llmInput(job_title) : null,
+        resumeText: resumeText || '',
+        profileSkills,
+        model
+      });
+      if (!result.success) {
+        return sendError(res, result.error, result.status, result.status === 402
+          ? [{ required: result.required, available: result.available }]
+          : []);
+      }
+
+      logInfo('Job Match Success', {
+        user_id: req.user.id,
+        score: result.score,
+        resume_source: resume_text ? 'request' : 'profile',
+        model: result.model,
+        credits_consumed: result.usage.credits_consumed
+      });
+
+      sendSuccess(res, {
+        job_title: result.job_title,
+        score: result.score,
+        requirements: result.requirements,
+        keywords: result.keywords,
+        narrative: result.narrative,
+        cover_letter: result.cover_letter,
+        resume_source: resume_text ? 'request' : 'profile',
+        usage: result.usage,
+        model: result.model,
+        provider: result.provider,
+        fallback_used: result.fallback_used
+      });
+    } catch (error) {
+      if (error instanceof ResumeParseError) {
+        return sendError(res, error.message, error.status);
+      }
+      logError(error, {
+        endpoint: '/api/job-match',
+        user_id: req.user?.id,
+        ip: req.ip
+      });
+      if (error.code === PROVIDER_ERROR_CODES.FAILOVER_EXHAUSTED) {
+        return sendError(res, 'All LLM providers are currently unavailable', 503);
+      }
+      sendError(res, 'Failed to match job', 500);
+    }
+  }
+);
+
+// Career profile endpoints (signed-in sessions only)
+app.get('/api/profile', requireSession, async (req, res) => {
+  try {
+    const profile = await getCareerProfile(req.user.id);
+    if (!profile) {
+      return sendError(res, 'Profile not found', 404);
+    }
+    sendSuccess(res, profile);
+  } catch (error) {
+    logError(error, {
+      endpoint: '/api/profile',
+      user_id: req.user.id,
+      ip: req.ip
+    });
+    sendError(res, 'Failed to load profile', 500);
+  }
+});
+
+app.put('/api/profile',
+  requireSession,
+  validate(schemas.careerProfileUpdate),
+  async (req, res) => {
+    try {
+      const { headline, skills, resume_text } = req.body;
+      const profile = await saveCareerProfile(req.user.id, {
+        headline,
+        skills,
+        resumeText: typeof resume_text === 'string' ? normalizeResumeText(resume_text).text : resume_text
+      });
+      sendSuccess(res, profile, 'Profile saved');
+    } catch (error) {
+      if (error instanceof ResumeParseError) {
+        return sendError(res, error.message, error.status);
+      }
+      logError(error, {
+        endpoint: '/api/profile',
+        user_id: req.user.id,
+        ip: req.ip
+      });
+      sendError(res, 'Failed to save profile', 500);
+    }
+  }
+);
+
+// Conversation endpoints
+app.post('/api/conversations',
+  requireAuth,
+  requireScope('conversations'),
+  validate(schemas.conversationCreate),
+  async (req, res) => {
+    try {
+      const { title, model } = req.body;
+      const conversation = await createConversation(req.user.id, { title, model });
+      sendSuccess(res, conversation, 'Conversation created', 201);
+    } catch (error) {
+      logError(error, {
+        endpoint: '/api/conversations',
+        user_id: req.user.id,
+        ip: req.ip
+      });
+      sendError(res, 'Failed to create conversation', 500);
+    }
+  }
+);
+
+app.get('/api/conversations',
+  requireAuth,
+  requireScope('conversations'),
+  validate(schemas.conversationQuery, 'query'),
+  async (req, res) => {
+    try {
+      const { limit, offset } = req.query;
+      const conversations = await listConversations(req.user.id, { limit, offset });
+      sendSuccess(res, conversations);
+    } catch (error) {
+      logError(error, {
+        endpoint: '/api/conversations',
+        user_id: req.user.id,
+        ip: req.ip
+      });
+      sendError(res, 'Failed to list conversations', 500);
+    }
+  }
+);
+
+app.get('/api/conversations/:id',
+  requireAuth,
+  requireScope('conversations'),
+  validate(schemas.conversationParams, 'params'),
+  async (req, res) => {
+    try {
+      const conversation = await getConversation(req.params.id, req.user.id);
+      if (!conversation) {
+        return sendError(res, 'Conversation not found', 404);
+      }
+      const messages = await getConversationMessages(conversation.id);
+      sendSuccess(res, { ...conversation, messages });
+    } catch (error) {
+      logError(error, {
+        endpoint: '/api/conversations/:id',
+        user_id: req.user.id,
+        ip: req.ip
+      });
+      sendError(res, 'Failed to load conversation', 500);
+    }
+  }
+);
+
+app.post('/api/conversations/:id/messages',
+  requireAuth,
+  requireScope('conversations'),
+  validate(schemas.conversationParams, 'params'),
+  validate(schemas.conversationMessages),
+  async (req, res) => {
+    try {
+      const { messages } = req.body;
+      const conversation = await getConversation(req.params.id, req.user.id);
+      if (!conversation) {
+        return sendError(res, 'Conversation not found', 404);
+      }
+      const stored = await appendMessages(conversation.id, messages.map(message => ({
+        role: message.role,
+        content: sanitize.llmInput(message.content)
+      })), conversation.model);
+      sendSuccess(res, stored, 'Messages appended', 201);
+    } catch (error) {
+      logError(error, {
+        endpoint: '/api/conversations/:id/messages',
+        user_id: req.user.id,
+        ip: req.ip
+      });
+      sendError(res, 'Failed to append messages', 500);
+    }
+  }
+);
+
+// Usage analytics for the caller: totals, per-model stats and a grouped series
+app.get('/api/usage/analytics',
+  requireAuth,
+  requireScope('billing:read'),
+  validate(schemas.usageAnalyticsQuery, 'query'),
+  async (req, res) => {
+    try {
+      const { start_date, end_date, group_by } = req.query;
+      const analytics = await getUsageAnalytics({
+        startDate: start_date,
+        endDate: end_date,
+        groupBy: group_by,
+        userId: req.user.id
+      });
+      sendSuccess(res, analytics);
+    } catch (error) {
+      logError(error, {
+        endpoint: '/api/usage/analytics',
+        user_id: req.user.id,
+        ip: req.ip
+      });
+      sendError(res, 'Failed to load usage analytics', 500);
+    }
+  }
+);
+
+// Personal API key endpoints (managed from a signed-in session only)
+app.post('/api/keys',
+  requireSession,
+  validate(schemas.apiKeyCreate),
+  async (req, res) => {
+    try {
+      const { name, scopes, expires_at } = req.body;
+      const apiKey = await createApiKey(req.user.id, { name, scopes, expiresAt: expires_at });
+      logInfo('API Key Created', {
+        user_id: req.user.id,
+        api_key_id: apiKey.id,
+        scopes
+      });
+      sendSuccess(res, apiKey, 'API key created; store it now, it will not be shown again', 201);
+    } catch (error) {
+      if (error instanceof ApiKeyLimitError) {
+        return sendError(res, error.message, 409);
+      }
+      logError(error, {
+        endpoint: '/api/keys',
+        user_id: req.user.id,
+        ip: req.ip
+      });
+      sendError(res, 'Failed to create API key', 500);
+    }
+  }
+);
+
+app.get('/api/keys', requireSession, async (req, res) => {
+  try {
+    sendSuccess(res, await listApiKeys(req.user.id));
+  } catch (error) {
+    logError(error, {
+      endpoint: '/api/keys',
+      user_id: req.user.id,
+      ip: req.ip
+    });
+    sendError(res, 'Failed to list API keys', 500);
+  }
+});
+
+app.delete('/api/keys/:id', requireSession, async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(req.params.id, req.user.id);
+    if (!revoked) {
+      return sendError(res, 'API key not found', 404);
+    }
+    logInfo('API Key Revoked', {
+      user_id: req.user.id,
+      api_key_id: req.params.id
+    });
+    sendSuccess(res, { id: req.params.id, revoked: true }, 'API key revoked');
+  } catch (error) {
+    logError(error, {
+      endpoint: '/api/keys/:id',
+      user_id: req.user.id,
+      ip: req.ip
+    });
+    sendError(res, 'Failed to revoke API key', 500);
+  }
+});
+
+// Organization endpoints (signed-in sessions only)
+// Loads the caller's membership of :id into req.membership; managers are owners and admins
+const requireMembership = ({ manage = false } = {}) => async (req, res, next) => {
+  try {
+    const membership = await getMembership(req.user.id);
+    if (!membership || membership.organization_id !== req.params.id) {
+      return sendError(res, 'Organization not found', 404);
+    }
+    if (manage && !canManageMembers(membership)) {
+      return sendError(res, 'Only organization owners and admins can do this', 403);
+    }
+    req.membership = membership;
+    next();
+  } catch (error) {
+    logError(error, {
+      endpoint: req.originalUrl,
+      user_id: req.user.id,
+      ip: req.ip
+    });
+    sendError(res, 'Failed to load organization membership', 500);
+  }
+};
+
+app.post('/api/organizations',
+  requireSession,
+  validate(schemas.organizationCreate),
+  async (req, res) => {
+    try {
+      const result = await createOrganization(req.user.id, req.body.name);
+      if (!result.success) {
+        return sendError(res, result.error, 409);
+      }
+      logInfo('Organization Created', {
+        user_id: req.user.id,
+        organization_id: result.organization_id
+      });
+      sendSuccess(res, await getOrganization(result.organization_id), 'Organization created', 201);
+    } catch (error) {
+      logError(error, {
+        endpoint: '/api/organizations',
+        user_id: req.user.id,
+        ip: req.ip
+      });
+      sendError(res, 'Failed to create organization', 500);
+    }
+  }
+);
+
+// The caller's organization, pool balance and members' spend this month
+app.get('/api/organizations/current', requireSession, async (req, res) => {
+  try {
+    const membership = await getMembership(req.user.id);
+    if (!membership) {
+      return sendError(res, 'Not a member of an organization', 404);
+    }
+    const organization = await getOrganization(membership.organization_id);
+    sendSuccess(res, { ...organization, role: membership.role });
+  } catch (error) {
+    logError(error, {
+      endpoint: '/api/organizations/current',
+      user_id: req.user.id,
+      ip: req.ip
+    });
+    sendError(res, 'Failed to load organization', 500);
+  }
+});
+
+app.post('/api/organizations/invites/accept',
+  requireSession,
+  validate(schemas.organizationInviteAccept),
+  async (req, res) => {
+    try {
+      const result = await acceptInvite(req.user.id, req.body.token);
+      if (!result.success) {
+        return sendError(res, result.error, 400);
+      }
+      logInfo('Organization Invite Accepted', {
+        user_id: req.user.id,
+        organization_id: result.organization_id,
+        role: result.role
+      });
+      sendSuccess(res, result, 'Joined organization');
+    } catch (error) {
+      logError(error, {
+        endpoint: '/api/organizations/invites/accept',
+        user_id: req.user.id,
+        ip: req.ip
+      });
+      sendError(res, 'Failed to accept invite', 500);
+    }
+  }
+);
+
+app.post('/api/organizations/:id/invites',
+  requireSession,
+  requireMembership({ manage: true }),
+  validate(schemas.organizationInvite),
+  async (req, res) => {
+    try {
+      const { email, role, monthly_credit_cap } = req.body;
+      if (role === 'admin' && req.membership.role !== 'owner') {
+        return sendError(res, 'Only the owner can invite admins', 403);
+      }
+      const result = await createInvite(req.params.id, req.user.id, {
+        email,
+        role,
+        monthlyCreditCap: monthly_credit_cap
+      });
+      if (!result.success) {
+        return sendError(res, result.error, 409);
+      }
+      const appUrl = process.env.FRONTEND_URL || 'https://vegacareer.app';
+      logInfo('Organization Invite Created', {
+        user_id: req.user.id,
+        organization_id: req.params.id,
+        invite_id: result.invite.id,
+        role
+      });
+      // Nothing is emailed; the inviter passes the link on to the invitee
+      sendSuccess(res, {
+        ...result.invite,
+        token: result.token,
+        invite_url: `${appUrl}/?invite=${result.token}`
+      }, 'Invite created; share the invite link with the invitee', 201);
+    } catch (error) {
+      logError(error, {
+        endpoint: '/api/organizations/:id/invites',
+        user_id: req.user.id,
+        ip: req.ip
+      });
+      sendError(res, 'Failed to create invite', 500);
+    }
+  }
+);
+
+app.patch('/api/organizations/:id/members/:userId',
+  requireSession,
+  requireMembership({ manage: true }),
+  validate(schemas.organizationMemberUpdate),
+  async (req, res) => {
+    try {
+      const result = await updateMember(req.params.id, req.membership, req.params.userId, {
+        role: req.body.role,
+        monthlyCreditCap: req.body.monthly_credit_cap
+      });
+      if (!result.success) {
+        return sendError(res, result.error, result.status);
+      }
+      sendSuccess(res, result.member, 'Member updated');
+    } catch (error) {
+      logError(error, {
+        endpoint: '/api/organizations/:id/members/:userId',
+        user_id: req.user.id,
+        ip: req.ip
+      });
+      sendError(res, 'Failed to update member', 500);
+    }
+  }
+);
+
+app.delete('/api/organizations/:id/members/:userId',
+  requireSession,
+  requireMembership(),
+  async (req, res) => {
+    try {
+      const result = await removeMember(req.params.id, req.membership, req.params.userId);
+      if (!result.success) {
+        return sendError(res, result.error, result.status);
+      }
+      logInfo('Organization Member Removed', {
+        user_id: req.user.id,
+        organization_id: req.params.id,
+        member_id: req.params.userId
+      });
+      sendSuccess(res, { user_id: req.params.userId, removed: true }, 'Member removed');
+    } catch (error) {
+      logError(error, {
+        endpoint: '/api/organizations/:id/members/:userId',
+        user_id: req.user.id,
+        ip: req.ip
+      });
+      sendError(res, 'Failed to remove member', 500);
+    }
+  }
+);
+
+// Move credits from the caller's own balance into the pool
+app.post('/api/organizations/:id/credits/transfer',
+  requireSession,
+  requireMembership({ manage: true }),
+  validate(schemas.organizationTransfer),
+  async (req, res) => {
+    try {
+      const result = await transferCreditsToOrganization(req.user.id, req.params.id, req.body.amount);
+      if (!result.success) {
+        return sendError(res, result.error, result.error === 'Insufficient credits' ? 402 : 400);
+      }
+      logInfo('Organization Pool Funded', {
+        user_id: req.user.id,
+        organization_id: req.params.id,
+        amount: result.amount
+      });
+      sendSuccess(res, result, 'Credits transferred');
+    } catch (error) {
+      logError(error, {
+        endpoint: '/api/organizations/:id/credits/transfer',
+        user_id: req.user.id,
+        ip: req.ip
+      });
+      sendError(res, 'Failed to transfer credits', 500);
+    }
+  }
+);
+
 // Stripe Credit Packages endpoint
-app.get('/api/stripe/packages', (req, res) => {
-  const packages = getCreditPackages();
-  sendSuccess(res, packages);
+app.get('/api/stripe/packages', async (req, res) => {
+  try {
+    const packages = await getCreditPackages();
+    sendSuccess(res, packages);
+  } catch (error) {
+    logError(error, {
+      endpoint: '/api/stripe/packages',
+      ip: req.ip
+    });
+    sendError(res, 'Failed to load credit packages', 500);
+  }
+});
+
+// Admin: list all credit packages, including retired ones
+app.get('/api/admin/credit-packages', adminIPWhitelist, async (req, res) => {
+  try {
+    const packages = await getAllCreditPackages();
+    sendSuccess(res, packages);
+  } catch (error) {
+    logError(error, {
+      endpoint: '/api/admin/credit-packages',
+      ip: req.ip
+    });
+    sendError(res, 'Failed to load credit packages', 500);
+  }
+});
+
+// Admin: add a credit package
+app.post('/api/admin/credit-packages',
+  adminIPWhitelist,
+  validate(schemas.creditPackage),
+  async (req, res) => {
+    try {
+      const creditPackage = await createCreditPackage(req.body);
+      
+      logInfo('Credit Package Created', {
+        package_id: creditPackage.id,
+        stripe_price_id: creditPackage.stripe_price_id,
+        ip: req.ip
+      });
+      sendSuccess(res, creditPackage, 'Credit package created', 201);
+    } catch (error) {
+      // Postgres unique_violation on stripe_price_id
+      if (error.meta?.code === '23505') {
+        return sendError(res, 'A package already uses this Stripe price', 409);
+      }
+      logError(error, {
+        endpoint: '/api/admin/credit-packages',
+        ip: req.ip
+      });
+      sendError(res, 'Failed to create credit package', 500);
+    }
+  }
+);
+
+// Admin: retire a credit package (kept for crediting past purchases)
+app.delete('/api/admin/credit-packages/:id', adminIPWhitelist, async (req, res) => {
+  try {
+    const creditPackage = await retireCreditPackage(req.params.id);
+    if (!creditPackage) {
+      return sendError(res, 'Credit package not found', 404);
+    }
+    
+    logInfo('Credit Package Retired', {
+      package_id: creditPackage.id,
+      ip: req.ip
+    });
+    sendSuccess(res, creditPackage, 'Credit package retired');
+  } catch (error) {
+    logError(error, {
+      endpoint: '/api/admin/credit-packages/:id',
+      ip: req.ip
+    });
+    sendError(res, 'Failed to retire credit package', 500);
+  }
 });
 
+// Usage analytics across all users, or one user with ?user_id= (admin IPs)
+app.get('/api/admin/usage/analytics',
+  adminIPWhitelist,
+  validate(schemas.adminUsageAnalyticsQuery, 'query'),
+  async (req, res) => {
+    try {
+      const { start_date, end_date, group_by, user_id } = req.query;
+      const analytics = await getUsageAnalytics({
+        startDate: start_date,
+        endDate: end_date,
+        groupBy: group_by,
+        userId: user_id || null
+      });
+      sendSuccess(res, analytics);
+    } catch (error) {
+      logError(error, {
+        endpoint: '/api/admin/usage/analytics',
+        ip: req.ip
+      });
+      sendError(res, 'Failed to load usage analytics', 500);
+    }
+  }
+);
+
+// Provider cost vs. credit revenue per model, query type and package price tier (admin IPs)
+app.get('/api/admin/margin-report',
+  adminIPWhitelist,
+  validate(schemas.marginReportQuery, 'query'),
+  async (req, res) => {
+    try {
+      const { start_date, end_date } = req.query;
+      const report = await getMarginReport({ startDate: start_date, endDate: end_date });
+      sendSuccess(res, report);
+    } catch (error) {
+      logError(error, {
+        endpoint: '/api/admin/margin-report',
+        ip: req.ip
+      });
+      sendError(res, 'Failed to load margin report', 500);
+    }
+  }
+);
+
 // Stripe Payment Intent endpoint
 app.post('/api/stripe/create-payment-intent',
+  requireSession,
   validate(schemas.creditPurchase),
   async (req, res) => {
     try {
-      const { package_id, user_id } = req.body;
+      const { package_id } = req.body;
+      const { id: user_id, email: userEmail } = req.user;
       
       logInfo('Payment Intent Request', {
         user_id,
@@ -225,9 +1179,6 @@ app.post('/api/stripe/create-payment-intent',
         ip: req.ip
       });
       
-      // Generate a demo email for the user (in production, this would come from user database)
-      const userEmail = `user-${user_id.split('-')[0]}@demo.vegacareer.app`;
-      
       const result = await createPaymentIntent(package_id, user_id, userEmail);
       
       if (result.success) {
@@ -257,7 +1208,7 @@ app.post('/api/stripe/create-payment-intent',
     } catch (error) {
       logError(error, {
         endpoint: '/api/stripe/create-payment-intent',
-        user_id: req.body.user_id,
+        user_id: req.user.id,
         ip: req.ip
       });
       sendError(res, 'Failed to create payment intent', 500);
@@ -265,6 +1216,97 @@ app.post('/api/stripe/create-payment-intent',
   }
 );
 
+// Subscription plans endpoint
+app.get('/api/stripe/subscription-plans', async (req, res) => {
+  try {
+    const plans = await getSubscriptionPlans();
+    sendSuccess(res, plans);
+  } catch (error) {
+    logError(error, {
+      endpoint: '/api/stripe/subscription-plans',
+      ip: req.ip
+    });
+    sendError(res, 'Failed to load subscription plans', 500);
+  }
+});
+
+// Subscription Checkout endpoint
+app.post('/api/stripe/create-subscription-checkout',
+  requireSession,
+  validate(schemas.subscriptionCheckout),
+  async (req, res) => {
+    try {
+      const { plan_id } = req.body;
+      const { id: user_id, email: userEmail } = req.user;
+      const appUrl = process.env.FRONTEND_URL || 'https://vegacareer.app';
+      
+      logInfo('Subscription Checkout Request', {
+        user_id,
+        plan_id,
+        ip: req.ip
+      });
+      
+      const result = await createSubscriptionCheckout(
+        plan_id,
+        user_id,
+        userEmail,
+        req.body.success_url || `${appUrl}/?subscription=success`,
+        req.body.cancel_url || `${appUrl}/?subscription=cancelled`
+      );
+      
+      if (result.success) {
+        sendSuccess(res, {
+          session_id: result.session_id,
+          url: result.url,
+          plan: result.plan
+        });
+      } else {
+        sendError(res, result.error, 400);
+      }
+      
+    } catch (error) {
+      logError(error, {
+        endpoint: '/api/stripe/create-subscription-checkout',
+        user_id: req.user.id,
+        ip: req.ip
+      });
+      sendError(res, 'Failed to create subscription checkout', 500);
+    }
+  }
+);
+
+// Subscription plan change endpoint (upgrades and downgrades are prorated)
+app.post('/api/stripe/subscription/change',
+  requireSession,
+  validate(schemas.subscriptionChange),
+  async (req, res) => {
+    try {
+      const { plan_id } = req.body;
+      const user_id = req.user.id;
+      const result = await changeSubscriptionPlan(user_id, plan_id);
+      
+      if (result.success) {
+        logInfo('Subscription Plan Changed', {
+          user_id,
+          plan_id,
+          subscription_id: result.subscription_id
+        });
+        sendSuccess(res, result);
+      } else {
+        sendError(res, result.error, 400);
+      }
+      
+    } catch (error) {
+      logError(error, {
+        endpoint: '/api/stripe/subscription/change',
+        user_id: req.user.id,
+        ip: req.ip
+      });
+      sendError(res, 'Failed to change subscription plan', 500);
+    }
+  }
+);
+
 // Stripe Payment Verification endpoint
 app.post('/api/stripe/verify-payment', async (req, res) => {
   try {
@@ -303,8 +1345,10 @@ app.post('/api/stripe/webhook', express.raw({ type: 'application/json' }), async
     
     if (result.success) {
       logInfo('Webhook Processed', {
+        event_id: result.event_id,
         event_type: result.event_type,
-        payment_intent_id: result.payment_intent_id
+        payment_intent_id: result.payment_intent_id,
+        duplicate: !!result.duplicate
       });
       res.status(200).json({ received: true });
     } else {
@@ -334,8 +1378,12 @@ app.use(errorHandler);
 // Graceful shutdown
 const server = createServer(app);
 
+// Return credits held by abandoned requests even when their owner sends no new one
+const creditHoldExpiry = scheduleCreditHoldExpiry();
+
 process.on('SIGTERM', () => {
   logInfo('SIGTERM received, shutting down gracefully');
+  clearInterval(creditHoldExpiry);
   server.close(() => {
     logInfo('Process terminated');
     process.exit(0);
@@ -344,6 +1392,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logInfo('SIGINT received, shutting down gracefully');
+  clearInterval(creditHoldExpiry);
   server.close(() => {
     logInfo('Process terminated');
     process.exit(0);
@@ -363,9 +1412,14 @@ server.listen(PORT, () => {
   console.log(`🔗 Health check: http://localhost:${PORT}/health`);
   console.log(`📋 Available endpoints:`);
   console.log(`   GET  /health - Health check`);
+  console.log(`   GET  /health/live, /health/ready - Liveness and readiness probes`);
+  console.log(`   GET  /metrics - Prometheus metrics (admin IPs)`);
   console.log(`   GET  /api/test - API test`);
-  console.log(`   POST /api/llm/query - LLM queries`);
+  console.log(`   POST /api/llm/query - LLM queries (stream: true for SSE)`);
   console.log(`   GET  /api/llm/providers - Available providers`);
+  console.log(`   POST /api/resume/analyze - Resume analysis (PDF, DOCX or text upload)`);
+  console.log(`   POST /api/job-match - Job description match score and cover letter`);
+  console.log(`   GET  /api/profile, PUT /api/profile - Career profile (headline, skills, stored resume)`);
   console.log(`   GET  /api/stripe/packages - Credit packages`);
   console.log(`   POST /api/stripe/create-payment-intent - Create payment`);
   console.log(`   POST /api/stripe/verify-payment - Verify payment`);
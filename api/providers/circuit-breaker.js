@@ -0,0 +1,101 @@
+// Per-provider circuit breaker
+// After `failureThreshold` consecutive retryable failures a provider is skipped
+// for `cooldownMs`; the first request after the cooldown is a trial (half-open)
+// that either closes the circuit again or reopens it.
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+const DEFAULT_OPTIONS = {
+  failureThreshold: parseInt(process.env.LLM_CIRCUIT_FAILURE_THRESHOLD, 10) || 5,
+  cooldownMs: parseInt(process.env.LLM_CIRCUIT_COOLDOWN_MS, 10) || 30000
+};
+
+export class CircuitBreaker {
+  constructor(provider, { failureThreshold = DEFAULT_OPTIONS.failureThreshold, cooldownMs = DEFAULT_OPTIONS.cooldownMs, now = Date.now } = {}) {
+    this.provider = provider;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.now = now;
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a request may be sent to the provider right now
+   */
+  canRequest() {
+    if (this.state === CIRCUIT_STATES.OPEN && this.now() - this.openedAt >= this.cooldownMs) {
+      this.state = CIRCUIT_STATES.HALF_OPEN;
+      this.trialInFlight = false;
+    }
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      if (this.trialInFlight) {
+        return false;
+      }
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return this.state === CIRCUIT_STATES.CLOSED;
+  }
+
+  recordSuccess() {
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures += 1;
+    this.trialInFlight = false;
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.state = CIRCUIT_STATES.OPEN;
+      this.openedAt = this.now();
+    }
+  }
+
+  /**
+   * Give up a half-open trial without judging the provider (e.g. client abort)
+   */
+  release() {
+    this.trialInFlight = false;
+  }
+
+  getStatus() {
+    return {
+      provider: this.provider,
+      state: this.state,
+      consecutive_failures: this.failures,
+      opened_at: this.openedAt ? new Date(this.openedAt).toISOString() : null
+    };
+  }
+}
+
+const breakers = new Map();
+
+export function getCircuitBreaker(provider) {
+  if (!breakers.has(provider)) {
+    breakers.set(provider, new CircuitBreaker(provider));
+  }
+  return breakers.get(provider);
+}
+
+export function getCircuitStatuses() {
+  return Array.from(breakers.values()).map(breaker => breaker.getStatus());
+}
+
+/**
+ * Forget all breaker state (mainly for tests)
+ */
+export function resetCircuitBreakers() {
+  breakers.clear();
+}
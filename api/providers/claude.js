@@ -0,0 +1,121 @@
+// Anthropic Claude adapter (Messages API)
+
+import { ProviderError, PROVIDER_ERROR_CODES } from './provider-error.js';
+
+const claudeAdapter = {
+  id: 'claude',
+  name: 'Anthropic Claude',
+  label: 'Claude',
+  apiKeyEnv: 'ANTHROPIC_API_KEY',
+  baseURL: 'https://api.anthropic.com/v1/messages',
+  defaultModel: 'claude-3-haiku-20240307',
+  // Claude's tokenizer is not published and counts somewhat more tokens than
+  // cl100k_base, so estimates are scaled up to keep credit holds on the safe side
+  tokenizer: { encoding: 'cl100k_base', scale: 1.15 },
+  models: {
+    'claude-3-sonnet-20240229': {
+      name: 'Claude 3 Sonnet',
+      input_cost_per_1m: 3.00,    // $3 per 1M input tokens
+      output_cost_per_1m: 15.00,  // $15 per 1M output tokens
+      credits_per_1k_tokens: 1.0, // Base rate: 1 credit per 1k tokens
+      max_tokens: 4096,
+      context_window: 200000,
+      structured_output: 'tool'
+    },
+    'claude-3-haiku-20240307': {
+      name: 'Claude 3 Haiku',
+      input_cost_per_1m: 0.25,    // $0.25 per 1M input tokens
+      output_cost_per_1m: 1.25,   // $1.25 per 1M output tokens
+      credits_per_1k_tokens: 0.5, // Cheaper model: 0.5 credits per 1k tokens
+      max_tokens: 4096,
+      context_window: 200000,
+      structured_output: 'tool'
+    }
+  },
+
+  buildRequest(request, { stream = false } = {}) {
+    // The Messages API takes system prompts as a top-level field, not a message role
+    const system = request.messages
+      .filter(m => m.role === 'system')
+      .map(m => m.content)
+      .join('\n\n');
+
+    const body = {
+      model: request.model,
+      max_tokens: request.max_tokens || 1000,
+      messages: request.messages.filter(m => m.role !== 'system'),
+      temperature: request.temperature ?? 0.7
+    };
+    if (system) body.system = system;
+    if (stream) body.stream = true;
+
+    // Structured answers are forced through a tool whose input is the schema
+    const format = request.response_format;
+    if (format && !stream && this.models[request.model]?.structured_output === 'tool') {
+      body.tools = [{ name: format.name, description: 'Record the answer', input_schema: format.schema }];
+      body.tool_choice = { type: 'tool', name: format.name };
+    }
+
+    return {
+      url: this.baseURL,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': process.env.ANTHROPIC_API_KEY,
+        'anthropic-version': '2023-06-01'
+      },
+      body
+    };
+  },
+
+  parseResponse(data) {
+    const toolUse = data.content.find(block => block.type === 'tool_use');
+    return {
+      content: toolUse
+        ? JSON.stringify(toolUse.input)
+        : data.content
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join(''),
+      usage: {
+        prompt_tokens: data.usage.input_tokens,
+        completion_tokens: data.usage.output_tokens
+      },
+      request_id: data.id,
+      finish_reason: data.stop_reason
+    };
+  },
+
+  parseStreamEvent({ data }, state) {
+    const payload = JSON.parse(data);
+
+    switch (payload.type) {
+      case 'message_start':
+        state.request_id = payload.message.id;
+        state.usage = {
+          prompt_tokens: payload.message.usage?.input_tokens || 0,
+          completion_tokens: payload.message.usage?.output_tokens || 0
+        };
+        return [];
+      case 'content_block_delta':
+        return payload.delta?.text ? [{ type: 'token', content: payload.delta.text }] : [];
+      case 'message_delta':
+        state.finish_reason = payload.delta?.stop_reason || state.finish_reason;
+        if (state.usage && payload.usage?.output_tokens !== undefined) {
+          state.usage.completion_tokens = payload.usage.output_tokens;
+        }
+        return [];
+      case 'error': {
+        const overloaded = payload.error?.type === 'overloaded_error';
+        throw new ProviderError(`Claude API error: ${payload.error?.message || 'stream error'}`, {
+          provider: 'claude',
+          code: overloaded ? PROVIDER_ERROR_CODES.UNAVAILABLE : PROVIDER_ERROR_CODES.UNKNOWN,
+          retryable: overloaded
+        });
+      }
+      default:
+        return [];
+    }
+  }
+};
+
+export default claudeAdapter;
@@ -0,0 +1,97 @@
+// Google Gemini adapter (Generative Language REST API)
+
+const toGeminiRole = (role) => (role === 'assistant' ? 'model' : 'user');
+
+const geminiAdapter = {
+  id: 'gemini',
+  name: 'Google Gemini',
+  label: 'Gemini',
+  apiKeyEnv: 'GEMINI_API_KEY',
+  baseURL: 'https://generativelanguage.googleapis.com/v1beta/models',
+  defaultModel: 'gemini-1.5-flash',
+  models: {
+    'gemini-1.5-flash': {
+      name: 'Gemini 1.5 Flash',
+      input_cost_per_1m: 0.075,   // $0.075 per 1M input tokens
+      output_cost_per_1m: 0.30,   // $0.30 per 1M output tokens
+      credits_per_1k_tokens: 0.5, // Cheaper model: 0.5 credits per 1k tokens
+      max_tokens: 8192,
+      context_window: 1048576,
+      structured_output: 'json_object'
+    },
+    'gemini-1.5-pro': {
+      name: 'Gemini 1.5 Pro',
+      input_cost_per_1m: 1.25,    // $1.25 per 1M input tokens
+      output_cost_per_1m: 5.00,   // $5 per 1M output tokens
+      credits_per_1k_tokens: 1.0, // Standard rate
+      max_tokens: 8192,
+      context_window: 2097152,
+      structured_output: 'json_object'
+    }
+  },
+
+  buildRequest(request, { stream = false } = {}) {
+    const system = request.messages
+      .filter(m => m.role === 'system')
+      .map(m => m.content)
+      .join('\n\n');
+
+    const body = {
+      contents: request.messages
+        .filter(m => m.role !== 'system')
+        .map(m => ({ role: toGeminiRole(m.role), parts: [{ text: m.content }] })),
+      generationConfig: {
+        maxOutputTokens: request.max_tokens || 1000,
+        temperature: request.temperature ?? 0.7
+      }
+    };
+    if (system) {
+      body.systemInstruction = { parts: [{ text: system }] };
+    }
+    // Gemini accepts only an OpenAPI subset as responseSchema, so the schema itself stays in the prompt
+    if (request.response_format && this.models[request.model]?.structured_output === 'json_object') {
+      body.generationConfig.responseMimeType = 'application/json';
+    }
+
+    const method = stream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+    return {
+      url: `${this.baseURL}/${request.model}:${method}`,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': process.env.GEMINI_API_KEY
+      },
+      body
+    };
+  },
+
+  parseResponse(data) {
+    const candidate = data.candidates?.[0];
+    return {
+      content: (candidate?.content?.parts || []).map(part => part.text || '').join(''),
+      usage: {
+        prompt_tokens: data.usageMetadata?.promptTokenCount || 0,
+        completion_tokens: data.usageMetadata?.candidatesTokenCount || 0
+      },
+      request_id: data.responseId || null,
+      finish_reason: candidate?.finishReason || null
+    };
+  },
+
+  parseStreamEvent({ data }, state) {
+    const payload = JSON.parse(data);
+    state.request_id = payload.responseId || state.request_id;
+    if (payload.usageMetadata) {
+      state.usage = {
+        prompt_tokens: payload.usageMetadata.promptTokenCount || 0,
+        completion_tokens: payload.usageMetadata.candidatesTokenCount || 0
+      };
+    }
+
+    const candidate = payload.candidates?.[0];
+    state.finish_reason = candidate?.finishReason || state.finish_reason;
+    const text = (candidate?.content?.parts || []).map(part => part.text || '').join('');
+    return text ? [{ type: 'token', content: text }] : [];
+  }
+};
+
+export default geminiAdapter;
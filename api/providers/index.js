@@ -0,0 +1,16 @@
+// Built-in provider adapters
+// Importing this module registers every adapter; add a new provider by writing
+// an adapter module (see registry.js for the interface) and registering it here.
+
+import { registerProvider } from './registry.js';
+import claudeAdapter from './claude.js';
+import openaiAdapter from './openai.js';
+import perplexityAdapter from './perplexity.js';
+import geminiAdapter from './gemini.js';
+
+[claudeAdapter, openaiAdapter, perplexityAdapter, geminiAdapter].forEach(registerProvider);
+
+export * from './registry.js';
+export { ProviderError, PROVIDER_ERROR_CODES } from './provider-error.js';
+export { createOpenAICompatibleAdapter } from './openai-compatible.js';
+export { CircuitBreaker, CIRCUIT_STATES, getCircuitBreaker, getCircuitStatuses, resetCircuitBreakers } from './circuit-breaker.js';
@@ -0,0 +1,70 @@
+// Shared adapter factory for OpenAI-compatible chat completion APIs
+// (OpenAI itself, Perplexity, and self-hosted servers such as vLLM or Ollama)
+
+export function createOpenAICompatibleAdapter({ streamOptions = null, ...definition }) {
+  return {
+    ...definition,
+
+    buildRequest(request, { stream = false } = {}) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (this.apiKeyEnv) {
+        headers['Authorization'] = `Bearer ${process.env[this.apiKeyEnv]}`;
+      }
+
+      const body = {
+        model: request.model,
+        max_tokens: request.max_tokens || 1000,
+        messages: request.messages,
+        temperature: request.temperature ?? 0.7
+      };
+      // JSON output mode per model: 'json_schema' enforces the schema, 'json_object' only valid JSON
+      const mode = request.response_format && this.models[request.model]?.structured_output;
+      if (mode === 'json_schema') {
+        const { name, schema } = request.response_format;
+        body.response_format = { type: 'json_schema', json_schema: { name, schema } };
+      } else if (mode === 'json_object') {
+        body.response_format = { type: 'json_object' };
+      }
+      if (stream) {
+        body.stream = true;
+        if (streamOptions) body.stream_options = streamOptions;
+      }
+
+      return { url: this.baseURL, headers, body };
+    },
+
+    parseResponse(data) {
+      return {
+        content: data.choices[0].message.content,
+        usage: {
+          prompt_tokens: data.usage.prompt_tokens,
+          completion_tokens: data.usage.completion_tokens
+        },
+        request_id: data.id,
+        finish_reason: data.choices[0].finish_reason
+      };
+    },
+
+    parseStreamEvent({ data }, state) {
+      if (data === '[DONE]') {
+        return [];
+      }
+
+      const payload = JSON.parse(data);
+      state.request_id = payload.id || state.request_id;
+      // Some providers repeat cumulative usage on every chunk, others send it once at the end
+      if (payload.usage) {
+        state.usage = {
+          prompt_tokens: payload.usage.prompt_tokens,
+          completion_tokens: payload.usage.completion_tokens
+        };
+      }
+
+      const choice = payload.choices?.[0];
+      state.finish_reason = choice?.finish_reason || state.finish_reason;
+      return choice?.delta?.content ? [{ type: 'token', content: choice.delta.content }] : [];
+    }
+  };
+}
+
+export default createOpenAICompatibleAdapter;
@@ -0,0 +1,36 @@
+// OpenAI adapter (Chat Completions API)
+
+import { createOpenAICompatibleAdapter } from './openai-compatible.js';
+
+const openaiAdapter = createOpenAICompatibleAdapter({
+  id: 'openai',
+  name: 'OpenAI',
+  label: 'OpenAI',
+  apiKeyEnv: 'OPENAI_API_KEY',
+  baseURL: 'https://api.openai.com/v1/chat/completions',
+  defaultModel: 'gpt-3.5-turbo',
+  // Usage is only reported on streams when explicitly requested
+  streamOptions: { include_usage: true },
+  tokenizer: { encoding: 'cl100k_base', scale: 1 },
+  models: {
+    'gpt-4': {
+      name: 'GPT-4',
+      input_cost_per_1m: 30.00,   // $30 per 1M input tokens
+      output_cost_per_1m: 60.00,  // $60 per 1M output tokens
+      credits_per_1k_tokens: 3.0, // Premium model: 3x multiplier
+      max_tokens: 4096,
+      context_window: 8192
+    },
+    'gpt-3.5-turbo': {
+      name: 'GPT-3.5 Turbo',
+      input_cost_per_1m: 0.50,    // $0.50 per 1M input tokens
+      output_cost_per_1m: 1.50,   // $1.50 per 1M output tokens
+      credits_per_1k_tokens: 0.5, // Cheaper model: 0.5 credits per 1k tokens
+      max_tokens: 4096,
+      context_window: 16385,
+      structured_output: 'json_object'
+    }
+  }
+});
+
+export default openaiAdapter;
@@ -0,0 +1,36 @@
+// Perplexity adapter (OpenAI-compatible chat completions with online search)
+
+import { createOpenAICompatibleAdapter } from './openai-compatible.js';
+
+const perplexityAdapter = createOpenAICompatibleAdapter({
+  id: 'perplexity',
+  name: 'Perplexity',
+  label: 'Perplexity',
+  apiKeyEnv: 'PERPLEXITY_API_KEY',
+  baseURL: 'https://api.perplexity.ai/chat/completions',
+  defaultModel: 'llama-3.1-sonar-small-128k-online',
+  // The Llama 3 vocabulary extends cl100k_base
+  tokenizer: { encoding: 'cl100k_base', scale: 1 },
+  models: {
+    'llama-3.1-sonar-small-128k-online': {
+      name: 'Llama 3.1 Sonar Small',
+      input_cost_per_1m: 0.20,    // $0.20 per 1M input tokens
+      output_cost_per_1m: 0.20,   // $0.20 per 1M output tokens
+      credits_per_1k_tokens: 0.5, // Research model: 0.5x multiplier
+      max_tokens: 4096,
+      context_window: 127072,
+      structured_output: 'json_schema'
+    },
+    'llama-3.1-sonar-large-128k-online': {
+      name: 'Llama 3.1 Sonar Large',
+      input_cost_per_1m: 1.00,    // $1 per 1M input tokens
+      output_cost_per_1m: 1.00,   // $1 per 1M output tokens
+      credits_per_1k_tokens: 1.0, // Standard rate
+      max_tokens: 4096,
+      context_window: 127072,
+      structured_output: 'json_schema'
+    }
+  }
+});
+
+export default perplexityAdapter;
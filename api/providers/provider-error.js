@@ -0,0 +1,72 @@
+// Normalized provider errors
+// Every adapter turns HTTP and network failures into a ProviderError so callers
+// can decide whether to retry or fail over without parsing provider messages.
+
+export const PROVIDER_ERROR_CODES = {
+  RATE_LIMITED: 'PROVIDER_RATE_LIMITED',
+  UNAVAILABLE: 'PROVIDER_UNAVAILABLE',
+  TIMEOUT: 'PROVIDER_TIMEOUT',
+  NETWORK: 'PROVIDER_NETWORK_ERROR',
+  AUTH: 'PROVIDER_AUTH_ERROR',
+  INVALID_REQUEST: 'PROVIDER_INVALID_REQUEST',
+  NOT_CONFIGURED: 'PROVIDER_NOT_CONFIGURED',
+  CIRCUIT_OPEN: 'PROVIDER_CIRCUIT_OPEN',
+  FAILOVER_EXHAUSTED: 'PROVIDER_FAILOVER_EXHAUSTED',
+  UNKNOWN: 'PROVIDER_ERROR'
+};
+
+export class ProviderError extends Error {
+  constructor(message, { provider, status = null, code = PROVIDER_ERROR_CODES.UNKNOWN, retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Default classification of a failed provider HTTP response
+ */
+export function classifyHttpError(provider, label, status, body = '', headers = null) {
+  const message = `${label} API error: ${status} - ${body}`;
+  const retryAfter = Number(headers?.get?.('retry-after'));
+  const retryAfterMs = Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : null;
+
+  if (status === 429) {
+    return new ProviderError(message, { provider, status, code: PROVIDER_ERROR_CODES.RATE_LIMITED, retryable: true, retryAfterMs });
+  }
+  if (status === 408) {
+    return new ProviderError(message, { provider, status, code: PROVIDER_ERROR_CODES.TIMEOUT, retryable: true });
+  }
+  if (status >= 500) {
+    return new ProviderError(message, { provider, status, code: PROVIDER_ERROR_CODES.UNAVAILABLE, retryable: true, retryAfterMs });
+  }
+  if (status === 401 || status === 403) {
+    return new ProviderError(message, { provider, status, code: PROVIDER_ERROR_CODES.AUTH });
+  }
+  return new ProviderError(message, { provider, status, code: PROVIDER_ERROR_CODES.INVALID_REQUEST });
+}
+
+/**
+ * Wrap a thrown fetch/stream error (DNS failure, reset connection, abort)
+ */
+export function classifyNetworkError(provider, label, error) {
+  if (error instanceof ProviderError) {
+    return error;
+  }
+  if (error?.name === 'AbortError' || error?.name === 'TimeoutError') {
+    return new ProviderError(`${label} request aborted: ${error.message}`, {
+      provider,
+      code: PROVIDER_ERROR_CODES.TIMEOUT,
+      retryable: error.name === 'TimeoutError'
+    });
+  }
+  return new ProviderError(`${label} network error: ${error.message}`, {
+    provider,
+    code: PROVIDER_ERROR_CODES.NETWORK,
+    retryable: true
+  });
+}
@@ -0,0 +1,96 @@
+// LLM provider adapter registry
+//
+// An adapter describes one provider end to end:
+//
+//   {
+//     id: 'claude',                        // registry key, also stored in llm_usage.provider
+//     name: 'Anthropic Claude',            // display name
+//     label: 'Claude',                     // prefix for error messages
+//     apiKeyEnv: 'ANTHROPIC_API_KEY',      // env var holding the key (null for keyless local models)
+//     baseURL: 'https://...',
+//     defaultModel: 'claude-3-haiku-20240307',
+//     models: {                            // pricing metadata per model
+//       'model-id': { name, input_cost_per_1m, output_cost_per_1m, credits_per_1k_tokens, max_tokens, context_window,
+//                     structured_output }  // how request.response_format ({ name, schema }) is sent: 'json_schema',
+//     },                                   // 'json_object', 'tool' or absent (the schema is only in the prompt)
+//     tokenizer: { encoding, scale },      // offline token counting (optional, defaults to cl100k_base at scale 1)
+//     buildRequest(request, { stream }) -> { url, headers, body },
+//     parseResponse(data, request)      -> { content, usage: { prompt_tokens, completion_tokens }, request_id, finish_reason },
+//     parseStreamEvent(event, state)    -> [{ type: 'token', content }], updating state.usage / request_id / finish_reason
+//     classifyError(status, body, headers) -> ProviderError (optional, defaults to classifyHttpError)
+//   }
+
+import { classifyHttpError } from './provider-error.js';
+
+const REQUIRED_ADAPTER_FIELDS = ['id', 'name', 'models', 'buildRequest', 'parseResponse', 'parseStreamEvent'];
+
+const adapters = new Map();
+
+/**
+ * Register (or replace) a provider adapter
+ */
+export function registerProvider(adapter) {
+  const missing = REQUIRED_ADAPTER_FIELDS.filter(field => !adapter?.[field]);
+  if (missing.length > 0) {
+    throw new Error(`Invalid provider adapter ${adapter?.id || '(unnamed)'}: missing ${missing.join(', ')}`);
+  }
+
+  adapters.set(adapter.id, {
+    label: adapter.name,
+    apiKeyEnv: null,
+    defaultModel: Object.keys(adapter.models)[0],
+    classifyError(status, body, headers) {
+      return classifyHttpError(adapter.id, this.label, status, body, headers);
+    },
+    ...adapter
+  });
+
+  return adapters.get(adapter.id);
+}
+
+/**
+ * Remove an adapter (mainly for tests)
+ */
+export function unregisterProvider(id) {
+  return adapters.delete(id);
+}
+
+export function getProvider(id) {
+  return adapters.get(id) || null;
+}
+
+export function getProviders() {
+  return Array.from(adapters.values());
+}
+
+/**
+ * Find the adapter that serves a model ID
+ */
+export function findProviderForModel(model) {
+  for (const adapter of adapters.values()) {
+    if (adapter.models[model]) {
+      return adapter;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether an adapter has usable credentials
+ */
+export function isProviderConfigured(adapter) {
+  if (!adapter.apiKeyEnv) {
+    return true;
+  }
+  const key = process.env[adapter.apiKeyEnv];
+  return !!key && !/^your-.*-here$/.test(key);
+}
+
+export default {
+  registerProvider,
+  unregisterProvider,
+  getProvider,
+  getProviders,
+  findProviderForModel,
+  isProviderConfigured
+};
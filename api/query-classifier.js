@@ -0,0 +1,191 @@
+// Career query classification and model routing
+// A keyword stage scores the question against each query type. When it is not
+// confident and QUERY_CLASSIFIER_MODEL is set, a cheap model is asked to pick
+// the type instead. Each type routes to the model best suited to answer it.
+
+import { callLLMWithFailover } from './llm-failover.js';
+
+export const DEFAULT_QUERY_TYPE = 'basic_question';
+
+// Weighted keyword patterns per query type; a question's score for a type is
+// the sum of the weights of its matching patterns
+export const QUERY_TYPE_RULES = {
+  salary_analysis: [
+    [/\bsalar(y|ies)\b/i, 3],
+    [/\b(compensation|pay ?(range|scale|band)|wages?|total comp|tc)\b/i, 3],
+    [/\b(raise|bonus|equity|stock options?|rsus?)\b/i, 2],
+    [/\b(how much|paid|earn|make per|per hour|hourly rate)\b/i, 1],
+    [/\bnegotiat/i, 1]
+  ],
+  skill_roadmap: [
+    [/\broadmap\b/i, 3],
+    [/\b(learning path|learn|study plan|upskill|reskill)\b/i, 2],
+    [/\b(skills?|certifications?|courses?|bootcamp)\b/i, 2],
+    [/\b(what should i (learn|study)|how (do|can) i become|get started in)\b/i, 2]
+  ],
+  market_intelligence: [
+    [/\b(job market|labou?r market|hiring trends?|market trends?)\b/i, 3],
+    [/\b(demand for|in demand|growing fields?|outlook|layoffs?)\b/i, 2],
+    [/\b(which companies|top employers|who is hiring|industry (trends?|news))\b/i, 2],
+    [/\b(2024|2025|2026|this year|right now|currently|latest)\b/i, 1]
+  ],
+  regulatory_insights: [
+    [/\b(visa|h-?1b|green card|work permit|immigration|sponsorship)\b/i, 3],
+    [/\b(non-?compete|employment law|labou?r law|contract clause|legal(ly)?|regulations?|compliance)\b/i, 3],
+    [/\b(licen[cs]e|licensing|certification requirements?|severance|termination rights?)\b/i, 2]
+  ],
+  career_transition_plan: [
+    [/\b(career (change|switch|transition|pivot)|change careers?|switch (careers?|fields?|industr(y|ies)))\b/i, 4],
+    [/\b(transition|pivot|move) (from|into|to)\b/i, 3],
+    [/\b(leave|quit) (my|the) (job|field|industry)\b/i, 2],
+    [/\b(step[- ]by[- ]step plan|(\d+|six|twelve)[- ]month plan)\b/i, 1]
+  ],
+  detailed_analysis: [
+    [/\b(detailed|in-depth|comprehensive|thorough|deep dive)\b/i, 3],
+    [/\b(analy[sz]e|analysis|evaluate|assessment|compare|pros and cons)\b/i, 2],
+    [/\b(my (resume|cv|profile|background|experience))\b/i, 1]
+  ]
+};
+
+export const QUERY_TYPES = [DEFAULT_QUERY_TYPE, ...Object.keys(QUERY_TYPE_RULES)];
+
+// Model that answers each query type.
+// Override with QUERY_MODEL_ROUTES='{"query_type": "model-id"}'
+export const DEFAULT_QUERY_ROUTES = {
+  basic_question: 'claude-3-haiku-20240307',
+  salary_analysis: 'claude-3-sonnet-20240229',
+  skill_roadmap: 'claude-3-sonnet-20240229',
+  market_intelligence: 'llama-3.1-sonar-large-128k-online',
+  regulatory_insights: 'claude-3-sonnet-20240229',
+  career_transition_plan: 'claude-3-sonnet-20240229',
+  detailed_analysis: 'claude-3-sonnet-20240229',
+  // Only used by resume uploads (POST /api/resume/analyze), never classified
+  resume_analysis: 'claude-3-sonnet-20240229',
+  // Only used by POST /api/job-match, never classified
+  job_match: 'claude-3-sonnet-20240229'
+};
+
+// Rules results below this confidence are sent to the model stage (when enabled)
+const MIN_RULES_CONFIDENCE = parseFloat(process.env.QUERY_CLASSIFIER_MIN_CONFIDENCE) || 0.6;
+
+function loadQueryRoutes() {
+  const routes = { ...DEFAULT_QUERY_ROUTES };
+  if (!process.env.QUERY_MODEL_ROUTES) {
+    return routes;
+  }
+
+  try {
+    return { ...routes, ...JSON.parse(process.env.QUERY_MODEL_ROUTES) };
+  } catch (error) {
+    console.error('Invalid QUERY_MODEL_ROUTES, using defaults:', error.message);
+    return routes;
+  }
+}
+
+const queryRoutes = loadQueryRoutes();
+
+/**
+ * Keyword stage. Confidence grows with the winning score and with its margin
+ * over the runner-up; questions matching nothing are basic questions.
+ */
+export function classifyByRules(query) {
+  const scores = Object.entries(QUERY_TYPE_RULES)
+    .map(([queryType, rules]) => {
+      const matched = rules.filter(([pattern]) => pattern.test(query));
+      return {
+        queryType,
+        score: matched.reduce((sum, [, weight]) => sum + weight, 0),
+        keywords: matched.map(([pattern]) => query.match(pattern)[0].toLowerCase())
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  const [top, runnerUp] = scores;
+  if (top.score === 0) {
+    return {
+      query_type: DEFAULT_QUERY_TYPE,
+      confidence: 0.5,
+      stage: 'rules',
+      matched_keywords: []
+    };
+  }
+
+  const margin = (top.score - runnerUp.score) / top.score;
+  const strength = Math.min(top.score / 4, 1);
+
+  return {
+    query_type: top.queryType,
+    confidence: Math.round((0.5 * strength + 0.5 * margin) * 100) / 100,
+    stage: 'rules',
+    matched_keywords: top.keywords
+  };
+}
+
+const buildClassifierPrompt = (query) => `Classify this career question into exactly one category.
+
+Categories:
+- basic_question: short factual or general career question
+- salary_analysis: pay, compensation or negotiation
+- skill_roadmap: skills, learning paths or certifications to reach a role
+- market_intelligence: current job market, hiring trends or employers
+- regulatory_insights: visas, employment law, contracts or licensing
+- career_transition_plan: planning a move into a different career or field
+- detailed_analysis: in-depth evaluation of a profile, offer or decision
+
+Question: """${query.slice(0, 2000)}"""
+
+Answer with the category name only.`;
+
+/**
+ * Cheap-model stage; resolves to null when the model's answer is not a known type
+ */
+export async function classifyWithModel(query, model = process.env.QUERY_CLASSIFIER_MODEL) {
+  const result = await callLLMWithFailover({
+    model,
+    max_tokens: 10,
+    temperature: 0,
+    messages: [{ role: 'user', content: buildClassifierPrompt(query) }]
+  });
+
+  const answer = result.choices[0].message.content.toLowerCase();
+  const queryType = QUERY_TYPES.find(type => answer.includes(type));
+  if (!queryType) {
+    return null;
+  }
+
+  return {
+    query_type: queryType,
+    confidence: 0.9,
+    stage: 'model',
+    model: result.model
+  };
+}
+
+/**
+ * Classify a career question. The model stage only runs when the keyword
+ * stage is unsure and a classifier model is configured; if it fails, the
+ * keyword result stands.
+ */
+export async function classifyQuery(query, { classifierModel = process.env.QUERY_CLASSIFIER_MODEL } = {}) {
+  const rulesResult = classifyByRules(query);
+  if (!classifierModel || rulesResult.confidence >= MIN_RULES_CONFIDENCE) {
+    return rulesResult;
+  }
+
+  try {
+    const modelResult = await classifyWithModel(query, classifierModel);
+    return modelResult
+      ? { ...modelResult, matched_keywords: rulesResult.matched_keywords }
+      : rulesResult;
+  } catch (error) {
+    console.error('Query classifier model failed, using keyword result:', error.message);
+    return rulesResult;
+  }
+}
+
+/**
+ * Model that should answer a query type
+ */
+export function routeQuery(queryType) {
+  return queryRoutes[queryType] || queryRoutes[DEFAULT_QUERY_TYPE];
+}
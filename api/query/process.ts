@@ -1,5 +1,6 @@
 import type { VercelRequest, VercelResponse } from '@vercel/node';
 import { QueryService } from '../../services/QueryService';
+import { getRequestUser } from '../../src/middleware/auth.js';
 
 const queryService = new QueryService();
 
@@ -7,7 +8,35 @@ export default async function handler(req: VercelRequest, res: VercelResponse) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
-  const { query, userId, sessionId, ipAddress } = req.body;
-  const result = await queryService.processQuery(query, userId, sessionId, ipAddress);
+  const { query, sessionId, ipAddress, quoteOnly } = req.body;
+  if (!query || typeof query !== 'string') {
+    return res.status(400).json({ error: 'Query is required' });
+  }
+
+  // Let the client show the query type, model and credit cost before running it.
+  // Quotes are not rate limited, so they only use the keyword classifier.
+  if (quoteOnly) {
+    const quote = await queryService.quoteQuery(query, { rulesOnly: true });
+    return res.status(200).json({ success: true, quote });
+  }
+
+  // Credits are charged to the verified token's user, not a body field
+  let userId: string | undefined;
+  try {
+    userId = (await getRequestUser(req))?.id;
+  } catch (error) {
+    return res.status(401).json({ error: (error as Error).message });
+  }
+
+  let result;
+  try {
+    result = await queryService.processQuery(query, userId, sessionId, ipAddress);
+  } catch (error) {
+    console.error('Query processing failed:', error);
+    return res.status(502).json({ error: 'The model could not answer this query. You have not been charged.' });
+  }
+  if (!result.success) {
+    return res.status(result.status).json(result);
+  }
   res.status(200).json(result);
-} 
\ No newline at end of file
+}
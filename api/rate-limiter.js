@@ -0,0 +1,435 @@
+// Tiered sliding-window rate limiting
+// Every request is logged with its timestamp under the caller's key (user ID or
+// IP). A tier allows at most `hourly` requests in any rolling hour and `daily`
+// in any rolling 24 hours. The log lives in a pluggable store: in-memory for
+// tests and single processes, Postgres or Redis when several instances share it.
+// Stores check the limits and record the hit in one atomic step, so concurrent
+// requests cannot both take the last slot.
+
+import Redis from 'ioredis';
+import { getPrisma } from './db.js';
+import { getCreditBalance } from './credit-ledger.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const RATE_LIMIT_WINDOWS = {
+  hourly: HOUR_MS,
+  daily: DAY_MS
+};
+
+// Requests allowed per window; null means unlimited.
+// Override with RATE_LIMIT_TIERS='{"free_user": {"hourly": 20}}'
+export const DEFAULT_RATE_LIMIT_TIERS = {
+  anonymous: { hourly: 5, daily: 15 },
+  free_user: { hourly: 10, daily: 20 },
+  paid_user: { hourly: 100, daily: null }
+};
+
+function loadTiers() {
+  const tiers = structuredClone(DEFAULT_RATE_LIMIT_TIERS);
+  if (!process.env.RATE_LIMIT_TIERS) {
+    return tiers;
+  }
+
+  try {
+    const overrides = JSON.parse(process.env.RATE_LIMIT_TIERS);
+    for (const [tier, limits] of Object.entries(overrides)) {
+      tiers[tier] = { ...tiers[tier], ...limits };
+    }
+    return tiers;
+  } catch (error) {
+    console.error('Invalid RATE_LIMIT_TIERS, using defaults:', error.message);
+    return tiers;
+  }
+}
+
+export const RATE_LIMIT_TIERS = loadTiers();
+
+// Whether one more hit at `now` stays within every { window_ms, limit }
+function withinLimits(hits, now, limits) {
+  return limits.every(({ window_ms: windowMs, limit }) => (
+    hits.filter(timestamp => timestamp > now - windowMs).length < limit
+  ));
+}
+
+/**
+ * In-process store; hits are pruned whenever a key is touched
+ */
+export function createMemoryStore() {
+  const hits = new Map();
+
+  return {
+    async getHits(key, since) {
+      const timestamps = (hits.get(key) || []).filter(timestamp => timestamp > since);
+      hits.set(key, timestamps);
+      return timestamps;
+    },
+
+    async addHit(key, timestamp, ttlMs) {
+      const timestamps = (hits.get(key) || []).filter(t => t > timestamp - ttlMs);
+      timestamps.push(timestamp);
+      hits.set(key, timestamps.sort((a, b) => a - b));
+    },
+
+    // Synchronous between reading and writing, so nothing can interleave
+    async addHitIfAllowed(key, timestamp, ttlMs, limits) {
+      const timestamps = (hits.get(key) || []).filter(t => t > timestamp - ttlMs);
+      hits.set(key, timestamps);
+      if (!withinLimits(timestamps, timestamp, limits)) {
+        return { allowed: false, hits: timestamps };
+      }
+      hits.set(key, [...timestamps, timestamp].sort((a, b) => a - b));
+      return { allowed: true, hits: timestamps };
+    },
+
+    async reset(key) {
+      hits.delete(key);
+    }
+  };
+}
+
+/**
+ * Postgres store backed by the rate_limit_hits table; expired rows are removed
+ * by cleanup_old_records()
+ */
+export function createPostgresStore() {
+  return {
+    async getHits(key, since) {
+      const rows = await getPrisma().$queryRaw`
+        SELECT (EXTRACT(EPOCH FROM hit_at) * 1000)::float8 AS timestamp
+        FROM rate_limit_hits
+        WHERE key = ${key} AND hit_at > to_timestamp(${since / 1000})
+        ORDER BY hit_at
+      `;
+      return rows.map(row => Number(row.timestamp));
+    },
+
+    async addHit(key, timestamp, ttlMs) {
+      await getPrisma().$executeRaw`
+        INSERT INTO rate_limit_hits (key, hit_at, expires_at)
+        VALUES (${key}, to_timestamp(${timestamp / 1000}), to_timestamp(${(timestamp + ttlMs) / 1000}))
+      `;
+    },
+
+    // A transaction-scoped advisory lock on the key serializes concurrent
+    // requests from the same caller between the count and the insert
+    async addHitIfAllowed(key, timestamp, ttlMs, limits) {
+      return getPrisma().$transaction(async (tx) => {
+        await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${key}))`;
+        const rows = await tx.$queryRaw`
+          SELECT (EXTRACT(EPOCH FROM hit_at) * 1000)::float8 AS timestamp
+          FROM rate_limit_hits
+          WHERE key = ${key} AND hit_at > to_timestamp(${(timestamp - ttlMs) / 1000})
+          ORDER BY hit_at
+        `;
+        const hits = rows.map(row => Number(row.timestamp));
+        if (!withinLimits(hits, timestamp, limits)) {
+          return { allowed: false, hits };
+        }
+
+        await tx.$executeRaw`
+          INSERT INTO rate_limit_hits (key, hit_at, expires_at)
+          VALUES (${key}, to_timestamp(${timestamp / 1000}), to_timestamp(${(timestamp + ttlMs) / 1000}))
+        `;
+        return { allowed: true, hits };
+      });
+    },
+
+    async reset(key) {
+      await getPrisma().$executeRaw`DELETE FROM rate_limit_hits WHERE key = ${key}`;
+    }
+  };
+}
+
+// KEYS[1]: the sorted set; ARGV: now, ttl, new member, then window/limit pairs.
+// Returns { 1 | 0 (added), hits before this one as member/score pairs }.
+const CONSUME_SCRIPT = `
+local now = tonumber(ARGV[1])
+local ttl = tonumber(ARGV[2])
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - ttl)
+local hits = redis.call('ZRANGEBYSCORE', KEYS[1], '(' .. (now - ttl), '+inf', 'WITHSCORES')
+for i = 4, #ARGV, 2 do
+  if redis.call('ZCOUNT', KEYS[1], '(' .. (now - tonumber(ARGV[i])), '+inf') >= tonumber(ARGV[i + 1]) then
+    return { 0, hits }
+  end
+end
+redis.call('ZADD', KEYS[1], now, ARGV[3])
+redis.call('PEXPIRE', KEYS[1], ttl)
+return { 1, hits }
+`;
+
+const hitMember = (timestamp) => `${timestamp}:${Math.random().toString(36).slice(2, 10)}`;
+
+// Timestamps from a WITHSCORES reply
+function scoresOf(entries) {
+  const timestamps = [];
+  for (let i = 1; i < entries.length; i += 2) {
+    timestamps.push(Number(entries[i]));
+  }
+  return timestamps;
+}
+
+/**
+ * Redis store: one sorted set per key, scored by timestamp. Works with any
+ * ioredis-compatible client.
+ */
+export function createRedisStore(client, { prefix = 'ratelimit:' } = {}) {
+  return {
+    async getHits(key, since) {
+      return scoresOf(await client.zrangebyscore(`${prefix}${key}`, `(${since}`, '+inf', 'WITHSCORES'));
+    },
+
+    async addHit(key, timestamp, ttlMs) {
+      const redisKey = `${prefix}${key}`;
+      await client.multi()
+        .zadd(redisKey, timestamp, hitMember(timestamp))
+        .zremrangebyscore(redisKey, '-inf', timestamp - ttlMs)
+        .pexpire(redisKey, ttlMs)
+        .exec();
+    },
+
+    // Prune, count and add in one Lua script; Redis runs scripts atomically
+    async addHitIfAllowed(key, timestamp, ttlMs, limits) {
+      const limitArgs = limits.flatMap(({ window_ms: windowMs, limit }) => [windowMs, limit]);
+      const [added, entries] = await client.eval(
+        CONSUME_SCRIPT, 1, `${prefix}${key}`, timestamp, ttlMs, hitMember(timestamp), ...limitArgs
+      );
+      return { allowed: added === 1, hits: scoresOf(entries) };
+    },
+
+    async reset(key) {
+      await client.del(`${prefix}${key}`);
+    }
+  };
+}
+
+export function getRateLimitStoreType() {
+  return process.env.RATE_LIMIT_STORE || 'postgres';
+}
+
+function createDefaultStore() {
+  const storeType = getRateLimitStoreType();
+
+  if (storeType === 'memory') {
+    return createMemoryStore();
+  }
+  if (storeType === 'redis') {
+    return createRedisStore(new Redis(process.env.REDIS_URL, {
+      password: process.env.REDIS_PASSWORD || undefined,
+      maxRetriesPerRequest: 1
+    }));
+  }
+  return createPostgresStore();
+}
+
+/**
+ * Usage of one window given the caller's hits (oldest first)
+ */
+function describeWindow(name, limit, hits, now) {
+  const windowMs = RATE_LIMIT_WINDOWS[name];
+  const inWindow = hits.filter(timestamp => timestamp > now - windowMs);
+  const used = inWindow.length;
+
+  if (limit === null || limit === undefined) {
+    return { window: name, limit: null, used, remaining: null, reset_ms: 0 };
+  }
+
+  // Quota frees up as the oldest hits slide out; when blocked, the request
+  // that must expire is the one `limit` places before the newest
+  const blocking = used >= limit ? inWindow[used - limit] : inWindow[0];
+  return {
+    window: name,
+    window_ms: windowMs,
+    limit,
+    used,
+    remaining: Math.max(0, limit - used),
+    reset_ms: blocking === undefined ? windowMs : blocking + windowMs - now
+  };
+}
+
+export function createRateLimiter({ store = createMemoryStore(), tiers = RATE_LIMIT_TIERS } = {}) {
+  const getLimits = (tier) => {
+    const limits = tiers[tier];
+    if (!limits) {
+      throw new Error(`Unknown rate limit tier: ${tier}`);
+    }
+    return limits;
+  };
+
+  const describe = (tier, hits, now) => {
+    const limits = getLimits(tier);
+    const windows = {};
+    for (const name of Object.keys(RATE_LIMIT_WINDOWS)) {
+      windows[name] = describeWindow(name, limits[name], hits, now);
+    }
+    return windows;
+  };
+
+  const summarize = (tier, windows, now, allowed) => {
+    const enforced = Object.values(windows).filter(window => window.limit !== null);
+    // Report the window that is blocking (the one that frees up last) or the
+    // one closest to running out
+    const blocked = allowed ? [] : enforced.filter(window => window.remaining === 0);
+    const binding = blocked.length > 0
+      ? blocked.reduce((a, b) => (b.reset_ms > a.reset_ms ? b : a))
+      : enforced.reduce((a, b) => (b.remaining < a.remaining ? b : a), enforced[0]);
+
+    return {
+      allowed,
+      tier,
+      limit: binding?.limit ?? null,
+      remaining: binding?.remaining ?? null,
+      reset: binding ? new Date(now + binding.reset_ms) : null,
+      retry_after: allowed ? null : Math.max(1, Math.ceil(binding.reset_ms / 1000)),
+      windows
+    };
+  };
+
+  const limiter = {
+    tiers,
+
+    /**
+     * Current usage for a key without recording a request
+     */
+    async check(key, tier, now = Date.now()) {
+      const hits = await store.getHits(key, now - DAY_MS);
+      const windows = describe(tier, hits, now);
+      const allowed = Object.values(windows).every(window => window.limit === null || window.remaining > 0);
+      return summarize(tier, windows, now, allowed);
+    },
+
+    async record(key, now = Date.now()) {
+      await store.addHit(key, now, DAY_MS);
+    },
+
+    /**
+     * Check and, when allowed, record the request in one atomic step
+     */
+    async consume(key, tier, now = Date.now()) {
+      const limits = getLimits(tier);
+      const enforced = Object.entries(RATE_LIMIT_WINDOWS)
+        .filter(([name]) => limits[name] !== null && limits[name] !== undefined)
+        .map(([name, windowMs]) => ({ window_ms: windowMs, limit: limits[name] }));
+
+      const { allowed, hits } = await store.addHitIfAllowed(key, now, DAY_MS, enforced);
+      return summarize(tier, describe(tier, allowed ? [...hits, now] : hits, now), now, allowed);
+    },
+
+    async reset(key) {
+      await store.reset(key);
+    }
+  };
+
+  return limiter;
+}
+
+let defaultLimiter = null;
+
+/**
+ * Shared limiter using the store selected by RATE_LIMIT_STORE
+ */
+export function getRateLimiter() {
+  if (!defaultLimiter) {
+    defaultLimiter = createRateLimiter({ store: createDefaultStore() });
+  }
+  return defaultLimiter;
+}
+
+/**
+ * Store key for a caller: signed-in users share one budget across devices,
+ * everyone else is limited per IP (or session)
+ */
+export function rateLimitKey(identifier, identifierType) {
+  return identifierType === 'user' ? `user:${identifier}` : `anon:${identifier}`;
+}
+
+export function tierForSubscription(subscriptionTier) {
+  return !subscriptionTier || subscriptionTier === 'free' ? 'free_user' : 'paid_user';
+}
+
+export async function resolveUserTier(userId) {
+  const rows = await getPrisma().$queryRaw`
+    SELECT subscription_tier FROM users WHERE id = ${userId}::uuid
+  `;
+  return tierForSubscription(rows[0]?.subscription_tier);
+}
+
+/**
+ * Limiter key and tier for a caller: signed-in users by ID and subscription,
+ * everyone else by IP
+ */
+export async function identifyCaller({ userId, subscriptionTier, ip }) {
+  if (!userId) {
+    return { key: rateLimitKey(ip, 'ip'), tier: 'anonymous' };
+  }
+
+  const tier = subscriptionTier ? tierForSubscription(subscriptionTier) : await resolveUserTier(userId);
+  return { key: rateLimitKey(userId, 'user'), tier };
+}
+
+// Free credits are topped up one day after the last reset (see get_user_credit_balance)
+const DAILY_FREE_CREDITS_PERIOD_MS = DAY_MS;
+
+/**
+ * Remaining quota for a caller, read from the same store the limiter enforces,
+ * plus the signed-in user's remaining daily free credits
+ */
+export async function getLimitStatus({ userId, subscriptionTier, ip }, limiter = getRateLimiter()) {
+  const now = Date.now();
+  const { key, tier } = await identifyCaller({ userId, subscriptionTier, ip });
+  const result = await limiter.check(key, tier, now);
+
+  const status = {
+    tier,
+    allowed: result.allowed,
+    retry_after: result.retry_after,
+    limits: {},
+    used: {},
+    remaining: {},
+    reset: {},
+    credits: null
+  };
+  for (const [name, window] of Object.entries(result.windows)) {
+    status.limits[name] = window.limit;
+    status.used[name] = window.used;
+    status.remaining[name] = window.remaining;
+    status.reset[name] = window.limit !== null && window.used > 0
+      ? new Date(now + window.reset_ms).toISOString()
+      : null;
+  }
+
+  if (userId) {
+    const balance = await getCreditBalance(userId);
+    if (balance.success) {
+      status.credits = {
+        available: Number(balance.available),
+        daily_free_remaining: balance.daily_free_credits_remaining,
+        daily_free_reset: new Date(new Date(balance.last_reset).getTime() + DAILY_FREE_CREDITS_PERIOD_MS).toISOString()
+      };
+    }
+  }
+
+  return status;
+}
+
+/**
+ * Standard RateLimit-* headers (IETF draft) plus Retry-After when blocked
+ */
+export function setRateLimitHeaders(res, result) {
+  const policy = Object.values(result.windows)
+    .filter(window => window.limit !== null)
+    .map(window => `${window.limit};w=${window.window_ms / 1000}`)
+    .join(', ');
+  if (!policy) {
+    return;
+  }
+
+  res.setHeader('RateLimit-Policy', policy);
+  res.setHeader('RateLimit-Limit', String(result.limit));
+  res.setHeader('RateLimit-Remaining', String(result.remaining));
+  res.setHeader('RateLimit-Reset', String(Math.max(0, Math.ceil((result.reset.getTime() - Date.now()) / 1000))));
+  if (!result.allowed) {
+    res.setHeader('Retry-After', String(result.retry_after));
+  }
+}
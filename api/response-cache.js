@@ -0,0 +1,203 @@
+// LLM response cache
+// Opt-in with RESPONSE_CACHE_ENABLED=true. Completed answers are stored under
+// a hash of the normalized messages, model, temperature and max_tokens, for a
+// TTL that depends on the query type, and repeat questions are served at
+// RESPONSE_CACHE_CREDIT_RATE of the original credit cost. Callers skip the
+// cache with `cache: false` or a Cache-Control: no-cache header.
+//
+// A request made of a single user message carries nothing but the question,
+// so its answer is shared by everyone who asks it. Anything else (system
+// prompts with profile data, conversation history) is only reused for the
+// same user.
+
+import crypto from 'crypto';
+import Redis from 'ioredis';
+
+// Seconds an answer stays cached per query type; 0 disables caching for the type.
+// Override with RESPONSE_CACHE_TTLS='{"salary_analysis": 3600}'
+export const DEFAULT_RESPONSE_CACHE_TTLS = {
+  general: 6 * 60 * 60,
+  basic_question: 24 * 60 * 60,
+  skill_roadmap: 24 * 60 * 60,
+  salary_analysis: 12 * 60 * 60,
+  career_transition_plan: 12 * 60 * 60,
+  detailed_analysis: 12 * 60 * 60,
+  regulatory_insights: 6 * 60 * 60,
+  // Answered from live search results
+  market_intelligence: 60 * 60
+};
+
+function loadTtls() {
+  if (!process.env.RESPONSE_CACHE_TTLS) {
+    return { ...DEFAULT_RESPONSE_CACHE_TTLS };
+  }
+
+  try {
+    return { ...DEFAULT_RESPONSE_CACHE_TTLS, ...JSON.parse(process.env.RESPONSE_CACHE_TTLS) };
+  } catch (error) {
+    console.error('Invalid RESPONSE_CACHE_TTLS, using defaults:', error.message);
+    return { ...DEFAULT_RESPONSE_CACHE_TTLS };
+  }
+}
+
+export const RESPONSE_CACHE_TTLS = loadTtls();
+
+// Share of the original credits charged for a cached answer (0 = free)
+export const RESPONSE_CACHE_CREDIT_RATE = parseFloat(process.env.RESPONSE_CACHE_CREDIT_RATE) || 0;
+
+const MAX_MEMORY_ENTRIES = parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES, 10) || 1000;
+
+/**
+ * In-process store; the oldest entries are evicted past maxEntries
+ */
+export function createMemoryCacheStore({ maxEntries = MAX_MEMORY_ENTRIES } = {}) {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return null;
+      }
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    }
+  };
+}
+
+/**
+ * Redis store: one JSON string per entry with a millisecond expiry. Works with
+ * any ioredis-compatible client.
+ */
+export function createRedisCacheStore(client, { prefix = 'llmcache:' } = {}) {
+  return {
+    async get(key) {
+      const value = await client.get(`${prefix}${key}`);
+      return value ? JSON.parse(value) : null;
+    },
+
+    async set(key, value, ttlMs) {
+      await client.set(`${prefix}${key}`, JSON.stringify(value), 'PX', ttlMs);
+    }
+  };
+}
+
+function createDefaultStore() {
+  if (process.env.RESPONSE_CACHE_STORE === 'redis') {
+    return createRedisCacheStore(new Redis(process.env.REDIS_URL, {
+      password: process.env.REDIS_PASSWORD || undefined,
+      maxRetriesPerRequest: 1
+    }));
+  }
+  return createMemoryCacheStore();
+}
+
+/**
+ * Case, spacing and trailing punctuation do not change the question
+ */
+export function normalizeContent(content) {
+  return content.trim().replace(/\s+/g, ' ').replace(/[\s?!.]+$/, '').toLowerCase();
+}
+
+/**
+ * Who may reuse an answer: 'shared' for a bare question, the user for
+ * anything with more context, or null (not cacheable) for anonymous callers
+ * sending more context
+ */
+export function getCacheScope(messages, userId) {
+  if (messages.length === 1 && messages[0].role === 'user') {
+    return 'shared';
+  }
+  return userId ? `user:${userId}` : null;
+}
+
+// Structured answers (output_schema set) never serve free-text requests, or the reverse
+export function responseCacheKey({ messages, model, temperature, max_tokens, user_id, output_schema = null }) {
+  const scope = getCacheScope(messages, user_id);
+  if (!scope) {
+    return null;
+  }
+
+  const normalized = JSON.stringify([
+    scope,
+    model,
+    temperature ?? null,
+    max_tokens ?? null,
+    output_schema,
+    messages.map(message => [message.role, normalizeContent(message.content)])
+  ]);
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+export function isCacheBypassed(req) {
+  return req.body?.cache === false || /no-cache|no-store/i.test(req.headers?.['cache-control'] || '');
+}
+
+export function createResponseCache({
+  store = createMemoryCacheStore(),
+  ttls = RESPONSE_CACHE_TTLS,
+  creditRate = RESPONSE_CACHE_CREDIT_RATE
+} = {}) {
+  const ttlFor = (queryType) => ttls[queryType] ?? ttls.general ?? 0;
+
+  return {
+    /**
+     * Cached answer for a request ({ messages, model, temperature, max_tokens,
+     * query_type, user_id, output_schema }), or null
+     */
+    async get(request) {
+      const key = responseCacheKey(request);
+      if (!key || !ttlFor(request.query_type)) {
+        return null;
+      }
+      return store.get(key);
+    },
+
+    /**
+     * Store an answer; false when the request is not cacheable
+     */
+    async set(request, response) {
+      const key = responseCacheKey(request);
+      const ttl = ttlFor(request.query_type);
+      if (!key || !ttl) {
+        return false;
+      }
+      await store.set(key, { ...response, cached_at: new Date().toISOString() }, ttl * 1000);
+      return true;
+    },
+
+    /**
+     * Credits charged for serving a cached answer that originally cost `credits`
+     */
+    creditsFor(credits) {
+      return Math.ceil(credits * creditRate * 100) / 100;
+    }
+  };
+}
+
+let defaultCache = null;
+
+/**
+ * Shared cache using the store selected by RESPONSE_CACHE_STORE; null unless
+ * RESPONSE_CACHE_ENABLED=true
+ */
+export function getResponseCache() {
+  if (process.env.RESPONSE_CACHE_ENABLED !== 'true') {
+    return null;
+  }
+  if (!defaultCache) {
+    defaultCache = createResponseCache({ store: createDefaultStore() });
+  }
+  return defaultCache;
+}
@@ -0,0 +1,151 @@
+// Resume (CV) analysis
+// Text is extracted locally from PDF, DOCX or plain-text uploads, so resumes
+// are not bound by the chat message length limit. The model compares it with a
+// target role and answers in the resume_analysis output schema (see
+// api/output-schemas.js). Each analysis is billed at the flat
+// resume_analysis cost (see api/priced-queries.js).
+
+import { PDFParse } from 'pdf-parse';
+import mammoth from 'mammoth';
+import { routeQuery } from './query-classifier.js';
+import { runPricedQuery } from './priced-queries.js';
+
+export const RESUME_QUERY_TYPE = 'resume_analysis';
+
+export const RESUME_MAX_FILE_BYTES = (parseFloat(process.env.RESUME_MAX_FILE_MB) || 5) * 1024 * 1024;
+
+// Longer resumes are cut here before they reach the model
+export const MAX_RESUME_CHARS = 20000;
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+export class ResumeParseError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ResumeParseError';
+    this.status = status;
+  }
+}
+
+/**
+ * pdf, docx or text, judged by the file's leading bytes rather than only the
+ * type the client claims; null when unsupported
+ */
+export function detectResumeFormat({ buffer, mimetype = '', originalname = '' }) {
+  const extension = originalname.toLowerCase().split('.').pop();
+
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+    return 'pdf';
+  }
+  // DOCX files are zip archives
+  if (buffer.subarray(0, 4).toString('latin1') === 'PK\x03\x04' &&
+      (mimetype === DOCX_MIME_TYPE || extension === 'docx')) {
+    return 'docx';
+  }
+  if ((mimetype.startsWith('text/') || ['txt', 'md'].includes(extension)) && !buffer.includes(0)) {
+    return 'text';
+  }
+  return null;
+}
+
+async function extractPdfText(buffer) {
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const result = await parser.getText({ pageJoiner: '' });
+    return result.text;
+  } finally {
+    await parser.destroy();
+  }
+}
+
+/**
+ * Plain text of an uploaded resume ({ buffer, mimetype, originalname }, as
+ * provided by multer): { text, format, truncated }
+ */
+export async function extractResumeText(file) {
+  const format = detectResumeFormat(file);
+  if (!format) {
+    throw new ResumeParseError('Resume must be a PDF, DOCX or plain-text file', 415);
+  }
+
+  let text;
+  try {
+    if (format === 'pdf') {
+      text = await extractPdfText(file.buffer);
+    } else if (format === 'docx') {
+      text = (await mammoth.extractRawText({ buffer: file.buffer })).value;
+    } else {
+      text = file.buffer.toString('utf8');
+    }
+  } catch (error) {
+    console.error(`Failed to read ${format} resume:`, error);
+    throw new ResumeParseError(`Could not read the ${format.toUpperCase()} file`);
+  }
+
+  return { ...normalizeResumeText(text), format };
+}
+
+/**
+ * Drop control characters, collapse layout whitespace and cap the length at
+ * MAX_RESUME_CHARS
+ */
+export function normalizeResumeText(text) {
+  const normalized = text
+    .replace(/(?![\t-\r])\p{Cc}/gu, '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\f\v]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  if (!normalized) {
+    throw new ResumeParseError('No text could be extracted from the resume');
+  }
+
+  return {
+    text: normalized.slice(0, MAX_RESUME_CHARS),
+    truncated: normalized.length > MAX_RESUME_CHARS
+  };
+}
+
+// The answer's shape comes from the resume_analysis output schema
+const ANALYSIS_INSTRUCTIONS = `You are an expert career coach and applicant tracking system (ATS) reviewer.
+Compare the resume with the target role: overall fit, the skills and ATS keywords it shows and lacks, and rewrites for its weakest bullets.
+Suggest at most five bullet rewrites, quoting the original bullets exactly.`;
+
+export function buildAnalysisMessages({ text, targetRole, jobDescription }) {
+  const role = jobDescription
+    ? `Target role: ${targetRole}\n\nJob description:\n"""${jobDescription}"""`
+    : `Target role: ${targetRole}`;
+
+  return [
+    { role: 'system', content: ANALYSIS_INSTRUCTIONS },
+    { role: 'user', content: `${role}\n\nResume:\n"""${text}"""` }
+  ];
+}
+
+/**
+ * Analyze resume text against a target role for a user, charging the flat
+ * resume_analysis cost. Resolves to { success: true, analysis, usage, ... } or
+ * { success: false, error, status }; nothing is charged on failure.
+ */
+export async function analyzeResume({ userId, apiKeyId = null, text, targetRole, jobDescription = null, model = null }) {
+  const result = await runPricedQuery({
+    userId,
+    apiKeyId,
+    queryType: RESUME_QUERY_TYPE,
+    description: `Resume analysis for ${targetRole}`.slice(0, 200),
+    request: {
+      model: model || routeQuery(RESUME_QUERY_TYPE),
+      messages: buildAnalysisMessages({ text, targetRole, jobDescription }),
+      max_tokens: 2000,
+      temperature: 0.2
+    }
+  });
+  if (!result.success) {
+    return result;
+  }
+
+  const { output, ...details } = result;
+  return { ...details, target_role: targetRole, analysis: output };
+}
@@ -2,8 +2,11 @@ import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import dotenv from 'dotenv';
-import { callLLMProvider, getAvailableProviders, mockLLMCall } from './llm-providers.js';
+import { getAvailableProviders, mockLLMCall } from './llm-providers.js';
+import { callLLMWithFailover } from './llm-failover.js';
+import { PROVIDER_ERROR_CODES } from './providers/index.js';
 import stripeService from './stripe-service.js';
+import { getCreditPackages } from './credit-packages.js';
 
 // Load environment variables
 dotenv.config();
@@ -17,7 +20,11 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
   credentials: true
 }));
-app.use(express.json({ limit: '10mb' }));
+// The Stripe webhook needs the raw body to verify its signature
+const jsonParser = express.json({ limit: '10mb' });
+app.use((req, res, next) => (
+  req.originalUrl === '/api/stripe/webhook' ? next() : jsonParser(req, res, next)
+));
 app.use(express.urlencoded({ extended: true }));
 
 // Health check endpoint
@@ -71,10 +78,10 @@ app.get('/api/llm/providers', (req, res) => {
   }
 });
 
-// Real LLM query endpoint with fallback to mock
+// LLM query endpoint with provider failover (mock only when requested)
 app.post('/api/llm/query', async (req, res) => {
   try {
-    const { messages, model, max_tokens, temperature, user_id } = req.body;
+    const { messages, model, max_tokens, temperature, user_id, mock } = req.body;
     
     // Validate request
     if (!messages || !Array.isArray(messages) || messages.length === 0) {
@@ -91,63 +98,42 @@ app.post('/api/llm/query', async (req, res) => {
       });
     }
 
-    // Try real LLM call first, fallback to mock if API keys not configured
-    try {
-      const result = await callLLMProvider({
-        messages,
-        model,
-        max_tokens: max_tokens || 1000,
-        temperature: temperature || 0.7,
-        user_id
-      });
-      
-      res.json({
-        success: true,
-        response: result.choices[0].message.content,
-        usage: {
-          prompt_tokens: result.usage.prompt_tokens,
-          completion_tokens: result.usage.completion_tokens,
-          total_tokens: result.usage.total_tokens,
-          credits_consumed: result.credits_consumed,
-          response_time_ms: result.response_time_ms
-        },
-        model: result.model,
-        provider: result.provider,
-        request_id: result.request_id,
-        is_real_response: true
-      });
-      
-    } catch (llmError) {
-      console.log('Real LLM call failed, using mock response:', llmError.message);
-      
-      // Fallback to mock response
-      const mockResult = await mockLLMCall({
-        messages,
-        model,
-        max_tokens: max_tokens || 1000,
-        temperature: temperature || 0.7
-      });
-      
-      res.json({
-        success: true,
-        response: mockResult.choices[0].message.content,
-        usage: {
-          prompt_tokens: mockResult.usage.prompt_tokens,
-          completion_tokens: mockResult.usage.completion_tokens,
-          total_tokens: mockResult.usage.total_tokens,
-          credits_consumed: mockResult.credits_consumed,
-          response_time_ms: mockResult.response_time_ms
-        },
-        model: mockResult.model,
-        provider: 'mock',
-        request_id: mockResult.request_id,
-        is_real_response: false,
-        fallback_reason: llmError.message
-      });
-    }
+    const llmRequest = {
+      messages,
+      model,
+      max_tokens: max_tokens || 1000,
+      temperature: temperature || 0.7,
+      user_id
+    };
+    const result = mock
+      ? { ...(await mockLLMCall(llmRequest)), provider: 'mock', fallback_used: false }
+      : await callLLMWithFailover(llmRequest);
+    
+    res.json({
+      success: true,
+      response: result.choices[0].message.content,
+      usage: {
+        prompt_tokens: result.usage.prompt_tokens,
+        completion_tokens: result.usage.completion_tokens,
+        total_tokens: result.usage.total_tokens,
+        credits_consumed: result.usage.credits_consumed,
+        response_time_ms: result.response_time_ms
+      },
+      model: result.model,
+      provider: result.provider,
+      fallback_used: result.fallback_used,
+      request_id: result.request_id,
+      is_real_response: !mock
+    });
     
   } catch (error) {
     console.error('LLM query error:', error);
+    if (error.code === PROVIDER_ERROR_CODES.FAILOVER_EXHAUSTED) {
+      return res.status(503).json({
+        error: 'Service unavailable',
+        message: 'All LLM providers are currently unavailable'
+      });
+    }
     res.status(500).json({
       error: 'Internal server error',
       message: 'Failed to process LLM query',
@@ -157,9 +143,9 @@ app.post('/api/llm/query', async (req, res) => {
 });
 
 // Stripe endpoints
-app.get('/api/stripe/packages', (req, res) => {
+app.get('/api/stripe/packages', async (req, res) => {
   try {
-    const packages = stripeService.getCreditPackages();
+    const packages = await getCreditPackages();
     res.json({
       success: true,
       packages,
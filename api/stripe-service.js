@@ -1,8 +1,20 @@
 import Stripe from 'stripe';
 import dotenv from 'dotenv';
+import { getPrisma } from './db.js';
+import { getCreditPackage, getCreditPackagesByPriceIds } from './credit-packages.js';
+import { claimWebhookEvent, recordWebhookOutcome } from './webhook-events.js';
+import {
+  getSubscriptionPlan,
+  getUserSubscription,
+  syncSubscription,
+  processSubscriptionInvoice
+} from './subscription-service.js';
+import { creditsGrantedTotal, webhookEventsTotal } from '../src/utils/metrics.js';
 
 dotenv.config();
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
 // Lazy initialization of Stripe
 let stripe = null;
 
@@ -17,53 +29,13 @@ function getStripe() {
   return stripe;
 }
 
-// Credit packages configuration
-export const CREDIT_PACKAGES = [
-  {
-    id: 'starter',
-    credits: 100,
-    price: 10.00,
-    name: 'Starter Pack',
-    description: '100 LLM Credits - Perfect for getting started',
-    popular: false,
-    bestValue: false
-  },
-  {
-    id: 'professional',
-    credits: 500,
-    price: 40.00,
-    name: 'Professional Pack',
-    description: '500 LLM Credits - Great for regular users',
-    popular: true,
-    bestValue: false
-  },
-  {
-    id: 'business',
-    credits: 1000,
-    price: 75.00,
-    name: 'Business Pack',
-    description: '1000 LLM Credits - Best value for power users',
-    popular: false,
-    bestValue: true
-  },
-  {
-    id: 'enterprise',
-    credits: 2000,
-    price: 140.00,
-    name: 'Enterprise Pack',
-    description: '2000 LLM Credits - For heavy usage',
-    popular: false,
-    bestValue: false
-  }
-];
-
 /**
  * Create a payment intent for credit purchase
  */
 export async function createPaymentIntent(packageId, userId, userEmail) {
   try {
     const stripeClient = getStripe();
-    const creditPackage = CREDIT_PACKAGES.find(pkg => pkg.id === packageId);
+    const creditPackage = await getCreditPackage(packageId);
     if (!creditPackage) {
       throw new Error('Invalid credit package');
     }
@@ -98,6 +70,90 @@ export async function createPaymentIntent(packageId, userId, userEmail) {
   }
 }
 
+/**
+ * Create a Checkout session for a subscription plan
+ * The user ID travels in the subscription metadata so webhook events can be
+ * matched to the account.
+ */
+export async function createSubscriptionCheckout(planId, userId, userEmail, successUrl, cancelUrl) {
+  try {
+    const stripeClient = getStripe();
+    const plan = await getSubscriptionPlan(planId);
+    if (!plan || !plan.stripe_price_id) {
+      throw new Error('Invalid subscription plan');
+    }
+
+    const session = await stripeClient.checkout.sessions.create({
+      mode: 'subscription',
+      line_items: [{ price: plan.stripe_price_id, quantity: 1 }],
+      client_reference_id: userId,
+      customer_email: userEmail,
+      subscription_data: {
+        metadata: { user_id: userId, plan_id: plan.id }
+      },
+      success_url: successUrl,
+      cancel_url: cancelUrl
+    });
+
+    return {
+      success: true,
+      session_id: session.id,
+      url: session.url,
+      plan
+    };
+  } catch (error) {
+    console.error('Stripe subscription checkout creation failed:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Move a subscriber to another plan
+ * Stripe invoices the proration immediately; the invoice.payment_succeeded
+ * webhook then adds (or removes) the prorated difference in credits.
+ */
+export async function changeSubscriptionPlan(userId, planId) {
+  try {
+    const stripeClient = getStripe();
+    const [plan, current] = await Promise.all([
+      getSubscriptionPlan(planId),
+      getUserSubscription(userId)
+    ]);
+    if (!plan || !plan.stripe_price_id) {
+      throw new Error('Invalid subscription plan');
+    }
+    if (!current || current.status === 'canceled') {
+      throw new Error('No active subscription to change');
+    }
+    if (current.plan_id === plan.id) {
+      throw new Error('Already subscribed to this plan');
+    }
+
+    const subscription = await stripeClient.subscriptions.retrieve(current.stripe_subscription_id);
+    const updated = await stripeClient.subscriptions.update(subscription.id, {
+      items: [{ id: subscription.items.data[0].id, price: plan.stripe_price_id }],
+      proration_behavior: 'always_invoice',
+      metadata: { ...subscription.metadata, user_id: userId, plan_id: plan.id }
+    });
+
+    return {
+      success: true,
+      subscription_id: updated.id,
+      status: updated.status,
+      plan
+    };
+  } catch (error) {
+    console.error('Stripe subscription change failed:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
 /**
  * Verify payment and process credit addition
  */
@@ -136,11 +192,14 @@ export async function verifyPayment(paymentIntentId) {
 
 /**
  * Handle Stripe webhooks
+ * Each event ID is recorded before processing; redeliveries of an event that
+ * already finished are acknowledged without touching the credit ledger again.
  */
 export async function handleWebhook(body, signature) {
+  let event = null;
   try {
     const stripeClient = getStripe();
-    const event = stripeClient.webhooks.constructEvent(
+    event = stripeClient.webhooks.constructEvent(
       body,
       signature,
       process.env.STRIPE_WEBHOOK_SECRET
@@ -148,214 +207,563 @@ export async function handleWebhook(body, signature) {
 
     console.log(`🔔 Webhook received: ${event.type}`);
 
-    switch (event.type) {
-      case 'checkout.session.completed':
-        // Handle Stripe Pricing Table purchases
-        const session = event.data.object;
-        console.log('✅ Checkout session completed:', session.id);
-        
-        // Get line items to determine credits purchased
-        const lineItems = await stripeClient.checkout.sessions.listLineItems(session.id);
-        const credits = calculateCreditsFromLineItems(lineItems.data);
-        
-        const checkoutResult = await processCreditsGrant({
-          user_id: session.client_reference_id || session.customer_email || `guest_${session.id}`,
-          user_email: session.customer_details?.email || session.customer_email,
-          credits: credits,
-          amount: session.amount_total / 100,
-          payment_id: session.payment_intent,
-          session_id: session.id,
-          payment_method: 'pricing_table'
-        });
-        
+    const delivery = await claimWebhookEvent(event);
+    if (delivery.replay) {
+      console.log(`↩️  Duplicate webhook ${event.id} ignored (delivery #${delivery.delivery_count})`);
+      webhookEventsTotal.inc({ event_type: event.type, outcome: 'duplicate' });
+      return {
+        success: true,
+        event_type: 'duplicate',
+        event_id: event.id,
+        duplicate: true
+      };
+    }
+
+    let result;
+    try {
+      result = await processWebhookEvent(event, stripeClient);
+    } catch (error) {
+      await recordWebhookOutcome(event.id, { status: 'failed', error_message: error.message });
+      throw error;
+    }
+
+    const { ledger, ...response } = result;
+    await recordWebhookOutcome(event.id, ledger
+      ? {
+        status: ledger.status,
+        user_id: ledger.user_id,
+        transaction_id: ledger.transaction_id,
+        credits_granted: ledger.credits_granted,
+        error_message: ledger.error
+      }
+      : { status: 'processed' });
+
+    // A failed ledger update is reported as an error so Stripe redelivers the event
+    if (ledger?.status === 'failed') {
+      webhookEventsTotal.inc({ event_type: event.type, outcome: 'failed' });
+      return {
+        success: false,
+        error: ledger.error
+      };
+    }
+
+    webhookEventsTotal.inc({ event_type: event.type, outcome: 'processed' });
+    if (ledger?.credits_granted > 0) {
+      creditsGrantedTotal.inc({ event_type: event.type }, ledger.credits_granted);
+    }
+    return { ...response, event_id: event.id };
+  } catch (error) {
+    console.error('❌ Webhook handling failed:', error);
+    // Events that never verified are counted apart from ones that failed processing
+    webhookEventsTotal.inc(event
+      ? { event_type: event.type, outcome: 'failed' }
+      : { event_type: 'unknown', outcome: 'rejected' });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Dispatch a verified webhook event; events that change credit balances
+ * include the ledger outcome as `ledger`
+ */
+async function processWebhookEvent(event, stripeClient) {
+  switch (event.type) {
+    case 'checkout.session.completed': {
+      // Handle Stripe Pricing Table purchases
+      const session = event.data.object;
+      console.log('✅ Checkout session completed:', session.id);
+      
+      // Subscription credits are granted per paid invoice, not per checkout
+      if (session.mode === 'subscription') {
         return {
           success: true,
-          event_type: 'checkout_completed',
+          event_type: 'subscription_checkout_completed',
           session_id: session.id,
-          payment_intent_id: session.payment_intent,
-          credits: credits,
-          user_id: session.client_reference_id || session.customer_email,
-          processed: checkoutResult.success
+          subscription_id: session.subscription
         };
+      }
+      
+      // Get line items to determine credits purchased
+      const lineItems = await stripeClient.checkout.sessions.listLineItems(session.id);
+      const credits = await calculateCreditsFromLineItems(lineItems.data);
+      
+      const grant = await processCreditsGrant({
+        user_id: session.client_reference_id,
+        user_email: session.customer_details?.email || session.customer_email,
+        credits,
+        amount: session.amount_total / 100,
+        payment_id: session.payment_intent,
+        session_id: session.id,
+        event_id: event.id,
+        payment_method: 'pricing_table'
+      });
+      
+      return {
+        success: true,
+        event_type: 'checkout_completed',
+        session_id: session.id,
+        payment_intent_id: session.payment_intent,
+        credits,
+        user_id: grant.user_id,
+        processed: grant.success,
+        duplicate: grant.duplicate,
+        ledger: grant
+      };
+    }
 
-      case 'payment_intent.succeeded':
-        // Handle custom payment intent purchases
-        const paymentIntent = event.data.object;
-        console.log('✅ Payment intent succeeded:', paymentIntent.id);
-        
-        const paymentResult = await processCreditsGrant({
-          user_id: paymentIntent.metadata.user_id,
-          user_email: paymentIntent.metadata.user_email,
-          credits: parseInt(paymentIntent.metadata.credits),
-          amount: paymentIntent.amount / 100,
-          payment_id: paymentIntent.id,
-          package_id: paymentIntent.metadata.package_id,
-          package_name: paymentIntent.metadata.package_name,
-          payment_method: 'payment_intent'
-        });
-        
-        return {
-          success: true,
-          event_type: 'payment_succeeded',
-          payment_intent_id: paymentIntent.id,
-          credits: parseInt(paymentIntent.metadata.credits),
-          user_id: paymentIntent.metadata.user_id,
-          processed: paymentResult.success
-        };
+    case 'payment_intent.succeeded': {
+      // Handle custom payment intent purchases
+      const paymentIntent = event.data.object;
+      console.log('✅ Payment intent succeeded:', paymentIntent.id);
+      
+      const grant = await processCreditsGrant({
+        user_id: paymentIntent.metadata.user_id,
+        user_email: paymentIntent.metadata.user_email,
+        credits: parseInt(paymentIntent.metadata.credits),
+        amount: paymentIntent.amount / 100,
+        payment_id: paymentIntent.id,
+        package_id: paymentIntent.metadata.package_id,
+        package_name: paymentIntent.metadata.package_name,
+        event_id: event.id,
+        payment_method: 'payment_intent'
+      });
+      
+      return {
+        success: true,
+        event_type: 'payment_succeeded',
+        payment_intent_id: paymentIntent.id,
+        credits: parseInt(paymentIntent.metadata.credits),
+        user_id: grant.user_id,
+        processed: grant.success,
+        duplicate: grant.duplicate,
+        ledger: grant
+      };
+    }
 
-      case 'payment_intent.payment_failed':
-        const failedPayment = event.data.object;
-        console.log('❌ Payment failed:', failedPayment.id);
-        
-        return {
-          success: true,
-          event_type: 'payment_failed',
-          payment_intent_id: failedPayment.id,
-          user_id: failedPayment.metadata.user_id
-        };
+    case 'payment_intent.payment_failed': {
+      const failedPayment = event.data.object;
+      console.log('❌ Payment failed:', failedPayment.id);
+      
+      return {
+        success: true,
+        event_type: 'payment_failed',
+        payment_intent_id: failedPayment.id,
+        user_id: failedPayment.metadata.user_id
+      };
+    }
 
-      case 'invoice.payment_succeeded':
-        // Handle subscription payments (if you add subscriptions later)
-        const invoice = event.data.object;
-        console.log('✅ Invoice payment succeeded:', invoice.id);
-        
-        return {
-          success: true,
-          event_type: 'invoice_paid',
-          invoice_id: invoice.id,
-          customer_id: invoice.customer
-        };
+    case 'charge.refunded': {
+      // amount_refunded is cumulative, so each partial refund claws back pro-rata
+      const charge = event.data.object;
+      console.log('↩️  Charge refunded:', charge.id);
+
+      const clawback = await processCreditsClawback({
+        payment_id: charge.payment_intent,
+        fraction: refundedFraction(charge),
+        transaction_type: 'refund',
+        description: charge.amount_refunded >= charge.amount
+          ? 'Credits reversed after refund'
+          : 'Credits reversed after partial refund',
+        event_id: event.id,
+        charge_id: charge.id
+      });
+
+      return {
+        success: true,
+        event_type: 'charge_refunded',
+        payment_intent_id: charge.payment_intent,
+        credits_reversed: -clawback.credits_granted,
+        user_id: clawback.user_id,
+        flagged: clawback.is_flagged || false,
+        processed: clawback.success,
+        duplicate: clawback.duplicate,
+        ledger: clawback
+      };
+    }
+
+    case 'charge.dispute.created': {
+      // Freeze the disputed purchase until the dispute is closed
+      const dispute = event.data.object;
+      console.log('⚠️  Charge disputed:', dispute.id);
+
+      const charge = await stripeClient.charges.retrieve(dispute.charge);
+      const freeze = await processDisputeFreeze({
+        dispute_id: dispute.id,
+        payment_id: charge.payment_intent,
+        fraction: charge.amount > 0 ? Math.min(dispute.amount / charge.amount, 1) : 1
+      });
+
+      return {
+        success: true,
+        event_type: 'dispute_created',
+        dispute_id: dispute.id,
+        payment_intent_id: charge.payment_intent,
+        credits_frozen: freeze.credits_frozen,
+        user_id: freeze.user_id,
+        processed: freeze.success,
+        duplicate: freeze.duplicate,
+        ledger: freeze
+      };
+    }
+
+    case 'charge.dispute.closed': {
+      // Won (or inquiry closed): unfreeze. Lost: unfreeze and claw back.
+      const dispute = event.data.object;
+      console.log(`⚖️  Dispute ${dispute.id} closed: ${dispute.status}`);
+
+      const charge = await stripeClient.charges.retrieve(dispute.charge);
+      const resolution = await processDisputeResolution({
+        dispute_id: dispute.id,
+        payment_id: charge.payment_intent,
+        won: dispute.status !== 'lost',
+        fraction: charge.amount > 0
+          ? Math.min((charge.amount_refunded + dispute.amount) / charge.amount, 1)
+          : 1
+      });
+
+      return {
+        success: true,
+        event_type: 'dispute_closed',
+        dispute_id: dispute.id,
+        dispute_status: dispute.status,
+        payment_intent_id: charge.payment_intent,
+        credits_reversed: -resolution.credits_granted,
+        user_id: resolution.user_id,
+        flagged: resolution.is_flagged || false,
+        processed: resolution.success,
+        duplicate: resolution.duplicate,
+        ledger: resolution
+      };
+    }
 
-      default:
-        console.log(`ℹ️  Unhandled event type: ${event.type}`);
+    case 'invoice.payment_succeeded': {
+      // Grant the subscription's monthly allowance (or proration) for the paid invoice
+      const invoice = event.data.object;
+      console.log('✅ Invoice payment succeeded:', invoice.id);
+      
+      const grant = await processSubscriptionInvoice(invoice, stripeClient, event.id);
+      
+      return {
+        success: true,
+        event_type: 'invoice_paid',
+        invoice_id: invoice.id,
+        customer_id: invoice.customer,
+        credits: grant.credits_granted,
+        user_id: grant.user_id,
+        processed: grant.success,
+        duplicate: grant.duplicate,
+        ledger: grant
+      };
+    }
+
+    case 'customer.subscription.created':
+    case 'customer.subscription.updated':
+    case 'customer.subscription.deleted': {
+      // Deleted subscriptions arrive with status 'canceled', which drops the tier to free
+      const subscription = event.data.object;
+      console.log(`🔁 Subscription ${subscription.id} ${subscription.status}`);
+      
+      const sync = await syncSubscription(subscription, stripeClient);
+      if (!sync.success) {
+        // Report as a failed ledger update so Stripe retries once the user exists
         return {
           success: true,
-          event_type: 'unhandled',
-          message: `Event ${event.type} received but not processed`
+          event_type: 'subscription_updated',
+          subscription_id: subscription.id,
+          ledger: { status: 'failed', credits_granted: 0, user_id: null, error: sync.error }
         };
+      }
+      
+      return {
+        success: true,
+        event_type: event.type === 'customer.subscription.deleted' ? 'subscription_deleted' : 'subscription_updated',
+        subscription_id: subscription.id,
+        user_id: sync.user_id,
+        plan_id: sync.plan_id,
+        tier: sync.tier,
+        status: sync.status
+      };
     }
-  } catch (error) {
-    console.error('❌ Webhook handling failed:', error);
-    return {
-      success: false,
-      error: error.message
-    };
+
+    default:
+      console.log(`ℹ️  Unhandled event type: ${event.type}`);
+      return {
+        success: true,
+        event_type: 'unhandled',
+        message: `Event ${event.type} received but not processed`
+      };
   }
 }
 
 /**
  * Calculate credits from Stripe line items
+ * Each line's price ID is looked up in credit_packages (retired packages
+ * included, so late webhooks for old prices still resolve).
  */
-function calculateCreditsFromLineItems(lineItems) {
+async function calculateCreditsFromLineItems(lineItems) {
+  const priceIds = [...new Set(lineItems.map(item => item.price?.id).filter(Boolean))];
+  const packagesByPrice = await getCreditPackagesByPriceIds(priceIds);
   let totalCredits = 0;
   
   for (const item of lineItems) {
-    // Map price IDs to credits (you'll need to update these with your actual Stripe price IDs)
-    const priceToCreditsMap = {
-      // Add your actual Stripe price IDs here
-      'price_starter': 100,
-      'price_professional': 500,
-      'price_business': 1000,
-      'price_enterprise': 2000
-    };
-    
-    const credits = priceToCreditsMap[item.price.id] || 0;
-    totalCredits += credits * item.quantity;
-  }
-  
-  // Fallback: estimate credits based on amount if no mapping found
-  if (totalCredits === 0 && lineItems.length > 0) {
-    const totalAmount = lineItems.reduce((sum, item) => sum + (item.amount_total / 100), 0);
-    totalCredits = Math.floor(totalAmount * 10); // $0.10 per credit
+    const creditPackage = packagesByPrice.get(item.price?.id);
+    if (!creditPackage) {
+      console.warn(`⚠️  No credit package for Stripe price ${item.price?.id}`);
+      continue;
+    }
+    totalCredits += creditPackage.credits * item.quantity;
   }
   
   return totalCredits;
 }
 
+/**
+ * Resolve the purchasing user to a credit account owner ID
+ */
+async function resolveGrantUserId(grantData) {
+  if (UUID_PATTERN.test(grantData.user_id || '')) {
+    return grantData.user_id;
+  }
+  if (!grantData.user_email) {
+    return null;
+  }
+
+  const users = await getPrisma().$queryRaw`
+    SELECT id FROM users WHERE email = ${grantData.user_email} LIMIT 1
+  `;
+  return users[0]?.id || null;
+}
+
 /**
  * Process credit grant to user account
- * This is where you'd integrate with your database
+ * Calls add_credits with the payment intent (or checkout session) ID as the
+ * idempotency key, so the same purchase is never credited twice even when both
+ * checkout.session.completed and payment_intent.succeeded arrive for it.
  */
-async function processCreditsGrant(grantData) {
+export async function processCreditsGrant(grantData) {
+  const idempotencyKey = grantData.payment_id || grantData.session_id;
+
   try {
     console.log('💳 Processing credit grant:', {
       user_id: grantData.user_id,
       credits: grantData.credits,
       amount: grantData.amount,
-      payment_method: grantData.payment_method
+      payment_method: grantData.payment_method,
+      idempotency_key: idempotencyKey
     });
-    
-    // TODO: Integrate with your database here
-    // Example implementations:
-    
-    // For Supabase:
-    // const { data, error } = await supabase
-    //   .from('user_credits')
-    //   .upsert({
-    //     user_id: grantData.user_id,
-    //     credits: grantData.credits,
-    //     updated_at: new Date().toISOString()
-    //   }, { onConflict: 'user_id' });
-    
-    // For MongoDB:
-    // await db.collection('users').updateOne(
-    //   { user_id: grantData.user_id },
-    //   { $inc: { credits: grantData.credits } },
-    //   { upsert: true }
-    // );
-    
-    // For PostgreSQL:
-    // await db.query(`
-    //   INSERT INTO user_credits (user_id, credits, last_purchase_amount, last_purchase_date)
-    //   VALUES ($1, $2, $3, NOW())
-    //   ON CONFLICT (user_id)
-    //   DO UPDATE SET 
-    //     credits = user_credits.credits + $2,
-    //     last_purchase_amount = $3,
-    //     last_purchase_date = NOW()
-    // `, [grantData.user_id, grantData.credits, grantData.amount]);
-    
-    // Log the transaction for audit purposes
-    console.log('📝 Transaction logged:', {
-      timestamp: new Date().toISOString(),
-      user_id: grantData.user_id,
-      user_email: grantData.user_email,
-      credits_granted: grantData.credits,
-      amount_paid: grantData.amount,
+
+    // Payment intents created by Checkout carry no credit metadata; the
+    // checkout.session.completed event grants those purchases instead
+    if (!Number.isFinite(grantData.credits) || grantData.credits <= 0) {
+      return {
+        success: true,
+        status: 'skipped',
+        credits_granted: 0,
+        user_id: null,
+        error: 'No credits to grant for this payment'
+      };
+    }
+
+    const userId = await resolveGrantUserId(grantData);
+    if (!userId) {
+      return {
+        success: false,
+        status: 'failed',
+        credits_granted: 0,
+        user_id: null,
+        error: `No user account found for ${grantData.user_id || grantData.user_email || 'purchase'}`
+      };
+    }
+
+    const description = grantData.package_name
+      ? `${grantData.package_name} - ${grantData.credits} credits`
+      : `Credit purchase - ${grantData.credits} credits`;
+    const metadata = {
+      payment_method: grantData.payment_method,
+      package_id: grantData.package_id || null,
+      checkout_session_id: grantData.session_id || null,
+      stripe_event_id: grantData.event_id || null,
+      amount_paid: grantData.amount
+    };
+
+    const rows = await getPrisma().$queryRaw`
+      SELECT add_credits(
+        ${userId}::uuid,
+        ${grantData.credits}::decimal,
+        ${description}::text,
+        ${grantData.payment_id || null}::varchar,
+        ${idempotencyKey}::varchar,
+        ${JSON.stringify(metadata)}::jsonb
+      ) as grant_result
+    `;
+    const result = JSON.parse(rows[0].grant_result);
+
+    if (!result.success) {
+      return {
+        success: false,
+        status: 'failed',
+        credits_granted: 0,
+        user_id: userId,
+        error: result.error
+      };
+    }
+
+    console.log(result.duplicate ? '↩️  Credits already granted for this payment:' : '📝 Credits granted:', {
+      user_id: userId,
+      credits: grantData.credits,
       payment_id: grantData.payment_id,
-      payment_method: grantData.payment_method
+      transaction_id: result.transaction_id
     });
-    
-    // TODO: Send confirmation email
-    // await sendCreditPurchaseConfirmation(grantData);
-    
+
     return {
       success: true,
-      credits_granted: grantData.credits,
-      user_id: grantData.user_id
+      status: 'processed',
+      duplicate: result.duplicate,
+      credits_granted: result.duplicate ? 0 : grantData.credits,
+      new_balance: result.new_balance,
+      transaction_id: result.transaction_id || null,
+      user_id: userId
     };
     
   } catch (error) {
     console.error('❌ Failed to process credit grant:', error);
     return {
       success: false,
+      status: 'failed',
+      credits_granted: 0,
+      user_id: null,
       error: error.message
     };
   }
 }
 
 /**
- * Get all available credit packages
+ * Share of a charge that has been refunded, from 0 to 1
+ */
+function refundedFraction(charge) {
+  if (!charge.amount) {
+    return 0;
+  }
+  return Math.min(charge.amount_refunded / charge.amount, 1);
+}
+
+/**
+ * Map a ledger function result onto a webhook outcome. Payments that never
+ * granted credits (not_found) are skipped rather than retried.
+ */
+function ledgerOutcome(result, fields) {
+  if (!result.success) {
+    return {
+      success: !!result.not_found,
+      status: result.not_found ? 'skipped' : 'failed',
+      credits_granted: 0,
+      user_id: null,
+      error: result.error
+    };
+  }
+
+  return {
+    success: true,
+    status: 'processed',
+    duplicate: !!result.duplicate,
+    user_id: result.user_id,
+    transaction_id: result.transaction_id || null,
+    new_balance: result.new_balance,
+    is_flagged: result.is_flagged,
+    ...fields
+  };
+}
+
+/**
+ * Reverse purchased credits after a refund or lost dispute
+ * `fraction` is the cumulative share of the payment returned to the customer;
+ * claw_back_credits only deducts what earlier refunds have not already taken,
+ * so the balance may go negative and the account is flagged when it does.
  */
-export function getCreditPackages() {
-  return CREDIT_PACKAGES;
+export async function processCreditsClawback(clawbackData) {
+  try {
+    if (!clawbackData.payment_id) {
+      return ledgerOutcome({ success: false, not_found: true, error: 'Charge has no payment intent' });
+    }
+
+    const metadata = {
+      stripe_event_id: clawbackData.event_id || null,
+      charge_id: clawbackData.charge_id || null
+    };
+
+    const rows = await getPrisma().$queryRaw`
+      SELECT claw_back_credits(
+        ${clawbackData.payment_id}::varchar,
+        ${clawbackData.fraction}::decimal,
+        ${clawbackData.transaction_type}::varchar,
+        ${clawbackData.description}::text,
+        ${JSON.stringify(metadata)}::jsonb
+      ) as clawback_result
+    `;
+    const result = JSON.parse(rows[0].clawback_result);
+
+    if (result.is_flagged) {
+      console.warn('🚩 Credit account flagged after clawback:', {
+        user_id: result.user_id,
+        new_balance: result.new_balance,
+        payment_id: clawbackData.payment_id
+      });
+    }
+
+    return ledgerOutcome(result, { credits_granted: -(Number(result.amount_clawed_back) || 0) });
+  } catch (error) {
+    console.error('❌ Failed to claw back credits:', error);
+    return ledgerOutcome({ success: false, error: error.message });
+  }
 }
 
 /**
- * Get specific credit package by ID
+ * Freeze the unspent credits of a disputed purchase
  */
-export function getCreditPackage(packageId) {
-  return CREDIT_PACKAGES.find(pkg => pkg.id === packageId);
+async function processDisputeFreeze(disputeData) {
+  try {
+    const rows = await getPrisma().$queryRaw`
+      SELECT freeze_disputed_credits(
+        ${disputeData.dispute_id}::varchar,
+        ${disputeData.payment_id}::varchar,
+        ${disputeData.fraction}::decimal
+      ) as freeze_result
+    `;
+    const result = JSON.parse(rows[0].freeze_result);
+
+    return ledgerOutcome(result, {
+      credits_granted: 0,
+      credits_frozen: Number(result.amount_frozen) || 0
+    });
+  } catch (error) {
+    console.error('❌ Failed to freeze disputed credits:', error);
+    return ledgerOutcome({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Unfreeze a closed dispute's credits, clawing them back if it was lost
+ */
+async function processDisputeResolution(disputeData) {
+  try {
+    const rows = await getPrisma().$queryRaw`
+      SELECT resolve_credit_dispute(
+        ${disputeData.dispute_id}::varchar,
+        ${disputeData.payment_id}::varchar,
+        ${disputeData.won}::boolean,
+        ${disputeData.fraction}::decimal
+      ) as resolve_result
+    `;
+    const result = JSON.parse(rows[0].resolve_result);
+
+    return ledgerOutcome(result, { credits_granted: -(Number(result.amount_clawed_back) || 0) });
+  } catch (error) {
+    console.error('❌ Failed to resolve credit dispute:', error);
+    return ledgerOutcome({ success: false, error: error.message });
+  }
 }
 
 /**
@@ -369,10 +777,9 @@ export function isStripeConfigured() {
 
 export default {
   createPaymentIntent,
+  createSubscriptionCheckout,
+  changeSubscriptionPlan,
   verifyPayment,
   handleWebhook,
-  getCreditPackages,
-  getCreditPackage,
-  isStripeConfigured,
-  CREDIT_PACKAGES
+  isStripeConfigured
 }; 
\ No newline at end of file
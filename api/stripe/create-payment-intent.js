@@ -1,3 +1,6 @@
+import { getCreditPackage } from '../credit-packages.js';
+import { getRequestUser, UnauthorizedError } from '../../src/middleware/auth.js';
+
 export default async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -15,24 +18,33 @@ export default async function handler(req, res) {
     return;
   }
 
+  let user;
+  try {
+    user = await getRequestUser(req);
+  } catch (error) {
+    return res.status(error instanceof UnauthorizedError ? 401 : 503).json({
+      success: false,
+      error: error.message
+    });
+  }
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
   try {
-    const { package_id, user_id } = req.body;
+    const { package_id } = req.body;
 
-    if (!package_id || !user_id) {
+    if (!package_id) {
       return res.status(400).json({
         success: false,
-        error: 'Package ID and User ID are required'
+        error: 'Package ID is required'
       });
     }
 
-    // Define packages
-    const packages = {
-      'starter': { credits: 100, price_usd: 10.00 },
-      'professional': { credits: 500, price_usd: 45.00 },
-      'enterprise': { credits: 1000, price_usd: 80.00 }
-    };
-
-    const selectedPackage = packages[package_id];
+    const selectedPackage = await getCreditPackage(package_id);
     if (!selectedPackage) {
       return res.status(400).json({
         success: false,
@@ -45,7 +57,7 @@ export default async function handler(req, res) {
     const mockPaymentIntent = {
       id: `pi_mock_${Date.now()}`,
       client_secret: `pi_mock_${Date.now()}_secret_${Math.random().toString(36).substr(2, 9)}`,
-      amount: Math.round(selectedPackage.price_usd * 100), // Convert to cents
+      amount: Math.round(selectedPackage.price * 100), // Convert to cents
       currency: 'usd',
       status: 'requires_payment_method'
     };
@@ -54,9 +66,10 @@ export default async function handler(req, res) {
       success: true,
       payment_intent: mockPaymentIntent,
       package: {
-        id: package_id,
+        id: selectedPackage.id,
+        name: selectedPackage.name,
         credits: selectedPackage.credits,
-        price_usd: selectedPackage.price_usd
+        price_usd: selectedPackage.price
       }
     });
 
@@ -0,0 +1,177 @@
+// Structured (JSON) answers for query types with an output schema
+// The schema is sent to the provider as a constrained output format where the
+// model supports one (see `structured_output` in the provider adapters) and is
+// always spelled out in a system message, so fallback models can follow it
+// too. Answers are validated with ajv; small problems (numbers as strings,
+// missing defaults, extra fields) are repaired locally, anything else is sent
+// back to the model with the validation errors until the repair budget runs out.
+
+import Ajv from 'ajv';
+import { callLLMWithFailover } from './llm-failover.js';
+import { QUERY_OUTPUT_SCHEMAS } from './output-schemas.js';
+import { structuredOutputsTotal } from '../src/utils/metrics.js';
+
+const envRepairs = parseInt(process.env.STRUCTURED_OUTPUT_MAX_REPAIRS, 10);
+
+// Follow-up requests asking the model to fix an invalid answer
+export const STRUCTURED_OUTPUT_MAX_REPAIRS = Number.isNaN(envRepairs) ? 1 : envRepairs;
+
+// Validation errors quoted back to the model in a repair request
+const MAX_REPORTED_ERRORS = 10;
+
+const ajv = new Ajv({ allErrors: true, coerceTypes: true, useDefaults: true, removeAdditional: true });
+
+const validators = new Map();
+
+export class StructuredOutputError extends Error {
+  constructor(message, { queryType, errors = [], usage = null } = {}) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.queryType = queryType;
+    this.errors = errors;
+    this.usage = usage;
+  }
+}
+
+/**
+ * JSON Schema of a query type's answer, or null for free-text types
+ */
+export function getOutputSchema(queryType) {
+  return Object.hasOwn(QUERY_OUTPUT_SCHEMAS, queryType ?? '') ? QUERY_OUTPUT_SCHEMAS[queryType] : null;
+}
+
+function getValidator(queryType) {
+  if (!validators.has(queryType)) {
+    validators.set(queryType, ajv.compile(getOutputSchema(queryType)));
+  }
+  return validators.get(queryType);
+}
+
+/**
+ * The JSON object in a model answer, tolerating code fences and surrounding
+ * prose; null when there is none
+ */
+export function parseJsonAnswer(content) {
+  const start = content.indexOf('{');
+  const end = content.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(content.slice(start, end + 1));
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check an answer against its query type's schema: { valid, output, errors }.
+ * `output` is the locally repaired object when valid.
+ */
+export function validateStructuredOutput(queryType, content) {
+  const output = parseJsonAnswer(content);
+  if (!output) {
+    return { valid: false, output: null, errors: ['the answer is not a JSON object'] };
+  }
+
+  const validate = getValidator(queryType);
+  if (validate(output)) {
+    return { valid: true, output, errors: [] };
+  }
+  return {
+    valid: false,
+    output: null,
+    errors: validate.errors
+      .slice(0, MAX_REPORTED_ERRORS)
+      .map(error => `${error.instancePath || '(root)'} ${error.message}`)
+  };
+}
+
+function schemaInstructions(schema) {
+  return `Answer with a single JSON object that matches this JSON Schema, with no prose and no code fences:\n${JSON.stringify(schema)}`;
+}
+
+// Schema instructions go after the caller's own system messages
+function withSchemaInstructions(messages, schema) {
+  const firstTurn = messages.findIndex(message => message.role !== 'system');
+  const at = firstTurn === -1 ? messages.length : firstTurn;
+  return [
+    ...messages.slice(0, at),
+    { role: 'system', content: schemaInstructions(schema) },
+    ...messages.slice(at)
+  ];
+}
+
+function repairMessages(messages, content, errors) {
+  return [
+    ...messages,
+    { role: 'assistant', content },
+    {
+      role: 'user',
+      content: `Your answer does not match the required JSON Schema:\n- ${errors.join('\n- ')}\n` +
+        'Reply with the corrected JSON object only.'
+    }
+  ];
+}
+
+const addUsage = (total, usage) => ({
+  prompt_tokens: (total?.prompt_tokens || 0) + usage.prompt_tokens,
+  completion_tokens: (total?.completion_tokens || 0) + usage.completion_tokens,
+  total_tokens: (total?.total_tokens || 0) + usage.total_tokens
+});
+
+/**
+ * callLLMWithFailover for a query type with an output schema. Resolves to the
+ * provider result plus `structured_output` (the validated object) and
+ * `structured_repairs`; `usage` covers every attempt, repairs included.
+ * Throws StructuredOutputError when no valid answer arrives within
+ * `maxRepairs` follow-ups.
+ */
+export async function callStructuredLLM(request, queryType, { maxRepairs = STRUCTURED_OUTPUT_MAX_REPAIRS } = {}) {
+  const schema = getOutputSchema(queryType);
+  if (!schema) {
+    throw new Error(`Query type ${queryType} has no output schema`);
+  }
+
+  const responseFormat = { name: queryType, schema };
+  let attemptRequest = {
+    ...request,
+    messages: withSchemaInstructions(request.messages, schema),
+    response_format: responseFormat
+  };
+  let usage = null;
+
+  for (let repairs = 0; ; repairs++) {
+    const result = await callLLMWithFailover(attemptRequest);
+    usage = addUsage(usage, result.usage);
+
+    const content = result.choices[0].message.content;
+    const { valid, output, errors } = validateStructuredOutput(queryType, content);
+    if (valid) {
+      structuredOutputsTotal.inc({ query_type: queryType, outcome: repairs > 0 ? 'repaired' : 'valid' });
+      return {
+        ...result,
+        choices: [{ ...result.choices[0], message: { ...result.choices[0].message, content: JSON.stringify(output) } }],
+        usage,
+        requested_model: request.model,
+        fallback_used: result.model !== request.model,
+        structured_output: output,
+        structured_repairs: repairs
+      };
+    }
+
+    if (repairs >= maxRepairs) {
+      structuredOutputsTotal.inc({ query_type: queryType, outcome: 'invalid' });
+      throw new StructuredOutputError(`The model did not return a valid ${queryType} answer`, { queryType, errors, usage });
+    }
+
+    // Repairs go to the model that wrote the answer, which sees its own mistake
+    attemptRequest = {
+      ...attemptRequest,
+      model: result.model,
+      messages: repairMessages(attemptRequest.messages, content, errors)
+    };
+  }
+}
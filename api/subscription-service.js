@@ -0,0 +1,308 @@
+// Subscription plans and monthly credit allowances
+// Stripe owns billing; this module mirrors subscriptions into user_subscriptions,
+// keeps users.subscription_tier in sync and grants each paid invoice's credits
+// through grant_subscription_credits (see database/functions.sql).
+
+import { getPrisma } from './db.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Subscription statuses that keep the plan's tier
+const ENTITLED_STATUSES = ['active', 'trialing', 'past_due'];
+
+/**
+ * List active subscription plans
+ */
+export async function getSubscriptionPlans() {
+  return getPrisma().$queryRaw`
+    SELECT id, name, tier, monthly_credits, rollover_cap, price_usd, stripe_price_id, description
+    FROM subscription_plans
+    WHERE is_active = true
+    ORDER BY sort_order
+  `;
+}
+
+/**
+ * Look up an active plan by ID
+ */
+export async function getSubscriptionPlan(planId) {
+  const rows = await getPrisma().$queryRaw`
+    SELECT * FROM subscription_plans WHERE id = ${planId} AND is_active = true LIMIT 1
+  `;
+  return rows[0] || null;
+}
+
+/**
+ * Look up a plan by its recurring Stripe price, including retired plans so
+ * existing subscribers keep being credited
+ */
+export async function getPlanByPriceId(priceId) {
+  if (!priceId) {
+    return null;
+  }
+  const rows = await getPrisma().$queryRaw`
+    SELECT * FROM subscription_plans WHERE stripe_price_id = ${priceId} LIMIT 1
+  `;
+  return rows[0] || null;
+}
+
+/**
+ * The user's current subscription row, if any
+ */
+export async function getUserSubscription(userId) {
+  const rows = await getPrisma().$queryRaw`
+    SELECT * FROM user_subscriptions
+    WHERE user_id = ${userId}::uuid
+    ORDER BY (status = ANY(${ENTITLED_STATUSES})) DESC, updated_at DESC
+    LIMIT 1
+  `;
+  return rows[0] || null;
+}
+
+// Stripe moved price, period and parent fields between API versions; read both shapes
+const subscriptionItem = (subscription) => subscription.items?.data?.[0] || {};
+
+const toDate = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+
+function invoiceSubscriptionId(invoice) {
+  return invoice.parent?.subscription_details?.subscription || invoice.subscription || null;
+}
+
+function lineDetails(line) {
+  return {
+    price_id: line.pricing?.price_details?.price || line.price?.id || null,
+    proration: line.parent?.subscription_item_details?.proration ?? line.proration ?? false,
+    quantity: line.quantity || 1
+  };
+}
+
+/**
+ * Resolve the subscriber to a user ID: our checkout metadata first, then an
+ * earlier subscription for the same customer, then the customer's email
+ */
+async function resolveSubscriberId(subscription, stripeClient) {
+  if (UUID_PATTERN.test(subscription.metadata?.user_id || '')) {
+    return subscription.metadata.user_id;
+  }
+
+  const known = await getPrisma().$queryRaw`
+    SELECT user_id FROM user_subscriptions WHERE stripe_customer_id = ${subscription.customer} LIMIT 1
+  `;
+  if (known[0]) {
+    return known[0].user_id;
+  }
+
+  const customer = await stripeClient.customers.retrieve(subscription.customer);
+  if (!customer?.email) {
+    return null;
+  }
+  const users = await getPrisma().$queryRaw`
+    SELECT id FROM users WHERE email = ${customer.email} LIMIT 1
+  `;
+  return users[0]?.id || null;
+}
+
+/**
+ * Mirror a Stripe subscription and update the user's tier.
+ * Resolves to { success, user_id, plan_id, tier, status } or { success: false, error }.
+ */
+export async function syncSubscription(subscription, stripeClient) {
+  const userId = await resolveSubscriberId(subscription, stripeClient);
+  if (!userId) {
+    return { success: false, error: `No user account found for subscription ${subscription.id}` };
+  }
+
+  const item = subscriptionItem(subscription);
+  const plan = await getPlanByPriceId(item.price?.id);
+  const periodStart = toDate(subscription.current_period_start ?? item.current_period_start);
+  const periodEnd = toDate(subscription.current_period_end ?? item.current_period_end);
+
+  await getPrisma().$executeRaw`
+    INSERT INTO user_subscriptions (
+      user_id, plan_id, stripe_subscription_id, stripe_customer_id, status,
+      current_period_start, current_period_end, cancel_at_period_end, canceled_at
+    ) VALUES (
+      ${userId}::uuid, ${plan?.id || null}, ${subscription.id}, ${subscription.customer}, ${subscription.status},
+      ${periodStart}, ${periodEnd}, ${!!subscription.cancel_at_period_end}, ${toDate(subscription.canceled_at)}
+    )
+    ON CONFLICT (stripe_subscription_id) DO UPDATE SET
+      plan_id = COALESCE(EXCLUDED.plan_id, user_subscriptions.plan_id),
+      status = EXCLUDED.status,
+      current_period_start = EXCLUDED.current_period_start,
+      current_period_end = EXCLUDED.current_period_end,
+      cancel_at_period_end = EXCLUDED.cancel_at_period_end,
+      canceled_at = EXCLUDED.canceled_at
+  `;
+
+  const tier = ENTITLED_STATUSES.includes(subscription.status) && plan ? plan.tier : 'free';
+  await updateSubscriptionTier(userId, subscription.id, tier);
+
+  return {
+    success: true,
+    user_id: userId,
+    plan_id: plan?.id || null,
+    tier,
+    status: subscription.status
+  };
+}
+
+/**
+ * Set the user's tier, unless another live subscription still entitles them
+ * to a tier when this one lapses
+ */
+async function updateSubscriptionTier(userId, subscriptionId, tier) {
+  if (tier === 'free') {
+    const others = await getPrisma().$queryRaw`
+      SELECT p.tier FROM user_subscriptions s
+      JOIN subscription_plans p ON p.id = s.plan_id
+      WHERE s.user_id = ${userId}::uuid
+      AND s.stripe_subscription_id <> ${subscriptionId}
+      AND s.status = ANY(${ENTITLED_STATUSES})
+      ORDER BY p.monthly_credits DESC
+      LIMIT 1
+    `;
+    if (others[0]) {
+      tier = others[0].tier;
+    }
+  }
+
+  await getPrisma().$executeRaw`
+    UPDATE users SET subscription_tier = ${tier} WHERE id = ${userId}::uuid
+  `;
+}
+
+/**
+ * Credits owed for an invoice's lines. Regular subscription lines grant the
+ * plan's full allowance (a renewal); proration lines grant the plan's allowance
+ * scaled by the prorated amount, negative for unused time on the old plan.
+ */
+export async function calculateInvoiceCredits(invoice) {
+  let renewalCredits = 0;
+  let prorationCredits = 0;
+  let renewalPlan = null;
+
+  for (const line of invoice.lines?.data || []) {
+    const details = lineDetails(line);
+    const plan = await getPlanByPriceId(details.price_id);
+    if (!plan) {
+      continue;
+    }
+
+    if (details.proration) {
+      const fullPrice = Number(plan.price_usd) * 100;
+      prorationCredits += Number(plan.monthly_credits) * (line.amount / fullPrice);
+    } else {
+      renewalCredits += Number(plan.monthly_credits) * details.quantity;
+      renewalPlan = plan;
+    }
+  }
+
+  return {
+    renewal_credits: renewalCredits,
+    proration_credits: Math.round(prorationCredits * 100) / 100,
+    plan: renewalPlan
+  };
+}
+
+async function grantSubscriptionCredits(userId, amount, rolloverCap, renewal, idempotencyKey, description, metadata) {
+  const rows = await getPrisma().$queryRaw`
+    SELECT grant_subscription_credits(
+      ${userId}::uuid,
+      ${amount}::decimal,
+      ${rolloverCap}::decimal,
+      ${renewal}::boolean,
+      ${idempotencyKey}::varchar,
+      ${description}::text,
+      ${JSON.stringify(metadata)}::jsonb
+    ) as grant_result
+  `;
+  return JSON.parse(rows[0].grant_result);
+}
+
+/**
+ * Grant the credits for a paid subscription invoice. Proration adjustments are
+ * applied first, then the renewal (which expires unused credits above the
+ * plan's rollover cap). Both are keyed on the invoice ID, so redelivered or
+ * duplicate invoice events never grant twice.
+ */
+export async function processSubscriptionInvoice(invoice, stripeClient, eventId = null) {
+  const subscriptionId = invoiceSubscriptionId(invoice);
+  if (!subscriptionId) {
+    return { success: true, status: 'skipped', credits_granted: 0, user_id: null, error: 'Invoice is not for a subscription' };
+  }
+
+  try {
+    // The invoice can arrive before customer.subscription.created
+    let rows = await getPrisma().$queryRaw`
+      SELECT user_id FROM user_subscriptions WHERE stripe_subscription_id = ${subscriptionId} LIMIT 1
+    `;
+    if (!rows[0]) {
+      const subscription = await stripeClient.subscriptions.retrieve(subscriptionId);
+      const synced = await syncSubscription(subscription, stripeClient);
+      if (!synced.success) {
+        return { success: false, status: 'failed', credits_granted: 0, user_id: null, error: synced.error };
+      }
+      rows = [{ user_id: synced.user_id }];
+    }
+    const userId = rows[0].user_id;
+
+    const credits = await calculateInvoiceCredits(invoice);
+    const metadata = {
+      invoice_id: invoice.id,
+      subscription_id: subscriptionId,
+      billing_reason: invoice.billing_reason || null,
+      stripe_event_id: eventId
+    };
+    let creditsGranted = 0;
+    let duplicate = true;
+    let transactionId = null;
+    let newBalance;
+
+    if (credits.proration_credits !== 0) {
+      const result = await grantSubscriptionCredits(
+        userId, credits.proration_credits, 0, false, `${invoice.id}:proration`,
+        credits.proration_credits > 0 ? 'Subscription upgrade (prorated)' : 'Subscription downgrade (prorated)',
+        metadata
+      );
+      if (!result.success) {
+        return { success: false, status: 'failed', credits_granted: 0, user_id: userId, error: result.error };
+      }
+      creditsGranted += Number(result.amount_added);
+      duplicate = duplicate && result.duplicate;
+      transactionId = result.transaction_id;
+      newBalance = result.new_balance;
+    }
+
+    if (credits.plan) {
+      const result = await grantSubscriptionCredits(
+        userId, credits.renewal_credits, Number(credits.plan.rollover_cap), true, invoice.id,
+        `${credits.plan.name} plan - ${credits.renewal_credits} monthly credits`,
+        { ...metadata, plan_id: credits.plan.id }
+      );
+      if (!result.success) {
+        return { success: false, status: 'failed', credits_granted: creditsGranted, user_id: userId, error: result.error };
+      }
+      creditsGranted += Number(result.amount_added);
+      duplicate = duplicate && result.duplicate;
+      transactionId = result.transaction_id;
+      newBalance = result.new_balance;
+    }
+
+    if (credits.proration_credits === 0 && !credits.plan) {
+      return { success: true, status: 'skipped', credits_granted: 0, user_id: userId, error: 'Invoice has no subscription plan lines' };
+    }
+
+    return {
+      success: true,
+      status: 'processed',
+      duplicate,
+      credits_granted: creditsGranted,
+      new_balance: newBalance,
+      transaction_id: transactionId,
+      user_id: userId
+    };
+  } catch (error) {
+    console.error('❌ Failed to grant subscription credits:', error);
+    return { success: false, status: 'failed', credits_granted: 0, user_id: null, error: error.message };
+  }
+}
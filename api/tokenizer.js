@@ -0,0 +1,53 @@
+// Offline token counting
+// Credit holds are sized before a provider is called, so prompts are counted
+// locally with a BPE tokenizer. An adapter may name the encoding that matches
+// (or best approximates) its models, and a scale for providers whose own
+// tokenizer is not published; see api/providers/registry.js.
+
+import { Tiktoken } from 'js-tiktoken/lite';
+import cl100k_base from 'js-tiktoken/ranks/cl100k_base';
+import { findProviderForModel } from './providers/index.js';
+
+export const DEFAULT_TOKENIZER = { encoding: 'cl100k_base', scale: 1 };
+
+const RANKS = { cl100k_base };
+
+// Chat formatting adds a few tokens around every message and to prime the reply
+export const TOKENS_PER_MESSAGE = 4;
+const TOKENS_PER_REPLY = 3;
+
+const encoders = new Map();
+
+function getEncoder(encoding) {
+  if (!encoders.has(encoding)) {
+    if (!RANKS[encoding]) {
+      throw new Error(`Unknown tokenizer encoding ${encoding}`);
+    }
+    encoders.set(encoding, new Tiktoken(RANKS[encoding]));
+  }
+  return encoders.get(encoding);
+}
+
+export function getTokenizer(model) {
+  return { ...DEFAULT_TOKENIZER, ...findProviderForModel(model)?.tokenizer };
+}
+
+/**
+ * Tokens in a piece of text as the model's provider would count them
+ */
+export function countTokens(text, model) {
+  const { encoding, scale } = getTokenizer(model);
+  // User text may contain special-token markers; encode them as plain text
+  const tokens = getEncoder(encoding).encode(text, [], []).length;
+  return Math.ceil(tokens * scale);
+}
+
+/**
+ * Prompt tokens for a chat request, including per-message framing
+ */
+export function countMessageTokens(messages, model) {
+  return messages.reduce(
+    (sum, message) => sum + TOKENS_PER_MESSAGE + countTokens(message.content, model),
+    TOKENS_PER_REPLY
+  );
+}
@@ -0,0 +1,53 @@
+// Usage analytics
+// Thin wrapper over get_usage_analytics (database/functions.sql): totals,
+// per-provider/model stats and a series grouped by time or by dimension, for
+// one user or across all users.
+
+import { getPrisma } from './db.js';
+
+export const USAGE_GROUPINGS = ['day', 'week', 'month', 'provider', 'model', 'query_type'];
+export const DEFAULT_ANALYTICS_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateString = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Postgres DECIMAL/AVG values arrive as strings in the JSON result
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+const normalizeBucket = (bucket) => ({
+  ...bucket,
+  credits: toNumber(bucket.credits),
+  tokens: toNumber(bucket.tokens),
+  avg_response_time_ms: toNumber(bucket.avg_response_time_ms)
+});
+
+/**
+ * Analytics for [startDate, endDate] (inclusive, UTC days). Defaults to the
+ * last DEFAULT_ANALYTICS_DAYS days. userId null covers all users.
+ */
+export async function getUsageAnalytics({ startDate, endDate, userId = null, groupBy = 'day' } = {}) {
+  const end = toDateString(endDate || Date.now());
+  const start = toDateString(startDate || new Date(end).getTime() - DEFAULT_ANALYTICS_DAYS * DAY_MS);
+
+  const rows = await getPrisma().$queryRaw`
+    SELECT get_usage_analytics(${start}::date, ${end}::date, ${userId}::uuid, ${groupBy}) as analytics
+  `;
+  const analytics = JSON.parse(rows[0].analytics);
+
+  return {
+    ...analytics,
+    totals: {
+      ...analytics.totals,
+      credits_consumed: toNumber(analytics.totals.credits_consumed),
+      avg_response_time_ms: toNumber(analytics.totals.avg_response_time_ms)
+    },
+    provider_stats: analytics.provider_stats.map(stat => ({
+      ...stat,
+      credits_consumed: toNumber(stat.credits_consumed),
+      avg_tokens: toNumber(stat.avg_tokens)
+    })),
+    daily_stats: analytics.daily_stats.map(normalizeBucket),
+    series: analytics.series.map(normalizeBucket)
+  };
+}
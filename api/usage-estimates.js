@@ -0,0 +1,71 @@
+// Pre-flight usage estimates
+// The prompt is counted with the offline tokenizer. The completion is the
+// average a query type has produced recently (from llm_usage), capped at
+// max_tokens; until a query type has enough history, max_tokens itself is used
+// so the hold covers the longest answer the model may give.
+
+import { getPrisma } from './db.js';
+import { countMessageTokens } from './tokenizer.js';
+
+export const COMPLETION_HISTORY_DAYS = 30;
+export const MIN_COMPLETION_SAMPLES = 20;
+
+const HISTORY_CACHE_TTL_MS = 10 * 60 * 1000;
+
+// query_type -> { average, samples, expiresAt }
+const completionHistory = new Map();
+
+/**
+ * Average completion tokens for a query type over the last
+ * COMPLETION_HISTORY_DAYS days; null when there are too few samples
+ */
+export async function getHistoricalCompletionTokens(queryType) {
+  const cached = completionHistory.get(queryType);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.samples >= MIN_COMPLETION_SAMPLES ? cached.average : null;
+  }
+
+  const [history] = await getPrisma().$queryRaw`
+    SELECT COUNT(*)::int AS samples, AVG(completion_tokens) AS average
+    FROM llm_usage
+    WHERE query_type = ${queryType}
+      AND status = 'completed'
+      AND created_at > NOW() - make_interval(days => ${COMPLETION_HISTORY_DAYS})
+  `;
+  const entry = {
+    samples: history.samples,
+    average: history.average === null ? null : Math.ceil(Number(history.average)),
+    expiresAt: Date.now() + HISTORY_CACHE_TTL_MS
+  };
+  completionHistory.set(queryType, entry);
+  return entry.samples >= MIN_COMPLETION_SAMPLES ? entry.average : null;
+}
+
+/**
+ * Drop cached averages (mainly for tests)
+ */
+export function clearCompletionHistory() {
+  completionHistory.clear();
+}
+
+/**
+ * Token estimate for a chat request before it is sent
+ */
+export async function estimateUsage({ messages, model, maxTokens = 1000, queryType = 'general' }) {
+  const promptTokens = countMessageTokens(messages, model);
+
+  let average = null;
+  try {
+    average = await getHistoricalCompletionTokens(queryType);
+  } catch (error) {
+    console.error('Failed to load completion history:', error);
+  }
+  const completionTokens = average === null ? maxTokens : Math.min(maxTokens, average);
+
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    completion_source: average === null ? 'max_tokens' : 'history'
+  };
+}
@@ -0,0 +1,56 @@
+// Stripe webhook event log
+// Every delivery is recorded by event ID so replays can be detected and each
+// credit grant can be traced back to the event that caused it.
+
+import { getPrisma } from './db.js';
+
+// Statuses after which a redelivered event needs no further work
+const FINAL_STATUSES = ['processed', 'skipped'];
+
+/**
+ * Record a delivery. Returns { replay, status, delivery_count }, where `replay`
+ * means an earlier delivery of this event already finished.
+ */
+export async function claimWebhookEvent(event) {
+  const object = event.data?.object || {};
+  const paymentIntentId = object.object === 'payment_intent' ? object.id : object.payment_intent || null;
+  const sessionId = object.object === 'checkout.session' ? object.id : null;
+
+  const rows = await getPrisma().$queryRaw`
+    INSERT INTO stripe_webhook_events (id, event_type, payment_intent_id, checkout_session_id, payload)
+    VALUES (${event.id}, ${event.type}, ${paymentIntentId}, ${sessionId}, ${JSON.stringify(event)}::jsonb)
+    ON CONFLICT (id) DO UPDATE SET
+      delivery_count = stripe_webhook_events.delivery_count + 1,
+      last_received_at = NOW()
+    RETURNING status, delivery_count
+  `;
+  const { status, delivery_count } = rows[0];
+
+  return {
+    replay: FINAL_STATUSES.includes(status),
+    status,
+    delivery_count: Number(delivery_count)
+  };
+}
+
+/**
+ * Store the outcome of processing an event
+ */
+export async function recordWebhookOutcome(eventId, {
+  status,
+  user_id = null,
+  transaction_id = null,
+  credits_granted = 0,
+  error_message = null
+}) {
+  await getPrisma().$executeRaw`
+    UPDATE stripe_webhook_events SET
+      status = ${status},
+      user_id = ${user_id}::uuid,
+      transaction_id = ${transaction_id}::uuid,
+      credits_granted = ${credits_granted}::decimal,
+      error_message = ${error_message},
+      processed_at = NOW()
+    WHERE id = ${eventId}
+  `;
+}
@@ -66,7 +66,13 @@ RETURNS JSON AS $$
 DECLARE
     v_account RECORD;
     v_daily_free_remaining INTEGER;
+    v_member RECORD;
+    v_pool RECORD;
+    v_organization JSON;
 BEGIN
+    -- Return credits held by abandoned requests before reporting
+    PERFORM expire_stale_credit_holds(p_user_id);
+    
     -- Get account info
     SELECT * INTO v_account
     FROM credit_accounts
@@ -94,13 +100,38 @@ BEGIN
     -- Calculate remaining free credits
     v_daily_free_remaining := 10 - v_account.daily_free_credits_used;
     
+    SELECT * INTO v_member
+    FROM organization_members
+    WHERE user_id = p_user_id;
+    
+    IF FOUND THEN
+        PERFORM expire_stale_credit_holds(NULL, v_member.organization_id);
+        SELECT * INTO v_pool
+        FROM credit_accounts
+        WHERE organization_id = v_member.organization_id;
+        
+        v_organization := json_build_object(
+            'id', v_member.organization_id,
+            'role', v_member.role,
+            'pool_available', GREATEST(0, v_pool.balance - v_pool.held_balance - v_pool.frozen_balance),
+            'monthly_credit_cap', v_member.monthly_credit_cap,
+            'monthly_used', get_member_credit_usage(v_member.organization_id, p_user_id)
+        );
+    END IF;
+    
     RETURN json_build_object(
         'success', true,
         'balance', v_account.balance,
+        'held', v_account.held_balance,
+        'frozen', v_account.frozen_balance,
+        'available', GREATEST(0, v_account.balance - v_account.held_balance - v_account.frozen_balance),
+        'subscription_balance', LEAST(v_account.subscription_balance, GREATEST(0, v_account.balance)),
+        'is_flagged', v_account.is_flagged,
         'daily_free_credits_remaining', GREATEST(0, v_daily_free_remaining),
         'lifetime_purchased', v_account.lifetime_purchased,
         'lifetime_consumed', v_account.lifetime_consumed,
-        'last_reset', v_account.daily_free_credits_reset_at
+        'last_reset', v_account.daily_free_credits_reset_at,
+        'organization', v_organization
     );
 END;
 $$ LANGUAGE plpgsql;
@@ -159,11 +190,24 @@ DECLARE
     v_usage_id UUID;
     v_use_free_credits BOOLEAN := FALSE;
     v_daily_free_remaining INTEGER;
+    v_member RECORD;
+    v_member_used DECIMAL(10,2);
+    v_organization_id UUID;
+    v_personal RECORD;
+    v_error JSON;
 BEGIN
-    -- Get current account state
+    -- Organization members spend from the organization pool
+    SELECT * INTO v_member
+    FROM organization_members
+    WHERE user_id = p_user_id;
+    v_organization_id := v_member.organization_id;
+    
+    -- Get current account state (locked so concurrent requests cannot overspend)
     SELECT * INTO v_account
     FROM credit_accounts
-    WHERE user_id = p_user_id;
+    WHERE (v_member.organization_id IS NULL AND user_id = p_user_id)
+       OR organization_id = v_member.organization_id
+    FOR UPDATE;
     
     IF NOT FOUND THEN
         RETURN json_build_object(
@@ -179,25 +223,58 @@ BEGIN
             daily_free_credits_used = 0,
             daily_free_credits_reset_at = NOW(),
             updated_at = NOW()
-        WHERE user_id = p_user_id;
+        WHERE id = v_account.id;
         v_account.daily_free_credits_used := 0;
     END IF;
     
-    v_daily_free_remaining := 10 - v_account.daily_free_credits_used;
+    -- Daily free credits belong to personal accounts, not to the pool
+    v_daily_free_remaining := CASE WHEN v_member.organization_id IS NULL THEN 10 - v_account.daily_free_credits_used ELSE 0 END;
+    
+    IF v_member.monthly_credit_cap IS NOT NULL THEN
+        v_member_used := get_member_credit_usage(v_member.organization_id, p_user_id);
+        IF v_member_used + p_amount > v_member.monthly_credit_cap THEN
+            v_error := json_build_object(
+                'success', false,
+                'error', 'Monthly credit cap reached',
+                'required', p_amount,
+                'monthly_credit_cap', v_member.monthly_credit_cap,
+                'monthly_used', v_member_used
+            );
+        END IF;
+    END IF;
     
-    -- Determine if we should use free credits
-    IF v_account.balance < p_amount AND v_daily_free_remaining > 0 THEN
+    -- Determine if we should use free credits (held and disputed credits are not spendable)
+    IF v_error IS NULL AND v_account.balance - v_account.held_balance - v_account.frozen_balance < p_amount AND v_daily_free_remaining > 0 THEN
         v_use_free_credits := TRUE;
-    ELSIF v_account.balance < p_amount THEN
-        RETURN json_build_object(
+    ELSIF v_error IS NULL AND v_account.balance - v_account.held_balance - v_account.frozen_balance < p_amount THEN
+        v_error := json_build_object(
             'success', false,
             'error', 'Insufficient credits',
             'required', p_amount,
-            'available', v_account.balance,
+            'available', GREATEST(0, v_account.balance - v_account.held_balance - v_account.frozen_balance),
             'daily_free_remaining', v_daily_free_remaining
         );
     END IF;
     
+    -- Same fallback as hold_credits: members spend their personal balance when
+    -- the pool is short or their monthly cap is reached
+    IF v_error IS NOT NULL AND v_organization_id IS NOT NULL THEN
+        SELECT * INTO v_personal
+        FROM credit_accounts
+        WHERE user_id = p_user_id
+        FOR UPDATE;
+        
+        IF FOUND AND v_personal.balance - v_personal.held_balance - v_personal.frozen_balance >= p_amount THEN
+            v_account := v_personal;
+            v_organization_id := NULL;
+            v_error := NULL;
+        END IF;
+    END IF;
+    
+    IF v_error IS NOT NULL THEN
+        RETURN v_error;
+    END IF;
+    
     -- Begin transaction
     BEGIN
         IF v_use_free_credits THEN
@@ -207,7 +284,7 @@ BEGIN
                 daily_free_credits_used = daily_free_credits_used + 1,
                 lifetime_consumed = lifetime_consumed + p_amount,
                 updated_at = NOW()
-            WHERE user_id = p_user_id;
+            WHERE id = v_account.id;
             
             v_new_balance := v_account.balance;
             
@@ -222,13 +299,15 @@ BEGIN
             UPDATE credit_accounts
             SET 
                 balance = v_new_balance,
+                -- Subscription allowance is spent before purchased credits
+                subscription_balance = GREATEST(0, subscription_balance - p_amount),
                 lifetime_consumed = lifetime_consumed + p_amount,
                 updated_at = NOW()
-            WHERE user_id = p_user_id;
+            WHERE id = v_account.id;
             
             -- Log consumption transaction
-            INSERT INTO credit_transactions (user_id, transaction_type, amount, balance_after, description, metadata)
-            VALUES (p_user_id, 'consumption', -p_amount, v_new_balance, p_description, p_usage_data)
+            INSERT INTO credit_transactions (user_id, organization_id, transaction_type, amount, balance_after, description, metadata)
+            VALUES (p_user_id, v_organization_id, 'consumption', -p_amount, v_new_balance, p_description, p_usage_data)
             RETURNING id INTO v_transaction_id;
         END IF;
         
@@ -243,10 +322,13 @@ BEGIN
                 completion_tokens, 
                 total_tokens, 
                 credits_consumed,
+                provider_cost_usd,
                 request_id,
+                provider_request_id,
                 response_time_ms,
                 status,
-                query_type
+                query_type,
+                api_key_id
             ) VALUES (
                 p_user_id,
                 v_transaction_id,
@@ -256,10 +338,13 @@ BEGIN
                 COALESCE((p_usage_data->>'completion_tokens')::INTEGER, 0),
                 COALESCE((p_usage_data->>'total_tokens')::INTEGER, 0),
                 p_amount,
+                (p_usage_data->>'provider_cost_usd')::DECIMAL,
                 p_usage_data->>'request_id',
+                p_usage_data->>'provider_request_id',
                 (p_usage_data->>'response_time_ms')::INTEGER,
                 COALESCE(p_usage_data->>'status', 'completed'),
-                p_usage_data->>'query_type'
+                p_usage_data->>'query_type',
+                (p_usage_data->>'api_key_id')::UUID
             ) RETURNING id INTO v_usage_id;
         END IF;
         
@@ -283,21 +368,28 @@ END;
 $$ LANGUAGE plpgsql;
 
 -- 6. Function to add credits (purchase)
+-- p_idempotency_key (e.g. the Stripe payment intent ID) makes the grant safe to
+-- retry: a second call with the same key returns the original transaction.
+DROP FUNCTION IF EXISTS add_credits(UUID, DECIMAL, TEXT, VARCHAR);
 CREATE OR REPLACE FUNCTION add_credits(
     p_user_id UUID,
     p_amount DECIMAL(10,2),
     p_description TEXT DEFAULT 'Credit purchase',
-    p_stripe_payment_intent_id VARCHAR(255) DEFAULT NULL
+    p_stripe_payment_intent_id VARCHAR(255) DEFAULT NULL,
+    p_idempotency_key VARCHAR(255) DEFAULT NULL,
+    p_metadata JSONB DEFAULT NULL
 ) RETURNS JSON AS $$
 DECLARE
     v_account RECORD;
+    v_existing RECORD;
     v_new_balance DECIMAL(10,2);
     v_transaction_id UUID;
 BEGIN
-    -- Get current account state
+    -- Get current account state (locked so duplicate deliveries are serialized)
     SELECT * INTO v_account
     FROM credit_accounts
-    WHERE user_id = p_user_id;
+    WHERE user_id = p_user_id
+    FOR UPDATE;
     
     IF NOT FOUND THEN
         RETURN json_build_object(
@@ -306,6 +398,23 @@ BEGIN
         );
     END IF;
     
+    -- Already granted under this key: report the original grant
+    IF p_idempotency_key IS NOT NULL THEN
+        SELECT * INTO v_existing
+        FROM credit_transactions
+        WHERE idempotency_key = p_idempotency_key;
+        
+        IF FOUND THEN
+            RETURN json_build_object(
+                'success', true,
+                'duplicate', true,
+                'new_balance', v_account.balance,
+                'transaction_id', v_existing.id,
+                'amount_added', 0
+            );
+        END IF;
+    END IF;
+    
     -- Calculate new balance
     v_new_balance := v_account.balance + p_amount;
     
@@ -326,17 +435,28 @@ BEGIN
             amount, 
             balance_after, 
             description,
-            stripe_payment_intent_id
+            metadata,
+            stripe_payment_intent_id,
+            idempotency_key
         ) VALUES (
             p_user_id, 
             'purchase', 
             p_amount, 
             v_new_balance, 
             p_description,
-            p_stripe_payment_intent_id
+            p_metadata,
+            p_stripe_payment_intent_id,
+            p_idempotency_key
         ) RETURNING id INTO v_transaction_id;
         
     EXCEPTION
+        WHEN unique_violation THEN
+            RETURN json_build_object(
+                'success', true,
+                'duplicate', true,
+                'new_balance', v_account.balance,
+                'amount_added', 0
+            );
         WHEN OTHERS THEN
             RETURN json_build_object(
                 'success', false,
@@ -346,6 +466,7 @@ BEGIN
     
     RETURN json_build_object(
         'success', true,
+        'duplicate', false,
         'new_balance', v_new_balance,
         'transaction_id', v_transaction_id,
         'amount_added', p_amount
@@ -353,117 +474,19 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
--- 7. Function to check rate limits
-CREATE OR REPLACE FUNCTION check_rate_limit(
-    p_user_id UUID DEFAULT NULL,
-    p_ip_address INET DEFAULT NULL
-) RETURNS JSON AS $$
-DECLARE
-    v_identifier_type VARCHAR(20);
-    v_limit_record RECORD;
-    v_hourly_limit INTEGER;
-    v_current_count INTEGER;
-    v_window_start TIMESTAMP WITH TIME ZONE;
-BEGIN
-    -- Determine identifier type and limits
-    IF p_user_id IS NOT NULL THEN
-        v_identifier_type := 'user';
-        v_hourly_limit := 100; -- Registered user limit
-    ELSE
-        v_identifier_type := 'ip';
-        v_hourly_limit := 10; -- Anonymous user limit
-    END IF;
-    
-    v_window_start := date_trunc('hour', NOW());
-    
-    -- Get or create rate limit record
-    IF v_identifier_type = 'user' THEN
-        SELECT * INTO v_limit_record
-        FROM rate_limits
-        WHERE user_id = p_user_id 
-        AND window_start = v_window_start;
-    ELSE
-        SELECT * INTO v_limit_record
-        FROM rate_limits
-        WHERE ip_address = p_ip_address 
-        AND window_start = v_window_start;
-    END IF;
-    
-    IF FOUND THEN
-        v_current_count := v_limit_record.request_count;
-    ELSE
-        v_current_count := 0;
-    END IF;
-    
-    -- Check if limit exceeded
-    IF v_current_count >= v_hourly_limit THEN
-        RETURN json_build_object(
-            'allowed', false,
-            'current_count', v_current_count,
-            'limit', v_hourly_limit,
-            'reset_time', v_window_start + INTERVAL '1 hour',
-            'identifier_type', v_identifier_type
-        );
-    END IF;
-    
-    RETURN json_build_object(
-        'allowed', true,
-        'current_count', v_current_count,
-        'limit', v_hourly_limit,
-        'remaining', v_hourly_limit - v_current_count,
-        'reset_time', v_window_start + INTERVAL '1 hour',
-        'identifier_type', v_identifier_type
-    );
-END;
-$$ LANGUAGE plpgsql;
-
--- 8. Function to record rate limit usage
-CREATE OR REPLACE FUNCTION record_rate_limit_usage(
-    p_user_id UUID DEFAULT NULL,
-    p_ip_address INET DEFAULT NULL
-) RETURNS BOOLEAN AS $$
-DECLARE
-    v_identifier_type VARCHAR(20);
-    v_window_start TIMESTAMP WITH TIME ZONE;
-BEGIN
-    -- Determine identifier type
-    IF p_user_id IS NOT NULL THEN
-        v_identifier_type := 'user';
-    ELSE
-        v_identifier_type := 'ip';
-    END IF;
-    
-    v_window_start := date_trunc('hour', NOW());
-    
-    -- Insert or update rate limit record
-    IF v_identifier_type = 'user' THEN
-        INSERT INTO rate_limits (user_id, identifier_type, request_count, window_start, window_end)
-        VALUES (p_user_id, v_identifier_type, 1, v_window_start, v_window_start + INTERVAL '1 hour')
-        ON CONFLICT (user_id, window_start) 
-        DO UPDATE SET 
-            request_count = rate_limits.request_count + 1,
-            created_at = NOW();
-    ELSE
-        INSERT INTO rate_limits (ip_address, identifier_type, request_count, window_start, window_end)
-        VALUES (p_ip_address, v_identifier_type, 1, v_window_start, v_window_start + INTERVAL '1 hour')
-        ON CONFLICT (ip_address, window_start) 
-        DO UPDATE SET 
-            request_count = rate_limits.request_count + 1,
-            created_at = NOW();
-    END IF;
-    
-    RETURN TRUE;
-EXCEPTION
-    WHEN OTHERS THEN
-        RETURN FALSE;
-END;
-$$ LANGUAGE plpgsql;
+-- 7-8. The hourly check_rate_limit/record_rate_limit_usage counter was replaced
+-- by the tiered sliding-window limiter (api/rate-limiter.js, rate_limit_hits)
+DROP FUNCTION IF EXISTS check_rate_limit(UUID, INET);
+DROP FUNCTION IF EXISTS record_rate_limit_usage(UUID, INET);
 
 -- 9. Function to get usage analytics
+-- p_group_by buckets the series by time (day, week, month; UTC) or by provider,
+-- model or query_type. p_user_id NULL covers all users.
 CREATE OR REPLACE FUNCTION get_usage_analytics(
     p_start_date DATE DEFAULT CURRENT_DATE - INTERVAL '30 days',
     p_end_date DATE DEFAULT CURRENT_DATE,
-    p_user_id UUID DEFAULT NULL
+    p_user_id UUID DEFAULT NULL,
+    p_group_by VARCHAR(20) DEFAULT 'day'
 ) RETURNS JSON AS $$
 DECLARE
     v_total_requests INTEGER;
@@ -472,13 +495,20 @@ DECLARE
     v_avg_response_time DECIMAL(10,2);
     v_provider_stats JSON;
     v_daily_stats JSON;
+    v_series JSON;
+    v_time_grouping BOOLEAN;
 BEGIN
+    IF p_group_by NOT IN ('day', 'week', 'month', 'provider', 'model', 'query_type') THEN
+        RAISE EXCEPTION 'Invalid usage analytics grouping: %', p_group_by;
+    END IF;
+    v_time_grouping := p_group_by IN ('day', 'week', 'month');
+    
     -- Base query conditions
     WITH usage_data AS (
         SELECT *
         FROM llm_usage
         WHERE created_at >= p_start_date
-        AND created_at <= p_end_date + INTERVAL '1 day'
+        AND created_at < p_end_date + INTERVAL '1 day'
         AND (p_user_id IS NULL OR user_id = p_user_id)
     )
     SELECT 
@@ -508,7 +538,7 @@ BEGIN
             AVG(total_tokens) as avg_tokens
         FROM llm_usage
         WHERE created_at >= p_start_date
-        AND created_at <= p_end_date + INTERVAL '1 day'
+        AND created_at < p_end_date + INTERVAL '1 day'
         AND (p_user_id IS NULL OR user_id = p_user_id)
         GROUP BY provider, model
         ORDER BY request_count DESC
@@ -520,7 +550,8 @@ BEGIN
             'date', usage_date,
             'requests', daily_requests,
             'credits', daily_credits,
-            'tokens', daily_tokens
+            'tokens', daily_tokens,
+            'avg_response_time_ms', daily_avg_response_time
         ) ORDER BY usage_date
     ) INTO v_daily_stats
     FROM (
@@ -528,19 +559,57 @@ BEGIN
             DATE(created_at) as usage_date,
             COUNT(*) as daily_requests,
             SUM(credits_consumed) as daily_credits,
-            SUM(total_tokens) as daily_tokens
+            SUM(total_tokens) as daily_tokens,
+            ROUND(AVG(response_time_ms), 2) as daily_avg_response_time
         FROM llm_usage
         WHERE created_at >= p_start_date
-        AND created_at <= p_end_date + INTERVAL '1 day'
+        AND created_at < p_end_date + INTERVAL '1 day'
         AND (p_user_id IS NULL OR user_id = p_user_id)
         GROUP BY DATE(created_at)
     ) daily_data;
     
+    -- Series for the requested grouping; time buckets are labelled by their first day
+    SELECT json_agg(
+        json_build_object(
+            'key', bucket,
+            'requests', bucket_requests,
+            'credits', bucket_credits,
+            'prompt_tokens', bucket_prompt_tokens,
+            'completion_tokens', bucket_completion_tokens,
+            'tokens', bucket_tokens,
+            'avg_response_time_ms', bucket_avg_response_time,
+            'failed_requests', bucket_failed
+        ) ORDER BY CASE WHEN v_time_grouping THEN bucket END, bucket_credits DESC
+    ) INTO v_series
+    FROM (
+        SELECT 
+            CASE p_group_by
+                WHEN 'provider' THEN provider
+                WHEN 'model' THEN model
+                WHEN 'query_type' THEN COALESCE(query_type, 'general')
+                ELSE to_char(date_trunc(CASE WHEN v_time_grouping THEN p_group_by ELSE 'day' END,
+                    created_at AT TIME ZONE 'UTC'), 'YYYY-MM-DD')
+            END as bucket,
+            COUNT(*) as bucket_requests,
+            SUM(credits_consumed) as bucket_credits,
+            SUM(prompt_tokens) as bucket_prompt_tokens,
+            SUM(completion_tokens) as bucket_completion_tokens,
+            SUM(total_tokens) as bucket_tokens,
+            ROUND(AVG(response_time_ms), 2) as bucket_avg_response_time,
+            COUNT(*) FILTER (WHERE status <> 'completed') as bucket_failed
+        FROM llm_usage
+        WHERE created_at >= p_start_date
+        AND created_at < p_end_date + INTERVAL '1 day'
+        AND (p_user_id IS NULL OR user_id = p_user_id)
+        GROUP BY 1
+    ) series_data;
+    
     RETURN json_build_object(
         'period', json_build_object(
             'start_date', p_start_date,
             'end_date', p_end_date
         ),
+        'group_by', p_group_by,
         'totals', json_build_object(
             'requests', v_total_requests,
             'credits_consumed', v_total_credits,
@@ -548,7 +617,8 @@ BEGIN
             'avg_response_time_ms', ROUND(v_avg_response_time, 2)
         ),
         'provider_stats', COALESCE(v_provider_stats, '[]'::json),
-        'daily_stats', COALESCE(v_daily_stats, '[]'::json)
+        'daily_stats', COALESCE(v_daily_stats, '[]'::json),
+        'series', COALESCE(v_series, '[]'::json)
     );
 END;
 $$ LANGUAGE plpgsql;
@@ -560,12 +630,20 @@ DECLARE
     v_deleted_count INTEGER := 0;
     v_temp_count INTEGER;
 BEGIN
+    -- Expire abandoned credit holds so their credits become spendable again
+    PERFORM expire_stale_credit_holds();
+    
     -- Clean up old rate limit records (older than 7 days)
     DELETE FROM rate_limits 
     WHERE created_at < NOW() - INTERVAL '7 days';
     GET DIAGNOSTICS v_temp_count = ROW_COUNT;
     v_deleted_count := v_deleted_count + v_temp_count;
     
+    DELETE FROM rate_limit_hits
+    WHERE expires_at < NOW();
+    GET DIAGNOSTICS v_temp_count = ROW_COUNT;
+    v_deleted_count := v_deleted_count + v_temp_count;
+    
     -- Clean up old LLM usage records (older than 1 year, keep only aggregated data)
     DELETE FROM llm_usage 
     WHERE created_at < NOW() - INTERVAL '1 year'
@@ -575,4 +653,978 @@ BEGIN
     
     RETURN v_deleted_count;
 END;
-$$ LANGUAGE plpgsql; 
\ No newline at end of file
+$$ LANGUAGE plpgsql;
+
+-- 11. Function to reserve credits before an LLM call
+-- Holds are taken against the spendable balance (balance - held - frozen) under a
+-- row lock, so concurrent requests cannot reserve the same credits twice.
+CREATE OR REPLACE FUNCTION hold_credits(
+    p_user_id UUID,
+    p_amount DECIMAL(10,2),
+    p_description TEXT DEFAULT 'LLM request',
+    p_metadata JSONB DEFAULT NULL,
+    p_ttl_seconds INTEGER DEFAULT NULL
+) RETURNS JSON AS $$
+DECLARE
+    v_account RECORD;
+    v_available DECIMAL(10,2);
+    v_daily_free_remaining INTEGER;
+    v_use_free_credits BOOLEAN := FALSE;
+    v_ttl_seconds INTEGER;
+    v_hold_id UUID;
+    v_expires_at TIMESTAMP WITH TIME ZONE;
+    v_member RECORD;
+    v_member_used DECIMAL(10,2);
+    v_organization_id UUID;
+    v_personal RECORD;
+    v_error JSON;
+BEGIN
+    IF p_amount <= 0 THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Hold amount must be positive'
+        );
+    END IF;
+    
+    -- Organization members hold against the organization pool
+    SELECT * INTO v_member
+    FROM organization_members
+    WHERE user_id = p_user_id;
+    v_organization_id := v_member.organization_id;
+    
+    -- Return credits held by abandoned requests first (the user's own holds,
+    -- including any on their personal balance, then the pool's)
+    PERFORM expire_stale_credit_holds(p_user_id);
+    IF v_organization_id IS NOT NULL THEN
+        PERFORM expire_stale_credit_holds(NULL, v_organization_id);
+    END IF;
+    
+    SELECT * INTO v_account
+    FROM credit_accounts
+    WHERE (v_member.organization_id IS NULL AND user_id = p_user_id)
+       OR organization_id = v_member.organization_id
+    FOR UPDATE;
+    
+    IF NOT FOUND THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Credit account not found'
+        );
+    END IF;
+    
+    -- Reset daily free credits if needed
+    IF v_account.daily_free_credits_reset_at < NOW() - INTERVAL '1 day' THEN
+        UPDATE credit_accounts 
+        SET 
+            daily_free_credits_used = 0,
+            daily_free_credits_reset_at = NOW(),
+            updated_at = NOW()
+        WHERE id = v_account.id;
+        v_account.daily_free_credits_used := 0;
+    END IF;
+    
+    v_available := GREATEST(0, v_account.balance - v_account.held_balance - v_account.frozen_balance);
+    v_daily_free_remaining := CASE WHEN v_member.organization_id IS NULL THEN 10 - v_account.daily_free_credits_used ELSE 0 END;
+    
+    -- Open holds count toward the member's cap so parallel requests cannot exceed it
+    IF v_member.monthly_credit_cap IS NOT NULL THEN
+        v_member_used := get_member_credit_usage(v_member.organization_id, p_user_id);
+        IF v_member_used + p_amount > v_member.monthly_credit_cap THEN
+            v_error := json_build_object(
+                'success', false,
+                'error', 'Monthly credit cap reached',
+                'required', p_amount,
+                'monthly_credit_cap', v_member.monthly_credit_cap,
+                'monthly_used', v_member_used
+            );
+        END IF;
+    END IF;
+    
+    -- Same rule as consume_credits: fall back to a daily free credit
+    IF v_error IS NULL AND v_available < p_amount AND v_daily_free_remaining > 0 THEN
+        v_use_free_credits := TRUE;
+    ELSIF v_error IS NULL AND v_available < p_amount THEN
+        v_error := json_build_object(
+            'success', false,
+            'error', 'Insufficient credits',
+            'required', p_amount,
+            'available', v_available,
+            'daily_free_remaining', v_daily_free_remaining
+        );
+    END IF;
+    
+    -- Members' own purchases and grants stay on their personal account; spend
+    -- it when the pool is short or their monthly cap is reached
+    IF v_error IS NOT NULL AND v_organization_id IS NOT NULL THEN
+        SELECT * INTO v_personal
+        FROM credit_accounts
+        WHERE user_id = p_user_id
+        FOR UPDATE;
+        
+        IF FOUND AND v_personal.balance - v_personal.held_balance - v_personal.frozen_balance >= p_amount THEN
+            v_account := v_personal;
+            v_available := v_personal.balance - v_personal.held_balance - v_personal.frozen_balance;
+            v_organization_id := NULL;
+            v_error := NULL;
+        END IF;
+    END IF;
+    
+    IF v_error IS NOT NULL THEN
+        RETURN v_error;
+    END IF;
+    
+    SELECT COALESCE(p_ttl_seconds, (SELECT (value #>> '{}')::INTEGER FROM system_settings WHERE key = 'credit_hold_ttl_seconds'), 300)
+    INTO v_ttl_seconds;
+    v_expires_at := NOW() + make_interval(secs => v_ttl_seconds);
+    
+    IF v_use_free_credits THEN
+        UPDATE credit_accounts
+        SET 
+            daily_free_credits_used = daily_free_credits_used + 1,
+            updated_at = NOW()
+        WHERE id = v_account.id;
+    ELSE
+        UPDATE credit_accounts
+        SET 
+            held_balance = held_balance + p_amount,
+            updated_at = NOW()
+        WHERE id = v_account.id;
+        v_available := v_available - p_amount;
+    END IF;
+    
+    INSERT INTO credit_holds (user_id, organization_id, amount, uses_free_credit, description, metadata, expires_at)
+    VALUES (p_user_id, v_organization_id, p_amount, v_use_free_credits, p_description, p_metadata, v_expires_at)
+    RETURNING id INTO v_hold_id;
+    
+    INSERT INTO credit_transactions (user_id, organization_id, transaction_type, amount, balance_after, description, metadata)
+    VALUES (p_user_id, v_organization_id, 'hold', p_amount, v_account.balance, p_description,
+        jsonb_build_object('hold_id', v_hold_id, 'uses_free_credit', v_use_free_credits, 'expires_at', v_expires_at));
+    
+    RETURN json_build_object(
+        'success', true,
+        'hold_id', v_hold_id,
+        'amount', p_amount,
+        'used_free_credit', v_use_free_credits,
+        'source', CASE WHEN v_organization_id IS NULL THEN 'personal' ELSE 'organization' END,
+        'available_after', v_available,
+        'expires_at', v_expires_at
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- 12. Function to capture a hold with the actual amount and log LLM usage
+CREATE OR REPLACE FUNCTION capture_credit_hold(
+    p_hold_id UUID,
+    p_amount DECIMAL(10,2),
+    p_description TEXT,
+    p_usage_data JSONB
+) RETURNS JSON AS $$
+DECLARE
+    v_hold RECORD;
+    v_account RECORD;
+    v_charge DECIMAL(10,2);
+    v_new_balance DECIMAL(10,2);
+    v_transaction_id UUID;
+    v_usage_id UUID;
+BEGIN
+    SELECT * INTO v_hold
+    FROM credit_holds
+    WHERE id = p_hold_id
+    FOR UPDATE;
+    
+    IF NOT FOUND THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Credit hold not found'
+        );
+    END IF;
+    
+    IF v_hold.status <> 'held' THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Credit hold is ' || v_hold.status,
+            'status', v_hold.status
+        );
+    END IF;
+    
+    SELECT * INTO v_account
+    FROM credit_accounts
+    WHERE (v_hold.organization_id IS NULL AND user_id = v_hold.user_id)
+       OR organization_id = v_hold.organization_id
+    FOR UPDATE;
+    
+    BEGIN
+        IF v_hold.uses_free_credit THEN
+            -- The free credit was already counted when the hold was taken
+            v_charge := p_amount;
+            v_new_balance := v_account.balance;
+            
+            UPDATE credit_accounts
+            SET 
+                lifetime_consumed = lifetime_consumed + v_charge,
+                updated_at = NOW()
+            WHERE id = v_account.id;
+            
+            INSERT INTO credit_transactions (user_id, organization_id, transaction_type, amount, balance_after, description, metadata)
+            VALUES (v_hold.user_id, v_hold.organization_id, 'daily_free', v_charge, v_new_balance, p_description,
+                COALESCE(p_usage_data, '{}'::jsonb) || jsonb_build_object('hold_id', p_hold_id))
+            RETURNING id INTO v_transaction_id;
+        ELSE
+            -- Never charge more than the hold plus whatever is not held, frozen or owed
+            v_charge := LEAST(p_amount, GREATEST(v_hold.amount,
+                v_account.balance - v_account.frozen_balance - (v_account.held_balance - v_hold.amount)));
+            -- A refund while the request ran may have left less than was held
+            v_charge := LEAST(v_charge, GREATEST(0, v_account.balance));
+            v_new_balance := v_account.balance - v_charge;
+            
+            UPDATE credit_accounts
+            SET 
+                balance = v_new_balance,
+                held_balance = held_balance - v_hold.amount,
+                subscription_balance = GREATEST(0, subscription_balance - v_charge),
+                lifetime_consumed = lifetime_consumed + v_charge,
+                updated_at = NOW()
+            WHERE id = v_account.id;
+            
+            INSERT INTO credit_transactions (user_id, organization_id, transaction_type, amount, balance_after, description, metadata)
+            VALUES (v_hold.user_id, v_hold.organization_id, 'consumption', -v_charge, v_new_balance, p_description,
+                COALESCE(p_usage_data, '{}'::jsonb) || jsonb_build_object('hold_id', p_hold_id, 'held_amount', v_hold.amount))
+            RETURNING id INTO v_transaction_id;
+        END IF;
+        
+        UPDATE credit_holds
+        SET 
+            status = 'captured',
+            captured_amount = v_charge,
+            transaction_id = v_transaction_id,
+            resolved_at = NOW()
+        WHERE id = p_hold_id;
+        
+        IF p_usage_data IS NOT NULL THEN
+            INSERT INTO llm_usage (
+                user_id, 
+                transaction_id, 
+                provider, 
+                model, 
+                prompt_tokens, 
+                completion_tokens, 
+                total_tokens, 
+                credits_consumed,
+                provider_cost_usd,
+                request_id,
+                provider_request_id,
+                response_time_ms,
+                status,
+                query_type,
+                api_key_id
+            ) VALUES (
+                v_hold.user_id,
+                v_transaction_id,
+                (p_usage_data->>'provider')::VARCHAR,
+                (p_usage_data->>'model')::VARCHAR,
+                COALESCE((p_usage_data->>'prompt_tokens')::INTEGER, 0),
+                COALESCE((p_usage_data->>'completion_tokens')::INTEGER, 0),
+                COALESCE((p_usage_data->>'total_tokens')::INTEGER, 0),
+                v_charge,
+                (p_usage_data->>'provider_cost_usd')::DECIMAL,
+                p_usage_data->>'request_id',
+                p_usage_data->>'provider_request_id',
+                (p_usage_data->>'response_time_ms')::INTEGER,
+                COALESCE(p_usage_data->>'status', 'completed'),
+                p_usage_data->>'query_type',
+                (p_usage_data->>'api_key_id')::UUID
+            ) RETURNING id INTO v_usage_id;
+        END IF;
+        
+    EXCEPTION
+        WHEN OTHERS THEN
+            RETURN json_build_object(
+                'success', false,
+                'error', SQLERRM
+            );
+    END;
+    
+    RETURN json_build_object(
+        'success', true,
+        'new_balance', v_new_balance,
+        'credits_captured', v_charge,
+        'credits_held', v_hold.amount,
+        'used_free_credit', v_hold.uses_free_credit,
+        'transaction_id', v_transaction_id,
+        'usage_id', v_usage_id,
+        'daily_free_remaining', GREATEST(0, 10 - v_account.daily_free_credits_used)
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- 13. Function to release a hold (request failed, timed out or was cancelled)
+CREATE OR REPLACE FUNCTION release_credit_hold(
+    p_hold_id UUID,
+    p_reason TEXT DEFAULT 'released',
+    p_transaction_type VARCHAR(20) DEFAULT 'hold_release'
+) RETURNS JSON AS $$
+DECLARE
+    v_hold RECORD;
+    v_balance DECIMAL(10,2);
+BEGIN
+    SELECT * INTO v_hold
+    FROM credit_holds
+    WHERE id = p_hold_id
+    FOR UPDATE;
+    
+    IF NOT FOUND THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Credit hold not found'
+        );
+    END IF;
+    
+    IF v_hold.status <> 'held' THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Credit hold is ' || v_hold.status,
+            'status', v_hold.status
+        );
+    END IF;
+    
+    IF v_hold.uses_free_credit THEN
+        UPDATE credit_accounts
+        SET 
+            daily_free_credits_used = GREATEST(0, daily_free_credits_used - 1),
+            updated_at = NOW()
+        WHERE (v_hold.organization_id IS NULL AND user_id = v_hold.user_id)
+           OR organization_id = v_hold.organization_id
+        RETURNING balance INTO v_balance;
+    ELSE
+        UPDATE credit_accounts
+        SET 
+            held_balance = GREATEST(0, held_balance - v_hold.amount),
+            updated_at = NOW()
+        WHERE (v_hold.organization_id IS NULL AND user_id = v_hold.user_id)
+           OR organization_id = v_hold.organization_id
+        RETURNING balance INTO v_balance;
+    END IF;
+    
+    UPDATE credit_holds
+    SET 
+        status = CASE WHEN p_transaction_type = 'hold_expired' THEN 'expired' ELSE 'released' END,
+        resolved_at = NOW(),
+        metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('release_reason', p_reason)
+    WHERE id = p_hold_id;
+    
+    INSERT INTO credit_transactions (user_id, organization_id, transaction_type, amount, balance_after, description, metadata)
+    VALUES (v_hold.user_id, v_hold.organization_id, p_transaction_type, v_hold.amount, v_balance, v_hold.description,
+        jsonb_build_object('hold_id', p_hold_id, 'reason', p_reason, 'uses_free_credit', v_hold.uses_free_credit));
+    
+    RETURN json_build_object(
+        'success', true,
+        'hold_id', p_hold_id,
+        'amount_released', v_hold.amount
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- 14. Function to expire holds whose request never captured or released them
+CREATE OR REPLACE FUNCTION expire_stale_credit_holds(p_user_id UUID DEFAULT NULL, p_organization_id UUID DEFAULT NULL)
+RETURNS INTEGER AS $$
+DECLARE
+    v_hold_id UUID;
+    v_expired_count INTEGER := 0;
+BEGIN
+    FOR v_hold_id IN
+        SELECT id FROM credit_holds
+        WHERE status = 'held'
+        AND expires_at < NOW()
+        AND (p_user_id IS NULL OR user_id = p_user_id)
+        AND (p_organization_id IS NULL OR organization_id = p_organization_id)
+    LOOP
+        IF (release_credit_hold(v_hold_id, 'expired', 'hold_expired')->>'success')::BOOLEAN THEN
+            v_expired_count := v_expired_count + 1;
+        END IF;
+    END LOOP;
+    
+    RETURN v_expired_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- 15. Function to claw back purchased credits after a refund or lost dispute
+-- p_fraction is the cumulative share of the payment returned to the customer
+-- (e.g. charge.amount_refunded / charge.amount), so partial refunds are pro-rata
+-- and replayed events claw back nothing further.
+CREATE OR REPLACE FUNCTION claw_back_credits(
+    p_payment_intent_id VARCHAR(255),
+    p_fraction DECIMAL(6,4),
+    p_transaction_type VARCHAR(20) DEFAULT 'refund',
+    p_description TEXT DEFAULT 'Credits reversed after refund',
+    p_metadata JSONB DEFAULT NULL
+) RETURNS JSON AS $$
+DECLARE
+    v_purchase RECORD;
+    v_account RECORD;
+    v_target DECIMAL(10,2);
+    v_already DECIMAL(10,2);
+    v_amount DECIMAL(10,2);
+    v_new_balance DECIMAL(10,2);
+    v_transaction_id UUID;
+BEGIN
+    SELECT * INTO v_purchase
+    FROM credit_transactions
+    WHERE stripe_payment_intent_id = p_payment_intent_id
+    AND transaction_type = 'purchase'
+    ORDER BY created_at
+    LIMIT 1;
+    
+    IF NOT FOUND THEN
+        RETURN json_build_object(
+            'success', false,
+            'not_found', true,
+            'error', 'No credit purchase found for payment ' || p_payment_intent_id
+        );
+    END IF;
+    
+    SELECT * INTO v_account
+    FROM credit_accounts
+    WHERE user_id = v_purchase.user_id
+    FOR UPDATE;
+    
+    v_target := ROUND(v_purchase.amount * LEAST(GREATEST(p_fraction, 0), 1), 2);
+    
+    SELECT COALESCE(-SUM(amount), 0) INTO v_already
+    FROM credit_transactions
+    WHERE stripe_payment_intent_id = p_payment_intent_id
+    AND transaction_type IN ('refund', 'chargeback');
+    
+    v_amount := v_target - v_already;
+    IF v_amount <= 0 THEN
+        RETURN json_build_object(
+            'success', true,
+            'duplicate', true,
+            'user_id', v_purchase.user_id,
+            'amount_clawed_back', 0,
+            'new_balance', v_account.balance,
+            'is_flagged', v_account.is_flagged
+        );
+    END IF;
+    
+    v_new_balance := v_account.balance - v_amount;
+    
+    UPDATE credit_accounts
+    SET 
+        balance = v_new_balance,
+        subscription_balance = LEAST(subscription_balance, GREATEST(0, v_new_balance)),
+        is_flagged = is_flagged OR v_new_balance < 0,
+        flag_reason = CASE WHEN v_new_balance < 0 AND NOT is_flagged
+            THEN 'Negative balance after ' || p_transaction_type || ' of ' || p_payment_intent_id
+            ELSE flag_reason END,
+        flagged_at = CASE WHEN v_new_balance < 0 AND NOT is_flagged THEN NOW() ELSE flagged_at END,
+        updated_at = NOW()
+    WHERE user_id = v_purchase.user_id;
+    
+    INSERT INTO credit_transactions (
+        user_id,
+        transaction_type,
+        amount,
+        balance_after,
+        description,
+        metadata,
+        stripe_payment_intent_id
+    ) VALUES (
+        v_purchase.user_id,
+        p_transaction_type,
+        -v_amount,
+        v_new_balance,
+        p_description,
+        COALESCE(p_metadata, '{}'::jsonb) || jsonb_build_object(
+            'purchase_transaction_id', v_purchase.id,
+            'fraction', p_fraction
+        ),
+        p_payment_intent_id
+    ) RETURNING id INTO v_transaction_id;
+    
+    RETURN json_build_object(
+        'success', true,
+        'duplicate', false,
+        'user_id', v_purchase.user_id,
+        'transaction_id', v_transaction_id,
+        'amount_clawed_back', v_amount,
+        'new_balance', v_new_balance,
+        'is_flagged', v_account.is_flagged OR v_new_balance < 0
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- 16. Function to freeze the credits of a disputed purchase
+CREATE OR REPLACE FUNCTION freeze_disputed_credits(
+    p_dispute_id VARCHAR(255),
+    p_payment_intent_id VARCHAR(255),
+    p_fraction DECIMAL(6,4) DEFAULT 1
+) RETURNS JSON AS $$
+DECLARE
+    v_purchase RECORD;
+    v_account RECORD;
+    v_existing RECORD;
+    v_amount DECIMAL(10,2);
+BEGIN
+    SELECT * INTO v_existing FROM credit_disputes WHERE id = p_dispute_id;
+    IF FOUND THEN
+        RETURN json_build_object(
+            'success', true,
+            'duplicate', true,
+            'user_id', v_existing.user_id,
+            'amount_frozen', v_existing.frozen_amount
+        );
+    END IF;
+    
+    SELECT * INTO v_purchase
+    FROM credit_transactions
+    WHERE stripe_payment_intent_id = p_payment_intent_id
+    AND transaction_type = 'purchase'
+    ORDER BY created_at
+    LIMIT 1;
+    
+    IF NOT FOUND THEN
+        RETURN json_build_object(
+            'success', false,
+            'not_found', true,
+            'error', 'No credit purchase found for payment ' || p_payment_intent_id
+        );
+    END IF;
+    
+    SELECT * INTO v_account
+    FROM credit_accounts
+    WHERE user_id = v_purchase.user_id
+    FOR UPDATE;
+    
+    -- Freeze what is left of the disputed purchase; spent credits cannot be frozen
+    v_amount := LEAST(
+        ROUND(v_purchase.amount * LEAST(GREATEST(p_fraction, 0), 1), 2),
+        GREATEST(0, v_account.balance - v_account.held_balance - v_account.frozen_balance)
+    );
+    
+    UPDATE credit_accounts
+    SET 
+        frozen_balance = frozen_balance + v_amount,
+        updated_at = NOW()
+    WHERE user_id = v_purchase.user_id;
+    
+    INSERT INTO credit_disputes (id, user_id, stripe_payment_intent_id, purchase_transaction_id, frozen_amount)
+    VALUES (p_dispute_id, v_purchase.user_id, p_payment_intent_id, v_purchase.id, v_amount);
+    
+    INSERT INTO credit_transactions (user_id, transaction_type, amount, balance_after, description, metadata, stripe_payment_intent_id)
+    VALUES (v_purchase.user_id, 'dispute_freeze', v_amount, v_account.balance, 'Credits frozen during payment dispute',
+        jsonb_build_object('dispute_id', p_dispute_id, 'purchase_transaction_id', v_purchase.id), p_payment_intent_id);
+    
+    RETURN json_build_object(
+        'success', true,
+        'duplicate', false,
+        'user_id', v_purchase.user_id,
+        'amount_frozen', v_amount
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- 17. Function to close a dispute: unfreeze, and claw back if it was lost
+CREATE OR REPLACE FUNCTION resolve_credit_dispute(
+    p_dispute_id VARCHAR(255),
+    p_payment_intent_id VARCHAR(255),
+    p_won BOOLEAN,
+    p_clawback_fraction DECIMAL(6,4) DEFAULT 1
+) RETURNS JSON AS $$
+DECLARE
+    v_dispute RECORD;
+    v_balance DECIMAL(10,2);
+    v_clawback JSON;
+BEGIN
+    SELECT * INTO v_dispute
+    FROM credit_disputes
+    WHERE id = p_dispute_id
+    FOR UPDATE;
+    
+    -- Dispute opened before this purchase was tracked: record it as already closed
+    IF NOT FOUND THEN
+        PERFORM freeze_disputed_credits(p_dispute_id, p_payment_intent_id, 0);
+        SELECT * INTO v_dispute FROM credit_disputes WHERE id = p_dispute_id FOR UPDATE;
+        IF NOT FOUND THEN
+            RETURN json_build_object(
+                'success', false,
+                'not_found', true,
+                'error', 'No credit purchase found for payment ' || p_payment_intent_id
+            );
+        END IF;
+    END IF;
+    
+    IF v_dispute.status <> 'open' THEN
+        RETURN json_build_object(
+            'success', true,
+            'duplicate', true,
+            'user_id', v_dispute.user_id,
+            'status', v_dispute.status
+        );
+    END IF;
+    
+    UPDATE credit_accounts
+    SET 
+        frozen_balance = GREATEST(0, frozen_balance - v_dispute.frozen_amount),
+        updated_at = NOW()
+    WHERE user_id = v_dispute.user_id
+    RETURNING balance INTO v_balance;
+    
+    IF v_dispute.frozen_amount > 0 THEN
+        INSERT INTO credit_transactions (user_id, transaction_type, amount, balance_after, description, metadata, stripe_payment_intent_id)
+        VALUES (v_dispute.user_id, 'dispute_release', v_dispute.frozen_amount, v_balance,
+            CASE WHEN p_won THEN 'Dispute won, credits unfrozen' ELSE 'Dispute lost, frozen credits released for chargeback' END,
+            jsonb_build_object('dispute_id', p_dispute_id), v_dispute.stripe_payment_intent_id);
+    END IF;
+    
+    IF NOT p_won THEN
+        v_clawback := claw_back_credits(
+            v_dispute.stripe_payment_intent_id,
+            p_clawback_fraction,
+            'chargeback',
+            'Credits reversed after lost dispute',
+            jsonb_build_object('dispute_id', p_dispute_id)
+        );
+    END IF;
+    
+    UPDATE credit_disputes
+    SET 
+        status = CASE WHEN p_won THEN 'won' ELSE 'lost' END,
+        clawed_back_amount = COALESCE((v_clawback->>'amount_clawed_back')::DECIMAL, 0),
+        closed_at = NOW()
+    WHERE id = p_dispute_id;
+    
+    RETURN json_build_object(
+        'success', true,
+        'duplicate', false,
+        'user_id', v_dispute.user_id,
+        'status', CASE WHEN p_won THEN 'won' ELSE 'lost' END,
+        'amount_unfrozen', v_dispute.frozen_amount,
+        'amount_clawed_back', COALESCE((v_clawback->>'amount_clawed_back')::DECIMAL, 0),
+        'transaction_id', v_clawback->>'transaction_id',
+        'new_balance', COALESCE((v_clawback->>'new_balance')::DECIMAL, v_balance),
+        'is_flagged', COALESCE((v_clawback->>'is_flagged')::BOOLEAN, false)
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- 18. Function to grant a subscription's credit allowance for a paid invoice
+-- On renewal, unused allowance above p_rollover_cap expires before the new
+-- allowance is added. Proration adjustments (p_renewal = false) add or remove
+-- allowance for a mid-period plan change; removal never touches purchased credits.
+CREATE OR REPLACE FUNCTION grant_subscription_credits(
+    p_user_id UUID,
+    p_amount DECIMAL(10,2),
+    p_rollover_cap DECIMAL(10,2),
+    p_renewal BOOLEAN,
+    p_idempotency_key VARCHAR(255),
+    p_description TEXT DEFAULT 'Subscription credits',
+    p_metadata JSONB DEFAULT NULL
+) RETURNS JSON AS $$
+DECLARE
+    v_account RECORD;
+    v_existing RECORD;
+    v_unused DECIMAL(10,2);
+    v_expired DECIMAL(10,2) := 0;
+    v_amount DECIMAL(10,2);
+    v_balance DECIMAL(10,2);
+    v_subscription_balance DECIMAL(10,2);
+    v_transaction_id UUID;
+BEGIN
+    SELECT * INTO v_account
+    FROM credit_accounts
+    WHERE user_id = p_user_id
+    FOR UPDATE;
+    
+    IF NOT FOUND THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Credit account not found'
+        );
+    END IF;
+    
+    SELECT * INTO v_existing
+    FROM credit_transactions
+    WHERE idempotency_key = p_idempotency_key;
+    
+    IF FOUND THEN
+        RETURN json_build_object(
+            'success', true,
+            'duplicate', true,
+            'new_balance', v_account.balance,
+            'transaction_id', v_existing.id,
+            'amount_added', 0,
+            'amount_expired', 0
+        );
+    END IF;
+    
+    v_balance := v_account.balance;
+    v_subscription_balance := LEAST(v_account.subscription_balance, GREATEST(0, v_balance));
+    
+    IF p_renewal THEN
+        -- Expire last period's unused allowance above the rollover cap
+        v_unused := v_subscription_balance;
+        v_expired := LEAST(
+            GREATEST(0, v_unused - p_rollover_cap),
+            GREATEST(0, v_balance - v_account.held_balance - v_account.frozen_balance)
+        );
+        
+        IF v_expired > 0 THEN
+            v_balance := v_balance - v_expired;
+            
+            INSERT INTO credit_transactions (user_id, transaction_type, amount, balance_after, description, metadata, idempotency_key)
+            VALUES (p_user_id, 'subscription_expiry', -v_expired, v_balance, 'Unused subscription credits expired',
+                jsonb_build_object('rollover_cap', p_rollover_cap, 'unused', v_unused), p_idempotency_key || ':expiry');
+        END IF;
+        
+        v_subscription_balance := v_unused - v_expired;
+        v_amount := p_amount;
+    ELSIF p_amount >= 0 THEN
+        v_amount := p_amount;
+    ELSE
+        -- Downgrade: take back unspent allowance only
+        v_amount := -LEAST(-p_amount, v_subscription_balance,
+            GREATEST(0, v_balance - v_account.held_balance - v_account.frozen_balance));
+    END IF;
+    
+    v_balance := v_balance + v_amount;
+    v_subscription_balance := v_subscription_balance + v_amount;
+    
+    UPDATE credit_accounts
+    SET 
+        balance = v_balance,
+        subscription_balance = v_subscription_balance,
+        lifetime_purchased = lifetime_purchased + GREATEST(v_amount, 0),
+        updated_at = NOW()
+    WHERE user_id = p_user_id;
+    
+    INSERT INTO credit_transactions (user_id, transaction_type, amount, balance_after, description, metadata, idempotency_key)
+    VALUES (p_user_id, 'subscription_grant', v_amount, v_balance, p_description,
+        COALESCE(p_metadata, '{}'::jsonb) || jsonb_build_object('renewal', p_renewal, 'requested_amount', p_amount),
+        p_idempotency_key)
+    RETURNING id INTO v_transaction_id;
+    
+    RETURN json_build_object(
+        'success', true,
+        'duplicate', false,
+        'new_balance', v_balance,
+        'subscription_balance', v_subscription_balance,
+        'transaction_id', v_transaction_id,
+        'amount_added', v_amount,
+        'amount_expired', v_expired
+    );
+EXCEPTION
+    WHEN unique_violation THEN
+        RETURN json_build_object(
+            'success', true,
+            'duplicate', true,
+            'new_balance', v_account.balance,
+            'amount_added', 0,
+            'amount_expired', 0
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+-- 19. Function to total what a member has spent from the organization pool this
+-- calendar month (UTC), counting credits still held by in-flight requests
+CREATE OR REPLACE FUNCTION get_member_credit_usage(
+    p_organization_id UUID,
+    p_user_id UUID
+) RETURNS DECIMAL(10,2) AS $$
+DECLARE
+    v_consumed DECIMAL(10,2);
+    v_held DECIMAL(10,2);
+BEGIN
+    SELECT COALESCE(SUM(-amount), 0) INTO v_consumed
+    FROM credit_transactions
+    WHERE organization_id = p_organization_id
+    AND user_id = p_user_id
+    AND transaction_type = 'consumption'
+    AND created_at >= date_trunc('month', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC';
+    
+    SELECT COALESCE(SUM(amount), 0) INTO v_held
+    FROM credit_holds
+    WHERE organization_id = p_organization_id
+    AND user_id = p_user_id
+    AND status = 'held';
+    
+    RETURN v_consumed + v_held;
+END;
+$$ LANGUAGE plpgsql;
+
+-- 20. Function to create an organization with its credit pool; the creator
+-- becomes the owner
+CREATE OR REPLACE FUNCTION create_organization(
+    p_user_id UUID,
+    p_name VARCHAR(200)
+) RETURNS JSON AS $$
+DECLARE
+    v_organization_id UUID;
+BEGIN
+    IF EXISTS (SELECT 1 FROM organization_members WHERE user_id = p_user_id) THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'User already belongs to an organization'
+        );
+    END IF;
+    
+    INSERT INTO organizations (name, created_by)
+    VALUES (p_name, p_user_id)
+    RETURNING id INTO v_organization_id;
+    
+    INSERT INTO organization_members (organization_id, user_id, role)
+    VALUES (v_organization_id, p_user_id, 'owner');
+    
+    INSERT INTO credit_accounts (organization_id)
+    VALUES (v_organization_id);
+    
+    RETURN json_build_object(
+        'success', true,
+        'organization_id', v_organization_id
+    );
+EXCEPTION
+    WHEN unique_violation THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'User already belongs to an organization'
+        );
+END;
+$$ LANGUAGE plpgsql;
+
+-- 21. Function to accept an invite; the invite must be addressed to the user's email
+CREATE OR REPLACE FUNCTION accept_organization_invite(
+    p_user_id UUID,
+    p_token_hash CHAR(64)
+) RETURNS JSON AS $$
+DECLARE
+    v_invite RECORD;
+    v_email VARCHAR(255);
+BEGIN
+    SELECT * INTO v_invite
+    FROM organization_invites
+    WHERE token_hash = p_token_hash
+    FOR UPDATE;
+    
+    IF NOT FOUND OR v_invite.revoked_at IS NOT NULL THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Invite not found'
+        );
+    END IF;
+    
+    IF v_invite.accepted_at IS NOT NULL OR v_invite.expires_at < NOW() THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Invite has expired'
+        );
+    END IF;
+    
+    SELECT email INTO v_email FROM users WHERE id = p_user_id;
+    IF lower(v_email) IS DISTINCT FROM lower(v_invite.email) THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Invite was sent to a different email address'
+        );
+    END IF;
+    
+    IF EXISTS (SELECT 1 FROM organization_members WHERE user_id = p_user_id) THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'User already belongs to an organization'
+        );
+    END IF;
+    
+    INSERT INTO organization_members (organization_id, user_id, role, monthly_credit_cap)
+    VALUES (v_invite.organization_id, p_user_id, v_invite.role, v_invite.monthly_credit_cap);
+    
+    UPDATE organization_invites
+    SET accepted_at = NOW()
+    WHERE id = v_invite.id;
+    
+    RETURN json_build_object(
+        'success', true,
+        'organization_id', v_invite.organization_id,
+        'role', v_invite.role
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- 22. Function to fund an organization pool from an owner's or admin's own
+-- spendable balance (credits are bought per user, then pooled)
+CREATE OR REPLACE FUNCTION transfer_credits_to_organization(
+    p_user_id UUID,
+    p_organization_id UUID,
+    p_amount DECIMAL(10,2)
+) RETURNS JSON AS $$
+DECLARE
+    v_member RECORD;
+    v_account RECORD;
+    v_pool RECORD;
+    v_available DECIMAL(10,2);
+BEGIN
+    IF p_amount <= 0 THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Transfer amount must be positive'
+        );
+    END IF;
+    
+    SELECT * INTO v_member
+    FROM organization_members
+    WHERE user_id = p_user_id AND organization_id = p_organization_id;
+    
+    IF NOT FOUND OR v_member.role NOT IN ('owner', 'admin') THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Only organization owners and admins can fund the pool'
+        );
+    END IF;
+    
+    SELECT * INTO v_account
+    FROM credit_accounts
+    WHERE user_id = p_user_id
+    FOR UPDATE;
+    
+    v_available := GREATEST(0, v_account.balance - v_account.held_balance - v_account.frozen_balance);
+    IF v_available < p_amount THEN
+        RETURN json_build_object(
+            'success', false,
+            'error', 'Insufficient credits',
+            'required', p_amount,
+            'available', v_available
+        );
+    END IF;
+    
+    SELECT * INTO v_pool
+    FROM credit_accounts
+    WHERE organization_id = p_organization_id
+    FOR UPDATE;
+    
+    UPDATE credit_accounts
+    SET 
+        balance = balance - p_amount,
+        subscription_balance = GREATEST(0, subscription_balance - p_amount),
+        updated_at = NOW()
+    WHERE id = v_account.id;
+    
+    UPDATE credit_accounts
+    SET 
+        balance = balance + p_amount,
+        lifetime_purchased = lifetime_purchased + p_amount,
+        updated_at = NOW()
+    WHERE id = v_pool.id;
+    
+    INSERT INTO credit_transactions (user_id, transaction_type, amount, balance_after, description, metadata)
+    VALUES (p_user_id, 'org_transfer', -p_amount, v_account.balance - p_amount, 'Transfer to organization pool',
+        jsonb_build_object('organization_id', p_organization_id));
+    
+    INSERT INTO credit_transactions (user_id, organization_id, transaction_type, amount, balance_after, description)
+    VALUES (p_user_id, p_organization_id, 'org_transfer', p_amount, v_pool.balance + p_amount, 'Transfer from member');
+    
+    RETURN json_build_object(
+        'success', true,
+        'amount', p_amount,
+        'new_balance', v_account.balance - p_amount,
+        'pool_balance', v_pool.balance + p_amount
+    );
+END;
+$$ LANGUAGE plpgsql;
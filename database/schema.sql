@@ -23,18 +23,32 @@ CREATE TABLE users (
 CREATE TABLE credit_accounts (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    -- Set instead of user_id for an organization's pooled account
+    organization_id UUID,
     balance DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    held_balance DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    frozen_balance DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    -- Part of balance granted by the current subscription period's allowance
+    subscription_balance DECIMAL(10,2) NOT NULL DEFAULT 0.00,
     lifetime_purchased DECIMAL(10,2) DEFAULT 0.00,
     lifetime_consumed DECIMAL(10,2) DEFAULT 0.00,
     daily_free_credits_used INTEGER DEFAULT 0,
     daily_free_credits_reset_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    -- Set when a refund or chargeback claws back credits that were already spent
+    is_flagged BOOLEAN DEFAULT false,
+    flag_reason TEXT,
+    flagged_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     
-    CONSTRAINT positive_balance CHECK (balance >= 0),
+    -- balance may go negative only through refund / chargeback clawbacks
+    CONSTRAINT valid_held_balance CHECK (held_balance >= 0),
+    CONSTRAINT valid_frozen_balance CHECK (frozen_balance >= 0),
+    CONSTRAINT valid_subscription_balance CHECK (subscription_balance >= 0),
     CONSTRAINT positive_lifetime_purchased CHECK (lifetime_purchased >= 0),
     CONSTRAINT positive_lifetime_consumed CHECK (lifetime_consumed >= 0),
-    CONSTRAINT valid_daily_free_credits CHECK (daily_free_credits_used >= 0 AND daily_free_credits_used <= 10)
+    CONSTRAINT valid_daily_free_credits CHECK (daily_free_credits_used >= 0 AND daily_free_credits_used <= 10),
+    CONSTRAINT single_account_owner CHECK ((user_id IS NULL) <> (organization_id IS NULL))
 );
 
 -- 3. Credit Transactions Table
@@ -47,9 +61,14 @@ CREATE TABLE credit_transactions (
     description TEXT,
     metadata JSONB,
     stripe_payment_intent_id VARCHAR(255),
+    idempotency_key VARCHAR(255) UNIQUE,
+    -- Organization whose pool the amount moved in or out of; user_id is the member
+    organization_id UUID,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     
-    CONSTRAINT valid_transaction_type CHECK (transaction_type IN ('purchase', 'consumption', 'daily_free', 'refund', 'bonus'))
+    -- hold / hold_release / hold_expired and dispute_freeze / dispute_release rows record
+    -- the reserved or frozen amount; they do not move the balance
+    CONSTRAINT valid_transaction_type CHECK (transaction_type IN ('purchase', 'consumption', 'daily_free', 'refund', 'bonus', 'hold', 'hold_release', 'hold_expired', 'chargeback', 'dispute_freeze', 'dispute_release', 'subscription_grant', 'subscription_expiry', 'org_transfer'))
 );
 
 -- 4. LLM Usage Table
@@ -63,17 +82,21 @@ CREATE TABLE llm_usage (
     completion_tokens INTEGER NOT NULL DEFAULT 0,
     total_tokens INTEGER NOT NULL DEFAULT 0,
     credits_consumed DECIMAL(10,2) NOT NULL,
-    request_id VARCHAR(255),
+    provider_cost_usd DECIMAL(12,6), -- what the provider billed for the tokens; NULL on rows logged before it was tracked
+    request_id VARCHAR(255), -- correlation ID (X-Request-Id) of the API request
+    provider_request_id VARCHAR(255), -- the provider's own ID for the completion
     response_time_ms INTEGER,
     status VARCHAR(20) DEFAULT 'completed',
     error_message TEXT,
     query_type VARCHAR(100),
+    api_key_id UUID, -- api_keys.id when the request authenticated with a personal API key
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     
     CONSTRAINT valid_provider CHECK (provider IN ('claude', 'perplexity', 'openai', 'gemini')),
     CONSTRAINT valid_status CHECK (status IN ('completed', 'failed', 'timeout', 'cancelled')),
     CONSTRAINT positive_tokens CHECK (prompt_tokens >= 0 AND completion_tokens >= 0 AND total_tokens >= 0),
-    CONSTRAINT positive_credits CHECK (credits_consumed >= 0)
+    CONSTRAINT positive_credits CHECK (credits_consumed >= 0),
+    CONSTRAINT positive_provider_cost CHECK (provider_cost_usd >= 0)
 );
 
 -- 5. Credit Packages Table
@@ -82,12 +105,16 @@ CREATE TABLE credit_packages (
     name VARCHAR(100) NOT NULL,
     credits DECIMAL(10,2) NOT NULL,
     price_usd DECIMAL(10,2) NOT NULL,
-    stripe_price_id VARCHAR(255) NOT NULL,
+    stripe_price_id VARCHAR(255) UNIQUE NOT NULL,
     is_active BOOLEAN DEFAULT true,
+    is_popular BOOLEAN DEFAULT false,
     sort_order INTEGER DEFAULT 0,
     description TEXT,
     features JSONB,
+    -- Retired packages keep their row so past purchases of the price still resolve
+    retired_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     
     CONSTRAINT positive_credits CHECK (credits > 0),
     CONSTRAINT positive_price CHECK (price_usd > 0)
@@ -136,6 +163,230 @@ CREATE TABLE system_settings (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- 9. Credit Holds Table
+-- Credits reserved for an in-flight LLM request; captured, released or expired
+CREATE TABLE credit_holds (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    organization_id UUID, -- held against the organization pool rather than the user's account
+    amount DECIMAL(10,2) NOT NULL,
+    captured_amount DECIMAL(10,2),
+    uses_free_credit BOOLEAN DEFAULT false,
+    status VARCHAR(20) NOT NULL DEFAULT 'held',
+    description TEXT,
+    metadata JSONB,
+    transaction_id UUID REFERENCES credit_transactions(id),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    CONSTRAINT valid_hold_status CHECK (status IN ('held', 'captured', 'released', 'expired')),
+    CONSTRAINT positive_hold_amount CHECK (amount > 0)
+);
+
+-- 10. Stripe Webhook Events Table
+-- One row per Stripe event ID, used to detect replays and audit credit grants
+CREATE TABLE stripe_webhook_events (
+    id VARCHAR(255) PRIMARY KEY,
+    event_type VARCHAR(100) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'processing',
+    payment_intent_id VARCHAR(255),
+    checkout_session_id VARCHAR(255),
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    transaction_id UUID REFERENCES credit_transactions(id),
+    credits_granted DECIMAL(10,2) DEFAULT 0,
+    delivery_count INTEGER NOT NULL DEFAULT 1,
+    error_message TEXT,
+    payload JSONB,
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    processed_at TIMESTAMP WITH TIME ZONE,
+    
+    CONSTRAINT valid_webhook_status CHECK (status IN ('processing', 'processed', 'skipped', 'failed'))
+);
+
+-- 11. Credit Disputes Table
+-- Credits from a disputed purchase stay frozen until Stripe closes the dispute
+CREATE TABLE credit_disputes (
+    id VARCHAR(255) PRIMARY KEY,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    stripe_payment_intent_id VARCHAR(255) NOT NULL,
+    purchase_transaction_id UUID REFERENCES credit_transactions(id),
+    frozen_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    clawed_back_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'open',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    closed_at TIMESTAMP WITH TIME ZONE,
+    
+    CONSTRAINT valid_dispute_status CHECK (status IN ('open', 'won', 'lost'))
+);
+
+-- 12. Subscription Plans Table
+-- Monthly plans sold as Stripe subscriptions; unused allowance rolls over up to rollover_cap
+CREATE TABLE subscription_plans (
+    id VARCHAR(50) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    tier VARCHAR(50) NOT NULL,
+    monthly_credits DECIMAL(10,2) NOT NULL,
+    rollover_cap DECIMAL(10,2) NOT NULL DEFAULT 0,
+    price_usd DECIMAL(10,2) NOT NULL,
+    stripe_price_id VARCHAR(255) UNIQUE,
+    is_active BOOLEAN DEFAULT true,
+    sort_order INTEGER DEFAULT 0,
+    description TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    CONSTRAINT valid_plan_tier CHECK (tier IN ('starter', 'professional', 'business', 'enterprise')),
+    CONSTRAINT positive_monthly_credits CHECK (monthly_credits > 0),
+    CONSTRAINT valid_rollover_cap CHECK (rollover_cap >= 0),
+    CONSTRAINT positive_plan_price CHECK (price_usd > 0)
+);
+
+-- 13. User Subscriptions Table
+-- Mirrors the Stripe subscription; kept in sync from customer.subscription.* webhooks
+CREATE TABLE user_subscriptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    plan_id VARCHAR(50) REFERENCES subscription_plans(id),
+    stripe_subscription_id VARCHAR(255) UNIQUE NOT NULL,
+    stripe_customer_id VARCHAR(255),
+    status VARCHAR(30) NOT NULL,
+    current_period_start TIMESTAMP WITH TIME ZONE,
+    current_period_end TIMESTAMP WITH TIME ZONE,
+    cancel_at_period_end BOOLEAN DEFAULT false,
+    canceled_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 14. Conversations Table
+-- Server-side chat threads; messages older than summarized_count are covered by summary
+CREATE TABLE conversations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    title VARCHAR(200),
+    model VARCHAR(100),
+    summary TEXT,
+    summarized_count INTEGER NOT NULL DEFAULT 0,
+    message_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    CONSTRAINT valid_summarized_count CHECK (summarized_count >= 0 AND summarized_count <= message_count)
+);
+
+-- 15. Conversation Messages Table
+CREATE TABLE conversation_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    role VARCHAR(20) NOT NULL,
+    content TEXT NOT NULL,
+    model VARCHAR(100),
+    provider VARCHAR(50),
+    tokens INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    CONSTRAINT valid_message_role CHECK (role IN ('user', 'assistant')),
+    CONSTRAINT unique_message_position UNIQUE (conversation_id, position)
+);
+
+-- 16. Rate Limit Hits Table
+-- Sliding-window request log used by api/rate-limiter.js (RATE_LIMIT_STORE=postgres)
+CREATE TABLE rate_limit_hits (
+    id BIGSERIAL PRIMARY KEY,
+    key VARCHAR(255) NOT NULL,
+    hit_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+-- 17. API Keys Table
+-- Personal keys for programmatic access; only the SHA-256 of the key is stored
+CREATE TABLE api_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(16) NOT NULL,
+    key_hash CHAR(64) NOT NULL UNIQUE,
+    scopes TEXT[] NOT NULL,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    CONSTRAINT valid_api_key_scopes CHECK (scopes <@ ARRAY['query', 'conversations', 'billing:read']::TEXT[] AND cardinality(scopes) > 0)
+);
+
+-- 18. Organizations Table
+-- An organization owns a pooled credit account (credit_accounts.organization_id)
+-- that its members spend from instead of their personal balance
+CREATE TABLE organizations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(200) NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 19. Organization Members Table
+-- A user belongs to at most one organization, so usage always has one pool to draw from
+CREATE TABLE organization_members (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+    user_id UUID UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL DEFAULT 'member',
+    -- Credits the member may spend from the pool per calendar month (UTC); NULL is uncapped
+    monthly_credit_cap DECIMAL(10,2),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    CONSTRAINT valid_member_role CHECK (role IN ('owner', 'admin', 'member')),
+    CONSTRAINT valid_monthly_credit_cap CHECK (monthly_credit_cap IS NULL OR monthly_credit_cap >= 0)
+);
+
+-- 20. Organization Invites Table
+-- Invites are accepted by the signed-in user whose email matches; only the
+-- SHA-256 of the invite token is stored
+CREATE TABLE organization_invites (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'member',
+    monthly_credit_cap DECIMAL(10,2),
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    accepted_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    CONSTRAINT valid_invite_role CHECK (role IN ('admin', 'member'))
+);
+
+-- 21. Career Profiles Table
+-- The user's headline, skills and current resume text (saved from
+-- POST /api/resume/analyze or PUT /api/profile), used by job matching
+CREATE TABLE career_profiles (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    headline VARCHAR(200),
+    skills TEXT[] NOT NULL DEFAULT '{}',
+    resume_text TEXT,
+    resume_format VARCHAR(10),
+    resume_updated_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    CONSTRAINT valid_resume_format CHECK (resume_format IS NULL OR resume_format IN ('pdf', 'docx', 'text'))
+);
+
+ALTER TABLE credit_accounts ADD CONSTRAINT fk_credit_accounts_organization
+    FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE;
+ALTER TABLE credit_transactions ADD CONSTRAINT fk_credit_transactions_organization
+    FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE SET NULL;
+ALTER TABLE credit_holds ADD CONSTRAINT fk_credit_holds_organization
+    FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE;
+
 -- Indexes for Performance
 CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_users_linkedin_id ON users(linkedin_id);
@@ -145,19 +396,43 @@ CREATE INDEX idx_credit_transactions_created_at ON credit_transactions(created_a
 CREATE INDEX idx_llm_usage_user_id ON llm_usage(user_id);
 CREATE INDEX idx_llm_usage_created_at ON llm_usage(created_at DESC);
 CREATE INDEX idx_llm_usage_provider_model ON llm_usage(provider, model);
+CREATE INDEX idx_llm_usage_request_id ON llm_usage(request_id);
 CREATE INDEX idx_rate_limits_user_id ON rate_limits(user_id);
 CREATE INDEX idx_rate_limits_ip_address ON rate_limits(ip_address);
+CREATE INDEX idx_rate_limit_hits_key_hit_at ON rate_limit_hits(key, hit_at);
+CREATE INDEX idx_rate_limit_hits_expires_at ON rate_limit_hits(expires_at);
+CREATE INDEX idx_api_keys_user_id ON api_keys(user_id) WHERE revoked_at IS NULL;
+CREATE UNIQUE INDEX idx_credit_accounts_organization_id ON credit_accounts(organization_id) WHERE organization_id IS NOT NULL;
+CREATE INDEX idx_credit_transactions_organization_member ON credit_transactions(organization_id, user_id, created_at) WHERE organization_id IS NOT NULL;
+CREATE INDEX idx_credit_holds_organization_id ON credit_holds(organization_id) WHERE status = 'held';
+CREATE INDEX idx_organization_members_organization_id ON organization_members(organization_id);
+CREATE UNIQUE INDEX idx_organization_invites_pending ON organization_invites(organization_id, lower(email)) WHERE accepted_at IS NULL AND revoked_at IS NULL;
+CREATE INDEX idx_credit_transactions_stripe_payment_intent_id ON credit_transactions(stripe_payment_intent_id);
+CREATE INDEX idx_stripe_webhook_events_payment_intent_id ON stripe_webhook_events(payment_intent_id);
+CREATE INDEX idx_credit_disputes_user_id ON credit_disputes(user_id);
+CREATE INDEX idx_credit_accounts_flagged ON credit_accounts(flagged_at) WHERE is_flagged;
+CREATE INDEX idx_credit_holds_user_id ON credit_holds(user_id);
+CREATE INDEX idx_conversations_user_updated ON conversations(user_id, updated_at DESC);
+CREATE INDEX idx_user_subscriptions_user_id ON user_subscriptions(user_id);
+CREATE INDEX idx_user_subscriptions_customer_id ON user_subscriptions(stripe_customer_id);
+CREATE INDEX idx_credit_holds_active_expiry ON credit_holds(expires_at) WHERE status = 'held';
 
 -- Insert Default Credit Packages
-INSERT INTO credit_packages (name, credits, price_usd, stripe_price_id, sort_order, description, features) VALUES
+INSERT INTO credit_packages (name, credits, price_usd, stripe_price_id, sort_order, description, features, is_popular) VALUES
 ('Starter Pack', 100, 10.00, 'price_starter_100', 1, 'Perfect for getting started with AI career insights', 
- '["100 credits ($10 value)", "Basic career insights", "Email support", "Access to all models"]'::jsonb),
+ '["100 credits ($10 value)", "Basic career insights", "Email support", "Access to all models"]'::jsonb, false),
 ('Professional Pack', 500, 45.00, 'price_pro_500', 2, 'Great for regular career planning and development', 
- '["500 credits ($50 value)", "Advanced career analysis", "Priority support", "Model selection", "Usage analytics"]'::jsonb),
+ '["500 credits ($50 value)", "Advanced career analysis", "Priority support", "Model selection", "Usage analytics"]'::jsonb, true),
 ('Business Pack', 2000, 160.00, 'price_business_2000', 3, 'Best value for power users and teams', 
- '["2000 credits ($200 value)", "Unlimited basic questions", "Premium insights", "Team management", "API access"]'::jsonb),
+ '["2000 credits ($200 value)", "Unlimited basic questions", "Premium insights", "Team management", "API access"]'::jsonb, false),
 ('Enterprise Pack', 10000, 800.00, 'price_enterprise_10000', 4, 'Custom solution for large organizations', 
- '["10000 credits ($1000 value)", "Dedicated support", "Custom integrations", "SLA guarantee", "Volume discounts"]'::jsonb);
+ '["10000 credits ($1000 value)", "Dedicated support", "Custom integrations", "SLA guarantee", "Volume discounts"]'::jsonb, false);
+
+-- Insert Default Subscription Plans (set stripe_price_id to the recurring Stripe price)
+INSERT INTO subscription_plans (id, name, tier, monthly_credits, rollover_cap, price_usd, sort_order, description) VALUES
+('starter_monthly', 'Starter', 'starter', 150, 50, 12.00, 1, '150 credits every month, up to 50 unused credits roll over'),
+('pro_monthly', 'Pro', 'professional', 600, 300, 39.00, 2, '600 credits every month, up to 300 unused credits roll over'),
+('business_monthly', 'Business', 'business', 2500, 1250, 149.00, 3, '2500 credits every month, up to 1250 unused credits roll over');
 
 -- Insert LLM Provider Configurations
 INSERT INTO llm_provider_configs (provider, model, credits_per_1k_tokens, input_cost_per_1m_tokens, output_cost_per_1m_tokens) VALUES
@@ -176,6 +451,7 @@ INSERT INTO system_settings (key, value, description) VALUES
 ('rate_limit_registered_hourly', '100', 'Hourly rate limit for registered users'),
 ('rate_limit_anonymous_hourly', '10', 'Hourly rate limit for anonymous users'),
 ('credit_base_value_usd', '0.10', 'Base USD value per credit'),
+('credit_hold_ttl_seconds', '300', 'Seconds before an uncaptured credit hold expires'),
 ('maintenance_mode', 'false', 'System maintenance mode flag');
 
 -- Triggers for updated_at timestamps
@@ -190,4 +466,11 @@ $$ language 'plpgsql';
 CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_credit_accounts_updated_at BEFORE UPDATE ON credit_accounts FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_llm_provider_configs_updated_at BEFORE UPDATE ON llm_provider_configs FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_credit_packages_updated_at BEFORE UPDATE ON credit_packages FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_subscription_plans_updated_at BEFORE UPDATE ON subscription_plans FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_user_subscriptions_updated_at BEFORE UPDATE ON user_subscriptions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_conversations_updated_at BEFORE UPDATE ON conversations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_organizations_updated_at BEFORE UPDATE ON organizations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_career_profiles_updated_at BEFORE UPDATE ON career_profiles FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_organization_members_updated_at BEFORE UPDATE ON organization_members FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_system_settings_updated_at BEFORE UPDATE ON system_settings FOR EACH ROW EXECUTE FUNCTION update_updated_at_column(); 
\ No newline at end of file
@@ -11,6 +11,8 @@ export class CreditsService {
     skill_roadmap: 2,
     regulatory_insights: 3,
     career_transition_plan: 5,
+    resume_analysis: 2,
+    job_match: 2,
   };
 
   async getUserCredits(userId: string): Promise<number> {
@@ -29,11 +31,6 @@ export class CreditsService {
     });
   }
 
-  async deductCredits(userId: string, amount: number, description: string, queryId?: string): Promise<number> {
-    // Placeholder: deduct credits and log transaction
-    return 0;
-  }
-
   async addCredits(userId: string, amount: number, description = 'Credit purchase'): Promise<number> {
     // Placeholder: add credits and log transaction
     return 0;
@@ -1,22 +1,133 @@
 import { RateLimitService } from './RateLimitService';
 import { CreditsService } from './CreditsService';
+import { classifyQuery, classifyByRules, routeQuery } from '../api/query-classifier.js';
+import { callLLMWithFailover } from '../api/llm-failover.js';
+import { findProviderForModel } from '../api/providers/index.js';
+import { getModelConfig } from '../api/llm-providers.js';
+import { calculateProviderCost } from '../api/llm-gateway.js';
+import { holdCredits, captureCreditHold, releaseCreditHold } from '../api/credit-ledger.js';
+import { getRequestId } from '../src/utils/requestContext.js';
+
+export interface QueryQuote {
+  queryType: string;
+  confidence: number;
+  classifiedBy: 'rules' | 'model';
+  model: string;
+  provider: string | null;
+  credits: number;
+}
+
+// Answer length per query type; deeper analyses get more room
+const MAX_TOKENS: Record<string, number> = {
+  basic_question: 500,
+  salary_analysis: 1000,
+  skill_roadmap: 1500,
+  market_intelligence: 1500,
+  regulatory_insights: 1500,
+  career_transition_plan: 2500,
+  detailed_analysis: 2500,
+};
 
 export class QueryService {
   private rateLimitService = new RateLimitService();
   private creditsService = new CreditsService();
 
+  /**
+   * Classify a question, pick its model and price it, without executing it.
+   * Pass rulesOnly to skip the classifier model, e.g. for unmetered quotes.
+   */
+  async quoteQuery(query: string, { rulesOnly = false }: { rulesOnly?: boolean } = {}): Promise<QueryQuote> {
+    const classification = rulesOnly
+      ? classifyByRules(query)
+      : await classifyQuery(query);
+    const model = routeQuery(classification.query_type);
+
+    return {
+      queryType: classification.query_type,
+      confidence: classification.confidence,
+      classifiedBy: classification.stage,
+      model,
+      provider: findProviderForModel(model)?.id ?? null,
+      credits: this.creditsService.getQueryCost(classification.query_type),
+    };
+  }
+
   async processQuery(query: string, userId?: string, sessionId?: string, ipAddress?: string) {
-    // Placeholder: process query logic
+    // Counted before classification, which may call the classifier model
+    const identifier = userId || sessionId || ipAddress || 'anonymous';
+    const identifierType = userId ? 'user' : 'anonymous';
+    const rateLimit = await this.rateLimitService.consumeQuery(identifier, identifierType);
+    if (!rateLimit.allowed) {
+      return { success: false, error: 'Rate limit exceeded', status: 429, resetTime: rateLimit.resetTime };
+    }
+
+    const quote = await this.quoteQuery(query);
+
+    // Priced queries are held on the credit ledger before the model call and
+    // captured once it answers; a failed call releases the hold
+    let hold: { hold_id: string } | null = null;
+    if (quote.credits > 0) {
+      if (!userId) {
+        return { success: false, error: 'Sign in to run this query', status: 401, quote };
+      }
+      const held = await holdCredits(userId, quote.credits, `${quote.queryType} query`, { query_type: quote.queryType });
+      if (!held.success) {
+        return { success: false, error: held.error || 'Insufficient credits', status: 402, quote, balance: held.available };
+      }
+      hold = held;
+    }
+
+    let result;
+    try {
+      result = await callLLMWithFailover({
+        model: quote.model,
+        max_tokens: MAX_TOKENS[quote.queryType] || 1000,
+        messages: [{ role: 'user', content: query }],
+      });
+    } catch (error) {
+      if (hold) {
+        await releaseCreditHold(hold.hold_id, 'failed')
+          .catch((releaseError: Error) => console.error('Failed to release credit hold:', releaseError));
+      }
+      throw error;
+    }
+
+    if (hold) {
+      const modelConfig = getModelConfig(result.model);
+      const capture = await captureCreditHold(hold.hold_id, quote.credits, `${quote.queryType} query`, {
+        provider: result.provider,
+        model: result.model,
+        prompt_tokens: result.usage.prompt_tokens,
+        completion_tokens: result.usage.completion_tokens,
+        total_tokens: result.usage.total_tokens,
+        provider_cost_usd: calculateProviderCost(result.usage, {
+          input_cost_per_1m_tokens: modelConfig.input_cost_per_1m,
+          output_cost_per_1m_tokens: modelConfig.output_cost_per_1m,
+        }),
+        request_id: getRequestId(),
+        provider_request_id: result.request_id,
+        response_time_ms: result.response_time_ms,
+        status: 'completed',
+        query_type: quote.queryType,
+      });
+      if (!capture.success) {
+        return { success: false, error: capture.error || 'Credit consumption failed', status: 402, quote };
+      }
+    }
+
     return {
       success: true,
-      response: 'Query processed (placeholder)',
-      creditsUsed: 0,
-      queryType: 'basic_question',
+      response: result.choices[0].message.content,
+      creditsUsed: quote.credits,
+      queryType: quote.queryType,
+      model: result.model,
+      provider: result.provider,
+      fallbackUsed: result.fallback_used,
     };
   }
 
   async classifyQuery(query: string): Promise<string> {
-    // Placeholder: classify query type
-    return 'basic_question';
+    const classification = await classifyQuery(query);
+    return classification.query_type;
   }
-} 
\ No newline at end of file
+}
@@ -1,25 +1,63 @@
+import {
+  getRateLimiter,
+  rateLimitKey,
+  resolveUserTier,
+  RATE_LIMIT_TIERS,
+} from '../api/rate-limiter.js';
+
+export type RateLimitTier = 'anonymous' | 'free_user' | 'paid_user';
+
 export class RateLimitService {
-  private limits = {
-    anonymous: { hourly: 5, daily: 15 },
-    free_user: { hourly: 10, daily: 20 },
-    paid_user: { hourly: 100, daily: Infinity },
-  };
+  private limiter = getRateLimiter();
+  private limits = RATE_LIMIT_TIERS;
+
+  async getTier(identifier: string, identifierType: string): Promise<RateLimitTier> {
+    return identifierType === 'user' ? resolveUserTier(identifier) : 'anonymous';
+  }
 
   async checkRateLimit(identifier: string, identifierType: string) {
-    // Placeholder: check rate limit logic
+    const tier = await this.getTier(identifier, identifierType);
+    const result = await this.limiter.check(rateLimitKey(identifier, identifierType), tier);
     return {
-      allowed: true,
-      remaining: { hourly: 10, daily: 20 },
-      resetTime: new Date(),
+      allowed: result.allowed,
+      tier,
+      remaining: {
+        hourly: result.windows.hourly.remaining,
+        daily: result.windows.daily.remaining,
+      },
+      resetTime: result.reset,
+      retryAfter: result.retry_after,
     };
   }
 
-  async recordQuery(identifier: string, identifierType: string) {
-    // Placeholder: record query usage
+  /**
+   * Check the limit and record the query in one atomic step
+   */
+  async consumeQuery(identifier: string, identifierType: string) {
+    const tier = await this.getTier(identifier, identifierType);
+    const result = await this.limiter.consume(rateLimitKey(identifier, identifierType), tier);
+    return {
+      allowed: result.allowed,
+      tier,
+      remaining: {
+        hourly: result.windows.hourly.remaining,
+        daily: result.windows.daily.remaining,
+      },
+      resetTime: result.reset,
+      retryAfter: result.retry_after,
+    };
   }
 
   async getCurrentUsage(identifier: string, identifierType: string) {
-    // Placeholder: get current usage counts
-    return { hourly: 0, daily: 0 };
+    const tier = await this.getTier(identifier, identifierType);
+    const result = await this.limiter.check(rateLimitKey(identifier, identifierType), tier);
+    return {
+      hourly: result.windows.hourly.used,
+      daily: result.windows.daily.used,
+    };
+  }
+
+  getLimits(tier: RateLimitTier) {
+    return this.limits[tier];
   }
-} 
\ No newline at end of file
+}
@@ -1,6 +1,5 @@
-import { PrismaClient } from '@prisma/client';
-
-const prisma = new PrismaClient();
+import { getPrisma } from '../api/db.js';
+import { getCreditPackages } from '../api/credit-packages.js';
 
 class CreditsService {
   constructor() {
@@ -12,33 +11,11 @@ class CreditsService {
       'detailed_analysis': 3,        // Claude Opus - comprehensive analysis
       'market_intelligence': 2,      // Perplexity + Claude Sonnet
       'regulatory_insights': 5,      // Claude Opus - complex legal analysis
-      'career_transition_plan': 5    // Claude Opus - comprehensive planning
+      'career_transition_plan': 5,   // Claude Opus - comprehensive planning
+      'resume_analysis': 2,          // Claude Sonnet - uploaded resume against a target role
+      'job_match': 2                 // Claude Sonnet - cover letter and fit narrative for a job description
     };
 
-    // Updated credit packages - $0.10 per credit base rate
-    this.creditPackages = [
-      {
-        name: "Starter",
-        credits: 100,
-        price_cents: 1000,  // $10.00 = $0.10 per credit
-        description: "Perfect for getting started with AI career insights",
-        popular: false
-      },
-      {
-        name: "Professional", 
-        credits: 500,
-        price_cents: 4500,  // $45.00 = $0.09 per credit (10% discount)
-        description: "Great for regular career planning and development",
-        popular: true
-      },
-      {
-        name: "Business",
-        credits: 2000,
-        price_cents: 16000,  // $160.00 = $0.08 per credit (20% discount)
-        description: "Best value for power users and teams"
-      }
-    ];
-
     // LLM-specific credit multipliers
     this.modelCosts = {
       'claude-sonnet': 1,      // Base rate
@@ -50,7 +27,7 @@ class CreditsService {
   }
 
   async getUserCredits(userId) {
-    const user = await prisma.users.findUnique({
+    const user = await getPrisma().users.findUnique({
       where: { id: userId },
       select: { credits_remaining: true }
     });
@@ -58,7 +35,7 @@ class CreditsService {
   }
 
   async deductCredits(userId, amount, description, queryId) {
-    const user = await prisma.users.findUnique({
+    const user = await getPrisma().users.findUnique({
       where: { id: userId }
     });
 
@@ -66,13 +43,13 @@ class CreditsService {
       throw new Error('Insufficient credits');
     }
 
-    const updatedUser = await prisma.users.update({
+    const updatedUser = await getPrisma().users.update({
       where: { id: userId },
       data: { credits_remaining: user.credits_remaining - amount }
     });
 
     // Log the transaction
-    await prisma.credit_transactions.create({
+    await getPrisma().credit_transactions.create({
       data: {
         userId,
         transactionType: 'usage',
@@ -88,17 +65,17 @@ class CreditsService {
   }
 
   async addCredits(userId, amount, description = 'Credit purchase') {
-    const user = await prisma.users.findUnique({
+    const user = await getPrisma().users.findUnique({
       where: { id: userId }
     });
 
-    const updatedUser = await prisma.users.update({
+    const updatedUser = await getPrisma().users.update({
       where: { id: userId },
       data: { credits_remaining: user.credits_remaining + amount }
     });
 
     // Log the transaction
-    await prisma.credit_transactions.create({
+    await getPrisma().credit_transactions.create({
       data: {
         userId,
         transactionType: 'purchase',
@@ -118,8 +95,9 @@ class CreditsService {
     return Math.ceil(baseCost * modelMultiplier);
   }
 
-  getCreditPackages() {
-    return this.creditPackages;
+  // Packages live in the credit_packages table (see api/credit-packages.js)
+  async getCreditPackages() {
+    return getCreditPackages();
   }
 
   // Calculate actual USD cost for transparency
@@ -1,7 +1,8 @@
-import React, { useState } from 'react';
-import { CreditCard, Zap, Star, Check, Brain, Search, FileText, ShoppingCart, User, LogOut } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { CreditCard, Zap, Star, Check, Brain, Search, FileText, ShoppingCart, User, LogOut, BarChart3 } from 'lucide-react';
 import LLMTester from './components/LLMTester';
 import CreditPurchase from './components/CreditPurchase';
+import UsageDashboard from './components/UsageDashboard';
 import AuthLogin from './components/AuthLogin';
 import { SupabaseAuthProvider, useAuth } from './contexts/SupabaseAuthContext';
 
@@ -9,6 +10,20 @@ function AppContent() {
   const { user, isLoading, isAuthenticated, signOut } = useAuth();
   const [selectedPackage, setSelectedPackage] = useState(null);
   const [showCreditPurchase, setShowCreditPurchase] = useState(false);
+  const [showUsage, setShowUsage] = useState(false);
+  const [creditPackages, setCreditPackages] = useState([]);
+
+  // Packages are managed in the credit_packages table and served by the API
+  useEffect(() => {
+    fetch('http://localhost:3001/api/stripe/packages')
+      .then(response => response.json())
+      .then(result => {
+        if (result.success) {
+          setCreditPackages(result.data);
+        }
+      })
+      .catch(error => console.error('Error fetching packages:', error));
+  }, []);
 
   if (isLoading) {
     return (
@@ -25,34 +40,6 @@ function AppContent() {
     return <AuthLogin />;
   }
 
-  const creditPackages = [
-    {
-      name: "Starter",
-      credits: 100,
-      price: 10.00,
-      pricePerCredit: 0.10,
-      description: "Perfect for getting started with AI career insights",
-      features: ["100 credits ($10 value)", "Basic career insights", "Email support", "Access to all models"]
-    },
-    {
-      name: "Professional", 
-      credits: 500,
-      price: 45.00,
-      pricePerCredit: 0.09,
-      description: "Great for regular career planning and development",
-      popular: true,
-      features: ["500 credits ($50 value)", "Advanced career analysis", "Priority support", "Model selection", "Usage analytics"]
-    },
-    {
-      name: "Business",
-      credits: 2000,
-      price: 160.00,
-      pricePerCredit: 0.08,
-      description: "Best value for power users and teams",
-      features: ["2000 credits ($200 value)", "Unlimited basic questions", "Premium insights", "Team management", "API access"]
-    }
-  ];
-
   const queryTypes = [
     { 
       name: "Basic Question", 
@@ -177,6 +164,13 @@ function AppContent() {
                 <ShoppingCart className="w-4 h-4" />
                 <span>Buy Credits</span>
               </button>
+              <button
+                onClick={() => setShowUsage(!showUsage)}
+                className="flex items-center space-x-2 bg-white text-blue-600 border border-blue-600 px-4 py-2 rounded-lg hover:bg-blue-50 transition-colors"
+              >
+                <BarChart3 className="w-4 h-4" />
+                <span>{showUsage ? 'Hide Usage' : 'Usage'}</span>
+              </button>
               <button
                 onClick={signOut}
                 className="flex items-center space-x-2 bg-gray-600 text-white px-4 py-2 rounded-lg hover:bg-gray-700 transition-colors"
@@ -189,6 +183,9 @@ function AppContent() {
           </div>
         </div>
 
+        {/* Usage Analytics Dashboard */}
+        {showUsage && <UsageDashboard />}
+
         {/* Main Header */}
         <div className="text-center mb-12">
           <h1 className="text-4xl font-bold text-gray-900 mb-4">
@@ -273,7 +270,7 @@ function AppContent() {
           <div className="grid md:grid-cols-3 gap-6">
             {creditPackages.map((pkg, index) => (
               <div 
-                key={index}
+                key={pkg.id}
                 className={`relative bg-white rounded-lg shadow-lg p-6 cursor-pointer transition-all duration-200 ${
                   pkg.popular ? 'ring-2 ring-blue-500 transform scale-105' : 'hover:shadow-xl'
                 } ${selectedPackage === index ? 'ring-2 ring-green-500' : ''}`}
@@ -296,10 +293,10 @@ function AppContent() {
                 <div className="text-center mb-4">
                   <div className="text-3xl font-bold text-gray-900">${pkg.price}</div>
                   <div className="text-sm text-gray-500">{pkg.credits} credits</div>
-                  <div className="text-xs text-gray-400">${pkg.pricePerCredit.toFixed(3)} per credit</div>
-                  {pkg.pricePerCredit < 0.10 && (
+                  <div className="text-xs text-gray-400">${pkg.price_per_credit.toFixed(3)} per credit</div>
+                  {pkg.price_per_credit < 0.10 && (
                     <div className="text-xs text-green-600 font-medium">
-                      Save {Math.round((0.10 - pkg.pricePerCredit) / 0.10 * 100)}%!
+                      Save {Math.round((0.10 - pkg.price_per_credit) / 0.10 * 100)}%!
                     </div>
                   )}
                 </div>
@@ -20,34 +20,6 @@ const AppContent: React.FC = () => {
     );
   }
 
-  const creditPackages = [
-    {
-      name: "Starter",
-      credits: 100,
-      price: 10.00,
-      pricePerCredit: 0.10,
-      description: "Perfect for getting started with AI career insights",
-      features: ["100 credits ($10 value)", "Basic career insights", "Email support", "Access to all models"]
-    },
-    {
-      name: "Professional", 
-      credits: 500,
-      price: 45.00,
-      pricePerCredit: 0.09,
-      description: "Great for regular career planning and development",
-      popular: true,
-      features: ["500 credits ($50 value)", "Advanced career analysis", "Priority support", "Model selection", "Usage analytics"]
-    },
-    {
-      name: "Business",
-      credits: 2000,
-      price: 160.00,
-      pricePerCredit: 0.08,
-      description: "Best value for power users and teams",
-      features: ["2000 credits ($200 value)", "Unlimited basic questions", "Premium insights", "Team management", "API access"]
-    }
-  ];
-
   const queryTypes = [
     { 
       name: "Basic Question", 
@@ -222,7 +194,7 @@ const AppContent: React.FC = () => {
         {/* Credit Purchase Modal */}
         {showCreditPurchase && (
           <CreditPurchase
-            packages={creditPackages}
+            isOpen={showCreditPurchase}
             onClose={() => setShowCreditPurchase(false)}
             onPurchaseComplete={(credits) => {
               updateCredits((user?.credits || 0) + credits);
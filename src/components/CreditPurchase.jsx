@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { loadStripe } from '@stripe/stripe-js';
+import { getAuthHeaders } from '../lib/supabase.js';
 
 // Initialize Stripe with the publishable key
 const stripePromise = loadStripe('pk_live_51RYsvrJ1V7TuZJ0z4tL4lVz0zVrZPnTi3OFEF0aYWxjtUPKiKoYWt8sP02qzZFVAzt1XrBjNj2i6V9xuCtynpg86005tXMh1zV');
@@ -51,18 +52,15 @@ const CreditPurchase = ({ isOpen, onClose, currentCredits = 0 }) => {
     setError('');
 
     try {
-      // Generate a demo user ID (in production, this would come from authentication)
-      const userId = `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-      // Create payment intent
+      // Create payment intent for the signed-in user
       const response = await fetch('http://localhost:3001/api/stripe/create-payment-intent', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...(await getAuthHeaders()),
         },
         body: JSON.stringify({
-          package_id: packageData.id,
-          user_id: userId
+          package_id: packageData.id
         }),
       });
 
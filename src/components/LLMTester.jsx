@@ -1,4 +1,31 @@
 import React, { useState } from 'react';
+import { getAuthHeaders } from '../lib/supabase.js';
+
+// Read a text/event-stream response body, calling onEvent(name, data) per event
+const readEventStream = async (body, onEvent) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+
+    for (const rawEvent of events) {
+      let eventName = 'message';
+      let data = '';
+      for (const line of rawEvent.split('\n')) {
+        if (line.startsWith('event:')) eventName = line.slice(6).trim();
+        if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+      if (data) onEvent(eventName, JSON.parse(data));
+    }
+  }
+};
 
 const LLMTester = () => {
   const [query, setQuery] = useState('');
@@ -8,6 +35,8 @@ const LLMTester = () => {
   const [providers, setProviders] = useState([]);
   const [error, setError] = useState(null);
   const [selectedProvider, setSelectedProvider] = useState('claude');
+  const [streamResponse, setStreamResponse] = useState(true);
+  const [streaming, setStreaming] = useState(false);
 
   // Fetch available providers on component mount
   React.useEffect(() => {
@@ -33,8 +62,8 @@ const LLMTester = () => {
       if (data.data && data.data.length > 0) {
         const firstProvider = data.data[0];
         if (firstProvider.models && firstProvider.models.length > 0) {
-          setModel(firstProvider.models[0]);
-          setSelectedProvider(firstProvider.name);
+          setModel(firstProvider.default_model || firstProvider.models[0].id);
+          setSelectedProvider(firstProvider.id);
         }
       }
     } catch (error) {
@@ -52,16 +81,13 @@ const LLMTester = () => {
     setResponse(null);
 
     try {
-      // Generate a demo user ID (in production, this would come from authentication)
-      const userId = `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
       const response = await fetch('http://localhost:3001/api/llm/query', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...(await getAuthHeaders()),
         },
         body: JSON.stringify({
-          user_id: userId,
           messages: [
             {
               role: 'user',
@@ -70,10 +96,32 @@ const LLMTester = () => {
           ],
           model: model,
           max_tokens: 1000,
-          temperature: 0.7
+          temperature: 0.7,
+          stream: streamResponse
         }),
       });
 
+      const contentType = response.headers.get('Content-Type') || '';
+      if (streamResponse && contentType.includes('text/event-stream')) {
+        setStreaming(true);
+        await readEventStream(response.body, (eventName, payload) => {
+          if (eventName === 'start') {
+            setResponse({ response: '', model: payload.model, provider: payload.provider });
+          } else if (eventName === 'token') {
+            setResponse(prev => ({ ...prev, response: (prev?.response || '') + payload.content }));
+          } else if (eventName === 'done') {
+            setResponse(prev => ({
+              ...prev,
+              ...payload,
+              response_time_ms: payload.usage.response_time_ms
+            }));
+          } else if (eventName === 'error') {
+            setError(payload.message || 'Streaming failed');
+          }
+        });
+        return;
+      }
+
       const data = await response.json();
 
       if (data.success) {
@@ -85,6 +133,7 @@ const LLMTester = () => {
       setError('Network error: ' + err.message);
     } finally {
       setLoading(false);
+      setStreaming(false);
     }
   };
 
@@ -93,9 +142,9 @@ const LLMTester = () => {
     setModel(selectedModel);
     
     // Find the provider for this model
-    const provider = providers.find(p => p.models.includes(selectedModel));
+    const provider = providers.find(p => p.models.some(m => m.id === selectedModel));
     if (provider) {
-      setSelectedProvider(provider.name);
+      setSelectedProvider(provider.id);
     }
   };
 
@@ -118,9 +167,9 @@ const LLMTester = () => {
         ) : (
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
             {providers.map((provider) => (
-              <div key={provider.name} className="p-3 border rounded-lg">
+              <div key={provider.id} className="p-3 border rounded-lg">
                 <div className="flex items-center justify-between">
-                  <span className="font-medium capitalize">{provider.name}</span>
+                  <span className="font-medium">{provider.name}</span>
                   <span className={`px-2 py-1 text-xs rounded-full ${
                     provider.status === 'available' 
                       ? 'bg-green-100 text-green-800' 
@@ -130,10 +179,7 @@ const LLMTester = () => {
                   </span>
                 </div>
                 <div className="text-sm text-gray-600 mt-1">
-                  {provider.models.length} models • ${provider.pricing.per_1k_tokens}/1K tokens
-                </div>
-                <div className="text-xs text-gray-500 mt-1">
-                  {provider.description}
+                  {provider.models.length} models • {Math.min(...provider.models.map(m => m.credits_per_1k_tokens))}-{Math.max(...provider.models.map(m => m.credits_per_1k_tokens))} credits/1K tokens
                 </div>
               </div>
             ))}
@@ -154,9 +200,9 @@ const LLMTester = () => {
             className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
           >
             {providers.flatMap(provider => 
-              provider.models.map(modelName => (
-                <option key={modelName} value={modelName}>
-                  {provider.name.toUpperCase()} - {modelName}
+              provider.models.map(providerModel => (
+                <option key={providerModel.id} value={providerModel.id}>
+                  {provider.name} - {providerModel.name}
                 </option>
               ))
             )}
@@ -177,12 +223,22 @@ const LLMTester = () => {
           />
         </div>
 
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={streamResponse}
+            onChange={(e) => setStreamResponse(e.target.checked)}
+            className="rounded border-gray-300"
+          />
+          <span>Stream tokens as they are generated</span>
+        </label>
+
         <button
           type="submit"
           disabled={loading || !query.trim() || providers.length === 0}
           className="w-full bg-blue-600 text-white py-3 px-6 rounded-lg font-medium hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
         >
-          {loading ? 'Processing...' : 'Send Query (Uses Credits)'}
+          {streaming ? 'Streaming...' : loading ? 'Processing...' : 'Send Query (Uses Credits)'}
         </button>
       </form>
 
@@ -202,7 +258,10 @@ const LLMTester = () => {
         <div className="mt-6 space-y-4">
           <div className="p-4 bg-green-50 border border-green-200 rounded-lg">
             <h3 className="text-lg font-semibold text-green-800 mb-2">Response</h3>
-            <p className="text-green-700 whitespace-pre-wrap">{response.response}</p>
+            <p className="text-green-700 whitespace-pre-wrap">
+              {response.response}
+              {streaming && <span className="animate-pulse">▍</span>}
+            </p>
             {response.is_mock && (
               <div className="mt-2 p-2 bg-yellow-100 border border-yellow-300 rounded text-sm text-yellow-800">
                 ⚠️ This is a mock response. Real API call failed: {response.mock_reason}
@@ -227,11 +286,11 @@ const LLMTester = () => {
               </div>
               <div>
                 <span className="font-medium">Credits Consumed:</span>
-                <div className="text-blue-600 font-semibold">{response.credits_consumed}</div>
+                <div className="text-blue-600 font-semibold">{response.usage?.credits_consumed ?? 'N/A'}</div>
               </div>
             </div>
             <div className="mt-2 text-sm text-gray-600">
-              Response Time: {Math.round(response.response_time_ms)}ms | 
+              Response Time: {Math.round(response.response_time_ms ?? response.usage?.response_time_ms ?? 0)}ms | 
               Request ID: {response.request_id}
             </div>
             {response.usage && (
@@ -0,0 +1,201 @@
+import React, { useState, useEffect } from 'react';
+import { BarChart3 } from 'lucide-react';
+import { getAuthHeaders } from '../lib/supabase.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateInput = (date) => date.toISOString().slice(0, 10);
+
+const METRICS = [
+  { key: 'credits', label: 'Credits', color: '#2563eb', format: (value) => value.toFixed(2) },
+  { key: 'tokens', label: 'Tokens', color: '#7c3aed', format: (value) => Math.round(value).toLocaleString() },
+  { key: 'avg_response_time_ms', label: 'Avg latency (ms)', color: '#059669', format: (value) => Math.round(value).toLocaleString() }
+];
+
+const BREAKDOWNS = [
+  { key: 'provider', label: 'Provider' },
+  { key: 'model', label: 'Model' },
+  { key: 'query_type', label: 'Query type' }
+];
+
+// Minimal SVG line chart; buckets are already ordered by date
+const LineChart = ({ series, metric }) => {
+  const width = 600;
+  const height = 160;
+  const padding = 24;
+  const values = series.map(bucket => bucket[metric.key] || 0);
+  const max = Math.max(...values, 1);
+  const step = series.length > 1 ? (width - 2 * padding) / (series.length - 1) : 0;
+  const points = values.map((value, index) => (
+    `${padding + index * step},${height - padding - (value / max) * (height - 2 * padding)}`
+  ));
+
+  return (
+    <div className="p-4 border rounded-lg">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="font-medium text-gray-800">{metric.label}</h4>
+        <span className="text-sm text-gray-500">max {metric.format(max)}</span>
+      </div>
+      {series.length === 0 ? (
+        <p className="text-sm text-gray-500">No usage in this period</p>
+      ) : (
+        <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-40" role="img" aria-label={`${metric.label} over time`}>
+          <line x1={padding} y1={height - padding} x2={width - padding} y2={height - padding} stroke="#e5e7eb" />
+          <polyline fill="none" stroke={metric.color} strokeWidth="2" points={points.join(' ')} />
+          {points.map((point, index) => {
+            const [x, y] = point.split(',');
+            return (
+              <circle key={series[index].key} cx={x} cy={y} r="3" fill={metric.color}>
+                <title>{`${series[index].key}: ${metric.format(values[index])}`}</title>
+              </circle>
+            );
+          })}
+          <text x={padding} y={height - 6} fontSize="10" fill="#6b7280">{series[0].key}</text>
+          <text x={width - padding} y={height - 6} fontSize="10" fill="#6b7280" textAnchor="end">
+            {series[series.length - 1].key}
+          </text>
+        </svg>
+      )}
+    </div>
+  );
+};
+
+const UsageDashboard = () => {
+  const [startDate, setStartDate] = useState(toDateInput(new Date(Date.now() - 30 * DAY_MS)));
+  const [endDate, setEndDate] = useState(toDateInput(new Date()));
+  const [timeGrouping, setTimeGrouping] = useState('day');
+  const [breakdown, setBreakdown] = useState('model');
+  const [timeline, setTimeline] = useState(null);
+  const [breakdownSeries, setBreakdownSeries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchAnalytics = async (groupBy) => {
+    const params = new URLSearchParams({ start_date: startDate, end_date: endDate, group_by: groupBy });
+    const response = await fetch(`http://localhost:3001/api/usage/analytics?${params}`, {
+      headers: await getAuthHeaders()
+    });
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.message || 'Failed to load usage analytics');
+    }
+    return data.data;
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    Promise.all([fetchAnalytics(timeGrouping), fetchAnalytics(breakdown)])
+      .then(([timelineData, breakdownData]) => {
+        if (!cancelled) {
+          setTimeline(timelineData);
+          setBreakdownSeries(breakdownData.series);
+        }
+      })
+      .catch(err => !cancelled && setError(err.message))
+      .finally(() => !cancelled && setLoading(false));
+
+    return () => { cancelled = true; };
+  }, [startDate, endDate, timeGrouping, breakdown]);
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-8">
+      <h2 className="text-2xl font-semibold mb-4 flex items-center">
+        <BarChart3 className="mr-2 text-blue-500" />
+        Usage Analytics
+      </h2>
+
+      <div className="flex flex-wrap items-end gap-4 mb-6">
+        <label className="text-sm text-gray-700">
+          From
+          <input type="date" value={startDate} max={endDate} onChange={(e) => setStartDate(e.target.value)}
+            className="block mt-1 p-2 border border-gray-300 rounded-lg" />
+        </label>
+        <label className="text-sm text-gray-700">
+          To
+          <input type="date" value={endDate} min={startDate} onChange={(e) => setEndDate(e.target.value)}
+            className="block mt-1 p-2 border border-gray-300 rounded-lg" />
+        </label>
+        <label className="text-sm text-gray-700">
+          Interval
+          <select value={timeGrouping} onChange={(e) => setTimeGrouping(e.target.value)}
+            className="block mt-1 p-2 border border-gray-300 rounded-lg">
+            <option value="day">Daily</option>
+            <option value="week">Weekly</option>
+            <option value="month">Monthly</option>
+          </select>
+        </label>
+      </div>
+
+      {error && (
+        <div className="p-4 mb-4 bg-red-50 border border-red-200 rounded-lg text-red-800">{error}</div>
+      )}
+      {loading && !timeline && <p className="text-gray-600">Loading usage...</p>}
+
+      {timeline && (
+        <>
+          <div className="grid md:grid-cols-4 gap-4 mb-6">
+            <div className="p-4 bg-gray-50 rounded-lg text-center">
+              <p className="text-sm text-gray-600">Requests</p>
+              <p className="text-2xl font-bold text-gray-900">{timeline.totals.requests.toLocaleString()}</p>
+            </div>
+            <div className="p-4 bg-gray-50 rounded-lg text-center">
+              <p className="text-sm text-gray-600">Credits</p>
+              <p className="text-2xl font-bold text-blue-600">{timeline.totals.credits_consumed.toFixed(2)}</p>
+            </div>
+            <div className="p-4 bg-gray-50 rounded-lg text-center">
+              <p className="text-sm text-gray-600">Tokens</p>
+              <p className="text-2xl font-bold text-purple-600">{Number(timeline.totals.total_tokens).toLocaleString()}</p>
+            </div>
+            <div className="p-4 bg-gray-50 rounded-lg text-center">
+              <p className="text-sm text-gray-600">Avg latency</p>
+              <p className="text-2xl font-bold text-green-600">{Math.round(timeline.totals.avg_response_time_ms)} ms</p>
+            </div>
+          </div>
+
+          <div className="grid md:grid-cols-3 gap-4 mb-6">
+            {METRICS.map(metric => (
+              <LineChart key={metric.key} series={timeline.series} metric={metric} />
+            ))}
+          </div>
+
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="text-lg font-semibold text-gray-700">Breakdown</h3>
+            <select value={breakdown} onChange={(e) => setBreakdown(e.target.value)}
+              className="p-2 border border-gray-300 rounded-lg text-sm">
+              {BREAKDOWNS.map(option => (
+                <option key={option.key} value={option.key}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600 border-b">
+                <th className="py-2">{BREAKDOWNS.find(option => option.key === breakdown).label}</th>
+                <th className="py-2 text-right">Requests</th>
+                <th className="py-2 text-right">Credits</th>
+                <th className="py-2 text-right">Tokens</th>
+                <th className="py-2 text-right">Avg latency</th>
+              </tr>
+            </thead>
+            <tbody>
+              {breakdownSeries.map(bucket => (
+                <tr key={bucket.key} className="border-b last:border-0">
+                  <td className="py-2 font-medium text-gray-900">{bucket.key}</td>
+                  <td className="py-2 text-right">{bucket.requests.toLocaleString()}</td>
+                  <td className="py-2 text-right">{bucket.credits.toFixed(2)}</td>
+                  <td className="py-2 text-right">{bucket.tokens.toLocaleString()}</td>
+                  <td className="py-2 text-right">{bucket.avg_response_time_ms === null ? '—' : `${Math.round(bucket.avg_response_time_ms)} ms`}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default UsageDashboard;
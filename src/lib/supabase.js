@@ -63,4 +63,9 @@ export const updateUserCredits = async (userId, credits) => {
     .select()
     .single()
   return { data, error }
-} 
\ No newline at end of file
+} 
+// Authorization header for API calls; the server identifies the user from this token
+export const getAuthHeaders = async () => {
+  const { data: { session } } = await supabase.auth.getSession()
+  return session?.access_token ? { Authorization: `Bearer ${session.access_token}` } : {}
+}
@@ -0,0 +1,218 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { sendError } from '../utils/apiResponse.js';
+import { logWarning } from '../utils/logger.js';
+import { authenticateApiKey, isApiKey } from '../../api/api-keys.js';
+
+// Supabase access token verification
+// Projects on the legacy shared secret sign with HS256 (SUPABASE_JWT_SECRET);
+// projects with asymmetric signing keys publish them as a JWKS. Tokens are
+// checked for signature, expiry, audience and (when the project URL is known)
+// issuer before req.user is set. Personal API keys (X-API-Key, or a bearer
+// token starting with vk_) identify their owner with the key's scopes.
+
+const JWKS_CACHE_TTL_MS = 10 * 60 * 1000;
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'ES256'];
+
+export class UnauthorizedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnauthorizedError';
+  }
+}
+
+const getSupabaseUrl = () => (
+  process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL || process.env.NEXT_PUBLIC_SUPABASE_URL || ''
+).replace(/\/$/, '');
+
+const getJwksUrl = () => (
+  process.env.SUPABASE_JWKS_URL || (getSupabaseUrl() && `${getSupabaseUrl()}/auth/v1/.well-known/jwks.json`)
+);
+
+let jwksCache = { url: null, keys: new Map(), fetchedAt: 0 };
+
+async function fetchSigningKeys(url) {
+  const response = await fetch(url, { headers: { Accept: 'application/json' } });
+  if (!response.ok) {
+    throw new Error(`JWKS request failed: ${response.status}`);
+  }
+
+  const { keys = [] } = await response.json();
+  const signingKeys = new Map();
+  for (const jwk of keys) {
+    if (jwk.kid && (!jwk.use || jwk.use === 'sig')) {
+      signingKeys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    }
+  }
+  jwksCache = { url, keys: signingKeys, fetchedAt: Date.now() };
+}
+
+/**
+ * Public key for a token's kid; the JWKS is refetched when stale or when the
+ * kid is unknown (the project rotated its keys)
+ */
+async function getSigningKey(kid) {
+  const url = getJwksUrl();
+  if (!url) {
+    throw new UnauthorizedError('Asymmetric tokens require SUPABASE_URL or SUPABASE_JWKS_URL');
+  }
+
+  const stale = jwksCache.url !== url || Date.now() - jwksCache.fetchedAt > JWKS_CACHE_TTL_MS;
+  if (stale || !jwksCache.keys.has(kid)) {
+    await fetchSigningKeys(url);
+  }
+
+  const key = jwksCache.keys.get(kid);
+  if (!key) {
+    throw new UnauthorizedError('Unknown token signing key');
+  }
+  return key;
+}
+
+export function resetSigningKeyCache() {
+  jwksCache = { url: null, keys: new Map(), fetchedAt: 0 };
+}
+
+/**
+ * Verify a Supabase access token and resolve to its claims.
+ * Throws UnauthorizedError when the token is malformed, expired or not signed
+ * by the project.
+ */
+export async function verifySupabaseToken(token) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded?.header || typeof decoded.payload !== 'object') {
+    throw new UnauthorizedError('Malformed access token');
+  }
+
+  const { alg, kid } = decoded.header;
+  let key;
+  let algorithms;
+  if (alg === 'HS256') {
+    if (!process.env.SUPABASE_JWT_SECRET) {
+      throw new UnauthorizedError('HS256 tokens require SUPABASE_JWT_SECRET');
+    }
+    key = process.env.SUPABASE_JWT_SECRET;
+    algorithms = ['HS256'];
+  } else if (ASYMMETRIC_ALGORITHMS.includes(alg) && kid) {
+    key = await getSigningKey(kid);
+    algorithms = [alg];
+  } else {
+    throw new UnauthorizedError(`Unsupported token algorithm: ${alg}`);
+  }
+
+  const supabaseUrl = getSupabaseUrl();
+  try {
+    return jwt.verify(token, key, {
+      algorithms,
+      audience: process.env.SUPABASE_JWT_AUDIENCE || 'authenticated',
+      ...(supabaseUrl && { issuer: `${supabaseUrl}/auth/v1` })
+    });
+  } catch (error) {
+    throw new UnauthorizedError(error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token');
+  }
+}
+
+const getBearerToken = (req) => {
+  const header = req.headers?.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme?.toLowerCase() === 'bearer' && token ? token : null;
+};
+
+const getApiKey = (req) => {
+  const header = req.headers?.['x-api-key'];
+  if (header) {
+    return header;
+  }
+  const token = getBearerToken(req);
+  return isApiKey(token) ? token : null;
+};
+
+/**
+ * User for a request's API key or bearer token: null when neither was sent,
+ * throws UnauthorizedError when one was sent but does not verify
+ */
+export async function getRequestUser(req) {
+  const apiKey = getApiKey(req);
+  if (apiKey) {
+    const key = await authenticateApiKey(apiKey);
+    if (!key) {
+      throw new UnauthorizedError('Invalid API key');
+    }
+    return {
+      id: key.user_id,
+      email: key.email,
+      role: 'api_key',
+      session_id: null,
+      subscription_tier: key.subscription_tier,
+      api_key_id: key.id,
+      scopes: key.scopes
+    };
+  }
+
+  const token = getBearerToken(req);
+  if (!token) {
+    return null;
+  }
+
+  const claims = await verifySupabaseToken(token);
+  if (!claims.sub) {
+    throw new UnauthorizedError('Access token has no subject');
+  }
+  return {
+    id: claims.sub,
+    email: claims.email || null,
+    role: claims.role || 'authenticated',
+    session_id: claims.session_id || null
+  };
+}
+
+/**
+ * Whether a user may use a scope; signed-in sessions hold every scope, API
+ * keys only those they were created with
+ */
+export function hasScope(user, scope) {
+  return !user?.api_key_id || user.scopes.includes(scope);
+}
+
+// Populate req.user when a valid token is sent; anonymous requests pass through.
+// A token that fails verification is rejected rather than treated as anonymous.
+export const authenticate = async (req, res, next) => {
+  try {
+    req.user = await getRequestUser(req) || undefined;
+  } catch (error) {
+    if (!(error instanceof UnauthorizedError)) {
+      logWarning('Access token verification failed', { error: error.message, url: req.url });
+      return sendError(res, 'Authentication unavailable', 503);
+    }
+    logWarning('Rejected access token', { reason: error.message, ip: req.ip, url: req.url });
+    return sendError(res, error.message, 401);
+  }
+  next();
+};
+
+// Require a signed-in user (run after authenticate)
+export const requireAuth = (req, res, next) => {
+  if (!req.user) {
+    return sendError(res, 'Authentication required', 401);
+  }
+  next();
+};
+
+// Reject API keys that were not granted the scope (anonymous and session callers pass)
+export const requireScope = (scope) => (req, res, next) => {
+  if (!hasScope(req.user, scope)) {
+    return sendError(res, `API key lacks the ${scope} scope`, 403);
+  }
+  next();
+};
+
+// Require a signed-in session; API keys cannot buy credits or manage keys
+export const requireSession = (req, res, next) => {
+  if (!req.user) {
+    return sendError(res, 'Authentication required', 401);
+  }
+  if (req.user.api_key_id) {
+    return sendError(res, 'This endpoint is not available to API keys', 403);
+  }
+  next();
+};
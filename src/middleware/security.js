@@ -1,7 +1,15 @@
 import helmet from 'helmet';
 import cors from 'cors';
 import rateLimit from 'express-rate-limit';
-import { logWarning } from '../utils/logger.js';
+import { logInfo, logWarning } from '../utils/logger.js';
+import { resolveRequestId, runWithRequestContext } from '../utils/requestContext.js';
+import {
+  httpRequestsTotal,
+  httpRequestDuration,
+  rateLimitRejectionsTotal,
+  routeLabel
+} from '../utils/metrics.js';
+import { getRateLimiter, identifyCaller, setRateLimitHeaders } from '../../api/rate-limiter.js';
 
 // CORS configuration
 export const corsOptions = {
@@ -24,8 +32,65 @@ export const corsOptions = {
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Request-Id'],
+  // Let browser clients read their remaining quota, when to retry and the
+  // correlation ID to quote in support requests
+  exposedHeaders: ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After', 'X-Request-Id']
+};
+
+// Signed-in users are limited by ID and subscription tier, everyone else by IP
+const identifyRequest = (req) => identifyCaller({
+  userId: req.user?.id,
+  subscriptionTier: req.user?.subscription_tier,
+  ip: req.ip
+});
+
+// Sliding-window limiter enforcing the tier limits from api/rate-limiter.js.
+// If the store is unreachable the request is let through rather than failing.
+export const tieredRateLimit = ({ name = 'tiered', message, limiter = null, identify = identifyRequest } = {}) => (
+  async (req, res, next) => {
+    if (process.env.ENABLE_RATE_LIMITING === 'false') {
+      return next();
+    }
+
+    let result;
+    try {
+      const { key, tier } = await identify(req);
+      result = await (limiter || getRateLimiter()).consume(key, tier);
+    } catch (error) {
+      logWarning('Rate limiter unavailable, allowing request', {
+        error: error.message,
+        url: req.url
+      });
+      return next();
+    }
+
+    setRateLimitHeaders(res, result);
+    if (!result.allowed) {
+      rateLimitRejectionsTotal.inc({ limiter: name });
+      logWarning('Rate limit exceeded', {
+        ip: req.ip,
+        user_id: req.user?.id,
+        tier: result.tier,
+        url: req.url
+      });
+      return res.status(429).json({
+        success: false,
+        message,
+        tier: result.tier,
+        retry_after: result.retry_after
+      });
+    }
+
+    next();
+  }
+);
+
+// Default express-rate-limit response, counted in rate_limit_rejections_total
+const countRejection = (limiter) => (req, res, _next, options) => {
+  rateLimitRejectionsTotal.inc({ limiter });
+  res.status(options.statusCode).json(options.message);
 };
 
 // Rate limiting configurations
@@ -42,6 +107,7 @@ export const rateLimiters = {
     standardHeaders: true,
     legacyHeaders: false,
     handler: (req, res) => {
+      rateLimitRejectionsTotal.inc({ limiter: 'general' });
       logWarning('Rate limit exceeded', {
         ip: req.ip,
         url: req.url,
@@ -55,19 +121,10 @@ export const rateLimiters = {
     }
   }),
 
-  // Strict rate limit for LLM queries
-  llmQuery: rateLimit({
-    windowMs: 60 * 1000, // 1 minute
-    max: 10, // limit each IP to 10 LLM requests per minute
-    message: {
-      success: false,
-      message: 'Too many LLM queries, please slow down.',
-      retry_after: 60
-    },
-    keyGenerator: (req) => {
-      // Use user ID if authenticated, otherwise IP
-      return req.user?.id || req.ip;
-    }
+  // Tiered hourly/daily limits for LLM queries, shared across instances
+  llmQuery: tieredRateLimit({
+    name: 'llm_query',
+    message: 'Too many LLM queries, please slow down.'
   }),
 
   // Payment endpoints rate limit
@@ -78,7 +135,8 @@ export const rateLimiters = {
       success: false,
       message: 'Too many payment attempts, please try again later.',
       retry_after: 60
-    }
+    },
+    handler: countRejection('payment')
   }),
 
   // Auth endpoints rate limit
@@ -89,7 +147,8 @@ export const rateLimiters = {
       success: false,
       message: 'Too many authentication attempts, please try again later.',
       retry_after: 15 * 60
-    }
+    },
+    handler: countRejection('auth')
   })
 };
 
@@ -131,6 +190,14 @@ export const adminIPWhitelist = (req, res, next) => {
   next();
 };
 
+// Correlation ID: accept the caller's X-Request-Id or generate one, echo it
+// back and make it available to everything that runs for the request
+export const requestId = (req, res, next) => {
+  req.id = resolveRequestId(req.get('X-Request-Id'));
+  res.setHeader('X-Request-Id', req.id);
+  runWithRequestContext({ request_id: req.id }, next);
+};
+
 // Request logging middleware
 export const requestLogger = (req, res, next) => {
   const start = Date.now();
@@ -138,6 +205,7 @@ export const requestLogger = (req, res, next) => {
   res.on('finish', () => {
     const duration = Date.now() - start;
     const logData = {
+      request_id: req.id,
       method: req.method,
       url: req.url,
       status: res.statusCode,
@@ -149,34 +217,34 @@ export const requestLogger = (req, res, next) => {
     
     if (res.statusCode >= 400) {
       logWarning('HTTP Error', logData);
+    } else {
+      logInfo('HTTP Request', logData);
     }
   });
   
   next();
 };
 
-// API key validation middleware
-export const validateApiKey = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'];
-  const validApiKeys = process.env.VALID_API_KEYS?.split(',') || [];
-  
-  if (validApiKeys.length > 0 && !validApiKeys.includes(apiKey)) {
-    return res.status(401).json({
-      success: false,
-      message: 'Invalid API key'
-    });
-  }
-  
+// Request count and latency per route for /metrics
+export const requestMetrics = (req, res, next) => {
+  const stopTimer = httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    const labels = { method: req.method, route: routeLabel(req), status: res.statusCode };
+    httpRequestsTotal.inc(labels);
+    stopTimer(labels);
+  });
+
   next();
 };
 
-// Content type validation
+// Content type validation (multipart is only parsed by upload routes)
 export const validateContentType = (req, res, next) => {
   if (['POST', 'PUT', 'PATCH'].includes(req.method)) {
-    if (!req.is('application/json')) {
+    if (!req.is(['application/json', 'multipart/form-data'])) {
       return res.status(400).json({
         success: false,
-        message: 'Content-Type must be application/json'
+        message: 'Content-Type must be application/json or multipart/form-data'
       });
     }
   }
@@ -205,8 +273,9 @@ export default {
   rateLimiters,
   helmetConfig,
   adminIPWhitelist,
+  requestId,
   requestLogger,
-  validateApiKey,
+  requestMetrics,
   validateContentType,
   requestSizeLimit
 }; 
\ No newline at end of file
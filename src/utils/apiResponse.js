@@ -1,4 +1,5 @@
 import { logError, logInfo } from './logger.js';
+import { getRequestId } from './requestContext.js';
 
 // Standard API response structure
 export class ApiResponse {
@@ -7,6 +8,7 @@ export class ApiResponse {
     this.data = data;
     this.message = message;
     this.errors = errors;
+    this.request_id = getRequestId();
     this.timestamp = new Date().toISOString();
   }
 
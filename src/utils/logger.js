@@ -1,8 +1,19 @@
 import winston from 'winston';
+import { getRequestId } from './requestContext.js';
+
+// Tag every entry with the correlation ID of the request being served
+const requestIdFormat = winston.format((info) => {
+  const requestId = getRequestId();
+  if (requestId && !info.request_id) {
+    info.request_id = requestId;
+  }
+  return info;
+});
 
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
   format: winston.format.combine(
+    requestIdFormat(),
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
     winston.format.json()
@@ -0,0 +1,105 @@
+// Prometheus metrics
+// Collected in-process and served in text format at GET /metrics (admin IPs
+// only). Counters reset when the process restarts; Prometheus handles that.
+
+import client from 'prom-client';
+
+export const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+export const httpRequestsTotal = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+export const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+  registers: [register]
+});
+
+export const providerRequestDuration = new client.Histogram({
+  name: 'llm_provider_request_duration_seconds',
+  help: 'Latency of successful LLM provider calls (full response, or full stream)',
+  labelNames: ['provider', 'model'],
+  buckets: [0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120],
+  registers: [register]
+});
+
+export const providerErrorsTotal = new client.Counter({
+  name: 'llm_provider_errors_total',
+  help: 'Failed LLM provider calls by error code',
+  labelNames: ['provider', 'model', 'code'],
+  registers: [register]
+});
+
+export const providerTokensTotal = new client.Counter({
+  name: 'llm_provider_tokens_total',
+  help: 'Tokens processed by LLM providers',
+  labelNames: ['provider', 'model', 'type'],
+  registers: [register]
+});
+
+export const creditsConsumedTotal = new client.Counter({
+  name: 'credits_consumed_total',
+  help: 'Credits charged for LLM queries',
+  labelNames: ['query_type', 'cached'],
+  registers: [register]
+});
+
+export const creditsGrantedTotal = new client.Counter({
+  name: 'credits_granted_total',
+  help: 'Credits added to balances by Stripe events',
+  labelNames: ['event_type'],
+  registers: [register]
+});
+
+export const rateLimitRejectionsTotal = new client.Counter({
+  name: 'rate_limit_rejections_total',
+  help: 'Requests rejected by a rate limiter',
+  labelNames: ['limiter'],
+  registers: [register]
+});
+
+export const webhookEventsTotal = new client.Counter({
+  name: 'webhook_events_total',
+  help: 'Stripe webhook deliveries by event type and outcome (processed, duplicate, failed, rejected)',
+  labelNames: ['event_type', 'outcome'],
+  registers: [register]
+});
+
+export const structuredOutputsTotal = new client.Counter({
+  name: 'structured_outputs_total',
+  help: 'Structured query answers by query type and outcome (valid, repaired, invalid)',
+  labelNames: ['query_type', 'outcome'],
+  registers: [register]
+});
+
+/**
+ * Route pattern for a request (/api/conversations/:id), so label values stay
+ * bounded; requests that never reached a route are grouped as 'unmatched'
+ */
+export function routeLabel(req) {
+  return req.route ? `${req.baseUrl || ''}${req.route.path}` : 'unmatched';
+}
+
+/**
+ * Latency and token counts of a completed provider call
+ */
+export function recordProviderCall({ provider, model, usage, durationMs }) {
+  providerRequestDuration.observe({ provider, model }, durationMs / 1000);
+  providerTokensTotal.inc({ provider, model, type: 'prompt' }, usage.prompt_tokens || 0);
+  providerTokensTotal.inc({ provider, model, type: 'completion' }, usage.completion_tokens || 0);
+}
+
+/**
+ * Count a failed provider call; returns the error so callers can throw it
+ */
+export function recordProviderError({ provider, model }, error) {
+  providerErrorsTotal.inc({ provider, model, code: error.code || 'UNKNOWN' });
+  return error;
+}
@@ -0,0 +1,36 @@
+// Per-request context
+// Holds the correlation ID of the request being served so that logs, API
+// responses, provider calls and llm_usage rows carry it without threading it
+// through every call.
+
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+
+const storage = new AsyncLocalStorage();
+
+// Incoming X-Request-Id values must look like an ID; anything else is replaced
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * The caller's X-Request-Id when usable, otherwise a fresh UUID
+ */
+export function resolveRequestId(incoming) {
+  return typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming)
+    ? incoming
+    : crypto.randomUUID();
+}
+
+/**
+ * Run fn (and everything it awaits) with the given context
+ */
+export function runWithRequestContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+export function getRequestContext() {
+  return storage.getStore() || null;
+}
+
+export function getRequestId() {
+  return storage.getStore()?.request_id ?? null;
+}
@@ -0,0 +1,22 @@
+// Server-Sent Events helpers for streaming responses
+
+// Switch an Express response into event-stream mode
+export const openEventStream = (res) => {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  // no-transform keeps the compression middleware from buffering events
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+};
+
+// Write a single named event with a JSON payload
+export const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  if (typeof res.flush === 'function') {
+    res.flush();
+  }
+};
+
+export default { openEventStream, sendEvent };
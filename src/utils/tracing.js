@@ -0,0 +1,58 @@
+// OpenTelemetry tracing (optional)
+// When OTEL_EXPORTER_OTLP_ENDPOINT is set (e.g. http://localhost:4318 for a
+// local collector), spans around provider requests and database functions are
+// exported over OTLP/HTTP. Otherwise the OpenTelemetry API stays a no-op.
+
+import { trace, SpanStatusCode } from '@opentelemetry/api';
+import { NodeTracerProvider, BatchSpanProcessor } from '@opentelemetry/sdk-trace-node';
+import { OTLPTraceExporter } from '@opentelemetry/exporter-trace-otlp-http';
+import { resourceFromAttributes } from '@opentelemetry/resources';
+import { getRequestId } from './requestContext.js';
+
+const tracer = trace.getTracer('vega-career-ai');
+
+let tracerProvider = null;
+
+export function isTracingEnabled() {
+  return !!process.env.OTEL_EXPORTER_OTLP_ENDPOINT;
+}
+
+/**
+ * Register the exporting tracer provider; a no-op without an OTLP endpoint
+ */
+export function initTracing() {
+  if (tracerProvider || !isTracingEnabled()) {
+    return tracerProvider;
+  }
+
+  tracerProvider = new NodeTracerProvider({
+    resource: resourceFromAttributes({
+      'service.name': process.env.OTEL_SERVICE_NAME || 'vega-career-ai'
+    }),
+    // The exporter reads OTEL_EXPORTER_OTLP_ENDPOINT and appends /v1/traces
+    spanProcessors: [new BatchSpanProcessor(new OTLPTraceExporter())]
+  });
+  tracerProvider.register();
+  return tracerProvider;
+}
+
+/**
+ * Run fn inside a span tagged with the request's correlation ID, recording
+ * any error it throws
+ */
+export function withSpan(name, attributes, fn) {
+  const requestId = getRequestId();
+  const spanAttributes = requestId ? { ...attributes, 'request.id': requestId } : attributes;
+
+  return tracer.startActiveSpan(name, { attributes: spanAttributes }, async (span) => {
+    try {
+      return await fn(span);
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
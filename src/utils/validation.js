@@ -13,16 +13,151 @@ export const schemas = {
     model: Joi.string().min(1).max(100).required(),
     max_tokens: Joi.number().integer().min(1).max(4000).optional(),
     temperature: Joi.number().min(0).max(2).optional(),
+    stream: Joi.boolean().optional(),
+    mock: Joi.boolean().optional(),
+    conversation_id: Joi.string().uuid().optional()
+  }),
+
+  llmEstimate: Joi.object({
+    messages: Joi.array().items(
+      Joi.object({
+        role: Joi.string().valid('user', 'assistant', 'system').required(),
+        content: Joi.string().min(1).max(10000).required()
+      })
+    ).min(1).max(50).required(),
+    model: Joi.string().min(1).max(100).required(),
+    max_tokens: Joi.number().integer().min(1).max(4000).optional(),
+    query_type: Joi.string().max(100).optional()
+  }),
+
+  // Resume analysis: multipart fields next to a "resume" file, or JSON with resume_text
+  resumeAnalysis: Joi.object({
+    target_role: Joi.string().trim().min(2).max(200).required(),
+    job_description: Joi.string().max(10000).optional(),
+    resume_text: Joi.string().min(1).max(100000).optional(),
+    model: Joi.string().min(1).max(100).optional(),
+    save_resume: Joi.boolean().default(false)
+  }),
+
+  // Job match: resume_text overrides the resume stored on the career profile
+  jobMatch: Joi.object({
+    job_description: Joi.string().trim().min(50).max(20000).required(),
+    job_title: Joi.string().trim().min(2).max(200).optional(),
+    resume_text: Joi.string().min(1).max(100000).optional(),
+    model: Joi.string().min(1).max(100).optional()
+  }),
+
+  careerProfileUpdate: Joi.object({
+    headline: Joi.string().trim().max(200).allow(null).optional(),
+    skills: Joi.array().items(Joi.string().trim().min(1).max(60)).max(100).unique().optional(),
+    resume_text: Joi.string().min(1).max(100000).allow(null).optional()
+  }).min(1),
+
+  // Conversation thread validation
+  conversationCreate: Joi.object({
+    title: Joi.string().max(200).optional(),
+    model: Joi.string().min(1).max(100).optional()
+  }),
+
+  // :id of a conversation route; anything else would fail the ::uuid cast
+  conversationParams: Joi.object({
+    id: Joi.string().uuid().required()
+  }),
+
+  conversationQuery: Joi.object({
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    offset: Joi.number().integer().min(0).default(0)
+  }),
+
+  conversationMessages: Joi.object({
+    messages: Joi.array().items(
+      Joi.object({
+        role: Joi.string().valid('user', 'assistant').required(),
+        content: Joi.string().min(1).max(10000).required()
+      })
+    ).min(1).max(50).required()
+  }),
+
+  // Personal API key creation (scopes match API_KEY_SCOPES in api/api-keys.js)
+  apiKeyCreate: Joi.object({
+    name: Joi.string().min(1).max(100).required(),
+    scopes: Joi.array().items(Joi.string().valid('query', 'conversations', 'billing:read')).min(1).unique().required(),
+    expires_at: Joi.date().iso().greater('now').optional()
+  }),
+
+  // Organization validation
+  organizationCreate: Joi.object({
+    name: Joi.string().min(1).max(200).required()
+  }),
+
+  organizationInvite: Joi.object({
+    email: Joi.string().email().max(255).required(),
+    role: Joi.string().valid('admin', 'member').default('member'),
+    monthly_credit_cap: Joi.number().min(0).precision(2).allow(null).optional()
+  }),
+
+  organizationInviteAccept: Joi.object({
+    token: Joi.string().max(100).required()
+  }),
+
+  organizationMemberUpdate: Joi.object({
+    role: Joi.string().valid('admin', 'member').optional(),
+    monthly_credit_cap: Joi.number().min(0).precision(2).allow(null).optional()
+  }).min(1),
+
+  organizationTransfer: Joi.object({
+    amount: Joi.number().positive().precision(2).required()
+  }),
+
+  // Usage analytics (dates are inclusive UTC days)
+  usageAnalyticsQuery: Joi.object({
+    start_date: Joi.date().iso().optional(),
+    end_date: Joi.date().iso().min(Joi.ref('start_date')).optional(),
+    group_by: Joi.string().valid('day', 'week', 'month', 'provider', 'model', 'query_type').default('day')
+  }),
+
+  adminUsageAnalyticsQuery: Joi.object({
+    start_date: Joi.date().iso().optional(),
+    end_date: Joi.date().iso().min(Joi.ref('start_date')).optional(),
+    group_by: Joi.string().valid('day', 'week', 'month', 'provider', 'model', 'query_type').default('day'),
     user_id: Joi.string().uuid().optional()
   }),
 
+  marginReportQuery: Joi.object({
+    start_date: Joi.date().iso().optional(),
+    end_date: Joi.date().iso().min(Joi.ref('start_date')).optional()
+  }),
+
   // Credit purchase validation
   creditPurchase: Joi.object({
     package_id: Joi.string().required(),
-    user_id: Joi.string().uuid().required(),
     payment_method_id: Joi.string().optional()
   }),
 
+  // Credit package creation validation (admin)
+  creditPackage: Joi.object({
+    name: Joi.string().min(1).max(100).required(),
+    credits: Joi.number().positive().required(),
+    price_usd: Joi.number().positive().precision(2).required(),
+    stripe_price_id: Joi.string().pattern(/^price_/).max(255).required(),
+    description: Joi.string().max(1000).optional(),
+    features: Joi.array().items(Joi.string().max(200)).max(20).optional(),
+    sort_order: Joi.number().integer().min(0).optional(),
+    popular: Joi.boolean().optional()
+  }),
+
+  // Subscription checkout validation
+  subscriptionCheckout: Joi.object({
+    plan_id: Joi.string().max(50).required(),
+    success_url: Joi.string().uri().optional(),
+    cancel_url: Joi.string().uri().optional()
+  }),
+
+  // Subscription plan change validation
+  subscriptionChange: Joi.object({
+    plan_id: Joi.string().max(50).required()
+  }),
+
   // User registration validation
   userRegistration: Joi.object({
     email: Joi.string().email().required(),
@@ -0,0 +1,147 @@
+import {
+  createApiKey,
+  revokeApiKey,
+  hashApiKey,
+  ApiKeyLimitError
+} from '../../api/api-keys.js';
+import { authenticate, requireScope, requireSession } from '../../src/middleware/auth.js';
+import { getPrisma } from '../../api/db.js';
+
+jest.mock('../../api/db.js', () => ({ getPrisma: jest.fn() }));
+
+const USER_ID = '3f1c2d4e-5b6a-4c7d-8e9f-0a1b2c3d4e5f';
+const KEY_ID = '7d6c5b4a-3e2f-4a1b-9c8d-7e6f5a4b3c2d';
+const KEY = 'vk_3q2+7w_example-plaintext-key';
+const NOW = Date.parse('2025-03-03T09:00:00Z');
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const storedKey = (fields = {}) => ({
+  id: KEY_ID,
+  user_id: USER_ID,
+  scopes: ['query'],
+  last_used_at: null,
+  expires_at: null,
+  revoked_at: null,
+  email: 'ana@example.com',
+  subscription_tier: 'professional',
+  ...fields
+});
+
+const runAuthenticate = async (headers) => {
+  const req = { headers, url: '/api/llm/query' };
+  const res = createRes();
+  const next = jest.fn();
+  await authenticate(req, res, next);
+  return { req, res, next };
+};
+
+describe('Personal API keys', () => {
+  let db;
+
+  beforeEach(() => {
+    jest.setSystemTime(NOW);
+    db = {
+      $queryRaw: jest.fn(async () => []),
+      $executeRaw: jest.fn(async () => 1)
+    };
+    getPrisma.mockReturnValue(db);
+  });
+
+  it('should store only the hash and return the plaintext key once', async () => {
+    db.$queryRaw
+      .mockResolvedValueOnce([{ count: 2 }])
+      .mockResolvedValueOnce([{ id: KEY_ID, name: 'CI', key_prefix: 'vk_abcdefg', scopes: ['query'] }]);
+
+    const apiKey = await createApiKey(USER_ID, { name: 'CI', scopes: ['query'] });
+
+    expect(apiKey.key).toMatch(/^vk_[A-Za-z0-9_-]{43}$/);
+    const [strings, ...values] = db.$queryRaw.mock.calls[1];
+    expect(strings.join('?')).toContain('INSERT INTO api_keys');
+    expect(values).toContain(hashApiKey(apiKey.key));
+    expect(values).not.toContain(apiKey.key);
+  });
+
+  it('should refuse to create keys past the active key limit', async () => {
+    db.$queryRaw.mockResolvedValueOnce([{ count: 10 }]);
+
+    await expect(createApiKey(USER_ID, { name: 'One too many', scopes: ['query'] }))
+      .rejects.toBeInstanceOf(ApiKeyLimitError);
+    expect(db.$queryRaw).toHaveBeenCalledTimes(1);
+  });
+
+  it('should only revoke keys owned by the user', async () => {
+    db.$executeRaw.mockResolvedValueOnce(0);
+
+    await expect(revokeApiKey(KEY_ID, 'someone-else')).resolves.toBe(false);
+    const [strings, ...values] = db.$executeRaw.mock.calls[0];
+    expect(strings.join('?')).toContain('revoked_at IS NULL');
+    expect(values).toEqual([KEY_ID, 'someone-else']);
+  });
+
+  it.each([
+    ['X-API-Key header', { 'x-api-key': KEY }],
+    ['bearer token', { authorization: `Bearer ${KEY}` }]
+  ])('should authenticate the owner from a %s and record when the key was used', async (_, headers) => {
+    db.$queryRaw.mockResolvedValueOnce([storedKey()]);
+
+    const { req, next } = await runAuthenticate(headers);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toEqual({
+      id: USER_ID,
+      email: 'ana@example.com',
+      role: 'api_key',
+      session_id: null,
+      subscription_tier: 'professional',
+      api_key_id: KEY_ID,
+      scopes: ['query']
+    });
+    expect(db.$queryRaw.mock.calls[0].slice(1)).toEqual([hashApiKey(KEY)]);
+    expect(db.$executeRaw.mock.calls[0][0].join('?')).toContain('SET last_used_at = NOW()');
+  });
+
+  it('should not rewrite last_used_at on every request', async () => {
+    db.$queryRaw.mockResolvedValueOnce([storedKey({ last_used_at: new Date(NOW - 10 * 1000) })]);
+
+    await runAuthenticate({ 'x-api-key': KEY });
+
+    expect(db.$executeRaw).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ['unknown', []],
+    ['revoked', [storedKey({ revoked_at: new Date(NOW - 1000) })]],
+    ['expired', [storedKey({ expires_at: new Date(NOW - 1000) })]]
+  ])('should reject a key that is %s', async (_, rows) => {
+    db.$queryRaw.mockResolvedValueOnce(rows);
+
+    const { res, next } = await runAuthenticate({ 'x-api-key': KEY });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Invalid API key' }));
+  });
+
+  it('should limit API keys to their scopes and keep them off session-only endpoints', () => {
+    const req = { user: { id: USER_ID, api_key_id: KEY_ID, scopes: ['query'] } };
+    const allowed = jest.fn();
+    const denied = jest.fn();
+    const scopeRes = createRes();
+    const sessionRes = createRes();
+
+    requireScope('query')(req, createRes(), allowed);
+    requireScope('billing:read')(req, scopeRes, denied);
+    requireSession(req, sessionRes, denied);
+
+    expect(allowed).toHaveBeenCalled();
+    expect(denied).not.toHaveBeenCalled();
+    expect(scopeRes.status).toHaveBeenCalledWith(403);
+    expect(sessionRes.status).toHaveBeenCalledWith(403);
+  });
+});
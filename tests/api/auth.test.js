@@ -0,0 +1,115 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import {
+  authenticate,
+  requireAuth,
+  verifySupabaseToken,
+  resetSigningKeyCache
+} from '../../src/middleware/auth.js';
+import { authHeader } from '../setup.js';
+
+const USER = { id: '3f1c2d4e-5b6a-4c7d-8e9f-0a1b2c3d4e5f', email: 'ana@example.com' };
+const SUPABASE_URL = 'https://project-ref.supabase.co';
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const runAuthenticate = async (authorization) => {
+  const req = { headers: authorization ? { authorization } : {}, url: '/api/llm/query' };
+  const res = createRes();
+  const next = jest.fn();
+  await authenticate(req, res, next);
+  return { req, res, next };
+};
+
+// Asymmetric signing key published through a JWKS, as newer Supabase projects do
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const jwks = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1', alg: 'ES256', use: 'sig' }] };
+const signES256 = (claims, kid = 'key-1') => jwt.sign(
+  { sub: USER.id, email: USER.email, role: 'authenticated', ...claims },
+  privateKey,
+  { algorithm: 'ES256', keyid: kid, audience: 'authenticated', issuer: `${SUPABASE_URL}/auth/v1`, expiresIn: '1h' }
+);
+
+describe('Supabase access token authentication', () => {
+  afterEach(() => {
+    delete process.env.SUPABASE_URL;
+    resetSigningKeyCache();
+  });
+
+  it('should populate req.user from a valid HS256 token', async () => {
+    const { req, next, res } = await runAuthenticate(authHeader(USER));
+
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+    expect(req.user).toMatchObject({ id: USER.id, email: USER.email, role: 'authenticated' });
+  });
+
+  it('should let anonymous requests through without a user', async () => {
+    const { req, next } = await runAuthenticate();
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toBeUndefined();
+  });
+
+  it.each([
+    ['expired', () => authHeader(USER, { expiresIn: -60 }), 'Access token expired'],
+    ['signed with another secret', () => `Bearer ${jwt.sign({ sub: USER.id }, 'not-the-secret', { audience: 'authenticated' })}`, 'Invalid access token'],
+    ['issued for another audience', () => authHeader(USER, { audience: 'anon' }), 'Invalid access token'],
+    ['malformed', () => 'Bearer not-a-jwt', 'Malformed access token']
+  ])('should reject a token that is %s', async (_, header, message) => {
+    const { next, res } = await runAuthenticate(header());
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: false, message }));
+  });
+
+  it('should reject unsigned tokens', async () => {
+    const unsigned = jwt.sign({ sub: USER.id }, null, { algorithm: 'none', audience: 'authenticated' });
+
+    await expect(verifySupabaseToken(unsigned)).rejects.toThrow('Unsupported token algorithm: none');
+  });
+
+  it('should verify asymmetric tokens against the project JWKS', async () => {
+    process.env.SUPABASE_URL = SUPABASE_URL;
+    fetch.mockResolvedValue(new Response(JSON.stringify(jwks), { status: 200 }));
+
+    const claims = await verifySupabaseToken(signES256());
+    await verifySupabaseToken(signES256());
+
+    expect(claims.sub).toBe(USER.id);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch).toHaveBeenCalledWith(`${SUPABASE_URL}/auth/v1/.well-known/jwks.json`, expect.anything());
+  });
+
+  it('should refetch the JWKS for an unknown key and reject it if still unknown', async () => {
+    process.env.SUPABASE_URL = SUPABASE_URL;
+    fetch.mockResolvedValue(new Response(JSON.stringify(jwks), { status: 200 }));
+    await verifySupabaseToken(signES256());
+    fetch.mockResolvedValue(new Response(JSON.stringify(jwks), { status: 200 }));
+
+    await expect(verifySupabaseToken(signES256({}, 'rotated-key'))).rejects.toThrow('Unknown token signing key');
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('should reject tokens from another Supabase project', async () => {
+    process.env.SUPABASE_URL = 'https://other-project.supabase.co';
+
+    await expect(verifySupabaseToken(authHeader(USER).slice(7))).rejects.toThrow('Invalid access token');
+  });
+
+  it('should require a signed-in user where the handler needs one', () => {
+    const res = createRes();
+    const next = jest.fn();
+
+    requireAuth({ headers: {} }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
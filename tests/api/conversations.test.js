@@ -0,0 +1,172 @@
+import {
+  buildConversationContext,
+  getContextBudget,
+  countConversationTokens,
+  saveConversationTurn,
+  selectRecentMessages
+} from '../../api/conversations.js';
+import { getPrisma } from '../../api/db.js';
+import { callLLMWithFailover } from '../../api/llm-failover.js';
+
+jest.mock('../../api/db.js', () => ({ getPrisma: jest.fn() }));
+jest.mock('../../api/llm-failover.js', () => ({ callLLMWithFailover: jest.fn() }));
+
+const CONVERSATION_ID = '9a8b7c6d-5e4f-4a3b-8c2d-1e0f9a8b7c6d';
+
+// gpt-4 has the smallest window in the registry (8192 tokens)
+const MODEL = 'gpt-4';
+const MAX_TOKENS = 1000;
+
+const conversation = (fields = {}) => ({ id: CONVERSATION_ID, summary: null, summarized_count: 0, ...fields });
+
+// Alternating user/assistant history of roughly `tokens` tokens per message
+// (" offer" is one token)
+const createHistory = (count, tokens = 500) => Array.from({ length: count }, (_, i) => ({
+  position: i,
+  role: i % 2 === 0 ? 'user' : 'assistant',
+  content: `${i}${' offer'.repeat(tokens - 1)}`
+}));
+
+const newTurn = [{ role: 'user', content: 'Given all that, which offer should I take?' }];
+
+const totalTokens = (messages) => messages.reduce((sum, message) => sum + countConversationTokens(message, MODEL), 0);
+
+describe('Conversation context', () => {
+  let db;
+
+  beforeEach(() => {
+    db = {
+      $queryRaw: jest.fn(async () => []),
+      $executeRaw: jest.fn(async () => 1)
+    };
+    getPrisma.mockReturnValue(db);
+  });
+
+  it('should send the whole thread when it fits', async () => {
+    const history = createHistory(4, 100);
+
+    const context = await buildConversationContext(conversation(), history, newTurn, {
+      model: MODEL,
+      maxTokens: MAX_TOKENS
+    });
+
+    expect(context.truncated_count).toBe(0);
+    expect(context.messages).toHaveLength(5);
+    expect(context.messages[4]).toEqual(newTurn[0]);
+    expect(callLLMWithFailover).not.toHaveBeenCalled();
+  });
+
+  it('should summarize older messages to fit the context window', async () => {
+    callLLMWithFailover.mockResolvedValue({
+      choices: [{ message: { role: 'assistant', content: 'User is comparing two data engineering offers.' } }]
+    });
+    const history = createHistory(30);
+
+    const context = await buildConversationContext(conversation(), history, newTurn, {
+      model: MODEL,
+      maxTokens: MAX_TOKENS
+    });
+
+    expect(context.summarized).toBe(true);
+    expect(context.truncated_count).toBeGreaterThan(0);
+    expect(context.messages[0]).toEqual({
+      role: 'system',
+      content: expect.stringContaining('comparing two data engineering offers')
+    });
+    expect(totalTokens(context.messages)).toBeLessThanOrEqual(getContextBudget(MODEL, MAX_TOKENS));
+
+    // The newest history survives, in order, ahead of the new turn
+    expect(context.messages.at(-2).content).toBe(history[29].content);
+    expect(context.messages.at(-1)).toEqual(newTurn[0]);
+
+    const [strings, ...values] = db.$executeRaw.mock.calls[0];
+    expect(strings.join('?')).toContain('UPDATE conversations');
+    expect(values).toEqual(['User is comparing two data engineering offers.', context.truncated_count, CONVERSATION_ID]);
+  });
+
+  it('should start the kept history with a user turn', () => {
+    const history = createHistory(6, 100);
+    // Room for the last three messages, the oldest of which is a user turn
+    // followed by an assistant reply
+    const budget = totalTokens(history.slice(3));
+
+    const kept = selectRecentMessages(history, budget, MODEL);
+
+    expect(kept.map(message => message.position)).toEqual([4, 5]);
+    expect(kept[0].role).toBe('user');
+  });
+
+  it('should summarize a leading assistant reply instead of sending it first', async () => {
+    callLLMWithFailover.mockResolvedValue({
+      choices: [{ message: { role: 'assistant', content: 'User is comparing two data engineering offers.' } }]
+    });
+    const history = createHistory(31);
+
+    const context = await buildConversationContext(conversation(), history, newTurn, {
+      model: MODEL,
+      maxTokens: MAX_TOKENS
+    });
+
+    const thread = context.messages.filter(message => message.role !== 'system');
+    expect(thread[0].role).toBe('user');
+    expect(context.truncated_count + thread.length - 1).toBe(31);
+  });
+
+  it('should only send messages added since the stored summary', async () => {
+    const history = createHistory(30);
+
+    const context = await buildConversationContext(
+      conversation({ summary: 'Earlier: user wants a remote role.', summarized_count: 26 }),
+      history,
+      newTurn,
+      { model: MODEL, maxTokens: MAX_TOKENS }
+    );
+
+    expect(context.truncated_count).toBe(0);
+    expect(context.messages[0].content).toContain('user wants a remote role');
+    expect(context.messages).toHaveLength(6);
+  });
+
+  it('should fall back to truncation when the summary model fails', async () => {
+    callLLMWithFailover.mockRejectedValue(new Error('All providers failed'));
+    const history = createHistory(30);
+
+    const context = await buildConversationContext(conversation(), history, newTurn, {
+      model: MODEL,
+      maxTokens: MAX_TOKENS
+    });
+
+    expect(context.summarized).toBe(false);
+    expect(context.truncated_count).toBeGreaterThan(0);
+    expect(context.messages[0].role).toBe('user');
+    expect(totalTokens(context.messages)).toBeLessThanOrEqual(getContextBudget(MODEL, MAX_TOKENS));
+    expect(db.$executeRaw).not.toHaveBeenCalled();
+  });
+
+  it('should truncate without calling a model when summaries are disabled', async () => {
+    const context = await buildConversationContext(conversation(), createHistory(30), newTurn, {
+      model: MODEL,
+      maxTokens: MAX_TOKENS,
+      summarize: false
+    });
+
+    expect(context.truncated_count).toBeGreaterThan(0);
+    expect(callLLMWithFailover).not.toHaveBeenCalled();
+  });
+
+  it('should store the new messages and the reply as one turn', async () => {
+    await saveConversationTurn(CONVERSATION_ID, [{ role: 'system', content: 'Be brief.' }, ...newTurn], {
+      content: 'Take the offer with the stronger team.',
+      model: MODEL,
+      provider: 'openai',
+      completion_tokens: 9
+    });
+
+    const [strings, ...values] = db.$queryRaw.mock.calls[0];
+    expect(strings.join('?')).toContain('INSERT INTO conversation_messages');
+    expect(JSON.parse(values.find(value => typeof value === 'string' && value.startsWith('[')))).toEqual([
+      { role: 'user', content: newTurn[0].content, model: null, provider: null, tokens: countConversationTokens(newTurn[0], null) },
+      { role: 'assistant', content: 'Take the offer with the stronger team.', model: MODEL, provider: 'openai', tokens: 9 }
+    ]);
+  });
+});
@@ -1,4 +1,5 @@
 import request from 'supertest';
+import Stripe from 'stripe';
 import app from '../../api/production-server.js';
 import { 
   mockUser, 
@@ -6,10 +7,39 @@ import {
   mockStripePaymentIntent,
   expectSuccessResponse,
   expectErrorResponse,
-  generateTestLLMRequest
+  generateTestLLMRequest,
+  authHeader
 } from '../setup.js';
+import { resetCircuitBreakers } from '../../api/providers/index.js';
+import { getPrisma } from '../../api/db.js';
+import { scheduleCreditHoldExpiry } from '../../api/credit-ledger.js';
+
+jest.mock('../../api/db.js', () => ({ getPrisma: jest.fn() }));
+
+const creditPackageRow = {
+  id: '7d9e2b1a-4c3f-4e8d-9a6b-5f1c2d3e4a5b',
+  name: 'Starter Pack',
+  credits: '100.00',
+  price_usd: '10.00',
+  stripe_price_id: 'price_starter_100',
+  description: 'Perfect for getting started with AI career insights',
+  features: ['100 credits ($10 value)'],
+  is_popular: false,
+  is_active: true,
+  sort_order: 1
+};
+
+const claudeResponse = (text) => new Response(JSON.stringify({
+  id: 'msg_test',
+  content: [{ type: 'text', text }],
+  usage: { input_tokens: 10, output_tokens: 20 },
+  stop_reason: 'end_turn'
+}), { status: 200, headers: { 'Content-Type': 'application/json' } });
 
 describe('Core Functionality Tests', () => {
+  beforeEach(() => {
+    getPrisma.mockReturnValue({ $queryRaw: jest.fn().mockResolvedValue([creditPackageRow]) });
+  });
   
   describe('Health Check', () => {
     it('should return health status', async () => {
@@ -21,6 +51,27 @@ describe('Core Functionality Tests', () => {
       expect(response.body.data).toHaveProperty('status', 'OK');
       expect(response.body.data).toHaveProperty('service');
     });
+
+    it('should answer the liveness probe', async () => {
+      const response = await request(app)
+        .get('/health/live');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ status: 'ok' });
+    });
+
+    it('should report failed readiness checks with a 503', async () => {
+      getPrisma.mockReturnValue({ $queryRaw: jest.fn().mockRejectedValue(new Error('connection refused')) });
+
+      const response = await request(app)
+        .get('/health/ready');
+
+      expect(response.status).toBe(503);
+      expect(response.body.success).toBe(false);
+      expect(response.body.errors).toEqual(expect.arrayContaining([
+        expect.objectContaining({ check: 'database', status: 'fail', error: 'connection refused' })
+      ]));
+    });
   });
 
   describe('LLM Providers', () => {
@@ -40,11 +91,20 @@ describe('Core Functionality Tests', () => {
       expect(provider).toHaveProperty('models');
       expect(Array.isArray(provider.models)).toBe(true);
     });
+
+    it('should not count provider listings against the query limit', async () => {
+      const response = await request(app)
+        .get('/api/llm/providers');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['ratelimit-remaining']).toBeUndefined();
+    });
   });
 
   describe('LLM Query Processing', () => {
     it('should process valid LLM query', async () => {
       const testRequest = generateTestLLMRequest();
+      fetch.mockResolvedValueOnce(claudeResponse('Here is some career advice'));
       
       const response = await request(app)
         .post('/api/llm/query')
@@ -57,6 +117,64 @@ describe('Core Functionality Tests', () => {
       expect(response.body.data).toHaveProperty('model');
       expect(response.body.data.usage).toHaveProperty('total_tokens');
       expect(response.body.data.usage).toHaveProperty('credits_consumed');
+      expect(response.body.data.provider).toBe('claude');
+      expect(response.body.data.fallback_used).toBe(false);
+    });
+
+    it('should pass the correlation ID on to the provider', async () => {
+      fetch.mockResolvedValueOnce(claudeResponse('Here is some career advice'));
+
+      await request(app)
+        .post('/api/llm/query')
+        .set('X-Request-Id', 'trace-456')
+        .send(generateTestLLMRequest());
+
+      expect(fetch.mock.calls[0][1].headers['X-Request-Id']).toBe('trace-456');
+    });
+
+    it('should fail over to the next provider in the chain', async () => {
+      resetCircuitBreakers();
+      fetch
+        .mockResolvedValueOnce(new Response('overloaded', { status: 503 }))
+        .mockResolvedValueOnce(new Response('overloaded', { status: 503 }))
+        .mockResolvedValueOnce(new Response('overloaded', { status: 503 }))
+        .mockResolvedValueOnce(new Response(JSON.stringify({
+          id: 'chatcmpl-1',
+          choices: [{ message: { role: 'assistant', content: 'Served by OpenAI' }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 10, completion_tokens: 5 }
+        }), { status: 200 }));
+
+      const response = await request(app)
+        .post('/api/llm/query')
+        .send(generateTestLLMRequest());
+
+      expect(response.status).toBe(200);
+      expect(fetch).toHaveBeenCalledTimes(4);
+      expect(response.body.data.response).toBe('Served by OpenAI');
+      expect(response.body.data.provider).toBe('openai');
+      expect(response.body.data.model).toBe('gpt-3.5-turbo');
+      expect(response.body.data.requested_model).toBe('claude-3-haiku-20240307');
+      expect(response.body.data.fallback_used).toBe(true);
+    });
+
+    it('should return 503 instead of a mock when every provider fails', async () => {
+      resetCircuitBreakers();
+      fetch.mockRejectedValue(new TypeError('fetch failed'));
+
+      try {
+        const response = await request(app)
+          .post('/api/llm/query')
+          .send(generateTestLLMRequest());
+
+        expect(response.status).toBe(503);
+        expect(response.body.success).toBe(false);
+        expect(response.body.errors.map(attempt => attempt.provider)).toEqual(
+          expect.arrayContaining(['claude', 'openai', 'perplexity'])
+        );
+      } finally {
+        fetch.mockReset();
+        resetCircuitBreakers();
+      }
     });
 
     it('should reject invalid LLM query - missing messages', async () => {
@@ -94,6 +212,7 @@ describe('Core Functionality Tests', () => {
         ],
         model: 'claude-3-haiku-20240307'
       };
+      fetch.mockResolvedValueOnce(claudeResponse('Here is a safe answer'));
       
       const response = await request(app)
         .post('/api/llm/query')
@@ -106,6 +225,37 @@ describe('Core Functionality Tests', () => {
       expect(response.body.data.response).not.toContain('DROP TABLE');
     });
 
+    it('should stream tokens as server-sent events', async () => {
+      const claudeStream = [
+        'event: message_start\ndata: {"type":"message_start","message":{"id":"msg_stream_1","usage":{"input_tokens":12,"output_tokens":1}}}\n\n',
+        'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":"Hello"}}\n\n',
+        'event: content_block_delta\ndata: {"type":"content_block_delta","delta":{"type":"text_delta","text":" world"}}\n\n',
+        'event: message_delta\ndata: {"type":"message_delta","delta":{"stop_reason":"end_turn"},"usage":{"output_tokens":8}}\n\n',
+        'event: message_stop\ndata: {"type":"message_stop"}\n\n'
+      ].join('');
+      fetch.mockResolvedValueOnce(new Response(claudeStream, {
+        status: 200,
+        headers: { 'Content-Type': 'text/event-stream' }
+      }));
+
+      const response = await request(app)
+        .post('/api/llm/query')
+        .send(generateTestLLMRequest({ stream: true }));
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/event-stream');
+      expect(response.text).toContain('event: start');
+      expect(response.text).toContain('event: token\ndata: {"content":"Hello"}');
+      expect(response.text).toContain('event: token\ndata: {"content":" world"}');
+
+      const doneEvent = response.text.split('\n\n').find(chunk => chunk.startsWith('event: done'));
+      const done = JSON.parse(doneEvent.split('data: ')[1]);
+      expect(done.provider).toBe('claude');
+      expect(done.request_id).toBe('msg_stream_1');
+      expect(done.usage).toMatchObject({ prompt_tokens: 12, completion_tokens: 8, total_tokens: 20 });
+      expect(done.usage).toHaveProperty('credits_consumed');
+    });
+
     it('should handle rate limiting', async () => {
       const testRequest = generateTestLLMRequest();
       
@@ -124,6 +274,137 @@ describe('Core Functionality Tests', () => {
     });
   });
 
+  describe('Resume Analysis', () => {
+    const analysis = {
+      summary: 'Good analyst foundation; add machine learning projects.',
+      fit_score: 70,
+      skills_found: ['Python', 'SQL'],
+      skills_missing: ['Machine learning'],
+      ats_keywords: { matched: ['Python', 'SQL'], missing: ['scikit-learn'], coverage_percent: 67 },
+      bullet_rewrites: []
+    };
+
+    // Multipart uploads never finish parsing under fake timers
+    beforeEach(() => {
+      jest.useRealTimers();
+    });
+
+    afterEach(() => {
+      jest.useFakeTimers();
+    });
+
+    it('should analyze an uploaded resume file against the target role', async () => {
+      const queryRaw = jest.fn(async (strings) => {
+        const sql = strings.join('?');
+        if (sql.includes('hold_credits')) {
+          return [{ hold_result: JSON.stringify({ success: true, hold_id: 'hold-1' }) }];
+        }
+        if (sql.includes('capture_credit_hold')) {
+          return [{ capture_result: JSON.stringify({ success: true, credits_captured: 2 }) }];
+        }
+        return [];
+      });
+      getPrisma.mockReturnValue({ $queryRaw: queryRaw });
+      fetch.mockResolvedValueOnce(claudeResponse(JSON.stringify(analysis)));
+
+      const response = await request(app)
+        .post('/api/resume/analyze')
+        .set('Authorization', authHeader())
+        .field('target_role', 'Data Scientist')
+        .attach('resume', Buffer.from('Jane Doe\nData Analyst\nPython, SQL, Tableau'), {
+          filename: 'resume.txt',
+          contentType: 'text/plain'
+        });
+
+      expect(response.status).toBe(200);
+      expectSuccessResponse(response);
+      expect(response.body.data).toMatchObject({
+        target_role: 'Data Scientist',
+        analysis,
+        usage: { credits_consumed: 2 },
+        resume: { format: 'text', truncated: false }
+      });
+      expect(JSON.parse(fetch.mock.calls[0][1].body).messages[0].content).toContain('Python, SQL, Tableau');
+    });
+
+    it('should require a resume file or resume_text', async () => {
+      const response = await request(app)
+        .post('/api/resume/analyze')
+        .set('Authorization', authHeader())
+        .send({ target_role: 'Data Scientist' });
+
+      expect(response.status).toBe(400);
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('should require a signed-in user', async () => {
+      const response = await request(app)
+        .post('/api/resume/analyze')
+        .send({ target_role: 'Data Scientist', resume_text: 'Jane Doe' });
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('Job Match', () => {
+    const jobDescription = 'Data Scientist building forecasting models in Python and SQL, ' +
+      'with machine learning pipelines on AWS.';
+
+    const mockProfile = (profile) => {
+      const queryRaw = jest.fn(async (strings) => {
+        const sql = strings.join('?');
+        if (sql.includes('FROM career_profiles')) {
+          return profile ? [profile] : [];
+        }
+        if (sql.includes('hold_credits')) {
+          return [{ hold_result: JSON.stringify({ success: true, hold_id: 'hold-1' }) }];
+        }
+        if (sql.includes('capture_credit_hold')) {
+          return [{ capture_result: JSON.stringify({ success: true, credits_captured: 2 }) }];
+        }
+        return [];
+      });
+      getPrisma.mockReturnValue({ $queryRaw: queryRaw });
+    };
+
+    it('should score the stored resume and return the cover letter draft', async () => {
+      mockProfile({ headline: null, skills: ['AWS'], resume_text: 'Data Analyst. Forecasting models in Python and SQL.' });
+      fetch.mockResolvedValueOnce(claudeResponse(JSON.stringify({
+        summary: 'Close fit.',
+        strengths: ['Forecasting in Python'],
+        gaps: ['Machine learning'],
+        cover_letter: 'Dear hiring manager, ...'
+      })));
+
+      const response = await request(app)
+        .post('/api/job-match')
+        .set('Authorization', authHeader())
+        .send({ job_description: jobDescription, job_title: 'Data Scientist' });
+
+      expect(response.status).toBe(200);
+      expectSuccessResponse(response);
+      expect(response.body.data).toMatchObject({
+        requirements: { matched: ['python', 'sql', 'aws'], missing: ['machine learning'] },
+        cover_letter: 'Dear hiring manager, ...',
+        resume_source: 'profile',
+        usage: { credits_consumed: 2 }
+      });
+      expect(response.body.data.score).toBeGreaterThan(50);
+    });
+
+    it('should ask for a resume when none is stored', async () => {
+      mockProfile(null);
+
+      const response = await request(app)
+        .post('/api/job-match')
+        .set('Authorization', authHeader())
+        .send({ job_description: jobDescription });
+
+      expect(response.status).toBe(400);
+      expect(fetch).not.toHaveBeenCalled();
+    });
+  });
+
   describe('Credit Packages', () => {
     it('should return available credit packages', async () => {
       const response = await request(app)
@@ -147,44 +428,61 @@ describe('Core Functionality Tests', () => {
   describe('Payment Processing', () => {
     it('should create payment intent for valid package', async () => {
       const paymentRequest = {
-        package_id: 'starter',
-        user_id: mockUser.id
+        package_id: 'starter'
       };
+      const createIntent = jest.spyOn(Stripe.resources.PaymentIntents.prototype, 'create')
+        .mockResolvedValue({ id: 'pi_test_123', client_secret: 'pi_test_123_secret_abc' });
       
       const response = await request(app)
         .post('/api/stripe/create-payment-intent')
+        .set('Authorization', authHeader())
         .send(paymentRequest);
       
       expect(response.status).toBe(200);
       expectSuccessResponse(response);
       expect(response.body.data).toHaveProperty('payment_intent');
       expect(response.body.data.payment_intent).toHaveProperty('client_secret');
+      expect(createIntent).toHaveBeenCalledWith(expect.objectContaining({
+        metadata: expect.objectContaining({ user_id: mockUser.id, user_email: mockUser.email })
+      }));
     });
 
     it('should reject payment intent with invalid package', async () => {
       const paymentRequest = {
-        package_id: 'invalid-package',
-        user_id: mockUser.id
+        package_id: 'invalid-package'
       };
+      getPrisma.mockReturnValue({ $queryRaw: jest.fn().mockResolvedValue([]) });
       
       const response = await request(app)
         .post('/api/stripe/create-payment-intent')
+        .set('Authorization', authHeader())
         .send(paymentRequest);
       
       expect(response.status).toBe(400);
       expect(response.body.success).toBe(false);
     });
 
-    it('should reject payment intent without user_id', async () => {
+    it('should reject payment intent without a signed-in user', async () => {
       const paymentRequest = {
-        package_id: 'starter'
-        // missing user_id
+        package_id: 'starter',
+        user_id: mockUser.id
       };
       
       const response = await request(app)
         .post('/api/stripe/create-payment-intent')
         .send(paymentRequest);
       
+      expect(response.status).toBe(401);
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Authentication required');
+    });
+
+    it('should reject payment intent without a package', async () => {
+      const response = await request(app)
+        .post('/api/stripe/create-payment-intent')
+        .set('Authorization', authHeader())
+        .send({});
+      
       expect(response.status).toBe(400);
       expect(response.body.success).toBe(false);
       expect(response.body.message).toContain('Validation failed');
@@ -214,6 +512,25 @@ describe('Core Functionality Tests', () => {
       expect(response.headers).toHaveProperty('x-xss-protection');
     });
 
+    it('should let browser clients read the rate limit headers', async () => {
+      const response = await request(app)
+        .get('/health')
+        .set('Origin', 'http://localhost:5173');
+
+      expect(response.headers['access-control-expose-headers']).toContain('RateLimit-Remaining');
+      expect(response.headers['access-control-expose-headers']).toContain('Retry-After');
+    });
+
+    it('should allow PATCH in CORS preflights', async () => {
+      const response = await request(app)
+        .options('/api/organizations/org-1/members/user-1')
+        .set('Origin', 'http://localhost:5173')
+        .set('Access-Control-Request-Method', 'PATCH');
+
+      expect(response.status).toBe(204);
+      expect(response.headers['access-control-allow-methods']).toContain('PATCH');
+    });
+
     it('should reject requests with invalid content type', async () => {
       const response = await request(app)
         .post('/api/llm/query')
@@ -240,6 +557,124 @@ describe('Core Functionality Tests', () => {
     });
   });
 
+  describe('Conversations', () => {
+    it('should reject a malformed conversation id before querying the database', async () => {
+      const queryRaw = jest.fn().mockResolvedValue([]);
+      getPrisma.mockReturnValue({ $queryRaw: queryRaw });
+
+      const response = await request(app)
+        .get('/api/conversations/not-a-uuid')
+        .set('Authorization', authHeader());
+      const append = await request(app)
+        .post('/api/conversations/not-a-uuid/messages')
+        .set('Authorization', authHeader())
+        .send({ messages: [{ role: 'user', content: 'Hello' }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toEqual([expect.objectContaining({ field: 'id' })]);
+      expect(append.status).toBe(400);
+      expect(queryRaw).not.toHaveBeenCalled();
+    });
+
+    it('should require the conversations scope to query within a conversation', async () => {
+      const queryRaw = jest.fn().mockResolvedValue([{
+        id: '7d6c5b4a-3e2f-4a1b-9c8d-7e6f5a4b3c2d',
+        user_id: mockUser.id,
+        email: mockUser.email,
+        subscription_tier: 'professional',
+        scopes: ['query'],
+        last_used_at: new Date(),
+        expires_at: null,
+        revoked_at: null
+      }]);
+      getPrisma.mockReturnValue({ $queryRaw: queryRaw, $executeRaw: jest.fn() });
+
+      const response = await request(app)
+        .post('/api/llm/query')
+        .set('X-API-Key', 'vk_example-plaintext-key')
+        .send({ ...generateTestLLMRequest(), conversation_id: '9a8b7c6d-5e4f-4a3b-8c2d-1e0f9a8b7c6d' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.message).toContain('conversations scope');
+      expect(queryRaw).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Credit Holds', () => {
+    it('should expire stale holds on a timer without waiting for a request', async () => {
+      const queryRaw = jest.fn().mockResolvedValue([{ expired_count: 2 }]);
+      getPrisma.mockReturnValue({ $queryRaw: queryRaw });
+
+      const timer = scheduleCreditHoldExpiry(60);
+      jest.advanceTimersByTime(60 * 1000);
+      clearInterval(timer);
+
+      expect(queryRaw.mock.calls.map(([strings]) => strings.join('?'))).toEqual(
+        expect.arrayContaining([expect.stringContaining('expire_stale_credit_holds')])
+      );
+    });
+  });
+
+  describe('Request Tracing', () => {
+    it('should echo the caller\'s X-Request-Id in the header and the response', async () => {
+      const response = await request(app)
+        .get('/health')
+        .set('X-Request-Id', 'trace-123');
+
+      expect(response.headers['x-request-id']).toBe('trace-123');
+      expect(response.body.request_id).toBe('trace-123');
+    });
+
+    it('should generate an ID when the caller sends none or an unusable one', async () => {
+      const response = await request(app)
+        .get('/health')
+        .set('X-Request-Id', 'not an id; drop table');
+
+      expect(response.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+      expect(response.body.request_id).toBe(response.headers['x-request-id']);
+    });
+
+    it('should let browser clients send and read X-Request-Id across origins', async () => {
+      const preflight = await request(app)
+        .options('/api/llm/query')
+        .set('Origin', 'http://localhost:5173')
+        .set('Access-Control-Request-Method', 'POST')
+        .set('Access-Control-Request-Headers', 'Content-Type, X-Request-Id');
+      const response = await request(app)
+        .get('/health')
+        .set('Origin', 'http://localhost:5173');
+
+      expect(preflight.headers['access-control-allow-headers']).toContain('X-Request-Id');
+      expect(response.headers['access-control-expose-headers']).toContain('X-Request-Id');
+    });
+  });
+
+  describe('Metrics', () => {
+    afterEach(() => {
+      delete process.env.ADMIN_IPS;
+    });
+
+    it('should expose request counts per route in Prometheus format', async () => {
+      await request(app).get('/health');
+
+      const response = await request(app).get('/metrics');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/plain');
+      expect(response.text).toMatch(/http_requests_total\{method="GET",route="\/health",status="200"\} \d+/);
+      expect(response.text).toContain('# TYPE llm_provider_request_duration_seconds histogram');
+      expect(response.text).toContain('# TYPE credits_consumed_total counter');
+    });
+
+    it('should only serve metrics to admin IPs', async () => {
+      process.env.ADMIN_IPS = '10.0.0.1';
+
+      const response = await request(app).get('/metrics');
+
+      expect(response.status).toBe(403);
+    });
+  });
+
   describe('Error Handling', () => {
     it('should handle 404 routes gracefully', async () => {
       const response = await request(app)
@@ -275,6 +710,9 @@ describe('Core Functionality Tests', () => {
 
     it('should handle concurrent requests', async () => {
       const testRequest = generateTestLLMRequest();
+      for (let i = 0; i < 5; i++) {
+        fetch.mockResolvedValueOnce(claudeResponse('Concurrent response'));
+      }
       
       // Make 5 concurrent requests
       const requests = Array(5).fill().map(() => 
@@ -0,0 +1,123 @@
+import handler, { checkReadiness } from '../../api/health.js';
+import { getPrisma } from '../../api/db.js';
+import { getRateLimiter } from '../../api/rate-limiter.js';
+
+jest.mock('../../api/db.js', () => ({ getPrisma: jest.fn() }));
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  res.end = jest.fn();
+  res.setHeader = jest.fn();
+  return res;
+};
+
+// Answers SELECT 1 and the pg_proc lookup with the given function names
+const mockDatabase = (functions = ['consume_credits', 'hold_credits']) => {
+  getPrisma.mockReturnValue({
+    $queryRaw: jest.fn(async (strings) => (
+      strings.join('?').includes('pg_proc') ? functions.map(name => ({ name })) : [{ '?column?': 1 }]
+    ))
+  });
+};
+
+describe('Health checks', () => {
+  beforeEach(() => {
+    process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+  });
+
+  afterEach(() => {
+    delete process.env.STRIPE_WEBHOOK_SECRET;
+    process.env.ANTHROPIC_API_KEY = 'test-anthropic-key';
+    process.env.OPENAI_API_KEY = 'test-openai-key';
+    process.env.PERPLEXITY_API_KEY = 'test-perplexity-key';
+    process.env.GEMINI_API_KEY = 'test-gemini-key';
+  });
+
+  it('should report every check with its status and latency when ready', async () => {
+    mockDatabase();
+
+    const readiness = await checkReadiness();
+
+    expect(readiness).toMatchObject({ status: 'ok', ready: true });
+    expect(Object.keys(readiness.checks)).toEqual(['database', 'sql_functions', 'rate_limit_store', 'providers', 'stripe', 'stripe_webhook']);
+    for (const check of Object.values(readiness.checks)) {
+      expect(check).toMatchObject({ status: 'ok', latency_ms: expect.any(Number) });
+    }
+    expect(readiness.checks.providers.providers).toMatchObject({ claude: 'available', openai: 'available' });
+  });
+
+  it('should not be ready when a required SQL function is missing', async () => {
+    mockDatabase(['hold_credits']);
+
+    const readiness = await checkReadiness();
+
+    expect(readiness).toMatchObject({ status: 'fail', ready: false });
+    expect(readiness.checks.sql_functions).toMatchObject({ status: 'fail', missing: ['consume_credits'] });
+  });
+
+  it('should not be ready when the rate limit store does not answer', async () => {
+    mockDatabase();
+    jest.spyOn(getRateLimiter(), 'check').mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+
+    const readiness = await checkReadiness();
+
+    expect(readiness).toMatchObject({ status: 'fail', ready: false });
+    expect(readiness.checks.rate_limit_store).toMatchObject({
+      status: 'fail',
+      required: true,
+      store: 'memory',
+      error: 'connect ECONNREFUSED'
+    });
+  });
+
+  it('should stay ready but degraded without the webhook secret', async () => {
+    mockDatabase();
+    delete process.env.STRIPE_WEBHOOK_SECRET;
+
+    const readiness = await checkReadiness();
+
+    expect(readiness).toMatchObject({ status: 'degraded', ready: true });
+    expect(readiness.checks.stripe_webhook).toMatchObject({ status: 'fail', required: false });
+  });
+
+  it('should not be ready when no provider has a key', async () => {
+    mockDatabase();
+    for (const key of ['ANTHROPIC_API_KEY', 'OPENAI_API_KEY', 'PERPLEXITY_API_KEY', 'GEMINI_API_KEY']) {
+      delete process.env[key];
+    }
+
+    const readiness = await checkReadiness();
+
+    expect(readiness.ready).toBe(false);
+    expect(readiness.checks.providers).toMatchObject({
+      status: 'fail',
+      providers: { claude: 'not_configured', gemini: 'not_configured' }
+    });
+  });
+
+  it('should fail the database checks when Postgres does not answer in time', async () => {
+    getPrisma.mockReturnValue({ $queryRaw: jest.fn(() => new Promise(() => {})) });
+    const res = createRes();
+
+    const pending = handler({ method: 'GET', query: {} }, res);
+    await jest.advanceTimersByTimeAsync(2000);
+    await pending;
+
+    expect(res.status).toHaveBeenCalledWith(503);
+    const body = res.json.mock.calls[0][0];
+    expect(body.checks.database).toMatchObject({ status: 'fail', error: 'Timed out after 2000ms' });
+    expect(body.checks.sql_functions.status).toBe('fail');
+  });
+
+  it('should answer liveness without touching the database', async () => {
+    const res = createRes();
+
+    await handler({ method: 'GET', query: { probe: 'live' } }, res);
+
+    expect(getPrisma).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0]).toMatchObject({ status: 'ok', uptime_seconds: expect.any(Number) });
+  });
+});
@@ -0,0 +1,134 @@
+import {
+  matchJob,
+  scoreJobMatch,
+  extractSkills,
+  extractKeywords
+} from '../../api/job-match.js';
+import { holdCredits, captureCreditHold, releaseCreditHold } from '../../api/credit-ledger.js';
+import { callLLMWithFailover } from '../../api/llm-failover.js';
+
+jest.mock('../../api/db.js', () => ({ getPrisma: jest.fn() }));
+jest.mock('../../api/credit-ledger.js', () => ({
+  holdCredits: jest.fn(),
+  captureCreditHold: jest.fn(),
+  releaseCreditHold: jest.fn()
+}));
+jest.mock('../../api/llm-failover.js', () => ({ callLLMWithFailover: jest.fn() }));
+
+const USER_ID = '3f1c2d4e-5b6a-4c7d-8e9f-0a1b2c3d4e5f';
+
+const JOB_DESCRIPTION = 'Data Scientist. You will build forecasting models in Python and SQL, ' +
+  'deploy machine learning pipelines on AWS and present forecasting results in Tableau dashboards.';
+const RESUME = 'Jane Doe - Data Analyst\nBuilt sales forecasting models in Python and SQL.\nTableau dashboards for finance.';
+
+const narrative = {
+  summary: 'A strong analyst who would need to grow into production machine learning.',
+  strengths: ['Forecasting models in Python and SQL'],
+  gaps: ['No AWS experience shown'],
+  cover_letter: 'Dear hiring manager, ...'
+};
+
+const llmResult = (content) => ({
+  choices: [{ message: { role: 'assistant', content } }],
+  usage: { prompt_tokens: 1100, completion_tokens: 700, total_tokens: 1800 },
+  model: 'claude-3-sonnet-20240229',
+  provider: 'claude',
+  request_id: 'msg_match',
+  response_time_ms: 3200,
+  fallback_used: false
+});
+
+describe('Job match scoring', () => {
+  it('should recognise skills by alias and whole term only', () => {
+    expect(extractSkills('Kubernetes (k8s), C++, C# and Node.js; JavaScript')).toEqual(
+      ['javascript', 'c++', 'c#', 'node.js', 'kubernetes']
+    );
+    expect(extractSkills('Google Cloud and ML experience')).toEqual(['gcp', 'machine learning']);
+  });
+
+  it('should rank posting keywords by frequency, ignoring boilerplate', () => {
+    const keywords = extractKeywords(JOB_DESCRIPTION);
+
+    expect(keywords[0]).toBe('forecasting');
+    expect(keywords).not.toContain('you');
+    expect(keywords).not.toContain('will');
+  });
+
+  it('should split requirements into matched and missing and weight skills over keywords', () => {
+    const match = scoreJobMatch({ jobDescription: JOB_DESCRIPTION, resumeText: RESUME });
+
+    expect(match.requirements).toEqual({
+      matched: ['python', 'sql', 'tableau'],
+      missing: ['aws', 'machine learning']
+    });
+    expect(match.keywords.matched).toEqual(expect.arrayContaining(['forecasting', 'python', 'dashboard']));
+    expect(match.keywords.missing).toEqual(expect.arrayContaining(['aws', 'machine', 'learning']));
+    expect(match.score).toBe(Math.round(70 * 3 / 5 + 0.3 * match.keywords.coverage_percent));
+  });
+
+  it('should count skills listed on the profile', () => {
+    const match = scoreJobMatch({ jobDescription: JOB_DESCRIPTION, resumeText: RESUME, profileSkills: ['AWS'] });
+
+    expect(match.requirements.missing).toEqual(['machine learning']);
+  });
+
+  it('should give the same result for the same input', () => {
+    const args = { jobDescription: JOB_DESCRIPTION, resumeText: RESUME };
+
+    expect(scoreJobMatch(args)).toEqual(scoreJobMatch(args));
+  });
+});
+
+describe('Job match billing', () => {
+  beforeEach(() => {
+    holdCredits.mockResolvedValue({ success: true, hold_id: 'hold-1' });
+    captureCreditHold.mockResolvedValue({ success: true, credits_captured: 2 });
+    releaseCreditHold.mockResolvedValue({ success: true });
+  });
+
+  const match = () => matchJob({
+    userId: USER_ID,
+    jobDescription: JOB_DESCRIPTION,
+    jobTitle: 'Data Scientist',
+    resumeText: RESUME
+  });
+
+  it('should charge the job_match query cost and combine the local score with the narrative', async () => {
+    callLLMWithFailover.mockResolvedValue(llmResult(JSON.stringify(narrative)));
+
+    const result = await match();
+
+    expect(result).toMatchObject({
+      success: true,
+      job_title: 'Data Scientist',
+      requirements: { matched: ['python', 'sql', 'tableau'], missing: ['aws', 'machine learning'] },
+      narrative: { summary: narrative.summary, strengths: narrative.strengths, gaps: narrative.gaps },
+      cover_letter: narrative.cover_letter,
+      usage: { credits_consumed: 2 }
+    });
+    expect(result.score).toBe(scoreJobMatch({ jobDescription: JOB_DESCRIPTION, resumeText: RESUME }).score);
+    expect(holdCredits).toHaveBeenCalledWith(USER_ID, 2, 'Job match for Data Scientist', { query_type: 'job_match' });
+    expect(captureCreditHold).toHaveBeenCalledWith('hold-1', 2, 'Job match for Data Scientist', expect.objectContaining({
+      query_type: 'job_match',
+      total_tokens: 1800
+    }));
+    expect(callLLMWithFailover.mock.calls[0][0].messages.at(-1).content).toContain('Missing requirements: aws, machine learning.');
+  });
+
+  it('should release the hold when the narrative is not JSON', async () => {
+    callLLMWithFailover.mockResolvedValue(llmResult('You are a great fit!'));
+
+    const result = await match();
+
+    expect(result).toEqual({ success: false, error: 'The model did not return a valid answer', status: 502 });
+    expect(releaseCreditHold).toHaveBeenCalledWith('hold-1', 'failed');
+  });
+
+  it('should release the hold and rethrow when every provider fails', async () => {
+    callLLMWithFailover.mockRejectedValue(new Error('All providers failed'));
+
+    await expect(match()).rejects.toThrow('All providers failed');
+    expect(releaseCreditHold).toHaveBeenCalledWith('hold-1', 'failed');
+    expect(captureCreditHold).not.toHaveBeenCalled();
+  });
+});
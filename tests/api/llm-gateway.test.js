@@ -0,0 +1,308 @@
+import handler from '../../api/llm-gateway.js';
+import { getPrisma } from '../../api/db.js';
+import { holdCredits, captureCreditHold, releaseCreditHold } from '../../api/credit-ledger.js';
+import { callLLMWithFailover } from '../../api/llm-failover.js';
+import { getRateLimiter } from '../../api/rate-limiter.js';
+import { mockUser, authHeader } from '../setup.js';
+
+jest.mock('../../api/db.js', () => ({ getPrisma: jest.fn() }));
+jest.mock('../../api/credit-ledger.js', () => ({
+  holdCredits: jest.fn(),
+  captureCreditHold: jest.fn(),
+  releaseCreditHold: jest.fn()
+}));
+jest.mock('../../api/llm-failover.js', () => ({ callLLMWithFailover: jest.fn() }));
+
+const USER_ID = '3f1c2d4e-5b6a-4c7d-8e9f-0a1b2c3d4e5f';
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  res.setHeader = jest.fn();
+  return res;
+};
+
+const createReq = (body = {}) => ({
+  method: 'POST',
+  headers: {
+    'x-forwarded-for': '203.0.113.7',
+    authorization: authHeader({ id: USER_ID, email: mockUser.email })
+  },
+  connection: {},
+  body: {
+    provider: 'claude',
+    model: 'claude-3-haiku-20240307',
+    messages: [{ role: 'user', content: 'How do I negotiate a raise?' }],
+    max_tokens: 500,
+    ...body
+  }
+});
+
+describe('LLM Gateway credit holds', () => {
+  beforeEach(async () => {
+    await getRateLimiter().reset(`user:${USER_ID}`);
+    getPrisma.mockReturnValue({
+      $queryRaw: jest.fn().mockResolvedValue([{}]),
+      llm_provider_configs: {
+        findFirst: jest.fn().mockResolvedValue({
+          credits_per_1k_tokens: 1,
+          input_cost_per_1m_tokens: 0.25,
+          output_cost_per_1m_tokens: 1.25
+        })
+      },
+      llm_usage: { create: jest.fn() }
+    });
+    holdCredits.mockResolvedValue({ success: true, hold_id: 'hold-1', amount: 0.01 });
+  });
+
+  it('should hold the estimate and capture the actual amount', async () => {
+    callLLMWithFailover.mockResolvedValue({
+      choices: [{ message: { role: 'assistant', content: 'Research market rates first.' } }],
+      usage: { prompt_tokens: 200, completion_tokens: 400, total_tokens: 600 },
+      model: 'claude-3-haiku-20240307',
+      provider: 'claude',
+      request_id: 'msg_1',
+      fallback_used: false
+    });
+    captureCreditHold.mockResolvedValue({ success: true, credits_captured: 0.44, new_balance: mockUser.credits - 0.44 });
+    const res = createRes();
+
+    await handler(createReq(), res);
+
+    expect(holdCredits).toHaveBeenCalledWith(USER_ID, expect.any(Number), 'claude claude-3-haiku-20240307 request', expect.any(Object));
+    expect(callLLMWithFailover).toHaveBeenCalledWith(expect.objectContaining({ signal: expect.any(AbortSignal) }));
+    expect(captureCreditHold).toHaveBeenCalledWith('hold-1', expect.any(Number), expect.any(String), expect.objectContaining({
+      provider: 'claude',
+      total_tokens: 600,
+      provider_cost_usd: 0.00055
+    }));
+    expect(releaseCreditHold).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].usage.credits_consumed).toBe(0.44);
+  });
+
+  it('should tag the usage row and the response with the caller\'s X-Request-Id', async () => {
+    callLLMWithFailover.mockResolvedValue({
+      choices: [{ message: { role: 'assistant', content: 'Research market rates first.' } }],
+      usage: { prompt_tokens: 200, completion_tokens: 400, total_tokens: 600 },
+      model: 'claude-3-haiku-20240307',
+      provider: 'claude',
+      request_id: 'msg_1',
+      fallback_used: false
+    });
+    captureCreditHold.mockResolvedValue({ success: true, credits_captured: 0.44 });
+    const req = createReq();
+    req.headers['x-request-id'] = 'trace-789';
+    const res = createRes();
+
+    await handler(req, res);
+
+    expect(res.setHeader).toHaveBeenCalledWith('X-Request-Id', 'trace-789');
+    expect(captureCreditHold).toHaveBeenCalledWith('hold-1', expect.any(Number), expect.any(String), expect.objectContaining({
+      request_id: 'trace-789',
+      provider_request_id: 'msg_1'
+    }));
+    expect(res.json.mock.calls[0][0]).toMatchObject({ request_id: 'trace-789', provider_request_id: 'msg_1' });
+  });
+
+  it('should price a fallback model without a config row from the registry', async () => {
+    getPrisma().llm_provider_configs.findFirst.mockResolvedValueOnce({
+      credits_per_1k_tokens: 1,
+      input_cost_per_1m_tokens: 0.25,
+      output_cost_per_1m_tokens: 1.25
+    }).mockResolvedValueOnce(null);
+    callLLMWithFailover.mockResolvedValue({
+      choices: [{ message: { role: 'assistant', content: 'Research market rates first.' } }],
+      usage: { prompt_tokens: 200, completion_tokens: 400, total_tokens: 600 },
+      model: 'gpt-3.5-turbo',
+      provider: 'openai',
+      request_id: 'chatcmpl_1',
+      fallback_used: true
+    });
+    captureCreditHold.mockResolvedValue({ success: true, credits_captured: 0.25 });
+    const res = createRes();
+
+    await handler(createReq(), res);
+
+    expect(captureCreditHold).toHaveBeenCalledWith('hold-1', expect.any(Number), expect.any(String), expect.objectContaining({
+      provider: 'openai',
+      model: 'gpt-3.5-turbo',
+      provider_cost_usd: 0.0007
+    }));
+    expect(releaseCreditHold).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it('should reject the request when the hold cannot be placed', async () => {
+    holdCredits.mockResolvedValue({ success: false, error: 'Insufficient credits', required: 0.5, available: 0.1 });
+    const res = createRes();
+
+    await handler(createReq(), res);
+
+    expect(res.status).toHaveBeenCalledWith(402);
+    expect(callLLMWithFailover).not.toHaveBeenCalled();
+  });
+
+  it('should report the monthly cap when an organization member has used it up', async () => {
+    holdCredits.mockResolvedValue({
+      success: false,
+      error: 'Monthly credit cap reached',
+      required: 0.5,
+      monthly_credit_cap: 50,
+      monthly_used: 49.8
+    });
+    const res = createRes();
+
+    await handler(createReq(), res);
+
+    expect(res.status).toHaveBeenCalledWith(402);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      error: 'Monthly credit cap reached',
+      monthly_credit_cap: 50,
+      monthly_used: 49.8
+    }));
+  });
+
+  it('should release the hold when the provider call fails', async () => {
+    callLLMWithFailover.mockRejectedValue(new Error('All providers failed'));
+    releaseCreditHold.mockResolvedValue({ success: true });
+    const res = createRes();
+
+    await handler(createReq(), res);
+
+    expect(releaseCreditHold).toHaveBeenCalledWith('hold-1', 'failed');
+    expect(captureCreditHold).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+
+  it('should not charge a user named in the body without their token', async () => {
+    callLLMWithFailover.mockResolvedValue({
+      choices: [{ message: { role: 'assistant', content: 'Research market rates first.' } }],
+      usage: { prompt_tokens: 120, completion_tokens: 300, total_tokens: 420 },
+      model: 'claude-3-haiku-20240307',
+      provider: 'claude'
+    });
+    const req = createReq({ user_id: USER_ID });
+    delete req.headers.authorization;
+
+    await handler(req, createRes());
+
+    expect(holdCredits).not.toHaveBeenCalled();
+    expect(captureCreditHold).not.toHaveBeenCalled();
+  });
+
+  it('should reject an invalid access token', async () => {
+    const req = createReq();
+    req.headers.authorization = 'Bearer forged.token.value';
+    const res = createRes();
+
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(callLLMWithFailover).not.toHaveBeenCalled();
+  });
+
+  it('should enforce the caller\'s tier in the sliding-window limiter', async () => {
+    for (let i = 0; i < 10; i++) {
+      await getRateLimiter().record(`user:${USER_ID}`);
+    }
+    const res = createRes();
+
+    await handler(createReq(), res);
+
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ tier: 'free_user', retry_after: 3600 }));
+    expect(res.setHeader).toHaveBeenCalledWith('RateLimit-Remaining', '0');
+    expect(res.setHeader).toHaveBeenCalledWith('Retry-After', '3600');
+    expect(holdCredits).not.toHaveBeenCalled();
+  });
+
+  it('should give subscribers the paid tier limits', async () => {
+    getPrisma().$queryRaw.mockResolvedValue([{ subscription_tier: 'professional' }]);
+    for (let i = 0; i < 10; i++) {
+      await getRateLimiter().record(`user:${USER_ID}`);
+    }
+    holdCredits.mockResolvedValue({ success: false, error: 'Insufficient credits' });
+    const res = createRes();
+
+    await handler(createReq(), res);
+
+    expect(res.status).toHaveBeenCalledWith(402);
+    expect(res.setHeader).toHaveBeenCalledWith('RateLimit-Limit', '100');
+  });
+});
+
+describe('LLM Gateway structured outputs', () => {
+  const salary = {
+    role: 'Data Analyst',
+    location: 'Austin, TX',
+    currency: 'USD',
+    period: 'year',
+    percentiles: { p25: 68000, p50: 80000, p75: 95000 },
+    negotiation_tips: ['Anchor with the 75th percentile']
+  };
+
+  const llmResult = (content) => ({
+    choices: [{ message: { role: 'assistant', content } }],
+    usage: { prompt_tokens: 300, completion_tokens: 200, total_tokens: 500 },
+    model: 'claude-3-haiku-20240307',
+    provider: 'claude',
+    request_id: 'msg_salary',
+    fallback_used: false
+  });
+
+  beforeEach(async () => {
+    await getRateLimiter().reset(`user:${USER_ID}`);
+    getPrisma.mockReturnValue({
+      $queryRaw: jest.fn().mockResolvedValue([{}]),
+      llm_provider_configs: {
+        findFirst: jest.fn().mockResolvedValue({
+          credits_per_1k_tokens: 1,
+          input_cost_per_1m_tokens: 0.25,
+          output_cost_per_1m_tokens: 1.25
+        })
+      },
+      llm_usage: { create: jest.fn() }
+    });
+    holdCredits.mockResolvedValue({ success: true, hold_id: 'hold-1', amount: 0.01 });
+    captureCreditHold.mockResolvedValue({ success: true, credits_captured: 0.4 });
+    releaseCreditHold.mockResolvedValue({ success: true });
+  });
+
+  it('should answer query types with a schema as validated JSON', async () => {
+    callLLMWithFailover.mockResolvedValue(llmResult(JSON.stringify(salary)));
+    const res = createRes();
+
+    await handler(createReq({ query_type: 'salary_analysis' }), res);
+
+    expect(callLLMWithFailover).toHaveBeenCalledWith(expect.objectContaining({
+      response_format: expect.objectContaining({ name: 'salary_analysis' })
+    }));
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0]).toMatchObject({ structured_output: salary, structured_repairs: 0 });
+  });
+
+  it('should release the hold when no valid answer arrives after the repair', async () => {
+    callLLMWithFailover.mockResolvedValue(llmResult('Data analysts in Austin earn about $80k.'));
+    const res = createRes();
+
+    await handler(createReq({ query_type: 'salary_analysis' }), res);
+
+    expect(callLLMWithFailover).toHaveBeenCalledTimes(2);
+    expect(releaseCreditHold).toHaveBeenCalledWith('hold-1', 'failed');
+    expect(captureCreditHold).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(502);
+  });
+
+  it('should keep free text when the caller opts out', async () => {
+    callLLMWithFailover.mockResolvedValue(llmResult('Data analysts in Austin earn about $80k.'));
+    const res = createRes();
+
+    await handler(createReq({ query_type: 'salary_analysis', structured: false }), res);
+
+    expect(callLLMWithFailover.mock.calls[0][0].response_format).toBeUndefined();
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].structured_output).toBeUndefined();
+  });
+});
@@ -0,0 +1,330 @@
+import {
+  callLLMProvider,
+  streamLLMProvider,
+  getAvailableProviders,
+  getModelConfig
+} from '../../api/llm-providers.js';
+import { countTokens, countMessageTokens } from '../../api/tokenizer.js';
+import { callLLMWithFailover, computeBackoffDelay } from '../../api/llm-failover.js';
+import {
+  registerProvider,
+  unregisterProvider,
+  createOpenAICompatibleAdapter,
+  CircuitBreaker,
+  CIRCUIT_STATES,
+  resetCircuitBreakers,
+  ProviderError,
+  PROVIDER_ERROR_CODES
+} from '../../api/providers/index.js';
+import { register } from '../../src/utils/metrics.js';
+import { generateTestLLMRequest } from '../setup.js';
+
+const jsonResponse = (body, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json' }
+});
+
+describe('LLM Provider Adapters', () => {
+
+  describe('Registry', () => {
+    it('should expose every built-in provider', () => {
+      const providerIds = getAvailableProviders().map(provider => provider.id);
+
+      expect(providerIds).toEqual(expect.arrayContaining(['claude', 'openai', 'perplexity', 'gemini']));
+    });
+
+    it('should resolve models to the adapter that serves them', () => {
+      expect(getModelConfig('gpt-4').provider).toBe('openai');
+      expect(getModelConfig('gemini-1.5-flash').provider).toBe('gemini');
+      expect(() => getModelConfig('unknown-model')).toThrow('Model unknown-model not found');
+    });
+
+    it('should route to a newly registered adapter without touching the caller', async () => {
+      registerProvider(createOpenAICompatibleAdapter({
+        id: 'local',
+        name: 'Local Model',
+        baseURL: 'http://localhost:8000/v1/chat/completions',
+        models: {
+          'local-llama': {
+            name: 'Local Llama',
+            input_cost_per_1m: 0,
+            output_cost_per_1m: 0.01,
+            credits_per_1k_tokens: 0.1,
+            max_tokens: 2048,
+            context_window: 8192
+          }
+        }
+      }));
+      fetch.mockResolvedValueOnce(jsonResponse({
+        id: 'local-1',
+        choices: [{ message: { role: 'assistant', content: 'Hi from local' }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 5, completion_tokens: 3 }
+      }));
+
+      try {
+        const result = await callLLMProvider(generateTestLLMRequest({ model: 'local-llama' }));
+
+        expect(fetch).toHaveBeenCalledWith('http://localhost:8000/v1/chat/completions', expect.any(Object));
+        expect(result.provider).toBe('local');
+        expect(result.choices[0].message.content).toBe('Hi from local');
+        expect(result.usage.total_tokens).toBe(8);
+      } finally {
+        unregisterProvider('local');
+      }
+    });
+  });
+
+  describe('Request mapping and normalization', () => {
+    it('should move system prompts to the Claude system field', async () => {
+      fetch.mockResolvedValueOnce(jsonResponse({
+        id: 'msg_1',
+        content: [{ type: 'text', text: 'Advice' }],
+        usage: { input_tokens: 20, output_tokens: 10 },
+        stop_reason: 'end_turn'
+      }));
+
+      const result = await callLLMProvider(generateTestLLMRequest({
+        messages: [
+          { role: 'system', content: 'You are a career coach' },
+          { role: 'user', content: 'Help me' }
+        ]
+      }));
+
+      const body = JSON.parse(fetch.mock.calls[0][1].body);
+      expect(body.system).toBe('You are a career coach');
+      expect(body.messages).toEqual([{ role: 'user', content: 'Help me' }]);
+      expect(result.usage).toMatchObject({ prompt_tokens: 20, completion_tokens: 10, total_tokens: 30 });
+      expect(result.usage.credits_consumed).toBeGreaterThan(0);
+    });
+
+    it('should normalize Gemini responses', async () => {
+      fetch.mockResolvedValueOnce(jsonResponse({
+        responseId: 'gem-1',
+        candidates: [{ content: { parts: [{ text: 'Gemini ' }, { text: 'answer' }] }, finishReason: 'STOP' }],
+        usageMetadata: { promptTokenCount: 7, candidatesTokenCount: 4 }
+      }));
+
+      const result = await callLLMProvider(generateTestLLMRequest({ model: 'gemini-1.5-flash' }));
+
+      expect(fetch.mock.calls[0][0]).toContain('gemini-1.5-flash:generateContent');
+      expect(result.choices[0].message.content).toBe('Gemini answer');
+      expect(result.usage.total_tokens).toBe(11);
+      expect(result.request_id).toBe('gem-1');
+    });
+
+    const responseFormat = {
+      name: 'salary_analysis',
+      schema: { type: 'object', required: ['role'], properties: { role: { type: 'string' } } }
+    };
+
+    it('should force Claude structured answers through a tool and return its input as JSON', async () => {
+      fetch.mockResolvedValueOnce(jsonResponse({
+        id: 'msg_2',
+        content: [{ type: 'tool_use', id: 'toolu_1', name: 'salary_analysis', input: { role: 'Data Analyst' } }],
+        usage: { input_tokens: 30, output_tokens: 12 },
+        stop_reason: 'tool_use'
+      }));
+
+      const result = await callLLMProvider(generateTestLLMRequest({ response_format: responseFormat }));
+
+      const body = JSON.parse(fetch.mock.calls[0][1].body);
+      expect(body.tools).toEqual([expect.objectContaining({ name: 'salary_analysis', input_schema: responseFormat.schema })]);
+      expect(body.tool_choice).toEqual({ type: 'tool', name: 'salary_analysis' });
+      expect(JSON.parse(result.choices[0].message.content)).toEqual({ role: 'Data Analyst' });
+    });
+
+    it('should request the JSON output mode each OpenAI-compatible model supports', async () => {
+      const reply = () => jsonResponse({
+        id: 'chatcmpl-1',
+        choices: [{ message: { role: 'assistant', content: '{"role":"Data Analyst"}' }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 30, completion_tokens: 8 }
+      });
+      fetch.mockResolvedValueOnce(reply()).mockResolvedValueOnce(reply()).mockResolvedValueOnce(reply());
+
+      await callLLMProvider(generateTestLLMRequest({ model: 'llama-3.1-sonar-large-128k-online', response_format: responseFormat }));
+      await callLLMProvider(generateTestLLMRequest({ model: 'gpt-3.5-turbo', response_format: responseFormat }));
+      await callLLMProvider(generateTestLLMRequest({ model: 'gpt-4', response_format: responseFormat }));
+
+      const bodies = fetch.mock.calls.map(([, init]) => JSON.parse(init.body));
+      expect(bodies[0].response_format).toEqual({ type: 'json_schema', json_schema: responseFormat });
+      expect(bodies[1].response_format).toEqual({ type: 'json_object' });
+      expect(bodies[2].response_format).toBeUndefined();
+    });
+  });
+
+  describe('Streaming', () => {
+    it('should count tokens with the model\'s tokenizer when the stream omits usage', async () => {
+      const request = generateTestLLMRequest({ model: 'gpt-4' });
+      fetch.mockResolvedValueOnce(new Response(
+        'data: {"id":"chatcmpl-1","choices":[{"delta":{"content":"Negotiate on "}}]}\n\n' +
+        'data: {"choices":[{"delta":{"content":"total compensation."},"finish_reason":"stop"}]}\n\n' +
+        'data: [DONE]\n\n',
+        { status: 200, headers: { 'Content-Type': 'text/event-stream' } }
+      ));
+
+      const events = [];
+      for await (const event of streamLLMProvider(request)) {
+        events.push(event);
+      }
+
+      expect(events.at(-1).usage).toMatchObject({
+        prompt_tokens: countMessageTokens(request.messages, 'gpt-4'),
+        completion_tokens: countTokens('Negotiate on total compensation.', 'gpt-4')
+      });
+    });
+  });
+
+  describe('Error classification', () => {
+    it('should mark rate limits as retryable', async () => {
+      fetch.mockResolvedValueOnce(new Response('slow down', { status: 429, headers: { 'retry-after': '2' } }));
+
+      const error = await callLLMProvider(generateTestLLMRequest({ model: 'gpt-4' })).catch(e => e);
+
+      expect(error).toBeInstanceOf(ProviderError);
+      expect(error.code).toBe(PROVIDER_ERROR_CODES.RATE_LIMITED);
+      expect(error.retryable).toBe(true);
+      expect(error.retryAfterMs).toBe(2000);
+    });
+
+    it('should not retry invalid requests', async () => {
+      fetch.mockResolvedValueOnce(new Response('bad request', { status: 400 }));
+
+      const error = await callLLMProvider(generateTestLLMRequest()).catch(e => e);
+
+      expect(error.code).toBe(PROVIDER_ERROR_CODES.INVALID_REQUEST);
+      expect(error.retryable).toBe(false);
+    });
+
+    it('should classify network failures as retryable', async () => {
+      fetch.mockRejectedValueOnce(new TypeError('fetch failed'));
+
+      const error = await callLLMProvider(generateTestLLMRequest()).catch(e => e);
+
+      expect(error.code).toBe(PROVIDER_ERROR_CODES.NETWORK);
+      expect(error.retryable).toBe(true);
+    });
+  });
+
+  describe('Metrics', () => {
+    const metricValue = async (name, labels) => {
+      const metric = await register.getSingleMetric(name).get();
+      const match = metric.values.find(value => Object.entries(labels).every(([key, label]) => value.labels[key] === label));
+      return match?.value ?? 0;
+    };
+
+    it('should count tokens on success and errors by code per provider and model', async () => {
+      const labels = { provider: 'openai', model: 'gpt-4' };
+      const promptTokens = await metricValue('llm_provider_tokens_total', { ...labels, type: 'prompt' });
+      const rateLimited = await metricValue('llm_provider_errors_total', { ...labels, code: PROVIDER_ERROR_CODES.RATE_LIMITED });
+      fetch.mockResolvedValueOnce(jsonResponse({
+        id: 'chatcmpl-1',
+        choices: [{ message: { role: 'assistant', content: 'Hi' }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 12, completion_tokens: 4 }
+      }));
+      fetch.mockResolvedValueOnce(new Response('slow down', { status: 429 }));
+
+      await callLLMProvider(generateTestLLMRequest({ model: 'gpt-4' }));
+      await callLLMProvider(generateTestLLMRequest({ model: 'gpt-4' })).catch(() => {});
+
+      expect(await metricValue('llm_provider_tokens_total', { ...labels, type: 'prompt' })).toBe(promptTokens + 12);
+      expect(await metricValue('llm_provider_errors_total', { ...labels, code: PROVIDER_ERROR_CODES.RATE_LIMITED }))
+        .toBe(rateLimited + 1);
+    });
+  });
+
+  describe('Failover', () => {
+    const openAIResponse = (content) => jsonResponse({
+      id: 'chatcmpl-1',
+      choices: [{ message: { role: 'assistant', content }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 4, completion_tokens: 6 }
+    });
+
+    beforeEach(() => {
+      resetCircuitBreakers();
+    });
+
+    it('should back off with jitter, honouring Retry-After and the cap', () => {
+      const options = { baseDelayMs: 100, maxDelayMs: 1000, random: () => 0.5 };
+
+      expect(computeBackoffDelay(0, null, options)).toBe(50);
+      expect(computeBackoffDelay(2, null, options)).toBe(200);
+      expect(computeBackoffDelay(0, { retryAfterMs: 700 }, options)).toBe(700);
+      expect(computeBackoffDelay(10, null, options)).toBe(1000);
+    });
+
+    it('should retry the same provider before failing over', async () => {
+      const wait = jest.fn().mockResolvedValue();
+      fetch
+        .mockResolvedValueOnce(new Response('busy', { status: 429 }))
+        .mockResolvedValueOnce(openAIResponse('Second try'));
+
+      const result = await callLLMWithFailover(
+        generateTestLLMRequest({ model: 'gpt-4' }),
+        { baseDelayMs: 100, random: () => 1, wait }
+      );
+
+      expect(wait).toHaveBeenCalledWith(100);
+      expect(result.provider).toBe('openai');
+      expect(result.fallback_used).toBe(false);
+      expect(result.failed_attempts).toHaveLength(1);
+      expect(result.failed_attempts[0].code).toBe(PROVIDER_ERROR_CODES.RATE_LIMITED);
+    });
+
+    it('should not fail over when the provider rejects the request', async () => {
+      fetch.mockResolvedValueOnce(new Response('bad request', { status: 400 }));
+
+      const error = await callLLMWithFailover(generateTestLLMRequest({ model: 'gpt-4' })).catch(e => e);
+
+      expect(error.code).toBe(PROVIDER_ERROR_CODES.INVALID_REQUEST);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should skip providers whose circuit is open', async () => {
+      fetch
+        .mockResolvedValueOnce(new Response('down', { status: 500 }))
+        .mockResolvedValueOnce(openAIResponse('From fallback'));
+
+      const result = await callLLMWithFailover(
+        generateTestLLMRequest(),
+        { chain: ['claude-3-haiku-20240307', 'gpt-3.5-turbo'], maxRetries: 0 }
+      );
+      expect(result.provider).toBe('openai');
+
+      // Four more failures open the Claude circuit (default threshold is 5)
+      for (let i = 0; i < 4; i++) {
+        fetch
+          .mockResolvedValueOnce(new Response('down', { status: 500 }))
+          .mockResolvedValueOnce(openAIResponse('From fallback'));
+        await callLLMWithFailover(generateTestLLMRequest(), { chain: ['claude-3-haiku-20240307', 'gpt-3.5-turbo'], maxRetries: 0 });
+      }
+      fetch.mockClear();
+      fetch.mockResolvedValueOnce(openAIResponse('Claude skipped'));
+
+      const skipped = await callLLMWithFailover(
+        generateTestLLMRequest(),
+        { chain: ['claude-3-haiku-20240307', 'gpt-3.5-turbo'], maxRetries: 0 }
+      );
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(skipped.choices[0].message.content).toBe('Claude skipped');
+      expect(skipped.failed_attempts[0].code).toBe(PROVIDER_ERROR_CODES.CIRCUIT_OPEN);
+    });
+
+    it('should allow a single trial request after the cooldown', () => {
+      let now = 0;
+      const breaker = new CircuitBreaker('claude', { failureThreshold: 2, cooldownMs: 1000, now: () => now });
+
+      breaker.recordFailure();
+      breaker.recordFailure();
+      expect(breaker.canRequest()).toBe(false);
+
+      now = 1000;
+      expect(breaker.canRequest()).toBe(true);
+      expect(breaker.state).toBe(CIRCUIT_STATES.HALF_OPEN);
+      expect(breaker.canRequest()).toBe(false);
+
+      breaker.recordSuccess();
+      expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED);
+    });
+  });
+});
@@ -0,0 +1,74 @@
+import { getMarginReport } from '../../api/margin-report.js';
+import { getPrisma } from '../../api/db.js';
+
+jest.mock('../../api/db.js', () => ({ getPrisma: jest.fn() }));
+
+const packages = [
+  { id: 'pkg-business', name: 'Business Pack', credits: '2000.00', price_usd: '160.00' },
+  { id: 'pkg-starter', name: 'Starter Pack', credits: '100.00', price_usd: '10.00' }
+];
+
+const configs = [
+  { provider: 'claude', model: 'claude-3-haiku', credits_per_1k_tokens: '0.0500', input_cost_per_1m_tokens: '0.250000', output_cost_per_1m_tokens: '1.250000' },
+  { provider: 'claude', model: 'claude-3-opus', credits_per_1k_tokens: '0.5000', input_cost_per_1m_tokens: '15.000000', output_cost_per_1m_tokens: '75.000000' }
+];
+
+const usageGroup = (fields) => ({
+  requests: 10,
+  unpriced_requests: 0,
+  credits_consumed: '10.00',
+  free_credits: '0',
+  provider_cost_usd: '0.300000',
+  ...fields
+});
+
+describe('Margin report', () => {
+  let db;
+
+  beforeEach(() => {
+    jest.setSystemTime(Date.parse('2025-03-03T15:00:00Z'));
+    db = {
+      $queryRaw: jest.fn()
+        .mockResolvedValueOnce(packages)
+        .mockResolvedValueOnce(configs)
+        .mockResolvedValueOnce([
+          usageGroup({ provider: 'claude', model: 'claude-3-opus', credits_consumed: '20.00', provider_cost_usd: '3.600000' }),
+          usageGroup({ provider: 'claude', model: 'claude-3-haiku', free_credits: '4.00' })
+        ])
+        .mockResolvedValueOnce([usageGroup({ query_type: 'resume_review', credits_consumed: '30.00', free_credits: '4.00', provider_cost_usd: '3.900000' })])
+    };
+    getPrisma.mockReturnValue(db);
+  });
+
+  it('should default to the last 30 days', async () => {
+    const report = await getMarginReport();
+
+    expect(report.period).toEqual({ start_date: '2025-02-01', end_date: '2025-03-03' });
+    expect(db.$queryRaw.mock.calls[2].slice(1)).toEqual(['2025-02-01', '2025-03-03']);
+  });
+
+  it('should price paid credits at every package tier, most expensive first', async () => {
+    const report = await getMarginReport();
+
+    expect(report.price_tiers.map(tier => tier.price_per_credit)).toEqual([0.1, 0.08]);
+    const haiku = report.by_model.find(group => group.model === 'claude-3-haiku');
+    expect(haiku).toMatchObject({ paid_credits: 6, provider_cost_usd: 0.3, cost_per_credit_usd: 0.03 });
+    expect(haiku.tiers).toEqual([
+      expect.objectContaining({ name: 'Starter Pack', revenue_usd: 0.6, margin_usd: 0.3, margin_pct: 0.5 }),
+      expect.objectContaining({ name: 'Business Pack', revenue_usd: 0.48, margin_usd: 0.18, margin_pct: 0.375 })
+    ]);
+    expect(report.by_query_type[0]).toMatchObject({ query_type: 'resume_review', paid_credits: 26, undercharged: true });
+    expect(report.totals).toMatchObject({ requests: 20, credits_consumed: 30, provider_cost_usd: 3.9 });
+  });
+
+  it('should flag models whose credit rate undercharges at the cheapest tier', async () => {
+    const report = await getMarginReport();
+
+    expect(report.models).toEqual([
+      expect.objectContaining({ model: 'claude-3-haiku', cost_per_credit_usd: 0.03, margin_pct: 0.625, undercharged: false }),
+      expect.objectContaining({ model: 'claude-3-opus', cost_per_credit_usd: 0.18, margin_pct: -1.25, undercharged: true, min_credits_per_1k_tokens: 1.125 })
+    ]);
+    expect(report.undercharged_models).toEqual(['claude-3-opus']);
+    expect(report.by_model[0]).toMatchObject({ model: 'claude-3-opus', undercharged: true });
+  });
+});
@@ -0,0 +1,102 @@
+import {
+  createInvite,
+  acceptInvite,
+  updateMember,
+  removeMember,
+  getOrganization,
+  hashInviteToken
+} from '../../api/organizations.js';
+import { getPrisma } from '../../api/db.js';
+
+jest.mock('../../api/db.js', () => ({ getPrisma: jest.fn() }));
+
+const ORG_ID = '1b2c3d4e-5f6a-4b7c-8d9e-0f1a2b3c4d5e';
+const OWNER = { organization_id: ORG_ID, user_id: 'owner-1', role: 'owner' };
+const ADMIN = { organization_id: ORG_ID, user_id: 'admin-1', role: 'admin' };
+const MEMBER = { organization_id: ORG_ID, user_id: 'member-1', role: 'member' };
+
+describe('Organization accounts', () => {
+  let db;
+
+  beforeEach(() => {
+    db = {
+      $queryRaw: jest.fn(async () => []),
+      $executeRaw: jest.fn(async () => 1)
+    };
+    getPrisma.mockReturnValue(db);
+  });
+
+  it('should store only the hash of an invite token, addressed to a lower-cased email', async () => {
+    db.$queryRaw.mockResolvedValueOnce([{ id: 'invite-1', email: 'ana@example.com', role: 'member' }]);
+
+    const result = await createInvite(ORG_ID, OWNER.user_id, { email: 'Ana@Example.com', monthlyCreditCap: 50 });
+
+    expect(result.success).toBe(true);
+    const [strings, ...values] = db.$queryRaw.mock.calls[0];
+    expect(strings.join('?')).toContain('INSERT INTO organization_invites');
+    expect(values).toEqual([ORG_ID, 'ana@example.com', 'member', 50, hashInviteToken(result.token), OWNER.user_id, expect.any(Date)]);
+  });
+
+  it('should refuse a second pending invite for the same email', async () => {
+    db.$queryRaw.mockResolvedValueOnce([]);
+
+    const result = await createInvite(ORG_ID, OWNER.user_id, { email: 'ana@example.com' });
+
+    expect(result).toEqual({ success: false, error: 'An invite is already pending for this email' });
+  });
+
+  it('should accept invites by token hash', async () => {
+    db.$queryRaw.mockResolvedValueOnce([{ result: JSON.stringify({ success: true, organization_id: ORG_ID, role: 'member' }) }]);
+
+    await expect(acceptInvite('member-1', 'invite-token')).resolves.toMatchObject({ success: true });
+    expect(db.$queryRaw.mock.calls[0].slice(1)).toEqual(['member-1', hashInviteToken('invite-token')]);
+  });
+
+  it('should let admins set member caps but only the owner grant admin', async () => {
+    db.$queryRaw.mockImplementation(async (strings) => (
+      strings.join('?').includes('UPDATE organization_members')
+        ? [{ user_id: 'member-1', role: 'member', monthly_credit_cap: '25.00' }]
+        : [{ user_id: 'member-1', role: 'member' }]
+    ));
+
+    const capped = await updateMember(ORG_ID, ADMIN, 'member-1', { monthlyCreditCap: 25 });
+    const promoted = await updateMember(ORG_ID, ADMIN, 'member-1', { role: 'admin' });
+
+    expect(capped.success).toBe(true);
+    expect(promoted).toMatchObject({ success: false, status: 403 });
+  });
+
+  it('should never change or remove the owner', async () => {
+    db.$queryRaw.mockResolvedValue([{ user_id: 'owner-1', role: 'owner' }]);
+
+    await expect(updateMember(ORG_ID, ADMIN, 'owner-1', { role: 'member' })).resolves.toMatchObject({ status: 403 });
+    await expect(removeMember(ORG_ID, OWNER, 'owner-1')).resolves.toMatchObject({ status: 403 });
+    expect(db.$executeRaw).not.toHaveBeenCalled();
+  });
+
+  it('should let members leave but not remove others', async () => {
+    db.$queryRaw.mockImplementation(async (strings, organizationId, userId) => [{ user_id: userId, role: 'member' }]);
+
+    await expect(removeMember(ORG_ID, MEMBER, 'member-2')).resolves.toMatchObject({ success: false, status: 403 });
+    await expect(removeMember(ORG_ID, MEMBER, 'member-1')).resolves.toEqual({ success: true });
+    expect(db.$executeRaw).toHaveBeenCalledTimes(1);
+  });
+
+  it('should report the pool balance and what each member spent this month', async () => {
+    db.$queryRaw
+      .mockResolvedValueOnce([{ id: ORG_ID, name: 'Career Services', balance: '500.00', available: '480.00' }])
+      .mockResolvedValueOnce([
+        { user_id: 'owner-1', role: 'owner', monthly_credit_cap: null, monthly_used: '12.50' },
+        { user_id: 'member-1', role: 'member', monthly_credit_cap: '25.00', monthly_used: '20.00' }
+      ]);
+
+    const organization = await getOrganization(ORG_ID);
+
+    expect(organization).toMatchObject({ balance: 500, available: 480 });
+    expect(organization.members).toEqual([
+      expect.objectContaining({ monthly_credit_cap: null, monthly_used: 12.5 }),
+      expect.objectContaining({ monthly_credit_cap: 25, monthly_used: 20 })
+    ]);
+    expect(db.$queryRaw.mock.calls[1][0].join('?')).toContain('get_member_credit_usage');
+  });
+});
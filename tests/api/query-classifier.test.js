@@ -0,0 +1,75 @@
+import { classifyByRules, classifyQuery, routeQuery } from '../../api/query-classifier.js';
+import { callLLMWithFailover } from '../../api/llm-failover.js';
+
+jest.mock('../../api/llm-failover.js', () => ({ callLLMWithFailover: jest.fn() }));
+
+const modelAnswer = (content) => ({
+  choices: [{ message: { role: 'assistant', content } }],
+  model: 'claude-3-haiku-20240307'
+});
+
+describe('Query classification', () => {
+  it.each([
+    ['What is the salary range for a senior data engineer in Austin?', 'salary_analysis'],
+    ['Give me a learning roadmap to become a cloud architect', 'skill_roadmap'],
+    ['Which companies are hiring ML engineers right now, and what are the hiring trends?', 'market_intelligence'],
+    ['Can my employer enforce a non-compete clause after I quit?', 'regulatory_insights'],
+    ['I want to switch careers from teaching into UX design', 'career_transition_plan'],
+    ['What does a product manager do?', 'basic_question']
+  ])('should classify "%s" as %s', (query, expected) => {
+    expect(classifyByRules(query).query_type).toBe(expected);
+  });
+
+  it('should report the keywords that decided the type', () => {
+    const result = classifyByRules('How should I negotiate my salary and bonus?');
+
+    expect(result.stage).toBe('rules');
+    expect(result.matched_keywords).toEqual(expect.arrayContaining(['salary', 'bonus']));
+    expect(result.confidence).toBeGreaterThan(0.6);
+  });
+
+  it('should not call a model when none is configured', async () => {
+    const result = await classifyQuery('Tell me about consulting');
+
+    expect(result.query_type).toBe('basic_question');
+    expect(callLLMWithFailover).not.toHaveBeenCalled();
+  });
+
+  it('should ask the classifier model when the keywords are inconclusive', async () => {
+    callLLMWithFailover.mockResolvedValue(modelAnswer('market_intelligence'));
+
+    const result = await classifyQuery('Is fintech a good bet for someone like me?', {
+      classifierModel: 'claude-3-haiku-20240307'
+    });
+
+    expect(result).toMatchObject({ query_type: 'market_intelligence', stage: 'model' });
+    expect(callLLMWithFailover).toHaveBeenCalledWith(expect.objectContaining({
+      model: 'claude-3-haiku-20240307',
+      temperature: 0
+    }));
+  });
+
+  it('should keep the keyword result when the classifier model fails', async () => {
+    callLLMWithFailover.mockRejectedValue(new Error('All providers failed'));
+
+    const result = await classifyQuery('Is fintech a good bet for someone like me?', {
+      classifierModel: 'claude-3-haiku-20240307'
+    });
+
+    expect(result).toMatchObject({ query_type: 'basic_question', stage: 'rules' });
+  });
+
+  it('should skip the model when the keyword stage is confident', async () => {
+    await classifyQuery('What salary and equity should I expect as a staff engineer?', {
+      classifierModel: 'claude-3-haiku-20240307'
+    });
+
+    expect(callLLMWithFailover).not.toHaveBeenCalled();
+  });
+
+  it('should route market questions to a search model and default the rest', () => {
+    expect(routeQuery('market_intelligence')).toBe('llama-3.1-sonar-large-128k-online');
+    expect(routeQuery('salary_analysis')).toBe('claude-3-sonnet-20240229');
+    expect(routeQuery('unknown_type')).toBe('claude-3-haiku-20240307');
+  });
+});
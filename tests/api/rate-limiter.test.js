@@ -0,0 +1,266 @@
+import {
+  createRateLimiter,
+  createMemoryStore,
+  createPostgresStore,
+  createRedisStore,
+  getLimitStatus,
+  DEFAULT_RATE_LIMIT_TIERS
+} from '../../api/rate-limiter.js';
+import { tieredRateLimit } from '../../src/middleware/security.js';
+import { getPrisma } from '../../api/db.js';
+
+jest.mock('../../api/db.js', () => ({ getPrisma: jest.fn() }));
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const START = Date.parse('2025-03-03T09:00:00Z');
+
+const createRes = () => {
+  const res = { headers: {} };
+  res.setHeader = jest.fn((name, value) => { res.headers[name] = value; });
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe('Sliding-window rate limiter', () => {
+  let limiter;
+
+  beforeEach(() => {
+    limiter = createRateLimiter({ store: createMemoryStore(), tiers: DEFAULT_RATE_LIMIT_TIERS });
+  });
+
+  it('should block the request after the hourly limit and report when it frees up', async () => {
+    for (let i = 0; i < 5; i++) {
+      const result = await limiter.consume('anon:203.0.113.7', 'anonymous', START + i * MINUTE);
+      expect(result).toMatchObject({ allowed: true, remaining: 4 - i });
+    }
+
+    const blocked = await limiter.consume('anon:203.0.113.7', 'anonymous', START + 10 * MINUTE);
+
+    expect(blocked).toMatchObject({ allowed: false, limit: 5, remaining: 0, retry_after: 50 * 60 });
+    expect(blocked.reset).toEqual(new Date(START + HOUR));
+  });
+
+  it('should slide the window instead of resetting it on the hour', async () => {
+    for (let i = 0; i < 5; i++) {
+      await limiter.consume('anon:203.0.113.7', 'anonymous', START + i * 10 * MINUTE);
+    }
+
+    // The first request has slid out; the other four are still inside the hour
+    const next = await limiter.consume('anon:203.0.113.7', 'anonymous', START + HOUR + MINUTE);
+    const after = await limiter.consume('anon:203.0.113.7', 'anonymous', START + HOUR + 2 * MINUTE);
+
+    expect(next.allowed).toBe(true);
+    expect(after).toMatchObject({ allowed: false, retry_after: 8 * 60 });
+  });
+
+  it('should enforce the daily limit across hours', async () => {
+    for (let hour = 0; hour < 4; hour++) {
+      for (let i = 0; i < 5; i++) {
+        await limiter.consume('user:free', 'free_user', START + hour * HOUR + i * MINUTE);
+      }
+    }
+
+    const blocked = await limiter.consume('user:free', 'free_user', START + 5 * HOUR);
+
+    expect(blocked.allowed).toBe(false);
+    expect(blocked.limit).toBe(20);
+    expect(blocked.windows.hourly.remaining).toBe(10);
+    expect(blocked.retry_after).toBe(19 * 60 * 60);
+  });
+
+  it('should not cap paid users per day', async () => {
+    for (let hour = 0; hour < 3; hour++) {
+      for (let i = 0; i < 100; i++) {
+        await limiter.record('user:paid', START + hour * HOUR + i * 1000);
+      }
+    }
+
+    const result = await limiter.check('user:paid', 'paid_user', START + 3 * HOUR);
+
+    expect(result.allowed).toBe(true);
+    expect(result.windows.daily).toMatchObject({ limit: null, used: 300, remaining: null });
+  });
+
+  it('should read and write hits through Postgres', async () => {
+    const db = {
+      $queryRaw: jest.fn().mockResolvedValue([{ timestamp: START }]),
+      $executeRaw: jest.fn().mockResolvedValue(1)
+    };
+    getPrisma.mockReturnValue(db);
+    const store = createPostgresStore();
+
+    await expect(store.getHits('user:abc', START - HOUR)).resolves.toEqual([START]);
+    await store.addHit('user:abc', START, 24 * HOUR);
+
+    const [strings, ...values] = db.$executeRaw.mock.calls[0];
+    expect(strings.join('?')).toContain('INSERT INTO rate_limit_hits');
+    expect(values).toEqual(['user:abc', START / 1000, (START + 24 * HOUR) / 1000]);
+  });
+
+  it('should keep hits in a Redis sorted set', async () => {
+    const transaction = {
+      zadd: jest.fn().mockReturnThis(),
+      zremrangebyscore: jest.fn().mockReturnThis(),
+      pexpire: jest.fn().mockReturnThis(),
+      exec: jest.fn().mockResolvedValue([])
+    };
+    const client = {
+      zrangebyscore: jest.fn().mockResolvedValue(['a', String(START), 'b', String(START + MINUTE)]),
+      multi: jest.fn(() => transaction)
+    };
+    const store = createRedisStore(client);
+
+    await expect(store.getHits('anon:1.2.3.4', START - HOUR)).resolves.toEqual([START, START + MINUTE]);
+    await store.addHit('anon:1.2.3.4', START, HOUR);
+
+    expect(client.zrangebyscore).toHaveBeenCalledWith('ratelimit:anon:1.2.3.4', `(${START - HOUR}`, '+inf', 'WITHSCORES');
+    expect(transaction.zadd).toHaveBeenCalledWith('ratelimit:anon:1.2.3.4', START, expect.stringMatching(`^${START}:`));
+    expect(transaction.pexpire).toHaveBeenCalledWith('ratelimit:anon:1.2.3.4', HOUR);
+  });
+
+  it('should not let concurrent requests take more than the limit', async () => {
+    const results = await Promise.all(
+      Array.from({ length: 8 }, () => limiter.consume('anon:203.0.113.7', 'anonymous', START))
+    );
+
+    expect(results.filter(result => result.allowed)).toHaveLength(5);
+    await expect(limiter.check('anon:203.0.113.7', 'anonymous', START)).resolves.toMatchObject({ remaining: 0 });
+  });
+
+  it('should count and insert under a per-key advisory lock in Postgres', async () => {
+    const tx = {
+      $queryRaw: jest.fn().mockResolvedValue([{ timestamp: START - MINUTE }]),
+      $executeRaw: jest.fn().mockResolvedValue(1)
+    };
+    getPrisma.mockReturnValue({ $transaction: jest.fn(fn => fn(tx)) });
+    const store = createPostgresStore();
+
+    const allowed = await store.addHitIfAllowed('user:abc', START, 24 * HOUR, [{ window_ms: HOUR, limit: 2 }]);
+    const blocked = await store.addHitIfAllowed('user:abc', START, 24 * HOUR, [{ window_ms: HOUR, limit: 1 }]);
+
+    expect(allowed).toEqual({ allowed: true, hits: [START - MINUTE] });
+    expect(blocked).toEqual({ allowed: false, hits: [START - MINUTE] });
+    const statements = tx.$executeRaw.mock.calls.map(([strings]) => strings.join('?'));
+    expect(statements).toEqual([
+      expect.stringContaining('pg_advisory_xact_lock'),
+      expect.stringContaining('INSERT INTO rate_limit_hits'),
+      expect.stringContaining('pg_advisory_xact_lock')
+    ]);
+  });
+
+  it('should check and add a Redis hit in one script', async () => {
+    const client = { eval: jest.fn().mockResolvedValue([0, ['a', String(START - MINUTE)]]) };
+    const store = createRedisStore(client);
+
+    const result = await store.addHitIfAllowed('anon:1.2.3.4', START, 24 * HOUR, [{ window_ms: HOUR, limit: 1 }]);
+
+    expect(result).toEqual({ allowed: false, hits: [START - MINUTE] });
+    expect(client.eval).toHaveBeenCalledWith(
+      expect.stringContaining('ZCOUNT'), 1, 'ratelimit:anon:1.2.3.4', START, 24 * HOUR, expect.stringMatching(`^${START}:`), HOUR, 1
+    );
+  });
+});
+
+describe('Tiered rate limit middleware', () => {
+  const middleware = (limiter) => tieredRateLimit({ message: 'Too many LLM queries, please slow down.', limiter });
+
+  it('should send RateLimit headers and Retry-After once blocked', async () => {
+    const limiter = createRateLimiter({ store: createMemoryStore(), tiers: DEFAULT_RATE_LIMIT_TIERS });
+    const req = { ip: '203.0.113.7', url: '/api/llm/query' };
+    const next = jest.fn();
+
+    for (let i = 0; i < 5; i++) {
+      await middleware(limiter)(req, createRes(), next);
+    }
+    const res = createRes();
+    await middleware(limiter)(req, res, next);
+
+    expect(next).toHaveBeenCalledTimes(5);
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: false, tier: 'anonymous' }));
+    expect(res.headers).toMatchObject({
+      'RateLimit-Policy': '5;w=3600, 15;w=86400',
+      'RateLimit-Limit': '5',
+      'RateLimit-Remaining': '0',
+      'Retry-After': '3600'
+    });
+  });
+
+  it('should key signed-in users by ID and use their subscription tier', async () => {
+    const limiter = { consume: jest.fn().mockResolvedValue({ allowed: true, windows: {} }) };
+    const req = { ip: '203.0.113.7', user: { id: 'u-1', subscription_tier: 'professional' } };
+
+    await middleware(limiter)(req, createRes(), jest.fn());
+
+    expect(limiter.consume).toHaveBeenCalledWith('user:u-1', 'paid_user');
+  });
+
+  it('should let requests through when the store is unavailable', async () => {
+    const limiter = { consume: jest.fn().mockRejectedValue(new Error('connect ECONNREFUSED')) };
+    const next = jest.fn();
+
+    await middleware(limiter)({ ip: '203.0.113.7' }, createRes(), next);
+
+    expect(next).toHaveBeenCalled();
+  });
+});
+
+describe('Rate limit status', () => {
+  let limiter;
+
+  beforeEach(() => {
+    jest.setSystemTime(START);
+    limiter = createRateLimiter({ store: createMemoryStore(), tiers: DEFAULT_RATE_LIMIT_TIERS });
+  });
+
+  it('should report the quota the limiter enforces for anonymous callers', async () => {
+    await limiter.consume('anon:203.0.113.7', 'anonymous', START - 30 * MINUTE);
+    await limiter.consume('anon:203.0.113.7', 'anonymous', START - 2 * HOUR);
+
+    const status = await getLimitStatus({ ip: '203.0.113.7' }, limiter);
+
+    expect(status).toEqual({
+      tier: 'anonymous',
+      allowed: true,
+      retry_after: null,
+      limits: { hourly: 5, daily: 15 },
+      used: { hourly: 1, daily: 2 },
+      remaining: { hourly: 4, daily: 13 },
+      reset: {
+        hourly: new Date(START + 30 * MINUTE).toISOString(),
+        daily: new Date(START + 22 * HOUR).toISOString()
+      },
+      credits: null
+    });
+  });
+
+  it('should include remaining daily free credits for signed-in users', async () => {
+    getPrisma.mockReturnValue({
+      $queryRaw: jest.fn(async (strings) => (
+        strings.join('?').includes('get_user_credit_balance')
+          ? [{ balance_result: JSON.stringify({
+            success: true,
+            available: '42.00',
+            daily_free_credits_remaining: 3,
+            last_reset: new Date(START - 4 * HOUR).toISOString()
+          }) }]
+          : [{ subscription_tier: 'free' }]
+      ))
+    });
+    for (let i = 0; i < 7; i++) {
+      await limiter.consume('user:u-1', 'free_user', START - i * MINUTE);
+    }
+
+    const status = await getLimitStatus({ userId: 'u-1', ip: '203.0.113.7' }, limiter);
+
+    expect(status.tier).toBe('free_user');
+    expect(status.remaining).toEqual({ hourly: 3, daily: 13 });
+    expect(status.credits).toEqual({
+      available: 42,
+      daily_free_remaining: 3,
+      daily_free_reset: new Date(START + 20 * HOUR).toISOString()
+    });
+  });
+});
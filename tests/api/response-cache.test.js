@@ -0,0 +1,173 @@
+import handler from '../../api/llm-gateway.js';
+import {
+  createResponseCache,
+  createMemoryCacheStore,
+  responseCacheKey,
+  getResponseCache
+} from '../../api/response-cache.js';
+import { getPrisma } from '../../api/db.js';
+import { holdCredits, captureCreditHold } from '../../api/credit-ledger.js';
+import { callLLMWithFailover } from '../../api/llm-failover.js';
+import { mockUser, authHeader } from '../setup.js';
+
+jest.mock('../../api/db.js', () => ({ getPrisma: jest.fn() }));
+jest.mock('../../api/credit-ledger.js', () => ({
+  holdCredits: jest.fn(),
+  captureCreditHold: jest.fn(),
+  releaseCreditHold: jest.fn()
+}));
+jest.mock('../../api/llm-failover.js', () => ({ callLLMWithFailover: jest.fn() }));
+jest.mock('../../api/response-cache.js', () => ({
+  ...jest.requireActual('../../api/response-cache.js'),
+  getResponseCache: jest.fn()
+}));
+
+const USER_ID = '3f1c2d4e-5b6a-4c7d-8e9f-0a1b2c3d4e5f';
+const OTHER_USER_ID = '9a8b7c6d-5e4f-4a3b-8c2d-1e0f9a8b7c6d';
+
+const question = [{ role: 'user', content: 'What are the top skills for data science?' }];
+const withProfile = [
+  { role: 'system', content: 'The user is a nurse in Ohio earning $72,000.' },
+  ...question
+];
+
+const createRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  res.setHeader = jest.fn();
+  return res;
+};
+
+const createReq = (body = {}, headers = {}) => ({
+  method: 'POST',
+  headers: {
+    'x-forwarded-for': '203.0.113.7',
+    authorization: authHeader({ id: USER_ID, email: mockUser.email }),
+    ...headers
+  },
+  connection: {},
+  body: {
+    provider: 'claude',
+    model: 'claude-3-haiku-20240307',
+    messages: question,
+    max_tokens: 500,
+    ...body
+  }
+});
+
+describe('Response cache keys', () => {
+  const request = { model: 'claude-3-haiku-20240307', temperature: 0.7, max_tokens: 500 };
+
+  it('should treat near-identical questions as the same entry', () => {
+    const key = responseCacheKey({ ...request, messages: question, user_id: USER_ID });
+
+    expect(responseCacheKey({
+      ...request,
+      messages: [{ role: 'user', content: '  what are the TOP skills   for data science ' }],
+      user_id: OTHER_USER_ID
+    })).toBe(key);
+    expect(responseCacheKey({ ...request, temperature: 0.2, messages: question, user_id: USER_ID })).not.toBe(key);
+  });
+
+  it('should scope requests with more context than the question to their user', () => {
+    const key = responseCacheKey({ ...request, messages: withProfile, user_id: USER_ID });
+
+    expect(responseCacheKey({ ...request, messages: withProfile, user_id: OTHER_USER_ID })).not.toBe(key);
+    expect(responseCacheKey({ ...request, messages: withProfile, user_id: null })).toBeNull();
+  });
+
+  it('should expire entries after the TTL of their query type', async () => {
+    jest.setSystemTime(Date.parse('2025-03-03T09:00:00Z'));
+    const cache = createResponseCache({ store: createMemoryCacheStore(), ttls: { general: 3600, market_intelligence: 0 } });
+    const entry = { choices: [], credits: 1 };
+
+    await expect(cache.set({ ...request, messages: question, query_type: 'market_intelligence' }, entry)).resolves.toBe(false);
+    await cache.set({ ...request, messages: question, query_type: 'basic_question' }, entry);
+    await expect(cache.get({ ...request, messages: question, query_type: 'basic_question' })).resolves.toMatchObject({ credits: 1 });
+
+    jest.setSystemTime(Date.parse('2025-03-03T10:00:01Z'));
+    await expect(cache.get({ ...request, messages: question, query_type: 'basic_question' })).resolves.toBeNull();
+  });
+});
+
+describe('LLM Gateway response cache', () => {
+  let responseCache;
+
+  beforeEach(() => {
+    getPrisma.mockReturnValue({
+      $queryRaw: jest.fn(async (strings) => {
+        const sql = strings.join('');
+        if (sql.includes('consume_credits')) {
+          return [{ consumption_result: JSON.stringify({ success: true, new_balance: 99.9 }) }];
+        }
+        return [{}];
+      }),
+      llm_provider_configs: {
+        findFirst: jest.fn().mockResolvedValue({
+          credits_per_1k_tokens: 1,
+          input_cost_per_1m_tokens: 0.25,
+          output_cost_per_1m_tokens: 1.25
+        })
+      },
+      llm_usage: { create: jest.fn() }
+    });
+    holdCredits.mockResolvedValue({ success: true, hold_id: 'hold-1', amount: 0.6 });
+    captureCreditHold.mockResolvedValue({ success: true, credits_captured: 0.4 });
+    callLLMWithFailover.mockResolvedValue({
+      choices: [{ message: { role: 'assistant', content: 'Python, SQL and statistics.' } }],
+      usage: { prompt_tokens: 20, completion_tokens: 380, total_tokens: 400 },
+      model: 'claude-3-haiku-20240307',
+      provider: 'claude',
+      request_id: 'msg_1',
+      fallback_used: false
+    });
+    responseCache = createResponseCache({ store: createMemoryCacheStore(), creditRate: 0.25 });
+    getResponseCache.mockReturnValue(responseCache);
+  });
+
+  it('should serve a repeat question from the cache at the reduced rate', async () => {
+    const first = createRes();
+    const repeat = createRes();
+
+    await handler(createReq(), first);
+    await handler(createReq({ messages: [{ role: 'user', content: 'what are the top skills for data science' }] }), repeat);
+
+    expect(callLLMWithFailover).toHaveBeenCalledTimes(1);
+    expect(first.json.mock.calls[0][0].cached).toBe(false);
+    const cached = repeat.json.mock.calls[0][0];
+    expect(cached).toMatchObject({
+      cached: true,
+      choices: [{ message: { content: 'Python, SQL and statistics.' } }],
+      usage: { credits_consumed: 0.1 }
+    });
+    const consumeCall = getPrisma().$queryRaw.mock.calls.find(([strings]) => strings.join('').includes('consume_credits'));
+    expect(consumeCall[2]).toBe(0.1);
+    expect(JSON.parse(consumeCall[4])).toMatchObject({ provider_cost_usd: 0, total_tokens: 0 });
+  });
+
+  it.each([
+    ['cache: false', { cache: false }, {}],
+    ['Cache-Control: no-cache', {}, { 'cache-control': 'no-cache' }]
+  ])('should call the model when the caller bypasses the cache with %s', async (_, body, headers) => {
+    await handler(createReq(), createRes());
+    const res = createRes();
+
+    await handler(createReq(body, headers), res);
+
+    expect(callLLMWithFailover).toHaveBeenCalledTimes(2);
+    expect(res.json.mock.calls[0][0].cached).toBe(false);
+  });
+
+  it('should not serve one user\'s profile-specific answer to another user', async () => {
+    await handler(createReq({ messages: withProfile }), createRes());
+    const res = createRes();
+
+    await handler(createReq({ messages: withProfile }, {
+      authorization: authHeader({ id: OTHER_USER_ID, email: 'other@example.com' })
+    }), res);
+
+    expect(callLLMWithFailover).toHaveBeenCalledTimes(2);
+    expect(res.json.mock.calls[0][0].cached).toBe(false);
+  });
+});
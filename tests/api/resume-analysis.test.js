@@ -0,0 +1,142 @@
+import mammoth from 'mammoth';
+import { PDFParse } from 'pdf-parse';
+import {
+  analyzeResume,
+  extractResumeText,
+  ResumeParseError,
+  MAX_RESUME_CHARS
+} from '../../api/resume-analysis.js';
+import { holdCredits, captureCreditHold, releaseCreditHold } from '../../api/credit-ledger.js';
+import { callLLMWithFailover } from '../../api/llm-failover.js';
+
+jest.mock('../../api/db.js', () => ({ getPrisma: jest.fn() }));
+jest.mock('../../api/credit-ledger.js', () => ({
+  holdCredits: jest.fn(),
+  captureCreditHold: jest.fn(),
+  releaseCreditHold: jest.fn()
+}));
+jest.mock('../../api/llm-failover.js', () => ({ callLLMWithFailover: jest.fn() }));
+jest.mock('mammoth', () => ({ extractRawText: jest.fn() }));
+// pdfjs cannot start its worker inside jest's module sandbox
+jest.mock('pdf-parse', () => ({ PDFParse: jest.fn() }));
+
+const USER_ID = '3f1c2d4e-5b6a-4c7d-8e9f-0a1b2c3d4e5f';
+
+const analysis = {
+  summary: 'Strong analyst with a gap in machine learning.',
+  fit_score: 68,
+  skills_found: ['Python', 'SQL'],
+  skills_missing: ['Machine learning'],
+  ats_keywords: { matched: ['Python', 'SQL'], missing: ['scikit-learn'], coverage_percent: 67 },
+  bullet_rewrites: []
+};
+
+const llmResult = (content) => ({
+  choices: [{ message: { role: 'assistant', content } }],
+  usage: { prompt_tokens: 900, completion_tokens: 300, total_tokens: 1200 },
+  model: 'claude-3-sonnet-20240229',
+  provider: 'claude',
+  request_id: 'msg_resume',
+  response_time_ms: 2100,
+  fallback_used: false
+});
+
+describe('Resume text extraction', () => {
+  it('should read text from a PDF and free the parser', async () => {
+    const parser = {
+      getText: jest.fn().mockResolvedValue({ text: 'Jane Doe - Data Analyst  \n\nPython SQL Tableau\n' }),
+      destroy: jest.fn()
+    };
+    PDFParse.mockImplementation(() => parser);
+    const buffer = Buffer.from('%PDF-1.4\n1 0 obj\n<< >>\nendobj\n', 'latin1');
+
+    const resume = await extractResumeText({ buffer, mimetype: 'application/octet-stream', originalname: 'jane' });
+
+    expect(resume).toEqual({ text: 'Jane Doe - Data Analyst\n\nPython SQL Tableau', format: 'pdf', truncated: false });
+    expect(PDFParse).toHaveBeenCalledWith({ data: buffer });
+    expect(parser.destroy).toHaveBeenCalled();
+  });
+
+  it('should read DOCX files with mammoth', async () => {
+    mammoth.extractRawText.mockResolvedValue({ value: 'Jane Doe\n\n\n\nData Analyst' });
+
+    const resume = await extractResumeText({
+      buffer: Buffer.from('PK\x03\x04rest-of-archive', 'latin1'),
+      mimetype: 'application/octet-stream',
+      originalname: 'Jane Doe.docx'
+    });
+
+    expect(resume).toEqual({ text: 'Jane Doe\n\nData Analyst', format: 'docx', truncated: false });
+  });
+
+  it('should normalize plain text and cut very long resumes', async () => {
+    const resume = await extractResumeText({
+      buffer: Buffer.from(`Jane\u0007\t \u001bDoe\r\n${'Experience '.repeat(3000)}`),
+      mimetype: 'text/plain',
+      originalname: 'resume.txt'
+    });
+
+    expect(resume.text.startsWith('Jane Doe\nExperience')).toBe(true);
+    expect(resume.text).toHaveLength(MAX_RESUME_CHARS);
+    expect(resume.truncated).toBe(true);
+  });
+
+  it('should reject files that are not PDF, DOCX or text, whatever their claimed type', async () => {
+    const error = await extractResumeText({
+      buffer: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      mimetype: 'application/pdf',
+      originalname: 'resume.pdf'
+    }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ResumeParseError);
+    expect(error.status).toBe(415);
+  });
+});
+
+describe('Resume analysis billing', () => {
+  beforeEach(() => {
+    holdCredits.mockResolvedValue({ success: true, hold_id: 'hold-1' });
+    captureCreditHold.mockResolvedValue({ success: true, credits_captured: 2 });
+    releaseCreditHold.mockResolvedValue({ success: true });
+  });
+
+  const analyze = () => analyzeResume({
+    userId: USER_ID,
+    text: 'Jane Doe\nData Analyst\nPython, SQL',
+    targetRole: 'Data Scientist'
+  });
+
+  it('should charge the resume_analysis query cost and record the usage', async () => {
+    callLLMWithFailover.mockResolvedValue(llmResult(`\`\`\`json\n${JSON.stringify(analysis)}\n\`\`\``));
+
+    const result = await analyze();
+
+    expect(result).toMatchObject({ success: true, analysis, usage: { credits_consumed: 2 } });
+    expect(holdCredits).toHaveBeenCalledWith(USER_ID, 2, 'Resume analysis for Data Scientist', { query_type: 'resume_analysis' });
+    expect(captureCreditHold).toHaveBeenCalledWith('hold-1', 2, 'Resume analysis for Data Scientist', expect.objectContaining({
+      query_type: 'resume_analysis',
+      total_tokens: 1200,
+      provider_cost_usd: 0.0072
+    }));
+    expect(callLLMWithFailover.mock.calls[0][0].messages.at(-1).content).toContain('Target role: Data Scientist');
+  });
+
+  it('should release the hold when the model does not answer with JSON', async () => {
+    callLLMWithFailover.mockResolvedValue(llmResult('Here is my analysis: the candidate is strong.'));
+
+    const result = await analyze();
+
+    expect(result).toEqual({ success: false, error: 'The model did not return a valid answer', status: 502 });
+    expect(releaseCreditHold).toHaveBeenCalledWith('hold-1', 'failed');
+    expect(captureCreditHold).not.toHaveBeenCalled();
+  });
+
+  it('should not call the model without enough credits', async () => {
+    holdCredits.mockResolvedValue({ success: false, error: 'Insufficient credits', required: 2, available: 0.5 });
+
+    const result = await analyze();
+
+    expect(result).toMatchObject({ success: false, status: 402, required: 2, available: 0.5 });
+    expect(callLLMWithFailover).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,318 @@
+import Stripe from 'stripe';
+import { handleWebhook } from '../../api/stripe-service.js';
+import { getPrisma } from '../../api/db.js';
+
+jest.mock('../../api/db.js', () => ({ getPrisma: jest.fn() }));
+
+const USER_ID = '3f1c2d4e-5b6a-4c7d-8e9f-0a1b2c3d4e5f';
+const WEBHOOK_SECRET = 'whsec_test_secret';
+
+// In-memory stand-in for stripe_webhook_events and the credit ledger functions
+function createFakeDatabase() {
+  const events = new Map();
+  const grants = new Map();
+  const purchases = new Map();
+  const reversed = new Map();
+  const disputes = new Map();
+  const account = { balance: 0, frozen: 0 };
+
+  const clawBack = (paymentIntentId, fraction) => {
+    if (!purchases.has(paymentIntentId)) {
+      return { success: false, not_found: true, error: `No credit purchase found for payment ${paymentIntentId}` };
+    }
+    const target = Math.round(purchases.get(paymentIntentId) * fraction * 100) / 100;
+    const amount = target - (reversed.get(paymentIntentId) || 0);
+    if (amount <= 0) {
+      return { success: true, duplicate: true, user_id: USER_ID, amount_clawed_back: 0 };
+    }
+    reversed.set(paymentIntentId, target);
+    account.balance -= amount;
+    return {
+      success: true,
+      duplicate: false,
+      user_id: USER_ID,
+      transaction_id: `tx_reversal_${reversed.size}`,
+      amount_clawed_back: amount,
+      new_balance: account.balance,
+      is_flagged: account.balance < 0
+    };
+  };
+
+  const db = {
+    events,
+    grants,
+    account,
+    disputes,
+    $queryRaw: jest.fn(async (strings, ...values) => {
+      const sql = strings.join('?');
+
+      if (sql.includes('INSERT INTO stripe_webhook_events')) {
+        const [eventId] = values;
+        const row = events.get(eventId) || { status: 'processing', delivery_count: 0 };
+        row.delivery_count += 1;
+        events.set(eventId, row);
+        return [{ ...row }];
+      }
+
+      if (sql.includes('add_credits')) {
+        const [, credits, , , idempotencyKey] = values;
+        if (grants.has(idempotencyKey)) {
+          return [{ grant_result: JSON.stringify({ success: true, duplicate: true, transaction_id: grants.get(idempotencyKey), amount_added: 0 }) }];
+        }
+        const transactionId = `tx_${grants.size + 1}`;
+        grants.set(idempotencyKey, transactionId);
+        purchases.set(idempotencyKey, credits);
+        account.balance += credits;
+        return [{ grant_result: JSON.stringify({ success: true, duplicate: false, transaction_id: transactionId, new_balance: credits, amount_added: credits }) }];
+      }
+
+      if (sql.includes('claw_back_credits')) {
+        const [paymentIntentId, fraction] = values;
+        return [{ clawback_result: JSON.stringify(clawBack(paymentIntentId, fraction)) }];
+      }
+
+      if (sql.includes('freeze_disputed_credits')) {
+        const [disputeId, paymentIntentId, fraction] = values;
+        const frozen = Math.min(purchases.get(paymentIntentId) * fraction, account.balance - account.frozen);
+        account.frozen += frozen;
+        disputes.set(disputeId, { paymentIntentId, frozen, status: 'open' });
+        return [{ freeze_result: JSON.stringify({ success: true, duplicate: false, user_id: USER_ID, amount_frozen: frozen }) }];
+      }
+
+      if (sql.includes('resolve_credit_dispute')) {
+        const [disputeId, , won, fraction] = values;
+        const dispute = disputes.get(disputeId);
+        account.frozen -= dispute.frozen;
+        dispute.status = won ? 'won' : 'lost';
+        const clawback = won ? {} : clawBack(dispute.paymentIntentId, fraction);
+        return [{ resolve_result: JSON.stringify({ success: true, duplicate: false, user_id: USER_ID, status: dispute.status, ...clawback }) }];
+      }
+
+      if (sql.includes('FROM credit_packages WHERE stripe_price_id')) {
+        return values[0].includes('price_pro_500')
+          ? [{ id: 'pkg_pro', name: 'Professional Pack', credits: '500.00', price_usd: '45.00', stripe_price_id: 'price_pro_500' }]
+          : [];
+      }
+
+      if (sql.includes('FROM users')) {
+        return [{ id: USER_ID }];
+      }
+
+      return [];
+    }),
+    $executeRaw: jest.fn(async (strings, ...values) => {
+      const status = values[0];
+      const eventId = values[values.length - 1];
+      events.get(eventId).status = status;
+      return 1;
+    })
+  };
+
+  return db;
+}
+
+const signedDelivery = (event) => {
+  const payload = JSON.stringify(event);
+  const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret: WEBHOOK_SECRET });
+  return [Buffer.from(payload), signature];
+};
+
+const paymentIntentEvent = (eventId, paymentIntentId = 'pi_test_123') => ({
+  id: eventId,
+  object: 'event',
+  type: 'payment_intent.succeeded',
+  data: {
+    object: {
+      id: paymentIntentId,
+      object: 'payment_intent',
+      amount: 1000,
+      metadata: {
+        user_id: USER_ID,
+        user_email: 'test@example.com',
+        credits: '100',
+        package_id: 'starter',
+        package_name: 'Starter Pack'
+      }
+    }
+  }
+});
+
+describe('Stripe webhook credit grants', () => {
+  let db;
+
+  beforeEach(() => {
+    process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+    db = createFakeDatabase();
+    getPrisma.mockReturnValue(db);
+  });
+
+  it('should grant credits once and ignore a redelivered event', async () => {
+    const delivery = signedDelivery(paymentIntentEvent('evt_1'));
+
+    const first = await handleWebhook(...delivery);
+    const replay = await handleWebhook(...delivery);
+
+    expect(first).toMatchObject({ success: true, processed: true, user_id: USER_ID });
+    expect(replay).toMatchObject({ success: true, duplicate: true, event_id: 'evt_1' });
+    expect(db.grants.size).toBe(1);
+    expect(db.events.get('evt_1')).toMatchObject({ status: 'processed', delivery_count: 2 });
+  });
+
+  it('should not grant twice for different events about the same payment', async () => {
+    await handleWebhook(...signedDelivery(paymentIntentEvent('evt_1', 'pi_same')));
+    const second = await handleWebhook(...signedDelivery(paymentIntentEvent('evt_2', 'pi_same')));
+
+    expect(second).toMatchObject({ success: true, duplicate: true });
+    expect(second.ledger).toBeUndefined();
+    expect(db.grants.size).toBe(1);
+    expect(db.events.get('evt_2').status).toBe('processed');
+  });
+
+  it('should skip payment intents without credit metadata', async () => {
+    const event = paymentIntentEvent('evt_checkout_pi');
+    event.data.object.metadata = {};
+
+    const result = await handleWebhook(...signedDelivery(event));
+
+    expect(result.success).toBe(true);
+    expect(result.processed).toBe(true);
+    expect(db.grants.size).toBe(0);
+    expect(db.events.get('evt_checkout_pi').status).toBe('skipped');
+  });
+
+  it('should credit checkout purchases from the package matching the Stripe price', async () => {
+    const sessions = Object.getPrototypeOf(new Stripe('sk_test_123').checkout.sessions);
+    const listLineItems = jest.spyOn(sessions, 'listLineItems').mockResolvedValue({
+      data: [
+        { price: { id: 'price_pro_500' }, quantity: 2, amount_total: 9000 },
+        { price: { id: 'price_unknown' }, quantity: 1, amount_total: 1000 }
+      ]
+    });
+
+    const result = await handleWebhook(...signedDelivery({
+      id: 'evt_checkout',
+      object: 'event',
+      type: 'checkout.session.completed',
+      data: {
+        object: {
+          id: 'cs_test_123',
+          object: 'checkout.session',
+          mode: 'payment',
+          client_reference_id: USER_ID,
+          amount_total: 10000,
+          payment_intent: 'pi_checkout'
+        }
+      }
+    }));
+    listLineItems.mockRestore();
+
+    expect(result).toMatchObject({ success: true, credits: 1000, processed: true });
+    expect(db.grants.get('pi_checkout')).toBeDefined();
+  });
+
+  it('should reject events with an invalid signature', async () => {
+    const [payload] = signedDelivery(paymentIntentEvent('evt_forged'));
+
+    const result = await handleWebhook(payload, 't=1,v1=invalid');
+
+    expect(result.success).toBe(false);
+    expect(db.$queryRaw).not.toHaveBeenCalled();
+  });
+});
+
+const chargeEvent = (eventId, type, object) => ({
+  id: eventId,
+  object: 'event',
+  type,
+  data: { object }
+});
+
+const refundEvent = (eventId, amountRefunded, paymentIntentId = 'pi_test_123') => chargeEvent(eventId, 'charge.refunded', {
+  id: 'ch_test_123',
+  object: 'charge',
+  amount: 1000,
+  amount_refunded: amountRefunded,
+  payment_intent: paymentIntentId
+});
+
+const disputeEvent = (eventId, type, status, amount = 1000) => chargeEvent(eventId, type, {
+  id: 'dp_test_123',
+  object: 'dispute',
+  amount,
+  charge: 'ch_test_123',
+  payment_intent: 'pi_test_123',
+  status
+});
+
+describe('Stripe webhook refunds and disputes', () => {
+  let db;
+  let retrieveCharge;
+
+  beforeEach(async () => {
+    process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+    db = createFakeDatabase();
+    getPrisma.mockReturnValue(db);
+    retrieveCharge = jest.spyOn(Stripe.resources.Charges.prototype, 'retrieve')
+      .mockResolvedValue({ id: 'ch_test_123', amount: 1000, amount_refunded: 0, payment_intent: 'pi_test_123' });
+
+    await handleWebhook(...signedDelivery(paymentIntentEvent('evt_purchase')));
+  });
+
+  afterEach(() => {
+    retrieveCharge.mockRestore();
+  });
+
+  it('should claw back credits pro-rata for partial refunds', async () => {
+    const partial = await handleWebhook(...signedDelivery(refundEvent('evt_refund_1', 250)));
+    const full = await handleWebhook(...signedDelivery(refundEvent('evt_refund_2', 1000)));
+
+    expect(partial).toMatchObject({ success: true, credits_reversed: 25, flagged: false });
+    expect(full).toMatchObject({ success: true, credits_reversed: 75 });
+    expect(db.account.balance).toBe(0);
+    expect(db.events.get('evt_refund_2')).toMatchObject({ status: 'processed' });
+  });
+
+  it('should not claw back twice when a refund is redelivered under a new event', async () => {
+    await handleWebhook(...signedDelivery(refundEvent('evt_refund_1', 500)));
+    const again = await handleWebhook(...signedDelivery(refundEvent('evt_refund_2', 500)));
+
+    expect(again).toMatchObject({ success: true, duplicate: true, credits_reversed: 0 });
+    expect(db.account.balance).toBe(50);
+  });
+
+  it('should flag the account when spent credits are refunded', async () => {
+    db.account.balance = 40;
+
+    const result = await handleWebhook(...signedDelivery(refundEvent('evt_refund', 1000)));
+
+    expect(result).toMatchObject({ success: true, credits_reversed: 100, flagged: true });
+    expect(db.account.balance).toBe(-60);
+  });
+
+  it('should skip refunds for payments that never granted credits', async () => {
+    const result = await handleWebhook(...signedDelivery(refundEvent('evt_refund', 1000, 'pi_unknown')));
+
+    expect(result.success).toBe(true);
+    expect(db.events.get('evt_refund').status).toBe('skipped');
+  });
+
+  it('should freeze disputed credits and release them when the dispute is won', async () => {
+    const opened = await handleWebhook(...signedDelivery(disputeEvent('evt_dispute_1', 'charge.dispute.created', 'needs_response')));
+    expect(opened).toMatchObject({ success: true, credits_frozen: 100 });
+    expect(db.account.frozen).toBe(100);
+
+    const closed = await handleWebhook(...signedDelivery(disputeEvent('evt_dispute_2', 'charge.dispute.closed', 'won')));
+
+    expect(closed).toMatchObject({ success: true, dispute_status: 'won', credits_reversed: 0 });
+    expect(db.account).toEqual({ balance: 100, frozen: 0 });
+    expect(retrieveCharge).toHaveBeenCalledWith('ch_test_123');
+  });
+
+  it('should claw back frozen credits when the dispute is lost', async () => {
+    await handleWebhook(...signedDelivery(disputeEvent('evt_dispute_1', 'charge.dispute.created', 'needs_response')));
+    const closed = await handleWebhook(...signedDelivery(disputeEvent('evt_dispute_2', 'charge.dispute.closed', 'lost')));
+
+    expect(closed).toMatchObject({ success: true, dispute_status: 'lost', credits_reversed: 100 });
+    expect(db.account).toEqual({ balance: 0, frozen: 0 });
+  });
+});
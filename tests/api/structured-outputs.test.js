@@ -0,0 +1,122 @@
+import {
+  callStructuredLLM,
+  validateStructuredOutput,
+  getOutputSchema,
+  StructuredOutputError
+} from '../../api/structured-outputs.js';
+import { callLLMWithFailover } from '../../api/llm-failover.js';
+
+jest.mock('../../api/llm-failover.js', () => ({ callLLMWithFailover: jest.fn() }));
+
+const roadmap = {
+  goal: 'Machine learning engineer',
+  total_duration_weeks: 16,
+  milestones: [{
+    title: 'Python for data',
+    duration_weeks: 4,
+    skills: ['pandas', 'NumPy'],
+    resources: [{ title: 'Python for Data Analysis', type: 'book' }]
+  }]
+};
+
+const llmResult = (content, overrides = {}) => ({
+  choices: [{ message: { role: 'assistant', content }, finish_reason: 'stop' }],
+  usage: { prompt_tokens: 400, completion_tokens: 300, total_tokens: 700 },
+  model: 'claude-3-sonnet-20240229',
+  provider: 'claude',
+  request_id: 'msg_roadmap',
+  fallback_used: false,
+  ...overrides
+});
+
+const request = {
+  model: 'claude-3-sonnet-20240229',
+  messages: [
+    { role: 'system', content: 'You are a career coach' },
+    { role: 'user', content: 'How do I become a machine learning engineer?' }
+  ],
+  max_tokens: 1500
+};
+
+describe('Structured output validation', () => {
+  it('should only define schemas for structured query types', () => {
+    expect(getOutputSchema('skill_roadmap')).toEqual(expect.objectContaining({ type: 'object' }));
+    expect(getOutputSchema('basic_question')).toBeNull();
+    expect(getOutputSchema('constructor')).toBeNull();
+  });
+
+  it('should repair small problems locally', () => {
+    const answer = `\`\`\`json\n${JSON.stringify({
+      role: 'Data Analyst',
+      currency: 'USD',
+      percentiles: { p25: '70000', p50: 85000, p75: 100000 },
+      sources: ['a guess']
+    })}\n\`\`\``;
+
+    const result = validateStructuredOutput('salary_analysis', answer);
+
+    expect(result.valid).toBe(true);
+    expect(result.output).toEqual({
+      role: 'Data Analyst',
+      currency: 'USD',
+      period: 'year',
+      percentiles: { p25: 70000, p50: 85000, p75: 100000 },
+      negotiation_tips: []
+    });
+  });
+
+  it('should report where an answer breaks the schema', () => {
+    const result = validateStructuredOutput('skill_roadmap', JSON.stringify({ ...roadmap, total_duration_weeks: 'sixteen' }));
+
+    expect(result).toEqual({ valid: false, output: null, errors: ['/total_duration_weeks must be integer'] });
+    expect(validateStructuredOutput('skill_roadmap', 'Start with Python.').errors).toEqual(['the answer is not a JSON object']);
+  });
+});
+
+describe('Structured LLM calls', () => {
+  it('should send the schema to the provider and return the validated object', async () => {
+    callLLMWithFailover.mockResolvedValue(llmResult(JSON.stringify(roadmap)));
+
+    const result = await callStructuredLLM(request, 'skill_roadmap');
+
+    const sent = callLLMWithFailover.mock.calls[0][0];
+    expect(sent.response_format).toEqual({ name: 'skill_roadmap', schema: getOutputSchema('skill_roadmap') });
+    expect(sent.messages.map(message => message.role)).toEqual(['system', 'system', 'user']);
+    expect(sent.messages[1].content).toContain('JSON Schema');
+    expect(result.structured_output).toEqual({ ...roadmap, next_steps: [] });
+    expect(result.structured_repairs).toBe(0);
+  });
+
+  it('should send invalid answers back to the model that wrote them and count every attempt', async () => {
+    const invalid = JSON.stringify({ ...roadmap, milestones: [] });
+    callLLMWithFailover
+      .mockResolvedValueOnce(llmResult(invalid, { model: 'gpt-4', provider: 'openai', fallback_used: true }))
+      .mockResolvedValueOnce(llmResult(JSON.stringify(roadmap), { model: 'gpt-4', provider: 'openai' }));
+
+    const result = await callStructuredLLM(request, 'skill_roadmap');
+
+    const repair = callLLMWithFailover.mock.calls[1][0];
+    expect(repair.model).toBe('gpt-4');
+    expect(repair.messages.slice(-2)).toEqual([
+      { role: 'assistant', content: invalid },
+      { role: 'user', content: expect.stringContaining('/milestones must NOT have fewer than 1 items') }
+    ]);
+    expect(result).toMatchObject({
+      structured_repairs: 1,
+      requested_model: 'claude-3-sonnet-20240229',
+      fallback_used: true,
+      usage: { prompt_tokens: 800, completion_tokens: 600, total_tokens: 1400 }
+    });
+  });
+
+  it('should give up once the repair budget is spent', async () => {
+    callLLMWithFailover.mockResolvedValue(llmResult('Learn Python, then statistics.'));
+
+    const error = await callStructuredLLM(request, 'skill_roadmap', { maxRepairs: 2 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(StructuredOutputError);
+    expect(error.errors).toEqual(['the answer is not a JSON object']);
+    expect(error.usage.total_tokens).toBe(2100);
+    expect(callLLMWithFailover).toHaveBeenCalledTimes(3);
+  });
+});
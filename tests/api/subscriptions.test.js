@@ -0,0 +1,169 @@
+import Stripe from 'stripe';
+import { handleWebhook } from '../../api/stripe-service.js';
+import { calculateInvoiceCredits } from '../../api/subscription-service.js';
+import { getPrisma } from '../../api/db.js';
+
+jest.mock('../../api/db.js', () => ({ getPrisma: jest.fn() }));
+
+const USER_ID = '3f1c2d4e-5b6a-4c7d-8e9f-0a1b2c3d4e5f';
+const WEBHOOK_SECRET = 'whsec_test_secret';
+
+const PLANS = {
+  price_pro_monthly: { id: 'pro_monthly', name: 'Pro', tier: 'professional', monthly_credits: '600', rollover_cap: '300', price_usd: '39.00' },
+  price_business_monthly: { id: 'business_monthly', name: 'Business', tier: 'business', monthly_credits: '2500', rollover_cap: '1250', price_usd: '149.00' }
+};
+
+// In-memory stand-in for the subscription tables and grant_subscription_credits
+function createFakeDatabase() {
+  const db = {
+    tier: 'free',
+    subscriptions: new Map(),
+    grants: [],
+    account: { balance: 0, subscription_balance: 0 },
+    $queryRaw: jest.fn(async (strings, ...values) => {
+      const sql = strings.join('?');
+
+      if (sql.includes('INSERT INTO stripe_webhook_events')) {
+        return [{ status: 'processing', delivery_count: 1 }];
+      }
+      if (sql.includes('FROM subscription_plans WHERE stripe_price_id')) {
+        return PLANS[values[0]] ? [PLANS[values[0]]] : [];
+      }
+      if (sql.includes('FROM user_subscriptions WHERE stripe_subscription_id')) {
+        const row = db.subscriptions.get(values[0]);
+        return row ? [row] : [];
+      }
+      if (sql.includes('FROM user_subscriptions s')) {
+        return [];
+      }
+      if (sql.includes('grant_subscription_credits')) {
+        const [, amount, rolloverCap, renewal, key] = values;
+        if (db.grants.some(grant => grant.key === key)) {
+          return [{ grant_result: JSON.stringify({ success: true, duplicate: true, amount_added: 0 }) }];
+        }
+        const account = db.account;
+        let expired = 0;
+        if (renewal) {
+          expired = Math.max(0, account.subscription_balance - rolloverCap);
+          account.balance -= expired;
+          account.subscription_balance -= expired;
+        }
+        account.balance += amount;
+        account.subscription_balance += amount;
+        db.grants.push({ key, amount, renewal, expired });
+        return [{ grant_result: JSON.stringify({
+          success: true,
+          duplicate: false,
+          transaction_id: `tx_${db.grants.length}`,
+          new_balance: account.balance,
+          amount_added: amount,
+          amount_expired: expired
+        }) }];
+      }
+      return [];
+    }),
+    $executeRaw: jest.fn(async (strings, ...values) => {
+      const sql = strings.join('?');
+      if (sql.includes('INSERT INTO user_subscriptions')) {
+        const [userId, planId, subscriptionId, , status] = values;
+        db.subscriptions.set(subscriptionId, { user_id: userId, plan_id: planId, status });
+      }
+      if (sql.includes('UPDATE users SET subscription_tier')) {
+        db.tier = values[0];
+      }
+      return 1;
+    })
+  };
+  return db;
+}
+
+const signedDelivery = (event) => {
+  const payload = JSON.stringify(event);
+  const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret: WEBHOOK_SECRET });
+  return [Buffer.from(payload), signature];
+};
+
+let eventCount = 0;
+const webhookEvent = (type, object) => ({
+  id: `evt_${++eventCount}`,
+  object: 'event',
+  type,
+  data: { object }
+});
+
+const subscription = (status, priceId = 'price_pro_monthly') => ({
+  id: 'sub_123',
+  object: 'subscription',
+  customer: 'cus_123',
+  status,
+  metadata: { user_id: USER_ID },
+  items: { data: [{ id: 'si_123', price: { id: priceId }, current_period_start: 1760000000, current_period_end: 1762592000 }] }
+});
+
+const invoice = (id, lines) => ({
+  id,
+  object: 'invoice',
+  customer: 'cus_123',
+  billing_reason: 'subscription_cycle',
+  parent: { subscription_details: { subscription: 'sub_123' } },
+  lines: { data: lines }
+});
+
+const planLine = (priceId, amount, proration = false) => ({
+  amount,
+  quantity: 1,
+  pricing: { price_details: { price: priceId } },
+  parent: { subscription_item_details: { proration } }
+});
+
+describe('Stripe subscriptions', () => {
+  let db;
+
+  beforeEach(async () => {
+    process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+    db = createFakeDatabase();
+    getPrisma.mockReturnValue(db);
+    await handleWebhook(...signedDelivery(webhookEvent('customer.subscription.created', subscription('active'))));
+  });
+
+  it('should set the plan tier when a subscription becomes active', () => {
+    expect(db.tier).toBe('professional');
+    expect(db.subscriptions.get('sub_123')).toMatchObject({ user_id: USER_ID, plan_id: 'pro_monthly' });
+  });
+
+  it('should grant the monthly allowance once per paid invoice', async () => {
+    const paid = webhookEvent('invoice.payment_succeeded', invoice('in_1', [planLine('price_pro_monthly', 3900)]));
+
+    const result = await handleWebhook(...signedDelivery(paid));
+    await handleWebhook(...signedDelivery({ ...paid, id: 'evt_invoice_paid' }));
+
+    expect(result).toMatchObject({ success: true, credits: 600, user_id: USER_ID });
+    expect(db.grants).toHaveLength(1);
+    expect(db.account.balance).toBe(600);
+  });
+
+  it('should roll over unused credits only up to the plan cap', async () => {
+    await handleWebhook(...signedDelivery(webhookEvent('invoice.payment_succeeded', invoice('in_1', [planLine('price_pro_monthly', 3900)]))));
+    await handleWebhook(...signedDelivery(webhookEvent('invoice.payment_succeeded', invoice('in_2', [planLine('price_pro_monthly', 3900)]))));
+
+    expect(db.grants[1]).toMatchObject({ renewal: true, expired: 300 });
+    expect(db.account.balance).toBe(900);
+  });
+
+  it('should prorate credits for a mid-period upgrade', async () => {
+    // Half a period left: refund half of Pro, charge half of Business
+    const credits = await calculateInvoiceCredits(invoice('in_upgrade', [
+      planLine('price_pro_monthly', -1950, true),
+      planLine('price_business_monthly', 7450, true)
+    ]));
+
+    expect(credits).toMatchObject({ renewal_credits: 0, proration_credits: 950, plan: null });
+  });
+
+  it('should downgrade to the free tier when the subscription is deleted', async () => {
+    const result = await handleWebhook(...signedDelivery(webhookEvent('customer.subscription.deleted', subscription('canceled'))));
+
+    expect(result).toMatchObject({ success: true, event_type: 'subscription_deleted', tier: 'free' });
+    expect(db.tier).toBe('free');
+  });
+});
@@ -0,0 +1,63 @@
+import { getUsageAnalytics } from '../../api/usage-analytics.js';
+import { schemas } from '../../src/utils/validation.js';
+import { getPrisma } from '../../api/db.js';
+
+jest.mock('../../api/db.js', () => ({ getPrisma: jest.fn() }));
+
+const USER_ID = '3f1c2d4e-5b6a-4c7d-8e9f-0a1b2c3d4e5f';
+
+const analyticsRow = (fields = {}) => [{
+  analytics: JSON.stringify({
+    period: { start_date: '2025-02-01', end_date: '2025-03-03' },
+    group_by: 'week',
+    totals: { requests: 12, credits_consumed: '8.40', total_tokens: 15200, avg_response_time_ms: '812.50' },
+    provider_stats: [{ provider: 'claude', model: 'claude-3-haiku-20240307', requests: 12, credits_consumed: '8.40', avg_tokens: '1266.67' }],
+    daily_stats: [],
+    series: [
+      { key: '2025-02-24', requests: 5, credits: '3.10', tokens: 6000, avg_response_time_ms: '790.00' },
+      { key: '2025-03-03', requests: 7, credits: '5.30', tokens: 9200, avg_response_time_ms: null }
+    ],
+    ...fields
+  })
+}];
+
+describe('Usage analytics', () => {
+  let db;
+
+  beforeEach(() => {
+    jest.setSystemTime(Date.parse('2025-03-03T15:00:00Z'));
+    db = { $queryRaw: jest.fn().mockResolvedValue(analyticsRow()) };
+    getPrisma.mockReturnValue(db);
+  });
+
+  it('should default to the last 30 days for the user', async () => {
+    await getUsageAnalytics({ userId: USER_ID });
+
+    const [strings, ...values] = db.$queryRaw.mock.calls[0];
+    expect(strings.join('?')).toContain('get_usage_analytics');
+    expect(values).toEqual(['2025-02-01', '2025-03-03', USER_ID, 'day']);
+  });
+
+  it('should pass the grouping and cover all users for the admin view', async () => {
+    await getUsageAnalytics({ startDate: new Date('2025-01-01'), endDate: new Date('2025-01-31'), groupBy: 'model' });
+
+    expect(db.$queryRaw.mock.calls[0].slice(1)).toEqual(['2025-01-01', '2025-01-31', null, 'model']);
+  });
+
+  it('should return numbers for the decimal columns', async () => {
+    const analytics = await getUsageAnalytics({ userId: USER_ID, groupBy: 'week' });
+
+    expect(analytics.totals).toMatchObject({ credits_consumed: 8.4, avg_response_time_ms: 812.5 });
+    expect(analytics.provider_stats[0]).toMatchObject({ credits_consumed: 8.4, avg_tokens: 1266.67 });
+    expect(analytics.series).toEqual([
+      { key: '2025-02-24', requests: 5, credits: 3.1, tokens: 6000, avg_response_time_ms: 790 },
+      { key: '2025-03-03', requests: 7, credits: 5.3, tokens: 9200, avg_response_time_ms: null }
+    ]);
+  });
+
+  it('should reject unknown groupings and reversed ranges', () => {
+    expect(schemas.usageAnalyticsQuery.validate({ group_by: 'hour' }).error).toBeDefined();
+    expect(schemas.usageAnalyticsQuery.validate({ start_date: '2025-03-03', end_date: '2025-03-01' }).error).toBeDefined();
+    expect(schemas.usageAnalyticsQuery.validate({}).value).toEqual({ group_by: 'day' });
+  });
+});
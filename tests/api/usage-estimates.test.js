@@ -0,0 +1,94 @@
+import { countTokens, countMessageTokens } from '../../api/tokenizer.js';
+import { estimateUsage, clearCompletionHistory } from '../../api/usage-estimates.js';
+import { quoteRequest } from '../../api/llm-gateway.js';
+import { getPrisma } from '../../api/db.js';
+
+jest.mock('../../api/db.js', () => ({ getPrisma: jest.fn() }));
+
+const messages = [
+  { role: 'system', content: 'You are a career coach.' },
+  { role: 'user', content: 'How should I prepare for a salary negotiation next week?' }
+];
+
+describe('Token counting', () => {
+  it('should count BPE tokens rather than characters', () => {
+    expect(countTokens('hello world', 'gpt-4')).toBe(2);
+  });
+
+  it('should scale counts for providers without a published tokenizer', () => {
+    expect(countTokens('hello world', 'claude-3-haiku-20240307')).toBe(3);
+  });
+
+  it('should treat special-token markers in user text as plain text', () => {
+    expect(countTokens('<|endoftext|>', 'gpt-4')).toBeGreaterThan(1);
+  });
+
+  it('should add per-message framing to prompt counts', () => {
+    const content = messages.reduce((sum, message) => sum + countTokens(message.content, 'gpt-4'), 0);
+
+    expect(countMessageTokens(messages, 'gpt-4')).toBe(content + 2 * 4 + 3);
+  });
+});
+
+describe('Pre-flight usage estimates', () => {
+  let db;
+
+  beforeEach(() => {
+    clearCompletionHistory();
+    db = {
+      $queryRaw: jest.fn().mockResolvedValue([{ samples: 250, average: '312.4' }]),
+      llm_provider_configs: {
+        findFirst: jest.fn().mockResolvedValue({
+          credits_per_1k_tokens: 1,
+          input_cost_per_1m_tokens: 10,
+          output_cost_per_1m_tokens: 30
+        })
+      }
+    };
+    getPrisma.mockReturnValue(db);
+  });
+
+  it('should estimate the completion from the query type history', async () => {
+    const usage = await estimateUsage({ messages, model: 'gpt-4', maxTokens: 1000, queryType: 'salary_negotiation' });
+
+    expect(usage).toEqual({
+      prompt_tokens: countMessageTokens(messages, 'gpt-4'),
+      completion_tokens: 313,
+      total_tokens: countMessageTokens(messages, 'gpt-4') + 313,
+      completion_source: 'history'
+    });
+    expect(db.$queryRaw.mock.calls[0].slice(1)).toEqual(['salary_negotiation', 30]);
+  });
+
+  it('should cap the history at max_tokens and cache it per query type', async () => {
+    await estimateUsage({ messages, model: 'gpt-4', queryType: 'salary_negotiation' });
+    const usage = await estimateUsage({ messages, model: 'gpt-4', maxTokens: 200, queryType: 'salary_negotiation' });
+
+    expect(usage.completion_tokens).toBe(200);
+    expect(db.$queryRaw).toHaveBeenCalledTimes(1);
+  });
+
+  it.each([
+    ['too little history', async () => [{ samples: 3, average: '40' }]],
+    ['a database error', async () => { throw new Error('connection refused'); }]
+  ])('should fall back to max_tokens with %s', async (_, history) => {
+    db.$queryRaw.mockImplementation(history);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const usage = await estimateUsage({ messages, model: 'gpt-4', maxTokens: 800, queryType: 'resume_review' });
+
+    expect(usage).toMatchObject({ completion_tokens: 800, completion_source: 'max_tokens' });
+  });
+
+  it('should quote the credits the gateway would hold', async () => {
+    const quote = await quoteRequest({ messages, model: 'gpt-4', max_tokens: 1000, query_type: 'salary_negotiation' });
+
+    const weighted = quote.usage.prompt_tokens * 0.25 + 313 * 0.75;
+    expect(quote).toMatchObject({ provider: 'openai', model: 'gpt-4', query_type: 'salary_negotiation' });
+    expect(quote.credits_estimated).toBe(Math.ceil(weighted / 1000 * 100) / 100);
+    expect(quote.credits_max).toBeGreaterThan(quote.credits_estimated);
+    expect(db.llm_provider_configs.findFirst).toHaveBeenCalledWith({
+      where: { provider: 'openai', model: 'gpt-4', is_active: true }
+    });
+  });
+});